@@ -0,0 +1,60 @@
+/**
+ * Configuración de la cuenta de usuario (recuperación de contraseña, verificación de email,
+ * enlaces de correo, protección del login y autenticación de dos factores)
+ * Todos los valores se pueden sobrescribir con variables de entorno
+ */
+
+/**
+ * Leer un número entero positivo desde el entorno con valor por defecto
+ * @param {string} name - Nombre de la variable
+ * @param {number} defaultValue - Valor por defecto
+ * @returns {number} - Valor numérico
+ */
+const readNumber = (name, defaultValue) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value <= 0 ? defaultValue : value;
+};
+
+const AUTH_CONFIG = {
+  // URL del frontend a la que apuntan los enlaces de los correos
+  appUrl: (process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3001').replace(/\/+$/, ''),
+  // Minutos de validez del enlace para restablecer la contraseña
+  passwordResetMinutes: readNumber('PASSWORD_RESET_EXPIRES_MINUTES', 60),
+  // Horas de validez del enlace para verificar el email
+  emailVerificationHours: readNumber('EMAIL_VERIFICATION_EXPIRES_HOURS', 48),
+  // Segundos de espera entre reenvíos del correo de verificación
+  emailVerificationResendSeconds: readNumber('EMAIL_VERIFICATION_RESEND_SECONDS', 60),
+  // Si es true, los usuarios sin email verificado no pueden comentar con su cuenta
+  requireVerifiedEmailToComment: process.env.COMMENT_REQUIRE_VERIFIED_EMAIL === 'true',
+
+  // Protección del login contra fuerza bruta
+  login: {
+    // Fallos permitidos antes de empezar a exigir esperas
+    freeAttempts: readNumber('LOGIN_FREE_ATTEMPTS', 3),
+    // Espera tras el primer fallo extra; se duplica con cada fallo siguiente hasta el máximo
+    backoffBaseSeconds: readNumber('LOGIN_BACKOFF_BASE_SECONDS', 1),
+    backoffMaxSeconds: readNumber('LOGIN_BACKOFF_MAX_SECONDS', 60),
+    // Fallos que bloquean temporalmente una cuenta y una IP
+    accountLockoutThreshold: readNumber('LOGIN_LOCKOUT_THRESHOLD', 10),
+    ipLockoutThreshold: readNumber('LOGIN_IP_LOCKOUT_THRESHOLD', 50),
+    lockoutMinutes: readNumber('LOGIN_LOCKOUT_MINUTES', 15),
+    // Minutos sin fallos tras los que se olvidan los intentos anteriores
+    attemptWindowMinutes: readNumber('LOGIN_ATTEMPT_WINDOW_MINUTES', 15)
+  },
+
+  // Autenticación de dos factores (TOTP)
+  twoFactor: {
+    // Nombre que muestran las apps de autenticación
+    issuer: process.env.TWO_FACTOR_ISSUER || 'Blog Interactivo',
+    // Minutos para ingresar el código después de la contraseña
+    challengeMinutes: readNumber('TWO_FACTOR_CHALLENGE_MINUTES', 5),
+    // Códigos de recuperación que se generan al activar 2FA
+    recoveryCodes: readNumber('TWO_FACTOR_RECOVERY_CODES', 10),
+    // Valor inicial de "exigir 2FA a los admin" (los admin pueden cambiarlo en /api/security/settings)
+    requiredForAdmins: process.env.TWO_FACTOR_REQUIRED_FOR_ADMINS === 'true'
+  }
+};
+
+module.exports = {
+  AUTH_CONFIG
+};
@@ -0,0 +1,40 @@
+const os = require('os');
+const path = require('path');
+
+/**
+ * Configuración del envío de correos
+ * Todos los valores se pueden sobrescribir con variables de entorno
+ */
+
+/**
+ * Leer el transporte de MAIL_TRANSPORT o elegir uno por defecto
+ * En producción no hay valor por defecto: sin SMTP_HOST los correos (verificación,
+ * restablecimiento de contraseña) se perderían en la consola
+ * @returns {string|null} - Nombre del transporte o null si hay que configurarlo
+ */
+const readTransport = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT.toLowerCase();
+  if (process.env.SMTP_HOST) return 'smtp';
+  return process.env.NODE_ENV === 'production' ? null : 'console';
+};
+
+const MAIL_CONFIG = {
+  // Transporte: smtp, file o console (por defecto smtp si hay SMTP_HOST; si no, console fuera de producción)
+  transport: readTransport(),
+  // Remitente de los correos
+  from: process.env.MAIL_FROM || 'Blog Interactivo <no-reply@localhost>',
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    // true para el puerto 465 (TLS directo); con 587 se usa STARTTLS
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+  // Carpeta donde el transporte file guarda cada correo como JSON
+  fileDir: process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'blog-api-mails')
+};
+
+module.exports = {
+  MAIL_CONFIG
+};
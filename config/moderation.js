@@ -0,0 +1,47 @@
+/**
+ * Configuración de la política de moderación de comentarios
+ * La política global se define con COMMENT_MODERATION y cada artículo puede sobrescribirla
+ *   - auto-approve: los comentarios se publican al instante
+ *   - hold-all: todos los comentarios esperan aprobación de un moderador
+ *   - hold-first-time: solo esperan aprobación quienes no tienen comentarios aprobados con su cuenta
+ *     (los comentarios anónimos siempre esperan)
+ */
+
+const COMMENT_MODERATION_POLICIES = ['auto-approve', 'hold-all', 'hold-first-time'];
+
+const DEFAULT_POLICY = 'auto-approve';
+
+/**
+ * Leer la política global desde el entorno (con valor por defecto si es inválida)
+ * @returns {string} - Política global
+ */
+const getGlobalPolicy = () => {
+  const policy = (process.env.COMMENT_MODERATION || '').trim().toLowerCase();
+  return COMMENT_MODERATION_POLICIES.includes(policy) ? policy : DEFAULT_POLICY;
+};
+
+/**
+ * Verificar si una política de moderación es válida
+ * @param {string} policy - Política a verificar
+ * @returns {boolean} - True si es válida
+ */
+const isValidPolicy = (policy) => COMMENT_MODERATION_POLICIES.includes(policy);
+
+/**
+ * Obtener la política que aplica a un artículo
+ * @param {Object} article - Artículo (usa article.commentModeration si está definido)
+ * @returns {string} - Política efectiva
+ */
+const resolvePolicy = (article) => {
+  if (article && isValidPolicy(article.commentModeration)) {
+    return article.commentModeration;
+  }
+  return getGlobalPolicy();
+};
+
+module.exports = {
+  COMMENT_MODERATION_POLICIES,
+  getGlobalPolicy,
+  isValidPolicy,
+  resolvePolicy
+};
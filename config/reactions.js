@@ -0,0 +1,39 @@
+/**
+ * Configuración de reacciones disponibles para artículos y comentarios
+ * Se puede sobrescribir con REACTIONS en formato "clave:emoji,clave:emoji"
+ */
+
+const DEFAULT_REACTIONS = 'like:👍,love:❤️,haha:😂,wow:😮,sad:😢';
+
+/**
+ * Parsear la lista de reacciones desde un string de configuración
+ * @param {string} value - Lista "clave:emoji" separada por comas
+ * @returns {Array} - [{ key, emoji }]
+ */
+const parseReactions = (value) => {
+  return value
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(entry => entry.length > 0)
+    .map(entry => {
+      const [key, emoji] = entry.split(':');
+      return { key: key.trim().toLowerCase(), emoji: (emoji || '').trim() };
+    })
+    .filter(reaction => /^[a-z0-9_]+$/.test(reaction.key));
+};
+
+const REACTIONS = parseReactions(process.env.REACTIONS || DEFAULT_REACTIONS);
+const REACTION_KEYS = REACTIONS.map(reaction => reaction.key);
+
+/**
+ * Verificar si una clave de reacción está habilitada
+ * @param {string} key - Clave de la reacción
+ * @returns {boolean} - True si es válida
+ */
+const isValidReaction = (key) => REACTION_KEYS.includes(key);
+
+module.exports = {
+  REACTIONS,
+  REACTION_KEYS,
+  isValidReaction
+};
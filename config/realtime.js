@@ -0,0 +1,52 @@
+/**
+ * Configuración de las actualizaciones en tiempo real (Server-Sent Events y WebSocket)
+ * Todos los valores se pueden sobrescribir con variables de entorno
+ */
+
+/**
+ * Leer un número entero positivo desde el entorno con valor por defecto
+ * @param {string} name - Nombre de la variable
+ * @param {number} defaultValue - Valor por defecto
+ * @returns {number} - Valor numérico
+ */
+const readNumber = (name, defaultValue) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) || value <= 0 ? defaultValue : value;
+};
+
+const SSE_CONFIG = {
+  // Cada cuántos segundos se envía un heartbeat para mantener viva la conexión
+  heartbeatSeconds: readNumber('SSE_HEARTBEAT_SECONDS', 25),
+  // Milisegundos que el navegador espera antes de reconectar
+  retryMs: readNumber('SSE_RETRY_MS', 3000),
+  // Eventos recientes que se guardan por artículo para reenviar al reconectar
+  replayBufferSize: readNumber('SSE_REPLAY_BUFFER_SIZE', 100),
+  // Antigüedad máxima (segundos) de los eventos que se pueden reenviar
+  replayMaxAgeSeconds: readNumber('SSE_REPLAY_MAX_AGE_SECONDS', 300),
+  // Conexiones abiertas al mismo tiempo por IP y en total
+  maxConnectionsPerIp: readNumber('SSE_MAX_CONNECTIONS_PER_IP', 5),
+  maxConnections: readNumber('SSE_MAX_CONNECTIONS', 1000),
+  // Duración máxima de una conexión; el cliente reconecta con Last-Event-ID
+  maxConnectionMinutes: readNumber('SSE_MAX_CONNECTION_MINUTES', 30)
+};
+
+const WS_CONFIG = {
+  // Ruta del endpoint WebSocket en el mismo servidor HTTP
+  path: process.env.WS_PATH || '/ws',
+  // Cada cuántos segundos se verifica que el cliente siga conectado (ping/pong)
+  pingSeconds: readNumber('WS_PING_SECONDS', 30),
+  // Tamaño máximo de un mensaje del cliente (bytes)
+  maxPayloadBytes: readNumber('WS_MAX_PAYLOAD_BYTES', 4096),
+  // Artículos a los que puede suscribirse una misma conexión
+  maxSubscriptions: readNumber('WS_MAX_SUBSCRIPTIONS', 10),
+  // Conexiones abiertas al mismo tiempo por IP y en total
+  maxConnectionsPerIp: readNumber('WS_MAX_CONNECTIONS_PER_IP', 10),
+  maxConnections: readNumber('WS_MAX_CONNECTIONS', 1000),
+  // Segundos sin noticias tras los que un indicador de "escribiendo" se apaga solo
+  typingTimeoutSeconds: readNumber('WS_TYPING_TIMEOUT_SECONDS', 6)
+};
+
+module.exports = {
+  SSE_CONFIG,
+  WS_CONFIG
+};
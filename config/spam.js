@@ -0,0 +1,51 @@
+/**
+ * Configuración del filtro de spam de comentarios
+ * Todos los valores se pueden sobrescribir con variables de entorno
+ */
+
+/**
+ * Parsear una lista separada por comas
+ * @param {string} value - Lista "a,b,c"
+ * @returns {Array<string>} - Elementos en minúsculas, sin vacíos
+ */
+const parseList = (value = '') => {
+  return value
+    .split(',')
+    .map(item => item.trim().toLowerCase())
+    .filter(item => item.length > 0);
+};
+
+/**
+ * Leer un número desde el entorno con valor por defecto
+ * @param {string} name - Nombre de la variable
+ * @param {number} defaultValue - Valor por defecto
+ * @returns {number} - Valor numérico
+ */
+const readNumber = (name, defaultValue) => {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? defaultValue : value;
+};
+
+const SPAM_CONFIG = {
+  // Puntaje a partir del cual el comentario queda retenido para moderación
+  moderateScore: readNumber('SPAM_MODERATE_SCORE', 5),
+  // Puntaje a partir del cual el comentario se rechaza (se guarda como rechazado para los moderadores)
+  rejectScore: readNumber('SPAM_REJECT_SCORE', 10),
+  // Enlaces permitidos antes de penalizar
+  maxLinks: readNumber('SPAM_MAX_LINKS', 2),
+  // Palabras y dominios bloqueados
+  blockedWords: parseList(process.env.SPAM_BLOCKED_WORDS),
+  blockedDomains: parseList(process.env.SPAM_BLOCKED_DOMAINS),
+  // Ventana (horas) en la que se buscan comentarios con el mismo contenido
+  duplicateWindowHours: readNumber('SPAM_DUPLICATE_WINDOW_HOURS', 24),
+  // Campo oculto del formulario que solo completan los bots
+  honeypotField: process.env.SPAM_HONEYPOT_FIELD || 'website',
+  // Segundos mínimos entre que se abre el formulario y se envía el comentario
+  minSubmitSeconds: readNumber('SPAM_MIN_SUBMIT_SECONDS', 3),
+  // Comentarios máximos de una misma persona por minuto
+  maxCommentsPerMinute: readNumber('SPAM_MAX_COMMENTS_PER_MINUTE', 3)
+};
+
+module.exports = {
+  SPAM_CONFIG
+};
@@ -1,5 +1,87 @@
 const Article = require('../models/Article');
 const Like = require('../models/Like');
+const VisitorLike = require('../models/VisitorLike');
+const Reaction = require('../models/Reaction');
+const CommentLike = require('../models/CommentLike');
+const CommentReport = require('../models/CommentReport');
+const Notification = require('../models/Notification');
+const Comment = require('../models/Comment');
+const ArticleRevision = require('../models/ArticleRevision');
+const { COMMENT_MODERATION_POLICIES, isValidPolicy, resolvePolicy } = require('../config/moderation');
+const { publishArticleEvent } = require('../utils/articleEvents');
+const { hasEffectiveRole } = require('../middleware/auth');
+
+// Campos que un autor puede establecer al crear o editar un artículo
+// (el estado y la fecha de publicación se cambian con PATCH /:slug/status)
+const EDITABLE_FIELDS = ['title', 'content', 'excerpt', 'author', 'imagenUrl', 'tags'];
+
+// Roles con permisos editoriales sobre cualquier artículo
+const EDITOR_ROLES = ['admin', 'editor'];
+
+/**
+ * Extraer del body solo los campos editables del artículo
+ * @param {Object} body - Cuerpo de la petición
+ * @returns {Object} - Campos permitidos presentes en el body
+ */
+const pickEditableFields = (body = {}) => {
+  const data = {};
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  });
+
+  // Aceptar tags como array o como string separado por comas
+  if (typeof data.tags === 'string') {
+    data.tags = data.tags.split(',');
+  }
+  if (Array.isArray(data.tags)) {
+    data.tags = data.tags
+      .map(tag => String(tag).trim())
+      .filter(tag => tag.length > 0);
+  }
+
+  return data;
+};
+
+/**
+ * Responder con los errores de validación de Mongoose, de slug duplicado
+ * o de transición de estado inválida
+ * @param {Object} error - Error capturado
+ * @param {Object} res - Response object
+ * @returns {boolean} - True si el error fue manejado
+ */
+const handleArticleWriteError = (error, res) => {
+  if (error.name === 'ValidationError') {
+    const errors = Object.values(error.errors).map(err => err.message);
+    res.status(400).json({
+      success: false,
+      message: 'Error de validación',
+      errors
+    });
+    return true;
+  }
+
+  if (error.code === 11000) {
+    res.status(409).json({
+      success: false,
+      message: 'Ya existe un artículo con ese slug'
+    });
+    return true;
+  }
+
+  // Errores lanzados por Article#transitionTo
+  if (error.statusCode) {
+    res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  return false;
+};
 
 /**
  * Controlador para manejar todas las operaciones relacionadas con artículos
@@ -117,7 +199,7 @@ const getAllArticles = async (req, res) => {
     } = req.query;
 
     // Construir filtros de búsqueda
-    const filters = { isPublished: true };
+    const filters = Article.publicFilter();
     
     if (search) {
       filters.$or = [
@@ -227,7 +309,7 @@ const getArticleBySlug = async (req, res) => {
 
     const article = await Article.findOne({ 
       slug: slug, 
-      isPublished: true 
+      ...Article.publicFilter()
     }).lean();
 
     if (!article) {
@@ -245,17 +327,24 @@ const getArticleBySlug = async (req, res) => {
     // Agregar 1 a las vistas para la respuesta actual
     article.viewsCount += 1;
 
-    // Verificar si el usuario actual dio like (si está autenticado)
+    // Verificar si el usuario actual dio like (usuario autenticado o visitante anónimo)
     let userLiked = false;
     if (req.user) {
       userLiked = await Like.userLikedArticle(req.user._id, article._id);
+    } else if (req.visitor) {
+      userLiked = await VisitorLike.visitorLiked(req.visitor.id, 'article', article._id);
     }
 
+    // Resumen de reacciones y reacción elegida por quien consulta
+    const userReactions = await Reaction.getActorReactions('article', [article._id], Reaction.getActorKey(req));
+    const reactions = Reaction.buildSummary(article.reactionCounts, userReactions.get(article._id.toString()) || null);
+
     res.json({
       success: true,
       data: { 
         article,
-        userLiked // Información adicional para el frontend
+        userLiked, // Información adicional para el frontend
+        reactions
       }
     });
 
@@ -406,7 +495,7 @@ const searchArticles = async (req, res) => {
 
       totalResults = await Article.countDocuments({
         $text: { $search: trimmedTerm },
-        isPublished: true
+        ...Article.publicFilter()
       });
     } catch (textSearchError) {
       // Si falla la búsqueda de texto (por ejemplo, índice no existe), usar búsqueda regex como fallback
@@ -419,7 +508,7 @@ const searchArticles = async (req, res) => {
         console.warn('Índice de texto no disponible, usando búsqueda regex como fallback');
         
         const regexQuery = {
-          isPublished: true,
+          ...Article.publicFilter(),
           $or: [
             { title: { $regex: trimmedTerm, $options: 'i' } },
             { content: { $regex: trimmedTerm, $options: 'i' } },
@@ -561,7 +650,7 @@ const getArticlesByTag = async (req, res) => {
     } = req.query;
 
     const filters = {
-      isPublished: true,
+      ...Article.publicFilter(),
       tags: { $in: [tag.toLowerCase()] }
     };
 
@@ -610,7 +699,7 @@ const getArticlesByTag = async (req, res) => {
  */
 const getAllTags = async (req, res) => {
   try {
-    const tags = await Article.distinct('tags', { isPublished: true });
+    const tags = await Article.distinct('tags', Article.publicFilter());
     
     // Filtrar tags vacíos y ordenar alfabéticamente
     const filteredTags = tags
@@ -638,16 +727,17 @@ const getAllTags = async (req, res) => {
  */
 const getBlogStats = async (req, res) => {
   try {
-    const totalArticles = await Article.countDocuments({ isPublished: true });
+    const publicFilter = Article.publicFilter();
+    const totalArticles = await Article.countDocuments(publicFilter);
     const totalViews = await Article.aggregate([
-      { $match: { isPublished: true } },
+      { $match: publicFilter },
       { $group: { _id: null, totalViews: { $sum: '$viewsCount' } } }
     ]);
     const totalLikes = await Article.aggregate([
-      { $match: { isPublished: true } },
+      { $match: publicFilter },
       { $group: { _id: null, totalLikes: { $sum: '$likesCount' } } }
     ]);
-    const totalTags = await Article.distinct('tags', { isPublished: true });
+    const totalTags = await Article.distinct('tags', publicFilter);
 
     const stats = {
       totalArticles,
@@ -676,7 +766,13 @@ const getBlogStats = async (req, res) => {
  * /api/articles/{slug}/like:
  *   post:
  *     summary: Dar o quitar like a un artículo
- *     description: Permite dar o quitar like a un artículo (sin autenticación requerida)
+ *     description: |
+ *       Alterna el like del usuario autenticado o, sin autenticación, del visitante anónimo
+ *       identificado por su token (cookie blog_visitor o cabecera X-Visitor-Token; si no lo
+ *       tiene, el servidor emite uno en la respuesta). Cada usuario o visitante tiene como
+ *       máximo un like por artículo, y se limita la cantidad de visitantes distintos por IP.
+ *       Si se envía action "increment" o "decrement" la operación es idempotente (dar / quitar).
+ *       También disponibles PUT (dar like) y DELETE (quitar like), ambos idempotentes.
  *     tags: [Articles]
  *     parameters:
  *       - in: path
@@ -685,6 +781,16 @@ const getBlogStats = async (req, res) => {
  *         schema:
  *           type: string
  *         description: Slug del artículo
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [increment, decrement]
  *     responses:
  *       200:
  *         description: Like actualizado exitosamente
@@ -706,15 +812,20 @@ const getBlogStats = async (req, res) => {
  *                     likesCount:
  *                       type: integer
  *                       description: Número total de likes
+ *                     action:
+ *                       type: string
+ *                       enum: [added, removed, unchanged]
  *       400:
  *         description: Acción inválida
  *       404:
  *         description: Artículo no encontrado
+ *       429:
+ *         description: Límite de likes anónimos alcanzado desde esta red
  */
 const toggleLike = async (req, res) => {
   try {
     const { slug } = req.params;
-    const { action = 'increment' } = req.body; // 'increment' o 'decrement'
+    const { action } = req.body || {}; // 'increment' o 'decrement' (opcional)
 
     // Normalizar el slug (trim)
     const normalizedSlug = slug.trim();
@@ -729,7 +840,7 @@ const toggleLike = async (req, res) => {
     if (isObjectId) {
       // Si es un ObjectId, buscar por _id (fallback para compatibilidad)
       console.warn('Se recibió un ObjectId en lugar de slug, buscando por _id:', normalizedSlug);
-      article = await Article.findById(normalizedSlug);
+      article = await Article.findOne({ _id: normalizedSlug, ...Article.publicFilter() });
       
       if (!article) {
         return res.status(404).json({
@@ -751,7 +862,7 @@ const toggleLike = async (req, res) => {
       // Buscar por slug normalmente
       article = await Article.findOne({ 
         slug: normalizedSlug,
-        isPublished: true 
+        ...Article.publicFilter()
       });
     }
 
@@ -765,7 +876,7 @@ const toggleLike = async (req, res) => {
         console.log('Artículo encontrado pero no publicado:', articleWithoutFilter.slug);
         return res.status(404).json({
           success: false,
-          message: 'Artículo no encontrado o no publicado'
+          message: 'Artículo no encontrado'
         });
       }
       
@@ -785,30 +896,71 @@ const toggleLike = async (req, res) => {
       });
     }
 
-    let updatedArticle;
-
-    if (action === 'increment') {
-      updatedArticle = await article.incrementLikes();
-      // Recargar el artículo desde la BD para obtener el valor actualizado
-      updatedArticle = await Article.findById(article._id).select('slug title likesCount');
+    // Determinar la operación: PUT da like, DELETE lo quita y POST alterna.
+    // POST acepta action 'increment' / 'decrement' por compatibilidad (ambas idempotentes)
+    let operation = 'toggle';
+    if (req.method === 'PUT') {
+      operation = 'add';
+    } else if (req.method === 'DELETE') {
+      operation = 'remove';
+    } else if (action === 'increment') {
+      operation = 'add';
     } else if (action === 'decrement') {
-      updatedArticle = await article.decrementLikes();
-      // Recargar el artículo desde la BD para obtener el valor actualizado
-      updatedArticle = await Article.findById(article._id).select('slug title likesCount');
-    } else {
+      operation = 'remove';
+    } else if (action !== undefined) {
       return res.status(400).json({
         success: false,
         message: 'Acción inválida. Use "increment" o "decrement"'
       });
     }
 
+    // Usuarios autenticados usan Like; visitantes anónimos, su token de visitante
+    let result;
+    if (req.user) {
+      if (operation === 'add') {
+        result = await Like.addLike(req.user._id, article._id);
+      } else if (operation === 'remove') {
+        result = await Like.removeLike(req.user._id, article._id);
+      } else {
+        result = await Like.toggleLike(req.user._id, article._id);
+      }
+    } else {
+      if (operation === 'add') {
+        result = await VisitorLike.addLike(req.visitor, 'article', article._id);
+      } else if (operation === 'remove') {
+        result = await VisitorLike.removeLike(req.visitor, 'article', article._id);
+      } else {
+        result = await VisitorLike.toggleLike(req.visitor, 'article', article._id);
+      }
+
+      if (result.blocked) {
+        return res.status(429).json({
+          success: false,
+          message: result.message
+        });
+      }
+    }
+
+    // El like ya existía (o no existía) cuando se pidió darlo (o quitarlo): no hay cambios
+    const changed = result.success;
+    const liked = operation === 'toggle'
+      ? result.liked
+      : operation === 'add';
+
+    // Recalcular el contador desde la colección de likes
+    const likesCount = await Like.syncArticleLikesCount(article._id);
+
+    if (changed) {
+      publishArticleEvent(article._id, 'article.likes', { slug: article.slug, likesCount });
+    }
+
     res.json({
       success: true,
-      message: `Like ${action === 'increment' ? 'agregado' : 'removido'} exitosamente`,
+      message: changed ? result.message : (liked ? 'Ya diste like a este artículo' : 'No habías dado like a este artículo'),
       data: {
-        liked: action === 'increment',
-        likesCount: updatedArticle.likesCount,
-        action: action
+        liked,
+        likesCount,
+        action: changed ? (liked ? 'added' : 'removed') : 'unchanged'
       }
     });
 
@@ -886,8 +1038,8 @@ const getArticleLikes = async (req, res) => {
     const { slug } = req.params;
     const { limit = 10 } = req.query;
 
-    // Buscar el artículo por slug
-    const article = await Article.findOne({ slug });
+    // Buscar el artículo por slug (solo públicos: no se confirma que exista un borrador)
+    const article = await Article.findOne({ slug, ...Article.publicFilter() });
     if (!article) {
       return res.status(404).json({
         success: false,
@@ -918,6 +1070,633 @@ const getArticleLikes = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/articles:
+ *   post:
+ *     summary: Crear un artículo
+ *     description: Crea un nuevo artículo. El slug se genera automáticamente a partir del título.
+ *     tags: [Articles]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - title
+ *               - content
+ *             properties:
+ *               title:
+ *                 type: string
+ *                 minLength: 5
+ *                 maxLength: 200
+ *               content:
+ *                 type: string
+ *                 minLength: 50
+ *               excerpt:
+ *                 type: string
+ *                 maxLength: 300
+ *               author:
+ *                 type: string
+ *                 description: Autor del artículo (por defecto, el nombre del usuario autenticado)
+ *               imagenUrl:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               status:
+ *                 type: string
+ *                 enum: [draft, in_review, scheduled, published]
+ *                 default: draft
+ *                 description: Estado inicial (scheduled y published solo para editores)
+ *               publishedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Fecha de publicación (requerida si status es scheduled)
+ *     responses:
+ *       201:
+ *         description: Artículo creado exitosamente
+ *       400:
+ *         description: Datos de entrada inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: Sin permisos suficientes
+ */
+const createArticle = async (req, res) => {
+  try {
+    const data = pickEditableFields(req.body);
+
+    if (!data.title || typeof data.title !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'El título del artículo es obligatorio'
+      });
+    }
+
+    if (!data.author) {
+      data.author = req.user.name;
+    }
+
+    data.slug = await Article.generateUniqueSlug(data.title);
+    data.authorId = req.user._id;
+    data.status = 'draft';
+
+    const article = new Article(data);
+    article.$locals.revisionUser = req.user;
+
+    // Estado inicial opcional (por defecto el artículo queda como borrador)
+    const { status, publishedAt } = req.body;
+    if (status && status !== 'draft') {
+      const isEditor = await hasEffectiveRole(req.user, ...EDITOR_ROLES);
+      if (!Article.canSetStatus(isEditor, status)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Acceso denegado',
+          error: 'Solo editores pueden programar, publicar o archivar artículos'
+        });
+      }
+      article.transitionTo(status, { publishedAt, userId: req.user._id });
+    }
+
+    await article.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Artículo creado exitosamente',
+      data: {
+        article,
+        userLiked: false
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al crear artículo:', error);
+
+    if (handleArticleWriteError(error, res)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/articles/{slug}:
+ *   put:
+ *     summary: Actualizar un artículo
+ *     description: |
+ *       Actualiza los campos enviados de un artículo. Si cambia el título se regenera el slug
+ *       (o se usa el campo slug si se envía). Los slugs anteriores siguen funcionando mediante redirección.
+ *     tags: [Articles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Slug del artículo
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Article'
+ *     responses:
+ *       200:
+ *         description: Artículo actualizado exitosamente
+ *       400:
+ *         description: Datos de entrada inválidos
+ *       404:
+ *         description: Artículo no encontrado
+ *   patch:
+ *     summary: Actualizar parcialmente un artículo
+ *     description: Igual que PUT; solo se modifican los campos enviados
+ *     tags: [Articles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Slug del artículo
+ *     responses:
+ *       200:
+ *         description: Artículo actualizado exitosamente
+ *       404:
+ *         description: Artículo no encontrado
+ */
+const updateArticle = async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const article = await Article.findOne({ slug: slug.trim().toLowerCase() });
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artículo no encontrado'
+      });
+    }
+
+    const isEditor = await hasEffectiveRole(req.user, ...EDITOR_ROLES);
+    if (!article.canBeEditedBy(req.user, isEditor)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado',
+        error: 'Solo puedes editar tus propios borradores'
+      });
+    }
+
+    const data = pickEditableFields(req.body);
+
+    if (Object.keys(data).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se enviaron campos para actualizar'
+      });
+    }
+
+    // Slug explícito o regenerado si cambió el título (el anterior queda en previousSlugs)
+    if (req.body.slug !== undefined) {
+      const requestedSlug = Article.slugify(String(req.body.slug));
+
+      if (!requestedSlug) {
+        return res.status(400).json({
+          success: false,
+          message: 'El slug indicado no es válido'
+        });
+      }
+
+      if (requestedSlug !== article.slug) {
+        if (!(await Article.isSlugAvailable(requestedSlug, article._id))) {
+          return res.status(409).json({
+            success: false,
+            message: 'Ya existe un artículo con ese slug'
+          });
+        }
+        article.slug = requestedSlug;
+      }
+    } else if (data.title && data.title.trim() !== article.title) {
+      article.slug = await Article.generateUniqueSlug(data.title, article._id);
+    }
+
+    article.set(data);
+    article.$locals.revisionUser = req.user;
+    await article.save();
+
+    let userLiked = false;
+    if (req.user) {
+      userLiked = await Like.userLikedArticle(req.user._id, article._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Artículo actualizado exitosamente',
+      data: {
+        article,
+        userLiked
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al actualizar artículo:', error);
+
+    if (handleArticleWriteError(error, res)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/articles/{slug}:
+ *   delete:
+ *     summary: Eliminar un artículo
+ *     description: Elimina un artículo junto con sus comentarios, likes y revisiones
+ *     tags: [Articles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Slug del artículo
+ *     responses:
+ *       200:
+ *         description: Artículo eliminado exitosamente
+ *       404:
+ *         description: Artículo no encontrado
+ */
+const deleteArticle = async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const article = await Article.findOneAndDelete({ slug: slug.trim().toLowerCase() });
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artículo no encontrado'
+      });
+    }
+
+    // Eliminar datos dependientes del artículo y de sus comentarios
+    const commentIds = await Comment.find({ articleId: article._id }).distinct('_id');
+    const dependentTargets = {
+      $or: [
+        { targetType: 'article', targetId: article._id },
+        { targetType: 'comment', targetId: { $in: commentIds } }
+      ]
+    };
+
+    await Promise.all([
+      Comment.deleteMany({ articleId: article._id }),
+      Like.deleteMany({ articleId: article._id }),
+      VisitorLike.deleteMany(dependentTargets),
+      Reaction.deleteMany(dependentTargets),
+      CommentLike.deleteMany({ commentId: { $in: commentIds } }),
+      CommentReport.deleteMany({ commentId: { $in: commentIds } }),
+      Notification.deleteMany({ articleId: article._id }),
+      ArticleRevision.deleteMany({ articleId: article._id })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Artículo eliminado exitosamente',
+      data: {
+        article,
+        userLiked: false
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al eliminar artículo:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/articles/{slug}/status:
+ *   patch:
+ *     summary: Cambiar el estado editorial de un artículo
+ *     description: |
+ *       Mueve el artículo entre draft, in_review, scheduled, published y archived.
+ *       Los autores solo pueden enviar sus borradores a revisión (o retirarlos);
+ *       programar, publicar y archivar, y sacar un artículo de published o scheduled, requiere rol editor o admin.
+ *       Un artículo programado se vuelve visible automáticamente al llegar su publishedAt.
+ *       Al volver a publicar un artículo se conserva su fecha de publicación original.
+ *     tags: [Articles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Slug del artículo
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, in_review, scheduled, published, archived]
+ *               publishedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Fecha futura de publicación (solo para scheduled)
+ *     responses:
+ *       200:
+ *         description: Estado actualizado exitosamente
+ *       400:
+ *         description: Estado o fecha inválidos
+ *       403:
+ *         description: Sin permisos para esta transición
+ *       404:
+ *         description: Artículo no encontrado
+ *       409:
+ *         description: Transición de estado no permitida
+ */
+const changeArticleStatus = async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { status, publishedAt } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'El estado destino es obligatorio'
+      });
+    }
+
+    const article = await Article.findOne({ slug: slug.trim().toLowerCase() });
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artículo no encontrado'
+      });
+    }
+
+    const isOwner = !!article.authorId && article.authorId.toString() === req.user._id.toString();
+    const isEditor = await hasEffectiveRole(req.user, ...EDITOR_ROLES);
+
+    if ((!isEditor && !isOwner) || !Article.canSetStatus(isEditor, status, article.effectiveStatus)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado',
+        error: 'No tienes permisos para realizar esta transición'
+      });
+    }
+
+    article.transitionTo(status, { publishedAt, userId: req.user._id });
+    await article.save();
+
+    res.json({
+      success: true,
+      message: `Estado del artículo actualizado a "${article.status}"`,
+      data: {
+        article,
+        userLiked: false
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al cambiar estado del artículo:', error);
+
+    if (handleArticleWriteError(error, res)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/articles/{slug}/comment-moderation:
+ *   patch:
+ *     summary: Cambiar la política de moderación de comentarios de un artículo
+ *     description: |
+ *       Sobrescribe la política global (COMMENT_MODERATION) para este artículo.
+ *       Enviar policy = null vuelve a usar la política global.
+ *     tags: [Articles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Slug del artículo
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - policy
+ *             properties:
+ *               policy:
+ *                 type: string
+ *                 nullable: true
+ *                 enum: [auto-approve, hold-all, hold-first-time]
+ *     responses:
+ *       200:
+ *         description: Política actualizada exitosamente
+ *       400:
+ *         description: Política inválida
+ *       403:
+ *         description: Requiere rol editor o admin
+ *       404:
+ *         description: Artículo no encontrado
+ */
+const setCommentModeration = async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { policy } = req.body;
+
+    if (policy === undefined || (policy !== null && !isValidPolicy(policy))) {
+      return res.status(400).json({
+        success: false,
+        message: `Política inválida. Use ${COMMENT_MODERATION_POLICIES.join(', ')} o null para usar la global`
+      });
+    }
+
+    const article = await Article.findOne({ slug: slug.trim().toLowerCase() });
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artículo no encontrado'
+      });
+    }
+
+    article.commentModeration = policy;
+    await article.save();
+
+    res.json({
+      success: true,
+      message: 'Política de moderación de comentarios actualizada exitosamente',
+      data: {
+        slug: article.slug,
+        commentModeration: article.commentModeration,
+        effectivePolicy: resolvePolicy(article)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al cambiar la moderación de comentarios:', error);
+
+    if (handleArticleWriteError(error, res)) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Listar artículos paginados según un filtro (uso interno de "mis artículos" y la cola de revisión)
+ * @param {Object} filters - Filtro de Mongo
+ * @param {Object} sortOptions - Ordenamiento
+ * @param {Object} query - req.query con page y limit
+ * @returns {Object} - { articles, pagination }
+ */
+const listArticlesPage = async (filters, sortOptions, query) => {
+  const page = parseInt(query.page) || 1;
+  const limit = parseInt(query.limit) || 10;
+
+  const articles = await Article.find(filters)
+    .sort(sortOptions)
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .select('title slug excerpt author authorId status statusChangedAt publishedAt updatedAt tags imagenUrl')
+    .lean();
+
+  const totalArticles = await Article.countDocuments(filters);
+  const totalPages = Math.ceil(totalArticles / limit);
+
+  return {
+    articles,
+    pagination: {
+      currentPage: page,
+      totalPages,
+      totalArticles,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+      limit
+    }
+  };
+};
+
+/**
+ * Obtener los artículos del usuario autenticado (por defecto sus borradores)
+ * GET /api/articles/mine?status=draft|in_review|scheduled|published|archived|all
+ */
+const getMyArticles = async (req, res) => {
+  try {
+    const { status = 'draft' } = req.query;
+    const statuses = Article.schema.path('status').enumValues;
+
+    if (typeof status !== 'string' || (status !== 'all' && !statuses.includes(status))) {
+      return res.status(400).json({
+        success: false,
+        message: `Estado inválido. Use uno de: ${[...statuses, 'all'].join(', ')}`
+      });
+    }
+
+    const filters = { authorId: req.user._id };
+    if (status !== 'all') {
+      filters.status = status;
+    }
+
+    const result = await listArticlesPage(filters, { updatedAt: -1 }, req.query);
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        status
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener artículos del usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Obtener la cola de artículos pendientes de revisión (más antiguos primero)
+ * GET /api/articles/review-queue
+ */
+const getReviewQueue = async (req, res) => {
+  try {
+    const result = await listArticlesPage(
+      { status: 'in_review' },
+      { statusChangedAt: 1, updatedAt: 1 },
+      req.query
+    );
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error al obtener cola de revisión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getAllArticles,
   getArticleBySlug,
@@ -928,6 +1707,13 @@ module.exports = {
   getBlogStats,
   toggleLike,
   getArticleLikes,
-  updateArticleImage
+  updateArticleImage,
+  createArticle,
+  updateArticle,
+  deleteArticle,
+  changeArticleStatus,
+  setCommentModeration,
+  getMyArticles,
+  getReviewQueue
 };
 
@@ -1,12 +1,127 @@
+const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
 const User = require('../models/User');
-const { generateToken } = require('../middleware/auth');
+const VisitorLike = require('../models/VisitorLike');
+const Reaction = require('../models/Reaction');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const {
+  generateToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  requiresTwoFactorSetup
+} = require('../middleware/auth');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../utils/accountEmails');
+const { sendLoginThrottled } = require('../utils/passwordCheck');
+const { AUTH_CONFIG } = require('../config/auth');
 
 /**
  * Controlador de Autenticación
  * Maneja registro, login, logout y gestión de usuarios
  */
 
+/**
+ * Abrir una sesión nueva y emitir su token de acceso y su refresh token
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} req - Request object (user-agent e IP de la sesión)
+ * @returns {Object} - { token, refreshToken, refreshTokenExpiresAt }
+ */
+const issueSessionTokens = async (user, req) => {
+  const { session, refreshToken } = await Session.createForUser(user, req);
+
+  return {
+    token: generateToken(user, session),
+    refreshToken,
+    refreshTokenExpiresAt: session.expiresAt
+  };
+};
+
+/**
+ * Registrar un login fallido (contraseña o código 2FA) y responder
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} attempt - { email, user, message, error }; user es null si el email no existe
+ */
+const rejectLogin = async (req, res, { email, user = null, message = 'Credenciales inválidas', error = 'Email o contraseña incorrectos' }) => {
+  const throttle = await LoginThrottle.registerFailure({
+    email,
+    ip: req.ip,
+    userId: user ? user._id : null
+  });
+
+  if (throttle.locked) {
+    return sendLoginThrottled(res, throttle);
+  }
+
+  if (throttle.retryAfter > 0) {
+    res.set('Retry-After', String(throttle.retryAfter));
+  }
+
+  return res.status(401).json({
+    success: false,
+    message,
+    error,
+    retryAfter: throttle.retryAfter || undefined
+  });
+};
+
+/**
+ * Completar un login (contraseña y, si corresponde, segundo factor verificados) y responder
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} extra - Datos adicionales para la respuesta
+ */
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Un login correcto olvida los fallos de la cuenta (los de la IP se mantienen)
+  await LoginThrottle.clear('account', user.email);
+
+  // Abrir sesión: token de acceso JWT y refresh token
+  const tokens = await issueSessionTokens(user, req);
+
+  // Actualizar último login
+  await user.updateLastLogin();
+
+  // Asociar los likes dados como visitante anónimo
+  const mergedVisitorLikes = await mergeVisitorLikes(req, user);
+
+  // Avisar al admin sin 2FA que no podrá usar sus permisos hasta activarlo
+  const twoFactorSetupRequired = await requiresTwoFactorSetup(user);
+
+  res.json({
+    success: true,
+    message: 'Login exitoso',
+    data: {
+      user: user.publicInfo,
+      ...tokens,
+      mergedVisitorLikes,
+      ...(twoFactorSetupRequired ? { twoFactorSetupRequired } : {}),
+      ...extra
+    }
+  });
+};
+
+/**
+ * Pasar a la cuenta los likes y reacciones dados como visitante anónimo (si llega un token de visitante)
+ * Un error aquí no debe impedir el registro o el login
+ * @param {Object} req - Request object (con req.visitor opcional)
+ * @param {Object} user - Usuario autenticado
+ * @returns {Object|null} - { articles, comments, reactions } migrados
+ */
+const mergeVisitorLikes = async (req, user) => {
+  if (!req.visitor) return null;
+
+  try {
+    const likes = await VisitorLike.mergeIntoUser(req.visitor.id, user._id);
+    const reactions = await Reaction.mergeVisitorIntoUser(req.visitor.id, user._id);
+    return { ...likes, reactions };
+  } catch (error) {
+    console.error('Error al asociar likes de visitante:', error);
+    return null;
+  }
+};
+
 /**
  * @swagger
  * components:
@@ -27,10 +142,20 @@ const { generateToken } = require('../middleware/auth');
  *         avatar:
  *           type: string
  *           description: URL del avatar del usuario
+ *         bio:
+ *           type: string
+ *           maxLength: 300
+ *           description: Biografía corta del perfil
  *         role:
  *           type: string
- *           enum: [user, admin]
+ *           enum: [user, author, editor, admin]
  *           description: Rol del usuario
+ *         emailVerified:
+ *           type: boolean
+ *           description: Si el usuario verificó su email con el enlace enviado al registrarse
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: Si la cuenta tiene activa la autenticación de dos factores
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -53,7 +178,13 @@ const { generateToken } = require('../middleware/auth');
  *               $ref: '#/components/schemas/User'
  *             token:
  *               type: string
- *               description: Token JWT
+ *               description: Token JWT de acceso (corta duración, JWT_EXPIRES_IN)
+ *             refreshToken:
+ *               type: string
+ *               description: Refresh token para POST /api/auth/refresh (se rota en cada uso)
+ *             refreshTokenExpiresAt:
+ *               type: string
+ *               format: date-time
  */
 
 /**
@@ -132,19 +263,27 @@ const register = async (req, res) => {
     // Guardar usuario en la base de datos
     await user.save();
 
-    // Generar token JWT
-    const token = generateToken(user);
+    // Abrir sesión: token de acceso JWT y refresh token
+    const tokens = await issueSessionTokens(user, req);
 
     // Actualizar último login
     await user.updateLastLogin();
 
+    // Asociar los likes dados antes de registrarse
+    const mergedVisitorLikes = await mergeVisitorLikes(req, user);
+
+    // Enviar el enlace de verificación; un fallo del correo no impide el registro
+    sendVerificationEmail(user, req)
+      .catch(error => console.error('Error al enviar correo de verificación:', error));
+
     // Respuesta exitosa
     res.status(201).json({
       success: true,
       message: 'Usuario registrado exitosamente',
       data: {
         user: user.publicInfo,
-        token
+        ...tokens,
+        mergedVisitorLikes
       }
     });
 
@@ -207,7 +346,10 @@ const register = async (req, res) => {
  *                 example: "password123"
  *     responses:
  *       200:
- *         description: Login exitoso
+ *         description: |
+ *           Login exitoso. Si la cuenta tiene 2FA activo, `data` no trae tokens sino
+ *           `{ twoFactorRequired: true, challengeToken, expiresIn }` para completar el login en
+ *           POST /api/auth/login/2fa.
  *         content:
  *           application/json:
  *             schema:
@@ -215,7 +357,12 @@ const register = async (req, res) => {
  *       400:
  *         description: Datos inválidos
  *       401:
- *         description: Credenciales inválidas
+ *         description: Credenciales inválidas (retryAfter indica la espera antes del próximo intento, si la hay)
+ *       429:
+ *         description: |
+ *           Demasiados intentos fallidos. Con `locked: false` hay que esperar `retryAfter` segundos
+ *           (backoff); con `locked: true` la cuenta o la IP están bloqueadas hasta `lockedUntil`.
+ *           La cabecera `Retry-After` indica los segundos de espera.
  */
 const login = async (req, res) => {
   try {
@@ -231,15 +378,17 @@ const login = async (req, res) => {
 
     const { email, password } = req.body;
 
+    // Protección contra fuerza bruta: esperas crecientes y bloqueo por cuenta e IP
+    const throttle = await LoginThrottle.checkLogin({ email, ip: req.ip });
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle);
+    }
+
     // Buscar usuario por email (incluyendo password para comparación)
     const user = await User.findByEmail(email).select('+password');
     
     if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Credenciales inválidas',
-        error: 'Email o contraseña incorrectos'
-      });
+      return rejectLogin(req, res, { email });
     }
 
     // Verificar si la cuenta está activa
@@ -255,32 +404,124 @@ const login = async (req, res) => {
     const isPasswordValid = await user.comparePassword(password);
     
     if (!isPasswordValid) {
+      return rejectLogin(req, res, { email, user });
+    }
+
+    // Con 2FA activo, la contraseña solo da un token de desafío para el segundo paso.
+    // Los fallos de la cuenta se olvidan recién al completar el login (así no se reinician
+    // los intentos de adivinar el código volviendo a enviar la contraseña)
+    if (user.twoFactor.enabled) {
+      return res.json({
+        success: true,
+        message: 'Ingresa el código de tu app de autenticación',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateTwoFactorChallenge(user),
+          expiresIn: AUTH_CONFIG.twoFactor.challengeMinutes * 60
+        }
+      });
+    }
+
+    await completeLogin(req, res, user);
+
+  } catch (error) {
+    console.error('Error en login:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: 'Error al iniciar sesión'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Segundo paso del login con 2FA
+ *     description: |
+ *       Canjea el `challengeToken` que devuelve `/api/auth/login` (cuando `twoFactorRequired` es true)
+ *       y un código de la app de autenticación, o un código de recuperación, por el token de acceso
+ *       y el refresh token. Los códigos fallidos cuentan como intentos de login fallidos.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *               - code
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: Código de 6 dígitos o código de recuperación (xxxxx-xxxxx)
+ *     responses:
+ *       200:
+ *         description: Login exitoso
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Faltan datos
+ *       401:
+ *         description: Desafío inválido o expirado, o código incorrecto
+ *       429:
+ *         description: Demasiados intentos fallidos (ver Retry-After)
+ */
+const completeTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body || {};
+
+    if (!challengeToken || !code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'challengeToken y code son requeridos'
+      });
+    }
+
+    const userId = verifyTwoFactorChallenge(challengeToken);
+    const user = userId && await User.findById(userId).select('+twoFactor.secret');
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
       return res.status(401).json({
         success: false,
-        message: 'Credenciales inválidas',
-        error: 'Email o contraseña incorrectos'
+        message: 'Desafío inválido',
+        error: 'El desafío de verificación no es válido o expiró. Inicia sesión nuevamente'
       });
     }
 
-    // Generar token JWT
-    const token = generateToken(user);
+    const throttle = await LoginThrottle.checkLogin({ email: user.email, ip: req.ip });
+    if (!throttle.allowed) {
+      return sendLoginThrottled(res, throttle);
+    }
 
-    // Actualizar último login
-    await user.updateLastLogin();
+    const verification = await user.verifyTwoFactorCode(code);
 
-    // Respuesta exitosa
-    res.json({
-      success: true,
-      message: 'Login exitoso',
-      data: {
-        user: user.publicInfo,
-        token
-      }
-    });
+    if (!verification.valid) {
+      return rejectLogin(req, res, {
+        email: user.email,
+        user,
+        message: 'Código inválido',
+        error: 'El código de verificación es incorrecto o ya fue usado'
+      });
+    }
+
+    const extra = {};
+    if (verification.method === 'recovery') {
+      extra.recoveryCodesRemaining = await User.countRecoveryCodes(user._id);
+    }
+
+    await completeLogin(req, res, user, extra);
 
   } catch (error) {
-    console.error('Error en login:', error);
-    
+    console.error('Error en login con 2FA:', error);
+
     res.status(500).json({
       success: false,
       message: 'Error interno del servidor',
@@ -337,9 +578,20 @@ const getCurrentUser = async (req, res) => {
  * /api/auth/logout:
  *   post:
  *     summary: Cerrar sesión
+ *     description: |
+ *       Revoca la sesión en el servidor: su refresh token deja de servir. La sesión se identifica
+ *       por el refresh token del body o, si no se envía, por el token de acceso.
  *     tags: [Autenticación]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logout exitoso
@@ -352,20 +604,41 @@ const getCurrentUser = async (req, res) => {
  *                   type: boolean
  *                 message:
  *                   type: string
- *       401:
- *         description: No autenticado
+ *       400:
+ *         description: No se envió refresh token ni token de acceso
  */
 const logout = async (req, res) => {
   try {
-    // En un sistema JWT stateless, el logout se maneja en el frontend
-    // eliminando el token del almacenamiento local
-    // Aquí solo confirmamos que el logout fue exitoso
-    
+    const { refreshToken } = req.body || {};
+
+    // La sesión se identifica por el refresh token o por el token de acceso (sid)
+    let session = null;
+    if (refreshToken) {
+      session = await Session.findByRefreshToken(refreshToken);
+    } else if (req.sessionId) {
+      session = await Session.findById(req.sessionId);
+    } else if (!req.user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Se requiere el refresh token o un token de acceso válido'
+      });
+    }
+
+    // Un usuario autenticado no puede cerrar sesiones ajenas
+    if (session && req.user && session.userId.toString() !== req.user._id.toString()) {
+      session = null;
+    }
+
+    if (session) {
+      await session.revoke('logout');
+    }
+
     res.json({
       success: true,
       message: 'Logout exitoso',
       data: {
-        message: 'Sesión cerrada correctamente. Elimina el token del almacenamiento local.'
+        revoked: !!session,
+        message: 'Sesión cerrada correctamente. Elimina los tokens del almacenamiento local.'
       }
     });
 
@@ -385,9 +658,21 @@ const logout = async (req, res) => {
  * /api/auth/refresh:
  *   post:
  *     summary: Renovar token JWT
+ *     description: |
+ *       Canjea el refresh token por un token de acceso nuevo y un refresh token nuevo (rotación).
+ *       El refresh token usado deja de ser válido; si se vuelve a usar, se revoca la sesión completa.
  *     tags: [Autenticación]
- *     security:
- *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Token renovado exitosamente
@@ -403,19 +688,70 @@ const logout = async (req, res) => {
  *                   properties:
  *                     token:
  *                       type: string
+ *                     refreshToken:
+ *                       type: string
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Falta el refresh token
  *       401:
- *         description: No autenticado
+ *         description: Refresh token inválido, expirado, revocado o reutilizado
  */
 const refreshToken = async (req, res) => {
   try {
-    // El usuario ya está disponible en req.user gracias al middleware
-    const newToken = generateToken(req.user);
+    const { refreshToken: currentToken } = req.body || {};
+
+    if (!currentToken || typeof currentToken !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'El refresh token es requerido'
+      });
+    }
+
+    const result = await Session.rotate(currentToken, req);
+
+    if (result.status === 'reused') {
+      console.warn(`Refresh token reutilizado; sesión ${result.session._id} revocada`);
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token inválido',
+        error: 'El refresh token ya había sido usado. Por seguridad se cerró la sesión; inicia sesión nuevamente'
+      });
+    }
+
+    if (result.status !== 'rotated') {
+      const errors = {
+        revoked: 'La sesión fue cerrada',
+        expired: 'El refresh token expiró',
+        invalid: 'El refresh token no es válido'
+      };
+
+      return res.status(401).json({
+        success: false,
+        message: 'Refresh token inválido',
+        error: `${errors[result.status]}. Inicia sesión nuevamente`
+      });
+    }
+
+    const user = await User.findById(result.session.userId);
+
+    if (!user || !user.isActive) {
+      await result.session.revoke('inactive');
+      return res.status(401).json({
+        success: false,
+        message: 'Cuenta desactivada',
+        error: 'La cuenta del usuario está desactivada o no existe'
+      });
+    }
 
     res.json({
       success: true,
       message: 'Token renovado exitosamente',
       data: {
-        token: newToken
+        token: generateToken(user, result.session),
+        refreshToken: result.refreshToken,
+        refreshTokenExpiresAt: result.session.expiresAt
       }
     });
 
@@ -430,11 +766,608 @@ const refreshToken = async (req, res) => {
   }
 };
 
+/**
+ * Datos públicos de una sesión para el listado
+ * @param {Object} session - Sesión
+ * @param {string} currentSessionId - Sesión del token de la petición
+ * @returns {Object} - Sesión sin hashes, con la marca current
+ */
+const formatSession = (session, currentSessionId) => ({
+  _id: session._id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentSessionId
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: Sesiones activas del usuario
+ *     description: |
+ *       Lista las sesiones abiertas (una por login) con su navegador o dispositivo (user-agent), IP,
+ *       fecha de inicio y último uso. La sesión del token usado en la petición tiene `current: true`.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones activas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                           userAgent:
+ *                             type: string
+ *                           ip:
+ *                             type: string
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastUsedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           expiresAt:
+ *                             type: string
+ *                             format: date-time
+ *                           current:
+ *                             type: boolean
+ *       401:
+ *         description: No autenticado
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => formatSession(session, req.sessionId))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener sesiones:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: 'Error al obtener las sesiones'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Cerrar una sesión propia
+ *     description: |
+ *       Revoca la sesión: su refresh token deja de servir y sus tokens de acceso se rechazan
+ *       desde la siguiente petición.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada
+ *       400:
+ *         description: ID de sesión inválido
+ *       401:
+ *         description: No autenticado
+ *       404:
+ *         description: Sesión no encontrada o ya cerrada
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de sesión inválido'
+      });
+    }
+
+    const session = await Session.findOne({
+      _id: sessionId,
+      userId: req.user._id,
+      ...Session.activeFilter()
+    });
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sesión no encontrada'
+      });
+    }
+
+    await session.revoke('remote');
+
+    res.json({
+      success: true,
+      message: 'Sesión cerrada exitosamente',
+      data: {
+        sessionId: session._id,
+        current: session._id.toString() === req.sessionId
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al cerrar sesión remota:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: 'Error al cerrar la sesión'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Cerrar todas las demás sesiones
+ *     description: |
+ *       Revoca todas las sesiones activas del usuario excepto la del token usado en la petición.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sesiones cerradas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     revoked:
+ *                       type: integer
+ *       401:
+ *         description: No autenticado
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await Session.revokeAllForUser(req.user._id, 'remote', req.sessionId);
+
+    res.json({
+      success: true,
+      message: `${revoked} sesión(es) cerrada(s)`,
+      data: {
+        revoked
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al cerrar las demás sesiones:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: 'Error al cerrar las sesiones'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Solicitar el restablecimiento de la contraseña
+ *     description: |
+ *       Envía al email un enlace de un solo uso para elegir una nueva contraseña
+ *       (vence en `PASSWORD_RESET_EXPIRES_MINUTES` minutos). Pedir un enlace nuevo invalida los anteriores.
+ *       La respuesta es la misma exista o no la cuenta, para no revelar qué emails están registrados.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *     responses:
+ *       200:
+ *         description: Solicitud recibida
+ *       400:
+ *         description: Email inválido
+ */
+const forgotPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos de entrada inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmail(req.body.email);
+
+    if (user && user.isActive) {
+      // El correo se envía sin esperar para que el tiempo de respuesta no revele si la cuenta existe
+      sendPasswordResetEmail(user, req)
+        .catch(error => console.error('Error al enviar correo de restablecimiento:', error));
+    }
+
+    res.json({
+      success: true,
+      message: 'Si el email está registrado, recibirás un enlace para restablecer tu contraseña'
+    });
+
+  } catch (error) {
+    console.error('Error al solicitar restablecimiento de contraseña:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: 'Error al procesar la solicitud'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Restablecer la contraseña
+ *     description: |
+ *       Cambia la contraseña con el token recibido por email. El token se puede usar una sola vez.
+ *       Al cambiarla se cierran todas las sesiones abiertas de la cuenta.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 description: Nueva contraseña (mínimo 6 caracteres, con mayúscula, minúscula y número)
+ *     responses:
+ *       200:
+ *         description: Contraseña restablecida
+ *       400:
+ *         description: Datos inválidos o enlace inválido, expirado o ya usado
+ */
+const resetPassword = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Datos de entrada inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { token, password } = req.body;
+
+    const userToken = await UserToken.consume(token, 'password-reset');
+    const user = userToken && await User.findById(userToken.userId).select('+password');
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enlace inválido',
+        error: 'El enlace para restablecer la contraseña no es válido, expiró o ya fue usado'
+      });
+    }
+
+    user.password = password;
+    await user.save();
+
+    // Quien tuviera la contraseña anterior pierde el acceso
+    const [revokedSessions] = await Promise.all([
+      Session.revokeAllForUser(user._id, 'password-reset'),
+      UserToken.invalidateForUser(user._id, 'password-reset')
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Contraseña restablecida exitosamente. Inicia sesión con tu nueva contraseña',
+      data: {
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al restablecer contraseña:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: 'Error al restablecer la contraseña'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/verify-email:
+ *   get:
+ *     summary: Comprobar un enlace de verificación de email
+ *     description: |
+ *       Indica si el token del enlace sigue vigente y qué confirma, sin usarlo: los clientes de correo
+ *       y los antivirus abren los enlaces por su cuenta, así que la verificación se confirma con POST.
+ *     tags: [Autenticación]
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Enlace vigente; data incluye purpose (email-verification o email-change) y el email a confirmar
+ *       400:
+ *         description: Enlace inválido, expirado o ya usado
+ *   post:
+ *     summary: Verificar el email
+ *     description: |
+ *       Marca el email como verificado con el token enviado por email. El token se puede usar una sola vez.
+ *       Si el token es de un cambio de email (PATCH /api/users/me/email), además reemplaza el email de la cuenta.
+ *     tags: [Autenticación]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *             properties:
+ *               token:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Email verificado
+ *       400:
+ *         description: Enlace inválido, expirado o ya usado
+ *       409:
+ *         description: El email nuevo ya lo usa otra cuenta
+ */
+const checkEmailVerificationToken = async (req, res) => {
+  try {
+    const { token } = req.query;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'El token de verificación es requerido'
+      });
+    }
+
+    const userToken = await UserToken.findValid(token, ['email-verification', 'email-change']);
+    const user = userToken && await User.findById(userToken.userId).select('email isActive');
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enlace inválido',
+        error: 'El enlace de verificación no es válido, expiró o ya fue usado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Enlace válido. Confírmalo con POST /api/auth/verify-email',
+      data: {
+        purpose: userToken.purpose,
+        email: userToken.purpose === 'email-change' ? userToken.newEmail : user.email,
+        expiresAt: userToken.expiresAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al comprobar enlace de verificación:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: 'Error al comprobar el enlace'
+    });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'El token de verificación es requerido'
+      });
+    }
+
+    const userToken = await UserToken.consume(token, ['email-verification', 'email-change']);
+    const user = userToken && await User.findById(userToken.userId);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enlace inválido',
+        error: 'El enlace de verificación no es válido, expiró o ya fue usado'
+      });
+    }
+
+    if (userToken.purpose === 'email-change') {
+      // Otra cuenta pudo registrarse con el email mientras el cambio estaba pendiente
+      const emailTaken = await User.exists({ email: userToken.newEmail, _id: { $ne: user._id } });
+      if (emailTaken) {
+        return res.status(409).json({
+          success: false,
+          message: 'El email ya está registrado en otra cuenta'
+        });
+      }
+
+      user.email = userToken.newEmail;
+      await user.markEmailVerified();
+
+      // Los enlaces enviados al email anterior dejan de servir
+      await Promise.all([
+        UserToken.invalidateForUser(user._id, 'password-reset'),
+        UserToken.invalidateForUser(user._id, 'email-verification')
+      ]);
+
+      return res.json({
+        success: true,
+        message: 'Email actualizado y verificado exitosamente',
+        data: user.publicInfo
+      });
+    }
+
+    if (!user.emailVerified) {
+      await user.markEmailVerified();
+    }
+
+    res.json({
+      success: true,
+      message: 'Email verificado exitosamente',
+      data: user.publicInfo
+    });
+
+  } catch (error) {
+    console.error('Error al verificar email:', error);
+
+    // Otra cuenta tomó el email nuevo entre la comprobación y el guardado
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'El email ya está registrado en otra cuenta'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: 'Error al verificar el email'
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/verify-email/resend:
+ *   post:
+ *     summary: Reenviar el correo de verificación
+ *     description: |
+ *       Envía un enlace de verificación nuevo (los anteriores dejan de servir). Entre dos envíos
+ *       hay que esperar `EMAIL_VERIFICATION_RESEND_SECONDS` segundos.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Correo enviado
+ *       401:
+ *         description: No autenticado
+ *       409:
+ *         description: El email ya está verificado
+ *       429:
+ *         description: Se pidió otro envío hace poco (ver retryAfter y la cabecera Retry-After)
+ */
+const resendVerificationEmail = async (req, res) => {
+  try {
+    const user = req.user;
+
+    if (user.emailVerified) {
+      return res.status(409).json({
+        success: false,
+        message: 'El email ya está verificado'
+      });
+    }
+
+    const latest = await UserToken.findLatestForUser(user._id, 'email-verification');
+    if (latest) {
+      const elapsedSeconds = (Date.now() - latest.createdAt.getTime()) / 1000;
+      const retryAfter = Math.ceil(AUTH_CONFIG.emailVerificationResendSeconds - elapsedSeconds);
+
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: `Espera ${retryAfter} segundo(s) antes de pedir otro correo de verificación`,
+          retryAfter
+        });
+      }
+    }
+
+    await sendVerificationEmail(user, req);
+
+    res.json({
+      success: true,
+      message: `Te enviamos un nuevo enlace de verificación a ${user.email}`
+    });
+
+  } catch (error) {
+    console.error('Error al reenviar correo de verificación:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: 'Error al enviar el correo de verificación'
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   getCurrentUser,
+  completeTwoFactorLogin,
   logout,
-  refreshToken
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forgotPassword,
+  resetPassword,
+  checkEmailVerificationToken,
+  verifyEmail,
+  resendVerificationEmail
 };
 
@@ -1,5 +1,134 @@
 const Comment = require('../models/Comment');
 const Article = require('../models/Article');
+const VisitorLike = require('../models/VisitorLike');
+const Reaction = require('../models/Reaction');
+const CommentLike = require('../models/CommentLike');
+const ModerationLog = require('../models/ModerationLog');
+const CommentReport = require('../models/CommentReport');
+const Notification = require('../models/Notification');
+const { resolvePolicy } = require('../config/moderation');
+const { AUTH_CONFIG } = require('../config/auth');
+const { evaluateComment, hashContent } = require('../utils/spamFilter');
+const { publishArticleEvent } = require('../utils/articleEvents');
+const { hasEffectiveRole } = require('../middleware/auth');
+
+// Roles cuyos comentarios nunca quedan retenidos por la política de moderación
+const STAFF_ROLES = ['admin', 'editor'];
+
+// Profundidad máxima que se puede pedir para el árbol de comentarios
+const MAX_THREAD_DEPTH = parseInt(process.env.COMMENT_TREE_MAX_DEPTH) || 10;
+
+/**
+ * Decidir si un comentario nuevo debe quedar pendiente según la política del artículo
+ * @param {Object} article - Artículo comentado (con commentModeration)
+ * @param {Object} commentData - { userId } de quien comenta
+ * @param {Object|null} user - Usuario autenticado
+ * @returns {boolean} - True si el comentario debe esperar aprobación
+ */
+const shouldHoldComment = async (article, commentData, user) => {
+  if (await hasEffectiveRole(user, ...STAFF_ROLES)) return false;
+
+  switch (resolvePolicy(article)) {
+    case 'hold-all':
+      return true;
+    case 'hold-first-time':
+      return await Comment.isFirstTimeCommenter({ userId: commentData.userId });
+    default:
+      return false;
+  }
+};
+
+/**
+ * Notificar menciones y respuestas de un comentario sin que un error interrumpa la petición
+ * @param {Object} comment - Comentario publicado
+ */
+const notifyCommentRecipients = async (comment) => {
+  try {
+    await Notification.notifyForComment(comment);
+  } catch (error) {
+    console.error('Error al crear notificaciones del comentario:', error);
+  }
+};
+
+/**
+ * Convertir un comentario a JSON sin los datos internos del filtro de spam ni del token de edición
+ * @param {Object} comment - Documento del comentario
+ * @returns {Object} - Comentario para la respuesta
+ */
+const toOwnComment = (comment) => {
+  const data = comment.toJSON();
+  delete data.spamScore;
+  delete data.spamReasons;
+  delete data.contentHash;
+  delete data.flagReasons;
+  delete data.editTokenHash;
+  return data;
+};
+
+/**
+ * Obtener los IDs de los comentarios (de una lista) a los que quien consulta dio like
+ * @param {Object} req - Request object (req.user o req.visitor)
+ * @param {Array} commentIds - IDs de comentarios
+ * @returns {Set} - IDs (string) de los comentarios con like
+ */
+const getLikedCommentIds = async (req, commentIds) => {
+  if (req.user) {
+    return await CommentLike.getLikedCommentIds(req.user._id, commentIds);
+  }
+  if (req.visitor) {
+    return await VisitorLike.getLikedTargetIds(req.visitor.id, 'comment', commentIds);
+  }
+  return new Set();
+};
+
+/**
+ * Leer las opciones de paginación y profundidad del árbol desde el query string
+ * @param {Object} query - req.query
+ * @returns {Object} - { sort, page, limit, depth, repliesLimit }
+ */
+const parseThreadOptions = (query) => {
+  const toInt = (value, defaultValue, min, max) => {
+    const number = parseInt(value);
+    return isNaN(number) ? defaultValue : Math.min(Math.max(number, min), max);
+  };
+
+  return {
+    sort: query.sort || 'newest',
+    page: toInt(query.page, 1, 1, Number.MAX_SAFE_INTEGER),
+    limit: toInt(query.limit, 20, 1, 100),
+    depth: toInt(query.depth, 3, 0, MAX_THREAD_DEPTH),
+    repliesLimit: toInt(query.repliesLimit, 5, 1, 50)
+  };
+};
+
+/**
+ * Agregar userLiked y el resumen de reacciones a todos los nodos de un árbol de comentarios
+ * @param {Object} req - Request object (req.user o req.visitor)
+ * @param {Array} nodes - Nodos raíz del árbol
+ * @returns {Array} - Nodos decorados
+ */
+const decorateThread = async (req, nodes) => {
+  const allIds = [];
+  const collect = (list) => list.forEach(node => {
+    allIds.push(node._id);
+    collect(node.replies);
+  });
+  collect(nodes);
+
+  const [likedIds, userReactions] = await Promise.all([
+    getLikedCommentIds(req, allIds),
+    Reaction.getActorReactions('comment', allIds, Reaction.getActorKey(req))
+  ]);
+
+  const decorate = (node) => ({
+    ...node,
+    userLiked: likedIds.has(node._id.toString()),
+    reactions: Reaction.buildSummary(node.reactionCounts, userReactions.get(node._id.toString()) || null),
+    replies: node.replies.map(decorate)
+  });
+
+  return nodes.map(decorate);
+};
 
 /**
  * Controlador para manejar todas las operaciones relacionadas con comentarios
@@ -11,7 +140,9 @@ const Article = require('../models/Article');
  * /api/articles/{slug}/comments:
  *   get:
  *     summary: Obtener comentarios de un artículo
- *     description: Obtiene todos los comentarios de un artículo específico con paginación
+ *     description: |
+ *       Obtiene los comentarios aprobados de un artículo específico con paginación.
+ *       Un usuario autenticado también ve sus propios comentarios pendientes de moderación.
  *     tags: [Comments]
  *     parameters:
  *       - in: path
@@ -41,7 +172,26 @@ const Article = require('../models/Article');
  *         schema:
  *           type: boolean
  *           default: true
- *         description: Incluir respuestas a comentarios
+ *         description: |
+ *           Anidar en cada comentario sus respuestas directas (replies). La paginación
+ *           siempre cuenta solo comentarios de primer nivel
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, top, best, controversial]
+ *           default: newest
+ *         description: |
+ *           top ordena por likes; best por el puntaje de Wilson sobre likes y reportes;
+ *           controversial por comentarios con likes y reportes parejos
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: |
+ *           Cursor de la página siguiente (pagination.nextCursor); reemplaza a page.
+ *           Vacío (cursor=) pide la primera página en modo cursor. Solo en modo cursor
+ *           la respuesta incluye pagination.nextCursor (null en la última página)
  *     responses:
  *       200:
  *         description: Comentarios obtenidos exitosamente
@@ -143,13 +293,32 @@ const getCommentsForArticle = async (req, res) => {
     const {
       page = 1,
       limit = 20,
-      includeReplies = true
+      includeReplies = 'true',
+      sort = 'newest',
+      cursor
     } = req.query;
 
+    if (!Comment.getSortOptions(sort)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Orden inválido. Use newest, oldest, top, best o controversial'
+      });
+    }
+
+    // Modo cursor: se activa con el parámetro cursor (vacío = primera página)
+    const cursorMode = cursor !== undefined;
+    const cursorFilter = cursorMode && cursor !== '' ? Comment.cursorFilter(cursor, sort) : null;
+    if (cursorMode && cursor !== '' && !cursorFilter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cursor inválido'
+      });
+    }
+
     // Primero obtener el artículo por slug
     const article = await Article.findOne({ 
       slug: slug, 
-      isPublished: true 
+      ...Article.publicFilter()
     }).select('_id');
 
     if (!article) {
@@ -159,34 +328,74 @@ const getCommentsForArticle = async (req, res) => {
       });
     }
 
-    // Obtener comentarios del artículo
+    // Obtener comentarios del artículo (incluye los pendientes propios de quien consulta)
+    const viewerId = req.user ? req.user._id : null;
     const comments = await Comment.getCommentsForArticle(article._id, {
       page: parseInt(page),
       limit: parseInt(limit),
-      includeReplies: includeReplies === 'true'
+      includeReplies: includeReplies !== 'false',
+      viewerId,
+      sort,
+      cursor: cursorFilter
     });
 
-    // Contar total de comentarios
-    const totalComments = await Comment.countDocuments({
+    // Contar total de comentarios de primer nivel (los mismos que se paginan)
+    const listFilter = {
       articleId: article._id,
-      isApproved: true,
-      parentCommentId: includeReplies === 'true' ? { $exists: true } : null
-    });
+      ...Comment.visibilityFilter(viewerId),
+      parentCommentId: null
+    };
+    const totalComments = await Comment.countDocuments(listFilter);
 
     const totalPages = Math.ceil(totalComments / limit);
 
+    // Agregar el like y el resumen de reacciones de quien consulta a cada comentario
+    const commentIds = comments.map(comment => comment._id);
+    const [likedIds, userReactions] = await Promise.all([
+      getLikedCommentIds(req, commentIds),
+      Reaction.getActorReactions('comment', commentIds, Reaction.getActorKey(req))
+    ]);
+    const commentsWithReactions = comments.map(comment => ({
+      ...comment.toJSON(),
+      userLiked: likedIds.has(comment._id.toString()),
+      reactions: Reaction.buildSummary(
+        comment.reactionCounts,
+        userReactions.get(comment._id.toString()) || null
+      )
+    }));
+
+    // En modo cursor, hay página anterior si algún comentario queda en o antes del cursor
+    // y página siguiente si alguno queda después del último devuelto
+    let nextCursor = null;
+    let hasPrevCursorPage = false;
+    if (cursorMode) {
+      const lastCursor = comments.length === parseInt(limit)
+        ? Comment.encodeCursor(comments[comments.length - 1], sort)
+        : null;
+
+      const [hasBefore, hasAfter] = await Promise.all([
+        cursorFilter ? Comment.exists({ $and: [listFilter, { $nor: [cursorFilter] }] }) : null,
+        lastCursor ? Comment.exists({ $and: [listFilter, Comment.cursorFilter(lastCursor, sort)] }) : null
+      ]);
+
+      hasPrevCursorPage = !!hasBefore;
+      nextCursor = hasAfter ? lastCursor : null;
+    }
+
     res.json({
       success: true,
       data: {
-        comments,
+        comments: commentsWithReactions,
         articleSlug: slug,
+        sort,
         pagination: {
-          currentPage: parseInt(page),
+          currentPage: cursorMode ? null : parseInt(page),
           totalPages,
           totalComments,
-          hasNextPage: page < totalPages,
-          hasPrevPage: page > 1,
-          limit: parseInt(limit)
+          hasNextPage: cursorMode ? !!nextCursor : page < totalPages,
+          hasPrevPage: cursorMode ? hasPrevCursorPage : page > 1,
+          limit: parseInt(limit),
+          ...(cursorMode && { nextCursor })
         }
       }
     });
@@ -201,12 +410,198 @@ const getCommentsForArticle = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/articles/{slug}/comments/tree:
+ *   get:
+ *     summary: Obtener los comentarios de un artículo como árbol anidado
+ *     description: |
+ *       Devuelve los comentarios principales paginados (según `sort`) con sus respuestas
+ *       anidadas hasta `depth` niveles. Cada nodo trae como máximo `repliesLimit` respuestas
+ *       (en orden cronológico), su `replyCount` total y `hasMoreReplies`; el resto se carga con
+ *       GET /api/comments/{commentId}/tree.
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, oldest, top, best, controversial]
+ *           default: newest
+ *         description: Orden de los comentarios principales (las respuestas siempre son cronológicas)
+ *       - in: query
+ *         name: depth
+ *         schema:
+ *           type: integer
+ *           default: 3
+ *         description: Niveles de respuestas a incluir (0 = solo comentarios principales)
+ *       - in: query
+ *         name: repliesLimit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 50
+ *         description: Respuestas por nodo
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: Comentarios principales por página
+ *     responses:
+ *       200:
+ *         description: Árbol de comentarios
+ *       404:
+ *         description: Artículo no encontrado
+ */
+const getCommentTree = async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const options = parseThreadOptions(req.query);
+
+    if (!Comment.getSortOptions(options.sort)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Orden inválido. Use newest, oldest, top, best o controversial'
+      });
+    }
+
+    const article = await Article.findOne({
+      slug: slug,
+      ...Article.publicFilter()
+    }).select('_id');
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artículo no encontrado'
+      });
+    }
+
+    const { nodes, total } = await Comment.getThread({
+      ...options,
+      articleId: article._id,
+      viewerId: req.user ? req.user._id : null
+    });
+
+    const totalPages = Math.ceil(total / options.limit);
+
+    res.json({
+      success: true,
+      data: {
+        comments: await decorateThread(req, nodes),
+        articleSlug: slug,
+        sort: options.sort,
+        depth: options.depth,
+        repliesLimit: options.repliesLimit,
+        pagination: {
+          currentPage: options.page,
+          totalPages,
+          totalComments: total,
+          hasNextPage: options.page < totalPages,
+          hasPrevPage: options.page > 1,
+          limit: options.limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener árbol de comentarios:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Obtener las respuestas de un comentario como árbol ("cargar más respuestas")
+ * Acepta los mismos parámetros que el árbol del artículo; limit pagina las respuestas directas
+ * GET /api/comments/:commentId/tree
+ */
+const getCommentSubtree = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const options = parseThreadOptions(req.query);
+    const viewerId = req.user ? req.user._id : null;
+
+    if (!Comment.getSortOptions(options.sort)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Orden inválido. Use newest, oldest, top, best o controversial'
+      });
+    }
+
+    const parentComment = await Comment.findOne({
+      _id: commentId,
+      ...Comment.visibilityFilter(viewerId)
+    }).select('_id articleId');
+
+    if (!parentComment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comentario no encontrado'
+      });
+    }
+
+    const { nodes, total } = await Comment.getThread({
+      ...options,
+      articleId: parentComment.articleId,
+      parentId: parentComment._id,
+      viewerId
+    });
+
+    const totalPages = Math.ceil(total / options.limit);
+
+    res.json({
+      success: true,
+      data: {
+        replies: await decorateThread(req, nodes),
+        parentCommentId: parentComment._id,
+        depth: options.depth,
+        repliesLimit: options.repliesLimit,
+        pagination: {
+          currentPage: options.page,
+          totalPages,
+          totalReplies: total,
+          hasNextPage: options.page < totalPages,
+          hasPrevPage: options.page > 1,
+          limit: options.limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener respuestas en árbol:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/articles/{slug}/comments:
  *   post:
  *     summary: Agregar comentario a un artículo
- *     description: Crea un nuevo comentario en un artículo específico
+ *     description: |
+ *       Crea un nuevo comentario en un artículo específico. Según la política de moderación
+ *       (global o del artículo) el comentario puede quedar pendiente de aprobación;
+ *       en ese caso la respuesta incluye pending = true.
  *     tags: [Comments]
  *     parameters:
  *       - in: path
@@ -243,6 +638,12 @@ const getCommentsForArticle = async (req, res) => {
  *                 type: string
  *                 description: ID del comentario padre (para respuestas)
  *                 example: 507f1f77bcf86cd799439012
+ *               website:
+ *                 type: string
+ *                 description: Campo trampa (honeypot) que el formulario debe enviar vacío
+ *               formStartedAt:
+ *                 type: number
+ *                 description: Momento (ms) en que se mostró el formulario, para el control de tiempos
  *     responses:
  *       201:
  *         description: Comentario creado exitosamente
@@ -258,9 +659,27 @@ const getCommentsForArticle = async (req, res) => {
  *                   type: string
  *                   example: Comentario agregado exitosamente
  *                 data:
- *                   $ref: '#/components/schemas/Comment'
+ *                   type: object
+ *                   properties:
+ *                     comment:
+ *                       $ref: '#/components/schemas/Comment'
+ *                     pending:
+ *                       type: boolean
+ *                       description: True si el comentario espera aprobación de un moderador
+ *                     editableUntil:
+ *                       type: string
+ *                       format: date-time
+ *                     editToken:
+ *                       type: string
+ *                       description: Solo para comentarios anónimos; se entrega una única vez
  *       400:
- *         description: Datos de entrada inválidos
+ *         description: Datos de entrada inválidos o comentario rechazado por el filtro de spam
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Usuario sin email verificado (con COMMENT_REQUIRE_VERIFIED_EMAIL=true)
  *         content:
  *           application/json:
  *             schema:
@@ -294,8 +713,8 @@ const addComment = async (req, res) => {
     // Obtener el artículo por slug
     const article = await Article.findOne({ 
       slug: slug, 
-      isPublished: true 
-    }).select('_id');
+      ...Article.publicFilter()
+    }).select('_id commentModeration');
 
     if (!article) {
       return res.status(404).json({
@@ -329,6 +748,14 @@ const addComment = async (req, res) => {
 
     // Si el usuario está autenticado, usar su información
     if (req.user) {
+      if (AUTH_CONFIG.requireVerifiedEmailToComment && !req.user.emailVerified) {
+        return res.status(403).json({
+          success: false,
+          message: 'Verifica tu email para comentar con tu cuenta',
+          error: 'Abre el enlace que te enviamos por email o pide otro en POST /api/auth/verify-email/resend'
+        });
+      }
+
       commentData.userId = req.user._id;
       commentData.author = req.user.name;
       commentData.email = req.user.email;
@@ -356,19 +783,89 @@ const addComment = async (req, res) => {
       commentData.email = email.toLowerCase().trim();
     }
 
+    // Filtro de spam (los comentarios de editores y administradores no se evalúan)
+    const isStaff = await hasEffectiveRole(req.user, ...STAFF_ROLES);
+    const spam = isStaff
+      ? null
+      : await evaluateComment({
+        content: commentData.content,
+        author: commentData.author,
+        email: commentData.email,
+        userId: commentData.userId,
+        articleId: article._id,
+        body: req.body
+      });
+
+    commentData.contentHash = spam ? spam.contentHash : hashContent(commentData.content);
+    if (spam && spam.score > 0) {
+      commentData.spamScore = spam.score;
+      commentData.spamReasons = spam.reasons;
+    }
+
+    // Los rechazados se guardan como rechazados (no visibles) para que los moderadores vean los motivos
+    if (spam && spam.action === 'reject') {
+      await Comment.create({
+        ...commentData,
+        isApproved: false,
+        moderationStatus: 'rejected',
+        moderatedAt: new Date(),
+        flagReasons: spam.reasons.map(reason => reason.reason)
+      });
+
+      return res.status(400).json({
+        success: false,
+        message: 'El comentario fue rechazado por el filtro de spam'
+      });
+    }
+
+    // Marcar para revisión si el filtro de spam lo retiene
+    const heldAsSpam = !!spam && spam.action === 'moderate';
+    if (heldAsSpam) {
+      commentData.isFlagged = true;
+      commentData.flagReasons = spam.reasons.map(reason => reason.reason);
+    }
+
+    // Aplicar la política de moderación del artículo
+    const pending = heldAsSpam || await shouldHoldComment(article, commentData, req.user);
+    commentData.isApproved = !pending;
+
     const newComment = new Comment(commentData);
+
+    // Los autores anónimos reciben un token para editar o eliminar su comentario
+    const editToken = req.user ? null : newComment.generateEditToken();
+
     const savedComment = await newComment.save();
 
+    // Avisar a los mencionados y al autor del comentario padre (solo si ya es visible)
+    await notifyCommentRecipients(savedComment);
+
+    if (!pending) {
+      publishArticleEvent(article._id, 'comment.created', { comment: savedComment.toEventPayload() });
+    }
+
     // Populate para obtener información completa
     await savedComment.populate('articleId', 'title slug');
     if (savedComment.userId) {
       await savedComment.populate('userId', 'name email avatar');
     }
 
+    const data = {
+      comment: toOwnComment(savedComment),
+      pending,
+      editableUntil: savedComment.getEditableUntil()
+    };
+
+    // El token solo se entrega en esta respuesta; guardarlo para editar o eliminar después
+    if (editToken) {
+      data.editToken = editToken;
+    }
+
     res.status(201).json({
       success: true,
-      message: 'Comentario agregado exitosamente',
-      data: { comment: savedComment }
+      message: pending
+        ? 'Comentario recibido. Quedó pendiente de moderación y será visible cuando un moderador lo apruebe'
+        : 'Comentario agregado exitosamente',
+      data
     });
 
   } catch (error) {
@@ -404,7 +901,7 @@ const toggleLike = async (req, res) => {
     // Obtener el artículo por slug
     const article = await Article.findOne({ 
       slug: slug, 
-      isPublished: true 
+      ...Article.publicFilter()
     });
 
     if (!article) {
@@ -452,11 +949,21 @@ const toggleLike = async (req, res) => {
 /**
  * Alternar like en un comentario específico
  * POST /api/comments/:commentId/like
+ * Usuarios autenticados: un like por usuario (CommentLike)
+ * Visitantes anónimos: un like por token de visitante (VisitorLike)
+ * action 'increment' / 'decrement' es idempotente; sin action se alterna el like
  */
 const toggleCommentLike = async (req, res) => {
   try {
     const { commentId } = req.params;
-    const { action = 'increment' } = req.body;
+    const { action } = req.body || {};
+
+    if (action !== undefined && !['increment', 'decrement'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Acción inválida. Use "increment" o "decrement"'
+      });
+    }
 
     const comment = await Comment.findById(commentId);
 
@@ -474,27 +981,58 @@ const toggleCommentLike = async (req, res) => {
       });
     }
 
-    let updatedComment;
+    let result;
 
-    if (action === 'increment') {
-      updatedComment = await comment.incrementLikes();
-    } else if (action === 'decrement') {
-      updatedComment = await comment.decrementLikes();
+    if (req.user) {
+      // CommentLike actualiza likesCount de forma atómica
+      if (action === 'increment') {
+        result = await CommentLike.addLike(req.user._id, comment._id);
+      } else if (action === 'decrement') {
+        result = await CommentLike.removeLike(req.user._id, comment._id);
+      } else {
+        result = await CommentLike.toggleLike(req.user._id, comment._id);
+      }
     } else {
-      return res.status(400).json({
-        success: false,
-        message: 'Acción inválida. Use "increment" o "decrement"'
+      if (action === 'increment') {
+        result = await VisitorLike.addLike(req.visitor, 'comment', comment._id);
+      } else if (action === 'decrement') {
+        result = await VisitorLike.removeLike(req.visitor, 'comment', comment._id);
+      } else {
+        result = await VisitorLike.toggleLike(req.visitor, 'comment', comment._id);
+      }
+
+      if (result.blocked) {
+        return res.status(429).json({
+          success: false,
+          message: result.message
+        });
+      }
+
+      // Actualizar el contador solo si el like realmente cambió
+      if (result.success) {
+        await Comment.adjustLikesCount(comment._id, result.liked ? 1 : -1);
+      }
+    }
+
+    const updatedComment = await Comment.findById(comment._id).select('likesCount');
+
+    if (result.success && updatedComment) {
+      publishArticleEvent(comment.articleId, 'comment.likes', {
+        commentId: comment._id,
+        likesCount: updatedComment.likesCount
       });
     }
 
     res.json({
       success: true,
-      message: `Like ${action === 'increment' ? 'agregado' : 'removido'} exitosamente`,
+      message: result.message,
       data: {
         comment: {
-          _id: updatedComment._id,
-          likesCount: updatedComment.likesCount
-        }
+          _id: comment._id,
+          likesCount: updatedComment ? updatedComment.likesCount : 0
+        },
+        liked: result.liked,
+        action: result.success ? result.action : 'unchanged'
       }
     });
 
@@ -509,18 +1047,62 @@ const toggleCommentLike = async (req, res) => {
 };
 
 /**
- * Obtener comentarios recientes de todo el blog
- * GET /api/comments/recent
+ * Obtener los usuarios que dieron like a un comentario
+ * GET /api/comments/:commentId/likes
  */
-const getRecentComments = async (req, res) => {
+const getCommentLikes = async (req, res) => {
   try {
+    const { commentId } = req.params;
     const { limit = 10 } = req.query;
 
-    const comments = await Comment.getRecentComments(parseInt(limit));
+    const comment = await Comment.findById(commentId).select('_id likesCount');
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comentario no encontrado'
+      });
+    }
+
+    const likes = await CommentLike.getLikesForComment(comment._id, Math.min(parseInt(limit) || 10, 50));
+    const [userLikes, anonymousLikes] = await Promise.all([
+      CommentLike.countDocuments({ commentId: comment._id }),
+      VisitorLike.countLikes('comment', comment._id)
+    ]);
 
     res.json({
       success: true,
-      data: { comments }
+      message: 'Likes obtenidos exitosamente',
+      data: {
+        likes,
+        totalLikes: comment.likesCount,
+        userLikes,
+        anonymousLikes
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener likes del comentario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Obtener comentarios recientes de todo el blog
+ * GET /api/comments/recent
+ */
+const getRecentComments = async (req, res) => {
+  try {
+    const { limit = 10 } = req.query;
+
+    const comments = await Comment.getRecentComments(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: { comments }
     });
 
   } catch (error) {
@@ -554,22 +1136,29 @@ const getCommentReplies = async (req, res) => {
       });
     }
 
+    const viewerId = req.user ? req.user._id : null;
     const replies = await Comment.getRepliesForComment(commentId, {
       page: parseInt(page),
-      limit: parseInt(limit)
+      limit: parseInt(limit),
+      viewerId
     });
 
     const totalReplies = await Comment.countDocuments({
       parentCommentId: commentId,
-      isApproved: true
+      ...Comment.visibilityFilter(viewerId)
     });
 
     const totalPages = Math.ceil(totalReplies / limit);
 
+    const likedIds = await getLikedCommentIds(req, replies.map(reply => reply._id));
+
     res.json({
       success: true,
       data: {
-        replies,
+        replies: replies.map(reply => ({
+          ...reply.toJSON(),
+          userLiked: likedIds.has(reply._id.toString())
+        })),
         parentCommentId: commentId,
         pagination: {
           currentPage: parseInt(page),
@@ -593,13 +1182,28 @@ const getCommentReplies = async (req, res) => {
 };
 
 /**
- * Aprobar o desaprobar un comentario (para moderación)
+ * Aprobar o rechazar un comentario (para moderación)
+ * Registra el moderador y la fecha de la acción
  * PATCH /api/comments/:commentId/moderate
  */
 const moderateComment = async (req, res) => {
   try {
     const { commentId } = req.params;
-    const { action } = req.body; // 'approve' o 'disapprove'
+    const { action, note } = req.body; // 'approve' o 'disapprove' (alias: 'reject')
+
+    if (!['approve', 'disapprove', 'reject'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Acción inválida. Use "approve" o "disapprove"'
+      });
+    }
+
+    if (note && String(note).length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'La nota no puede exceder 500 caracteres'
+      });
+    }
 
     const comment = await Comment.findById(commentId);
 
@@ -610,16 +1214,29 @@ const moderateComment = async (req, res) => {
       });
     }
 
+    const wasApproved = comment.isApproved;
     let updatedComment;
 
     if (action === 'approve') {
-      updatedComment = await comment.approve();
-    } else if (action === 'disapprove') {
-      updatedComment = await comment.disapprove();
+      updatedComment = await comment.approve(req.user);
     } else {
-      return res.status(400).json({
-        success: false,
-        message: 'Acción inválida. Use "approve" o "disapprove"'
+      updatedComment = await comment.disapprove(req.user);
+    }
+
+    await ModerationLog.record([updatedComment], action === 'approve' ? 'approve' : 'reject', req.user, note);
+
+    if (action === 'approve') {
+      await notifyCommentRecipients(updatedComment);
+    }
+
+    if (action === 'approve' && !wasApproved) {
+      publishArticleEvent(updatedComment.articleId, 'comment.approved', { comment: updatedComment.toEventPayload() });
+    } else if (action !== 'approve' && wasApproved) {
+      publishArticleEvent(updatedComment.articleId, 'comment.deleted', {
+        commentId: updatedComment._id,
+        parentCommentId: updatedComment.parentCommentId,
+        result: 'removed',
+        reason: 'rejected'
       });
     }
 
@@ -629,7 +1246,10 @@ const moderateComment = async (req, res) => {
       data: {
         comment: {
           _id: updatedComment._id,
-          isApproved: updatedComment.isApproved
+          isApproved: updatedComment.isApproved,
+          moderationStatus: updatedComment.moderationStatus,
+          moderatedBy: updatedComment.moderatedBy,
+          moderatedAt: updatedComment.moderatedAt
         }
       }
     });
@@ -644,12 +1264,434 @@ const moderateComment = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/comments/{commentId}:
+ *   patch:
+ *     summary: Editar un comentario propio
+ *     description: |
+ *       El autor autenticado (o un autor anónimo con el token de edición en la cabecera
+ *       X-Comment-Edit-Token) puede editar su comentario dentro de la ventana de edición
+ *       (COMMENT_EDIT_WINDOW_MINUTES). La versión anterior queda en el historial y el nuevo
+ *       contenido vuelve a pasar por el filtro de spam.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Comment-Edit-Token
+ *         schema:
+ *           type: string
+ *         description: Token de edición (comentarios anónimos)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - content
+ *             properties:
+ *               content:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Comentario actualizado
+ *       400:
+ *         description: Contenido inválido, comentario eliminado o rechazado por spam
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No es el autor, token inválido o pasó la ventana de edición
+ *       404:
+ *         description: Comentario no encontrado
+ */
+const updateComment = async (req, res) => {
+  try {
+    const comment = req.comment;
+    const { content } = req.body;
+
+    if (comment.isDeleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'El comentario fue eliminado y no se puede editar'
+      });
+    }
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'El contenido del comentario es obligatorio'
+      });
+    }
+
+    // Los administradores pueden editar fuera de la ventana de edición
+    const isAdmin = await hasEffectiveRole(req.user, 'admin');
+    if (!isAdmin && !comment.isWithinEditWindow()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado',
+        error: 'Pasó el tiempo permitido para editar el comentario',
+        editableUntil: comment.getEditableUntil()
+      });
+    }
+
+    const newContent = content.trim();
+    if (newContent === comment.content) {
+      return res.json({
+        success: true,
+        message: 'El comentario no tiene cambios',
+        data: { comment: toOwnComment(comment), pending: !comment.isApproved }
+      });
+    }
+
+    // Volver a pasar el filtro de spam con el contenido nuevo
+    const isStaff = await hasEffectiveRole(req.user, ...STAFF_ROLES);
+    const spam = isStaff
+      ? null
+      : await evaluateComment({
+        content: newContent,
+        author: comment.author,
+        email: comment.email,
+        userId: comment.userId,
+        articleId: comment.articleId,
+        body: req.body
+      });
+
+    if (spam && spam.action === 'reject') {
+      return res.status(400).json({
+        success: false,
+        message: 'El comentario fue rechazado por el filtro de spam'
+      });
+    }
+
+    comment.content = newContent;
+    comment.contentHash = spam ? spam.contentHash : hashContent(newContent);
+    comment.$locals.editedBy = req.user;
+
+    if (spam) {
+      comment.spamScore = spam.score;
+      comment.spamReasons = spam.reasons;
+
+      if (spam.action === 'moderate') {
+        comment.isApproved = false;
+        comment.moderationStatus = 'pending';
+        comment.isFlagged = true;
+        comment.flagReasons = spam.reasons.map(reason => reason.reason);
+      }
+    }
+
+    await comment.save();
+
+    // Las menciones nuevas agregadas al editar también se notifican
+    await notifyCommentRecipients(comment);
+
+    const pending = !comment.isApproved;
+
+    res.json({
+      success: true,
+      message: pending
+        ? 'Comentario actualizado. Quedó pendiente de moderación'
+        : 'Comentario actualizado exitosamente',
+      data: {
+        comment: toOwnComment(comment),
+        pending
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al editar comentario:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/comments/{commentId}:
+ *   delete:
+ *     summary: Eliminar un comentario propio
+ *     description: |
+ *       El autor autenticado, un admin o un autor anónimo con su token de edición pueden
+ *       eliminar el comentario. Si tiene respuestas se reemplaza por el marcador "[deleted]"
+ *       para mantener el hilo; si no, se elimina por completo.
+ *     tags: [Comments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Comment-Edit-Token
+ *         schema:
+ *           type: string
+ *         description: Token de edición (comentarios anónimos)
+ *     responses:
+ *       200:
+ *         description: Comentario eliminado (result = removed o placeholder)
+ *       400:
+ *         description: El comentario ya fue eliminado
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: No es el autor o token inválido
+ *       404:
+ *         description: Comentario no encontrado
+ */
+const deleteComment = async (req, res) => {
+  try {
+    const comment = req.comment;
+
+    if (comment.isDeleted) {
+      return res.status(400).json({
+        success: false,
+        message: 'El comentario ya fue eliminado'
+      });
+    }
+
+    // Un admin eliminando un comentario ajeno queda en el registro de moderación
+    const isOwner = !!comment.userId && !!req.user && comment.userId.toString() === req.user._id.toString();
+    if (req.commentAccess === 'owner' && !isOwner) {
+      await ModerationLog.record([comment], 'delete', req.user);
+    }
+
+    const hasReplies = await Comment.exists({ parentCommentId: comment._id });
+    let result;
+
+    if (hasReplies) {
+      await comment.softDelete();
+      result = 'placeholder';
+    } else {
+      await Comment.deleteWithReplies([comment._id]);
+      result = 'removed';
+    }
+
+    if (comment.isApproved) {
+      publishArticleEvent(comment.articleId, 'comment.deleted', {
+        commentId: comment._id,
+        parentCommentId: comment.parentCommentId,
+        result,
+        reason: 'deleted'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Comentario eliminado exitosamente',
+      data: {
+        commentId: comment._id,
+        result
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al eliminar comentario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Historial de versiones de un comentario propio
+ * GET /api/comments/:commentId/versions
+ */
+const getCommentVersions = async (req, res) => {
+  try {
+    const comment = req.comment;
+
+    res.json({
+      success: true,
+      data: {
+        commentId: comment._id,
+        current: {
+          content: comment.content,
+          editedAt: comment.editedAt || null
+        },
+        previousVersions: comment.previousVersions,
+        isDeleted: comment.isDeleted,
+        editableUntil: comment.getEditableUntil()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener versiones del comentario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/comments/{commentId}/report:
+ *   post:
+ *     summary: Reportar un comentario
+ *     description: |
+ *       Cada usuario o visitante anónimo puede reportar un comentario una sola vez,
+ *       y desde una misma IP se acepta un único reporte anónimo por comentario.
+ *       Cuando los reportes pendientes alcanzan el umbral (COMMENT_REPORT_THRESHOLD)
+ *       el comentario se oculta y pasa a la cola de moderación.
+ *     tags: [Comments]
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 enum: [spam, harassment, off-topic, other]
+ *               details:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: Reporte registrado
+ *       400:
+ *         description: Motivo inválido o comentario propio
+ *       404:
+ *         description: Comentario no encontrado
+ *       409:
+ *         description: El comentario ya fue reportado por quien consulta
+ *       429:
+ *         description: Ya hay un reporte anónimo de este comentario desde la misma IP
+ */
+const reportComment = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+    const { reason, details } = req.body || {};
+
+    if (!CommentReport.isValidReason(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Motivo inválido. Use "spam", "harassment", "off-topic" u "other"'
+      });
+    }
+
+    if (details && String(details).length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'El detalle no puede exceder 500 caracteres'
+      });
+    }
+
+    const comment = await Comment.findById(commentId).select('userId articleId parentCommentId isApproved isDeleted');
+
+    if (!comment || !comment.isApproved || comment.isDeleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comentario no encontrado'
+      });
+    }
+
+    if (req.user && comment.userId && comment.userId.toString() === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'No puedes reportar tu propio comentario'
+      });
+    }
+
+    const result = await CommentReport.reportComment(comment._id, Reaction.getActorKey(req), {
+      userId: req.user ? req.user._id : null,
+      reason,
+      details: details ? String(details) : null,
+      ipHash: req.visitor ? req.visitor.ipHash : null
+    });
+
+    if (result.blocked) {
+      return res.status(429).json({
+        success: false,
+        message: 'Ya se reportó este comentario de forma anónima desde esta red. Inicia sesión para reportarlo.'
+      });
+    }
+
+    if (!result.created) {
+      return res.status(409).json({
+        success: false,
+        message: 'Ya reportaste este comentario'
+      });
+    }
+
+    if (result.hidden) {
+      publishArticleEvent(comment.articleId, 'comment.deleted', {
+        commentId: comment._id,
+        parentCommentId: comment.parentCommentId,
+        result: 'removed',
+        reason: 'hidden'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.hidden
+        ? 'Comentario reportado. Quedó oculto hasta que un moderador lo revise'
+        : 'Comentario reportado exitosamente',
+      data: {
+        commentId: comment._id,
+        reason,
+        reported: true,
+        hidden: result.hidden
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al reportar comentario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getCommentsForArticle,
+  getCommentTree,
+  getCommentSubtree,
   addComment,
   toggleLike,
   toggleCommentLike,
+  getCommentLikes,
   getRecentComments,
   getCommentReplies,
-  moderateComment
+  moderateComment,
+  updateComment,
+  deleteComment,
+  getCommentVersions,
+  reportComment
 };
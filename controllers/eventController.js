@@ -0,0 +1,170 @@
+const Article = require('../models/Article');
+const { SSE_CONFIG } = require('../config/realtime');
+const { subscribeToArticle, getEventsSince, getCurrentEventId } = require('../utils/articleEvents');
+
+/**
+ * Controlador de eventos en tiempo real (Server-Sent Events)
+ * Cada conexión recibe los eventos de un artículo: comentarios nuevos, aprobados
+ * o eliminados y cambios en los likes
+ */
+
+// Conexiones abiertas (total y por IP)
+let openConnections = 0;
+const connectionsByIp = new Map();
+
+/**
+ * Escribir un evento en formato SSE
+ * @param {Object} res - Response object
+ * @param {Object} event - { id, type, data }
+ */
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+};
+
+/**
+ * @swagger
+ * /api/articles/{slug}/events:
+ *   get:
+ *     summary: Stream de eventos en tiempo real de un artículo (SSE)
+ *     description: |
+ *       Conexión Server-Sent Events que envía los eventos `comment.created`, `comment.approved`,
+ *       `comment.deleted`, `comment.likes` y `article.likes` del artículo. Cada evento tiene un ID;
+ *       al reconectar, el navegador envía la cabecera `Last-Event-ID` (o el query `lastEventId`)
+ *       y se reenvían los eventos perdidos que sigan en el buffer. Si ya no están disponibles se
+ *       envía `stream.reset` para que el cliente vuelva a pedir los comentarios.
+ *       Se envía un heartbeat (comentario SSE) cada `SSE_HEARTBEAT_SECONDS` segundos y la conexión
+ *       se cierra después de `SSE_MAX_CONNECTION_MINUTES` minutos (el cliente reconecta solo).
+ *     tags: [Articles]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: Último ID de evento recibido (reconexión)
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Alternativa a la cabecera Last-Event-ID
+ *     responses:
+ *       200:
+ *         description: Stream de eventos (text/event-stream)
+ *       404:
+ *         description: Artículo no encontrado
+ *       429:
+ *         description: Demasiadas conexiones abiertas desde la misma IP
+ *       503:
+ *         description: El servidor alcanzó el máximo de conexiones
+ */
+const streamArticleEvents = async (req, res) => {
+  try {
+    const { slug } = req.params;
+
+    const article = await Article.findOne({
+      slug: slug.trim().toLowerCase(),
+      ...Article.publicFilter()
+    }).select('_id slug');
+
+    if (!article) {
+      return res.status(404).json({
+        success: false,
+        message: 'Artículo no encontrado'
+      });
+    }
+
+    if (openConnections >= SSE_CONFIG.maxConnections) {
+      return res.status(503).json({
+        success: false,
+        message: 'El servidor alcanzó el máximo de conexiones en tiempo real. Intenta más tarde'
+      });
+    }
+
+    const ip = req.ip;
+    const ipConnections = connectionsByIp.get(ip) || 0;
+    if (ipConnections >= SSE_CONFIG.maxConnectionsPerIp) {
+      return res.status(429).json({
+        success: false,
+        message: `No se pueden abrir más de ${SSE_CONFIG.maxConnectionsPerIp} conexiones en tiempo real a la vez`
+      });
+    }
+
+    openConnections += 1;
+    connectionsByIp.set(ip, ipConnections + 1);
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${SSE_CONFIG.retryMs}\n\n`);
+
+    // Reenviar lo que el cliente se perdió mientras estaba desconectado
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId) {
+      const { events, complete } = getEventsSince(article._id, lastEventId);
+
+      if (complete) {
+        events.forEach(event => writeEvent(res, event));
+      } else {
+        // El ID actual evita que la próxima reconexión vuelva a pedir el mismo hueco
+        writeEvent(res, {
+          id: getCurrentEventId(),
+          type: 'stream.reset',
+          data: { reason: 'Hay eventos que ya no se pueden reenviar; vuelve a cargar los comentarios' }
+        });
+      }
+    }
+
+    const unsubscribe = subscribeToArticle(article._id, event => writeEvent(res, event));
+
+    const heartbeat = setInterval(() => {
+      res.write(`: heartbeat ${Date.now()}\n\n`);
+    }, SSE_CONFIG.heartbeatSeconds * 1000);
+
+    // Cerrar conexiones muy largas; el navegador reconecta con Last-Event-ID
+    const lifetime = setTimeout(() => res.end(), SSE_CONFIG.maxConnectionMinutes * 60 * 1000);
+
+    let closed = false;
+    const cleanup = () => {
+      if (closed) return;
+      closed = true;
+
+      unsubscribe();
+      clearInterval(heartbeat);
+      clearTimeout(lifetime);
+
+      openConnections -= 1;
+      const remaining = (connectionsByIp.get(ip) || 1) - 1;
+      if (remaining > 0) {
+        connectionsByIp.set(ip, remaining);
+      } else {
+        connectionsByIp.delete(ip);
+      }
+    };
+
+    // 'close' se emite tanto si el cliente se desconecta como al cerrar la conexión con res.end()
+    res.on('close', cleanup);
+
+  } catch (error) {
+    console.error('Error al abrir stream de eventos:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  streamArticleEvents
+};
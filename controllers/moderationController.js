@@ -0,0 +1,570 @@
+const mongoose = require('mongoose');
+const Article = require('../models/Article');
+const Comment = require('../models/Comment');
+const ModerationLog = require('../models/ModerationLog');
+const CommentReport = require('../models/CommentReport');
+const Notification = require('../models/Notification');
+const { publishArticleEvent } = require('../utils/articleEvents');
+
+/**
+ * Controlador de la cola de moderación de comentarios
+ * Permite listar comentarios pendientes o marcados, moderarlos en lote
+ * y consultar el registro de quién moderó cada comentario
+ */
+
+// Máximo de comentarios por operación en lote
+const MAX_BULK_COMMENTS = 100;
+
+const BULK_ACTIONS = ['approve', 'reject', 'delete'];
+
+/**
+ * Escapar un texto para usarlo dentro de una expresión regular
+ * @param {string} text - Texto a escapar
+ * @returns {string} - Texto escapado
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Convertir un parámetro de fecha del query string
+ * @param {string} value - Fecha en formato ISO
+ * @returns {Date|null|undefined} - Fecha, undefined si no se envió o null si es inválida
+ */
+const parseDateParam = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Buscar un parámetro del query string que no llegó como texto simple
+ * (?author=a&author=b llega como array y ?author[x]=a como objeto)
+ * @param {Object} query - req.query
+ * @param {Array<string>} names - Parámetros a revisar
+ * @returns {string|undefined} - Nombre del primer parámetro inválido
+ */
+const findNonStringParam = (query, names) => {
+  return names.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+};
+
+/**
+ * @swagger
+ * /api/moderation/comments:
+ *   get:
+ *     summary: Cola de moderación de comentarios (admin)
+ *     description: |
+ *       Lista comentarios pendientes de aprobación o marcados para revisión, del más antiguo
+ *       al más reciente. Se puede filtrar por artículo, autor y rango de fechas.
+ *       Cada comentario incluye el resumen de reportes de lectores por motivo.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queue, pending, flagged, reported, approved, rejected, all]
+ *           default: queue
+ *         description: queue incluye pendientes y marcados
+ *       - in: query
+ *         name: article
+ *         schema:
+ *           type: string
+ *         description: Slug o ID del artículo
+ *       - in: query
+ *         name: author
+ *         schema:
+ *           type: string
+ *         description: ID del usuario, o texto a buscar en el nombre o email del autor
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Comentarios de la cola de moderación
+ *       400:
+ *         description: Filtro inválido
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: Requiere rol admin
+ *       404:
+ *         description: Artículo no encontrado
+ */
+const getModerationQueue = async (req, res) => {
+  try {
+    const {
+      status = 'queue',
+      article,
+      author,
+      from,
+      to,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const invalidParam = findNonStringParam(req.query, ['status', 'article', 'author', 'from', 'to']);
+    if (invalidParam) {
+      return res.status(400).json({
+        success: false,
+        message: `El parámetro ${invalidParam} debe enviarse una sola vez y como texto`
+      });
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const statusFilter = Comment.moderationFilter(status);
+    if (!statusFilter) {
+      return res.status(400).json({
+        success: false,
+        message: 'Estado inválido. Use queue, pending, flagged, reported, approved, rejected o all'
+      });
+    }
+
+    const filters = [statusFilter];
+
+    if (article) {
+      const articleQuery = mongoose.isValidObjectId(article)
+        ? { _id: article }
+        : { $or: [{ slug: article.toLowerCase() }, { previousSlugs: article.toLowerCase() }] };
+      const foundArticle = await Article.findOne(articleQuery).select('_id');
+
+      if (!foundArticle) {
+        return res.status(404).json({
+          success: false,
+          message: 'Artículo no encontrado'
+        });
+      }
+
+      filters.push({ articleId: foundArticle._id });
+    }
+
+    if (author) {
+      if (mongoose.isValidObjectId(author)) {
+        filters.push({ userId: author });
+      } else {
+        const authorRegex = new RegExp(escapeRegExp(author.trim()), 'i');
+        filters.push({ $or: [{ author: authorRegex }, { email: authorRegex }] });
+      }
+    }
+
+    const fromDate = parseDateParam(from);
+    const toDate = parseDateParam(to);
+    if (fromDate === null || toDate === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Las fechas from y to deben tener formato ISO válido'
+      });
+    }
+    if (fromDate || toDate) {
+      const createdAt = {};
+      if (fromDate) createdAt.$gte = fromDate;
+      if (toDate) createdAt.$lte = toDate;
+      filters.push({ createdAt });
+    }
+
+    const query = { $and: filters };
+
+    const [comments, totalComments, pendingCount, flaggedCount, reportedCount] = await Promise.all([
+      Comment.find(query)
+        .populate('articleId', 'title slug')
+        .populate('userId', 'name email avatar')
+        .populate('moderatedBy', 'name email')
+        .sort({ createdAt: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .select('-reactionCounts'),
+      Comment.countDocuments(query),
+      Comment.countDocuments(Comment.moderationFilter('pending')),
+      Comment.countDocuments(Comment.moderationFilter('flagged')),
+      Comment.countDocuments(Comment.moderationFilter('reported'))
+    ]);
+
+    // Reportes de lectores agrupados por motivo
+    const reportSummary = await CommentReport.summarizeForComments(comments.map(comment => comment._id));
+    const commentsWithReports = comments.map(comment => ({
+      ...comment.toJSON(),
+      reports: reportSummary.get(comment._id.toString()) || { total: 0, reasons: {}, lastReportedAt: null }
+    }));
+
+    const totalPages = Math.ceil(totalComments / limitNum);
+
+    res.json({
+      success: true,
+      data: {
+        comments: commentsWithReports,
+        summary: {
+          pending: pendingCount,
+          flagged: flaggedCount,
+          reported: reportedCount
+        },
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalComments,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+          limit: limitNum
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener cola de moderación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/moderation/comments/bulk:
+ *   post:
+ *     summary: Moderar comentarios en lote (admin)
+ *     description: |
+ *       Aprueba, rechaza o elimina varios comentarios a la vez. Eliminar un comentario
+ *       también elimina sus respuestas. Cada acción queda registrada con el moderador y la fecha.
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - commentIds
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [approve, reject, delete]
+ *               commentIds:
+ *                 type: array
+ *                 maxItems: 100
+ *                 items:
+ *                   type: string
+ *               note:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: Motivo opcional que queda en el registro
+ *     responses:
+ *       200:
+ *         description: Comentarios moderados
+ *       400:
+ *         description: Acción o IDs inválidos
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: Requiere rol admin
+ */
+const bulkModerateComments = async (req, res) => {
+  try {
+    const { action, commentIds, note } = req.body;
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Acción inválida. Use "approve", "reject" o "delete"'
+      });
+    }
+
+    if (!Array.isArray(commentIds) || commentIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'commentIds debe ser una lista con al menos un ID'
+      });
+    }
+
+    if (commentIds.length > MAX_BULK_COMMENTS) {
+      return res.status(400).json({
+        success: false,
+        message: `No se pueden moderar más de ${MAX_BULK_COMMENTS} comentarios a la vez`
+      });
+    }
+
+    const invalidIds = commentIds.filter(id => !mongoose.isValidObjectId(id));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Hay IDs de comentario inválidos',
+        errors: invalidIds
+      });
+    }
+
+    if (note && String(note).length > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'La nota no puede exceder 500 caracteres'
+      });
+    }
+
+    const uniqueIds = [...new Set(commentIds.map(String))];
+    const comments = await Comment.find({ _id: { $in: uniqueIds } });
+    const foundIds = new Set(comments.map(comment => comment._id.toString()));
+    const notFound = uniqueIds.filter(id => !foundIds.has(id));
+
+    // Registrar antes de eliminar para conservar autor y contenido
+    await ModerationLog.record(comments, action, req.user, note);
+
+    let deletedReplies = 0;
+    const wasApproved = new Map(comments.map(comment => [comment._id.toString(), comment.isApproved]));
+
+    if (action === 'delete') {
+      const deletedIds = await Comment.deleteWithReplies(comments.map(comment => comment._id));
+      deletedReplies = deletedIds.length - comments.length;
+    } else {
+      for (const comment of comments) {
+        if (action === 'approve') {
+          await comment.approve(req.user);
+          await Notification.notifyForComment(comment).catch(error => {
+            console.error('Error al crear notificaciones del comentario:', error);
+          });
+        } else {
+          await comment.disapprove(req.user);
+        }
+      }
+    }
+
+    // Avisar en tiempo real a los lectores de cada artículo
+    comments.forEach(comment => {
+      const visibleBefore = wasApproved.get(comment._id.toString());
+
+      if (action === 'approve' && !visibleBefore) {
+        publishArticleEvent(comment.articleId, 'comment.approved', { comment: comment.toEventPayload() });
+      } else if (action !== 'approve' && visibleBefore) {
+        publishArticleEvent(comment.articleId, 'comment.deleted', {
+          commentId: comment._id,
+          parentCommentId: comment.parentCommentId,
+          result: 'removed',
+          reason: action === 'delete' ? 'deleted' : 'rejected'
+        });
+      }
+    });
+
+    const actionLabels = {
+      approve: 'aprobados',
+      reject: 'rechazados',
+      delete: 'eliminados'
+    };
+
+    res.json({
+      success: true,
+      message: `${comments.length} comentario(s) ${actionLabels[action]} exitosamente`,
+      data: {
+        action,
+        processed: [...foundIds],
+        notFound,
+        deletedReplies,
+        moderatedBy: {
+          _id: req.user._id,
+          name: req.user.name
+        },
+        moderatedAt: new Date()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al moderar comentarios en lote:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/moderation/log:
+ *   get:
+ *     summary: Registro de acciones de moderación (admin)
+ *     tags: [Moderation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: commentId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: moderatorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [approve, reject, delete]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Entradas del registro, de la más reciente a la más antigua
+ *       400:
+ *         description: Filtro inválido
+ */
+const getModerationLog = async (req, res) => {
+  try {
+    const {
+      commentId,
+      moderatorId,
+      action,
+      page = 1,
+      limit = 20
+    } = req.query;
+
+    const invalidParam = findNonStringParam(req.query, ['commentId', 'moderatorId', 'action']);
+    if (invalidParam) {
+      return res.status(400).json({
+        success: false,
+        message: `El parámetro ${invalidParam} debe enviarse una sola vez y como texto`
+      });
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    if ((commentId && !mongoose.isValidObjectId(commentId)) ||
+        (moderatorId && !mongoose.isValidObjectId(moderatorId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'commentId y moderatorId deben ser IDs válidos'
+      });
+    }
+
+    if (action && !BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Acción inválida. Use "approve", "reject" o "delete"'
+      });
+    }
+
+    const query = {};
+    if (commentId) query.commentId = commentId;
+    if (moderatorId) query.moderatorId = moderatorId;
+    if (action) query.action = action;
+
+    const [entries, totalEntries] = await Promise.all([
+      ModerationLog.find(query)
+        .populate('articleId', 'title slug')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      ModerationLog.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalEntries / limitNum);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalEntries,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+          limit: limitNum
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener registro de moderación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Reportes de lectores de un comentario (admin)
+ * GET /api/moderation/comments/:commentId/reports
+ */
+const getCommentReports = async (req, res) => {
+  try {
+    const { commentId } = req.params;
+
+    if (!mongoose.isValidObjectId(commentId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de comentario inválido'
+      });
+    }
+
+    const comment = await Comment.findById(commentId)
+      .select('content author articleId isApproved moderationStatus reportsCount pendingReportsCount');
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comentario no encontrado'
+      });
+    }
+
+    const [reports, summary] = await Promise.all([
+      CommentReport.getReportsForComment(comment._id),
+      CommentReport.summarizeForComments([comment._id])
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        comment,
+        summary: summary.get(comment._id.toString()) || { total: 0, reasons: {}, lastReportedAt: null },
+        reports
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener reportes del comentario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getModerationQueue,
+  bulkModerateComments,
+  getModerationLog,
+  getCommentReports
+};
@@ -0,0 +1,173 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+
+/**
+ * Controlador de notificaciones del usuario autenticado
+ * (menciones en comentarios y respuestas a sus comentarios)
+ */
+
+/**
+ * @swagger
+ * /api/notifications:
+ *   get:
+ *     summary: Notificaciones del usuario autenticado
+ *     description: |
+ *       Devuelve las notificaciones (menciones y respuestas) de la más reciente a la más antigua,
+ *       junto con la cantidad total sin leer.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Si es true, solo devuelve las notificaciones sin leer
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Notificaciones del usuario
+ *       401:
+ *         description: No autenticado
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const query = { recipientId: req.user._id };
+    if (unread === 'true') query.isRead = false;
+
+    const [notifications, totalNotifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate('actorId', 'name avatar')
+        .populate('articleId', 'title slug')
+        .populate('commentId', 'content parentCommentId isDeleted')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      Notification.countDocuments(query),
+      Notification.getUnreadCount(req.user._id)
+    ]);
+
+    const totalPages = Math.ceil(totalNotifications / limitNum);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalNotifications,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+          limit: limitNum
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener notificaciones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Marcar una notificación propia como leída
+ * PATCH /api/notifications/:notificationId/read
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const { notificationId } = req.params;
+
+    if (!mongoose.isValidObjectId(notificationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de notificación inválido'
+      });
+    }
+
+    const notification = await Notification.findOne({
+      _id: notificationId,
+      recipientId: req.user._id
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notificación no encontrada'
+      });
+    }
+
+    await notification.markRead();
+    const unreadCount = await Notification.getUnreadCount(req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Notificación marcada como leída',
+      data: {
+        notification,
+        unreadCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al marcar notificación como leída:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Marcar todas las notificaciones propias como leídas
+ * PATCH /api/notifications/read-all
+ */
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const updated = await Notification.markAllRead(req.user._id);
+
+    res.json({
+      success: true,
+      message: `${updated} notificación(es) marcada(s) como leída(s)`,
+      data: {
+        updated,
+        unreadCount: 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al marcar notificaciones como leídas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -0,0 +1,265 @@
+const Article = require('../models/Article');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const { REACTIONS, isValidReaction } = require('../config/reactions');
+
+/**
+ * Controlador para reacciones (emoji) en artículos y comentarios
+ * Cada usuario autenticado o visitante anónimo tiene como máximo una reacción por contenido
+ */
+
+/**
+ * Buscar el contenido al que se reacciona según los parámetros de la ruta
+ * Responde con 404/403 si corresponde y devuelve null
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Object|null} - { targetType, target }
+ */
+const findReactionTarget = async (req, res) => {
+  if (req.params.slug) {
+    const article = await Article.findOne({
+      slug: req.params.slug,
+      ...Article.publicFilter()
+    }).select('_id slug');
+
+    if (!article) {
+      res.status(404).json({
+        success: false,
+        message: 'Artículo no encontrado'
+      });
+      return null;
+    }
+
+    return { targetType: 'article', target: article };
+  }
+
+  const comment = await Comment.findById(req.params.commentId).select('_id isApproved');
+
+  if (!comment) {
+    res.status(404).json({
+      success: false,
+      message: 'Comentario no encontrado'
+    });
+    return null;
+  }
+
+  if (!comment.isApproved) {
+    res.status(403).json({
+      success: false,
+      message: 'No se puede reaccionar a un comentario no aprobado'
+    });
+    return null;
+  }
+
+  return { targetType: 'comment', target: comment };
+};
+
+/**
+ * Responder con el resumen de reacciones actualizado del contenido
+ * @param {Object} res - Response object
+ * @param {string} targetType - 'article' o 'comment'
+ * @param {string} targetId - ID del contenido
+ * @param {Object} result - Resultado de setReaction/removeReaction
+ * @param {string|null} userReaction - Reacción actual de quien hace la petición
+ * @param {string} message - Mensaje de la respuesta
+ */
+const respondWithSummary = async (res, targetType, targetId, result, userReaction, message) => {
+  const Model = targetType === 'article' ? Article : Comment;
+  const updated = await Model.findById(targetId).select('reactionCounts');
+
+  res.json({
+    success: true,
+    message,
+    data: {
+      action: result.action,
+      reactions: Reaction.buildSummary(updated ? updated.reactionCounts : {}, userReaction)
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /api/reactions:
+ *   get:
+ *     summary: Listar reacciones disponibles
+ *     description: Devuelve el conjunto configurado de reacciones (clave y emoji)
+ *     tags: [Reactions]
+ *     responses:
+ *       200:
+ *         description: Reacciones disponibles
+ */
+const getAvailableReactions = (req, res) => {
+  res.json({
+    success: true,
+    data: { reactions: REACTIONS }
+  });
+};
+
+/**
+ * @swagger
+ * /api/articles/{slug}/reactions:
+ *   put:
+ *     summary: Agregar o cambiar la reacción a un artículo
+ *     description: |
+ *       Registra la reacción del usuario autenticado o del visitante anónimo (token de visitante).
+ *       Si ya había reaccionado con otro emoji, la reacción se reemplaza. Desde una misma IP solo
+ *       pueden reaccionar al mismo contenido `VISITOR_REACTIONS_PER_IP` visitantes anónimos por día.
+ *     tags: [Reactions]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reaction
+ *             properties:
+ *               reaction:
+ *                 type: string
+ *                 example: love
+ *     responses:
+ *       200:
+ *         description: Reacción registrada
+ *       400:
+ *         description: Reacción inválida
+ *       404:
+ *         description: Artículo no encontrado
+ *       429:
+ *         description: Límite de reacciones anónimas desde la misma IP
+ *   delete:
+ *     summary: Quitar la reacción a un artículo
+ *     tags: [Reactions]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reacción eliminada
+ * /api/comments/{commentId}/reactions:
+ *   put:
+ *     summary: Agregar o cambiar la reacción a un comentario
+ *     tags: [Reactions]
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reaction
+ *             properties:
+ *               reaction:
+ *                 type: string
+ *                 example: haha
+ *     responses:
+ *       200:
+ *         description: Reacción registrada
+ *       400:
+ *         description: Reacción inválida
+ *       404:
+ *         description: Comentario no encontrado
+ *       429:
+ *         description: Límite de reacciones anónimas desde la misma IP
+ *   delete:
+ *     summary: Quitar la reacción a un comentario
+ *     tags: [Reactions]
+ *     parameters:
+ *       - in: path
+ *         name: commentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reacción eliminada
+ */
+const setReaction = async (req, res) => {
+  try {
+    const { reaction } = req.body;
+
+    if (!isValidReaction(reaction)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reacción inválida. Use una de: ${REACTIONS.map(r => r.key).join(', ')}`
+      });
+    }
+
+    const found = await findReactionTarget(req, res);
+    if (!found) return;
+
+    const { targetType, target } = found;
+    const result = await Reaction.setReaction(
+      targetType,
+      target._id,
+      Reaction.getActorKey(req),
+      reaction,
+      req.user ? req.user._id : null,
+      req.user ? null : req.visitor.ipHash
+    );
+
+    if (result.action === 'blocked') {
+      return res.status(429).json({
+        success: false,
+        message: 'Se alcanzó el límite de reacciones anónimas desde esta red. Inicia sesión para reaccionar.'
+      });
+    }
+
+    await respondWithSummary(res, targetType, target._id, result, reaction,
+      result.action === 'unchanged' ? 'La reacción no cambió' : 'Reacción registrada exitosamente');
+
+  } catch (error) {
+    console.error('Error al registrar reacción:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Quitar la reacción de quien hace la petición
+ * DELETE /api/articles/:slug/reactions
+ * DELETE /api/comments/:commentId/reactions
+ */
+const removeReaction = async (req, res) => {
+  try {
+    const found = await findReactionTarget(req, res);
+    if (!found) return;
+
+    const { targetType, target } = found;
+    const result = await Reaction.removeReaction(targetType, target._id, Reaction.getActorKey(req));
+
+    await respondWithSummary(res, targetType, target._id, result, null,
+      result.action === 'removed' ? 'Reacción eliminada exitosamente' : 'No habías reaccionado a este contenido');
+
+  } catch (error) {
+    console.error('Error al eliminar reacción:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getAvailableReactions,
+  setReaction,
+  removeReaction
+};
@@ -0,0 +1,353 @@
+const Article = require('../models/Article');
+const ArticleRevision = require('../models/ArticleRevision');
+const { diffLines } = require('../utils/diff');
+const { hasEffectiveRole } = require('../middleware/auth');
+
+/**
+ * Controlador para el historial de revisiones de artículos
+ * Permite listar revisiones, comparar dos revisiones y restaurar una revisión anterior
+ */
+
+/**
+ * Buscar el artículo por slug y verificar que el usuario puede ver su historial
+ * Responde con 404/403 si corresponde y devuelve null
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {Object|null} - Documento del artículo
+ */
+const findArticleWithHistoryAccess = async (req, res) => {
+  const article = await Article.findOne({ slug: req.params.slug.trim().toLowerCase() });
+
+  if (!article) {
+    res.status(404).json({
+      success: false,
+      message: 'Artículo no encontrado'
+    });
+    return null;
+  }
+
+  const isEditor = await hasEffectiveRole(req.user, 'admin', 'editor');
+  const isOwner = !!article.authorId && article.authorId.toString() === req.user._id.toString();
+
+  if (!isEditor && !isOwner) {
+    res.status(403).json({
+      success: false,
+      message: 'Acceso denegado',
+      error: 'No tienes permisos para ver el historial de este artículo'
+    });
+    return null;
+  }
+
+  return article;
+};
+
+/**
+ * @swagger
+ * /api/articles/{slug}/revisions:
+ *   get:
+ *     summary: Listar revisiones de un artículo
+ *     description: Devuelve el historial de revisiones (más reciente primero) sin el contenido completo
+ *     tags: [Articles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Revisiones obtenidas exitosamente
+ *       403:
+ *         description: Sin permisos
+ *       404:
+ *         description: Artículo no encontrado
+ */
+const getArticleRevisions = async (req, res) => {
+  try {
+    const article = await findArticleWithHistoryAccess(req, res);
+    if (!article) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const revisions = await ArticleRevision.getRevisionsForArticle(article._id, { page, limit });
+    const totalRevisions = await ArticleRevision.countDocuments({ articleId: article._id });
+    const totalPages = Math.ceil(totalRevisions / limit);
+
+    res.json({
+      success: true,
+      data: {
+        revisions,
+        articleSlug: article.slug,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalRevisions,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener revisiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Obtener una revisión concreta con su contenido completo
+ * GET /api/articles/:slug/revisions/:revisionNumber
+ */
+const getArticleRevision = async (req, res) => {
+  try {
+    const article = await findArticleWithHistoryAccess(req, res);
+    if (!article) return;
+
+    const revision = await ArticleRevision.findOne({
+      articleId: article._id,
+      revisionNumber: parseInt(req.params.revisionNumber)
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revisión no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { revision }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener revisión:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/articles/{slug}/revisions/diff:
+ *   get:
+ *     summary: Comparar dos revisiones
+ *     description: |
+ *       Devuelve el diff línea a línea del contenido entre dos revisiones, junto con los cambios de título y tags.
+ *       Por defecto compara la última revisión con la anterior.
+ *     tags: [Articles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: integer
+ *         description: Número de la revisión original
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Número de la revisión nueva
+ *     responses:
+ *       200:
+ *         description: Diff calculado exitosamente
+ *       400:
+ *         description: Números de revisión inválidos
+ *       404:
+ *         description: Artículo o revisión no encontrados
+ */
+const diffArticleRevisions = async (req, res) => {
+  try {
+    const article = await findArticleWithHistoryAccess(req, res);
+    if (!article) return;
+
+    let to = req.query.to !== undefined ? parseInt(req.query.to) : null;
+    if (to === null) {
+      const latest = await ArticleRevision.findOne({ articleId: article._id })
+        .sort({ revisionNumber: -1 })
+        .select('revisionNumber');
+      to = latest ? latest.revisionNumber : null;
+    }
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Debe indicar dos números de revisión válidos (from y to)'
+      });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      ArticleRevision.findOne({ articleId: article._id, revisionNumber: from }),
+      ArticleRevision.findOne({ articleId: article._id, revisionNumber: to })
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revisión no encontrada'
+      });
+    }
+
+    const { changes, stats } = diffLines(fromRevision.content, toRevision.content);
+
+    res.json({
+      success: true,
+      data: {
+        from: fromRevision.revisionNumber,
+        to: toRevision.revisionNumber,
+        title: {
+          changed: fromRevision.title !== toRevision.title,
+          from: fromRevision.title,
+          to: toRevision.title
+        },
+        tags: {
+          added: toRevision.tags.filter(tag => !fromRevision.tags.includes(tag)),
+          removed: fromRevision.tags.filter(tag => !toRevision.tags.includes(tag))
+        },
+        content: {
+          changes,
+          stats
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al comparar revisiones:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/articles/{slug}/revisions/{revisionNumber}/restore:
+ *   post:
+ *     summary: Restaurar una revisión
+ *     description: Copia título, contenido y tags de una revisión anterior al artículo y registra una nueva revisión
+ *     tags: [Articles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: revisionNumber
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revisión restaurada exitosamente
+ *       403:
+ *         description: Sin permisos para editar el artículo
+ *       404:
+ *         description: Artículo o revisión no encontrados
+ */
+const restoreArticleRevision = async (req, res) => {
+  try {
+    const article = await findArticleWithHistoryAccess(req, res);
+    if (!article) return;
+
+    const isEditor = await hasEffectiveRole(req.user, 'admin', 'editor');
+    if (!article.canBeEditedBy(req.user, isEditor)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado',
+        error: 'Solo puedes editar tus propios borradores'
+      });
+    }
+
+    const revisionNumber = parseInt(req.params.revisionNumber);
+    const revision = await ArticleRevision.findOne({
+      articleId: article._id,
+      revisionNumber
+    });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revisión no encontrada'
+      });
+    }
+
+    // Regenerar el slug si el título restaurado es distinto
+    if (revision.title !== article.title) {
+      article.slug = await Article.generateUniqueSlug(revision.title, article._id);
+    }
+
+    article.title = revision.title;
+    article.content = revision.content;
+    article.tags = revision.tags;
+    article.$locals.revisionUser = req.user;
+    article.$locals.restoredFrom = revision.revisionNumber;
+    await article.save();
+
+    res.json({
+      success: true,
+      message: `Revisión ${revision.revisionNumber} restaurada exitosamente`,
+      data: {
+        article,
+        userLiked: false
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al restaurar revisión:', error);
+
+    if (error.name === 'ValidationError') {
+      const errors = Object.values(error.errors).map(err => err.message);
+      return res.status(400).json({
+        success: false,
+        message: 'Error de validación',
+        errors
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getArticleRevisions,
+  getArticleRevision,
+  diffArticleRevisions,
+  restoreArticleRevision
+};
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+
+/**
+ * Controlador de roles (solo admin)
+ * Asigna los roles del flujo editorial: author (escribe y envía a revisión),
+ * editor (revisa, programa y publica) y admin
+ */
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   patch:
+ *     summary: Asignar el rol de un usuario (admin)
+ *     description: |
+ *       Cambia el rol entre user, author, editor y admin. Un admin no puede cambiar su propio rol
+ *       (evita que el sitio se quede sin administradores por error).
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, author, editor, admin]
+ *     responses:
+ *       200:
+ *         description: Rol actualizado
+ *       400:
+ *         description: ID o rol inválido, o intento de cambiar el rol propio
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: Requiere rol admin
+ *       404:
+ *         description: Usuario no encontrado
+ */
+const updateUserRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body || {};
+    const roles = User.schema.path('role').enumValues;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de usuario inválido'
+      });
+    }
+
+    if (typeof role !== 'string' || !roles.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Rol inválido. Use uno de: ${roles.join(', ')}`
+      });
+    }
+
+    if (id === req.user._id.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'No puedes cambiar tu propio rol'
+      });
+    }
+
+    const user = await User.findByIdAndUpdate(id, { $set: { role } }, { new: true, runValidators: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Rol actualizado a "${role}"`,
+      data: user.publicInfo
+    });
+
+  } catch (error) {
+    console.error('Error al actualizar rol de usuario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  updateUserRole
+};
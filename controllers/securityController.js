@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const LoginLockout = require('../models/LoginLockout');
+const LoginThrottle = require('../models/LoginThrottle');
+const Setting = require('../models/Setting');
+
+/**
+ * Controlador de seguridad de cuentas (solo admin)
+ * Permite revisar los bloqueos de login por intentos fallidos y levantarlos antes de tiempo,
+ * y decidir si se exige autenticación de dos factores a los admin
+ */
+
+/**
+ * @swagger
+ * /api/security/lockouts:
+ *   get:
+ *     summary: Bloqueos de login por intentos fallidos (admin)
+ *     description: |
+ *       Lista los bloqueos de cuentas (email) e IPs del más reciente al más antiguo.
+ *       Por defecto solo los vigentes; con `status=all` incluye los vencidos y los levantados.
+ *     tags: [Security]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, all]
+ *           default: active
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [account, ip]
+ *       - in: query
+ *         name: identifier
+ *         schema:
+ *           type: string
+ *         description: Email o IP exactos
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Bloqueos de login
+ *       400:
+ *         description: Filtros inválidos
+ *       401:
+ *         description: No autenticado
+ *       403:
+ *         description: Requiere rol admin
+ */
+const getLockouts = async (req, res) => {
+  try {
+    const { status = 'active', scope, identifier, page = 1, limit = 20 } = req.query;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    if (!['active', 'all'].includes(status) || (scope && !['account', 'ip'].includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Filtros inválidos. status: "active" o "all"; scope: "account" o "ip"'
+      });
+    }
+
+    const query = status === 'active' ? LoginLockout.activeFilter() : {};
+    if (scope) query.scope = scope;
+    if (identifier) query.identifier = String(identifier).trim();
+
+    const [lockouts, totalLockouts] = await Promise.all([
+      LoginLockout.find(query)
+        .populate('userId', 'name email')
+        .populate('clearedBy', 'name')
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum),
+      LoginLockout.countDocuments(query)
+    ]);
+
+    const totalPages = Math.ceil(totalLockouts / limitNum);
+
+    res.json({
+      success: true,
+      data: {
+        lockouts,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalLockouts,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+          limit: limitNum
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener bloqueos de login:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Levantar un bloqueo de login (admin)
+ * La cuenta o IP puede volver a intentar al instante y sus fallos anteriores se olvidan
+ * DELETE /api/security/lockouts/:lockoutId
+ */
+const clearLockout = async (req, res) => {
+  try {
+    const { lockoutId } = req.params;
+
+    if (!mongoose.isValidObjectId(lockoutId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de bloqueo inválido'
+      });
+    }
+
+    const lockout = await LoginLockout.findById(lockoutId);
+
+    if (!lockout) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bloqueo no encontrado'
+      });
+    }
+
+    if (lockout.clearedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'El bloqueo ya fue levantado'
+      });
+    }
+
+    await LoginThrottle.clear(lockout.scope, lockout.identifier);
+
+    lockout.clearedAt = new Date();
+    lockout.clearedBy = req.user._id;
+    await lockout.save();
+
+    res.json({
+      success: true,
+      message: 'Bloqueo levantado exitosamente',
+      data: lockout
+    });
+
+  } catch (error) {
+    console.error('Error al levantar bloqueo de login:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Ajustes de seguridad (admin)
+ * GET /api/security/settings
+ */
+const getSecuritySettings = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        requireTwoFactorForAdmins: await Setting.isTwoFactorRequiredForAdmins()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener ajustes de seguridad:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/security/settings:
+ *   patch:
+ *     summary: Cambiar ajustes de seguridad (admin)
+ *     description: |
+ *       Con `requireTwoFactorForAdmins: true`, los admin sin 2FA no pueden usar las rutas que
+ *       requieren su rol hasta activarlo. Solo un admin con 2FA activo puede encenderlo.
+ *     tags: [Security]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requireTwoFactorForAdmins
+ *             properties:
+ *               requireTwoFactorForAdmins:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Ajustes actualizados
+ *       400:
+ *         description: Valor inválido
+ *       409:
+ *         description: El admin que lo enciende no tiene 2FA activo
+ */
+const updateSecuritySettings = async (req, res) => {
+  try {
+    const { requireTwoFactorForAdmins } = req.body || {};
+
+    if (typeof requireTwoFactorForAdmins !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'requireTwoFactorForAdmins debe ser true o false'
+      });
+    }
+
+    // Evita que el admin pierda el acceso a sus permisos al encender la exigencia
+    if (requireTwoFactorForAdmins && !req.user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'Activa la autenticación de dos factores en tu cuenta antes de exigirla a los admin'
+      });
+    }
+
+    await Setting.setValue('requireTwoFactorForAdmins', requireTwoFactorForAdmins, req.user._id);
+
+    res.json({
+      success: true,
+      message: 'Ajustes de seguridad actualizados',
+      data: {
+        requireTwoFactorForAdmins
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al actualizar ajustes de seguridad:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getLockouts,
+  clearLockout,
+  getSecuritySettings,
+  updateSecuritySettings
+};
@@ -0,0 +1,489 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const { generateTotpSecret, verifyTotp, buildOtpauthUri, encryptTotpSecret, decryptTotpSecret } = require('../utils/totp');
+const { AUTH_CONFIG } = require('../config/auth');
+const {
+  checkAccountThrottle,
+  rejectAccountAttempt,
+  clearAccountFailures,
+  checkAccountPassword
+} = require('../utils/passwordCheck');
+
+/**
+ * Controlador de autenticación de dos factores (TOTP) del usuario autenticado
+ * Activación en dos pasos: setup genera el secreto y confirm lo activa con el primer código
+ */
+
+/**
+ * ¿El usuario está obligado a tener 2FA?
+ * @param {Object} user - Usuario
+ * @returns {boolean} - true si su rol lo exige
+ */
+const isTwoFactorRequired = async (user) => {
+  return user.role === 'admin' && await Setting.isTwoFactorRequiredForAdmins();
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Estado de la autenticación de dos factores
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Estado de 2FA
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     enabled:
+ *                       type: boolean
+ *                     enabledAt:
+ *                       type: string
+ *                       format: date-time
+ *                     recoveryCodesRemaining:
+ *                       type: integer
+ *                     required:
+ *                       type: boolean
+ *                       description: Si el rol del usuario exige 2FA
+ *       401:
+ *         description: No autenticado
+ */
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const user = req.user;
+
+    res.json({
+      success: true,
+      data: {
+        enabled: user.twoFactor.enabled,
+        enabledAt: user.twoFactor.enabledAt,
+        recoveryCodesRemaining: user.twoFactor.enabled ? await User.countRecoveryCodes(user._id) : 0,
+        required: await isTwoFactorRequired(user)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener estado de 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Iniciar la activación de 2FA
+ *     description: |
+ *       Genera un secreto TOTP nuevo y devuelve la URI `otpauth://` para escanear como código QR
+ *       (o el secreto para ingresarlo a mano). 2FA no se activa hasta confirmar con un código
+ *       en POST /api/auth/2fa/confirm. Repetir el setup reemplaza el secreto pendiente.
+ *       Requiere la contraseña, para que un token de acceso robado no alcance para tomar la cuenta.
+ *       Una contraseña incorrecta cuenta como un login fallido.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secreto generado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Secreto en Base32
+ *                     otpauthUri:
+ *                       type: string
+ *                       example: otpauth://totp/Blog%20Interactivo%3Ajuan%40example.com?secret=...
+ *       400:
+ *         description: Falta la contraseña
+ *       401:
+ *         description: No autenticado o contraseña incorrecta
+ *       409:
+ *         description: 2FA ya está activo
+ *       429:
+ *         description: Demasiados intentos fallidos (mismas esperas y bloqueos que el login)
+ */
+const setupTwoFactor = async (req, res) => {
+  try {
+    const { password } = req.body || {};
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: 'La contraseña es requerida'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'La autenticación de dos factores ya está activa'
+      });
+    }
+
+    if (!(await checkAccountPassword(req, res, user, password, 'Contraseña incorrecta'))) {
+      return;
+    }
+
+    const secret = generateTotpSecret();
+    await User.updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': encryptTotpSecret(secret) } });
+
+    res.json({
+      success: true,
+      message: 'Escanea el código con tu app de autenticación y confirma con el primer código',
+      data: {
+        secret,
+        otpauthUri: buildOtpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: AUTH_CONFIG.twoFactor.issuer
+        })
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al iniciar configuración de 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirmar y activar 2FA
+ *     description: |
+ *       Activa 2FA con el primer código de la app. Devuelve los códigos de recuperación, que solo se
+ *       muestran esta vez (cada uno sirve una vez si se pierde el acceso a la app). Al activarlo se
+ *       cierran las demás sesiones, que no pasaron por el segundo factor.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: 2FA activado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                     revokedSessions:
+ *                       type: integer
+ *       400:
+ *         description: Código inválido o no se inició la configuración
+ *       401:
+ *         description: No autenticado
+ *       409:
+ *         description: 2FA ya está activo
+ */
+const confirmTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const user = await User.findById(req.user._id).select('+twoFactor.pendingSecret');
+
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'La autenticación de dos factores ya está activa'
+      });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Primero inicia la configuración en POST /api/auth/2fa/setup'
+      });
+    }
+
+    const secret = decryptTotpSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, code);
+
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código inválido',
+        error: 'Revisa que la hora de tu dispositivo sea correcta e ingresa el código actual'
+      });
+    }
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    const revokedSessions = await Session.revokeAllForUser(user._id, 'two-factor-enabled', req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Autenticación de dos factores activada. Guarda los códigos de recuperación en un lugar seguro',
+      data: {
+        recoveryCodes,
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al activar 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Desactivar 2FA
+ *     description: |
+ *       Requiere la contraseña y un código (de la app o de recuperación). Los admin no pueden
+ *       desactivarlo mientras se exija 2FA a su rol. Una contraseña o un código incorrectos cuentan
+ *       como un login fallido.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 2FA desactivado
+ *       400:
+ *         description: 2FA no está activo, faltan datos o código inválido
+ *       401:
+ *         description: No autenticado o contraseña incorrecta
+ *       403:
+ *         description: El rol del usuario exige 2FA
+ *       429:
+ *         description: Demasiados intentos fallidos (mismas esperas y bloqueos que el login)
+ */
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body || {};
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: 'La contraseña y el código son requeridos'
+      });
+    }
+
+    const user = await User.findById(req.user._id).select('+password +twoFactor.secret');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La autenticación de dos factores no está activa'
+      });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'La autenticación de dos factores es obligatoria para tu rol'
+      });
+    }
+
+    if (!(await checkAccountThrottle(req, res, user))) {
+      return;
+    }
+
+    if (!(await user.comparePassword(password))) {
+      return rejectAccountAttempt(req, res, user, 401, 'Contraseña incorrecta');
+    }
+
+    // Los fallos se olvidan recién con contraseña y código correctos: si la contraseña sola los
+    // olvidara, reenviarla reiniciaría los intentos de adivinar el código
+    const verification = await user.verifyTwoFactorCode(code);
+    if (!verification.valid) {
+      return rejectAccountAttempt(req, res, user, 400, 'Código inválido');
+    }
+
+    await clearAccountFailures(user);
+
+    await User.updateOne({ _id: user._id }, {
+      $set: {
+        'twoFactor.enabled': false,
+        'twoFactor.enabledAt': null,
+        'twoFactor.secret': null,
+        'twoFactor.pendingSecret': null,
+        'twoFactor.recoveryCodes': [],
+        'twoFactor.lastUsedStep': null
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Autenticación de dos factores desactivada'
+    });
+
+  } catch (error) {
+    console.error('Error al desactivar 2FA:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Generar códigos de recuperación nuevos
+ *     description: |
+ *       Reemplaza los códigos de recuperación anteriores. Requiere un código de la app;
+ *       un código incorrecto cuenta como un login fallido.
+ *     tags: [Autenticación]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Códigos nuevos (solo se muestran esta vez)
+ *       400:
+ *         description: 2FA no está activo o código inválido
+ *       401:
+ *         description: No autenticado
+ *       429:
+ *         description: Demasiados intentos fallidos (mismas esperas y bloqueos que el login)
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    const user = await User.findById(req.user._id).select('+twoFactor.secret +twoFactor.lastUsedStep');
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'La autenticación de dos factores no está activa'
+      });
+    }
+
+    if (!(await checkAccountThrottle(req, res, user))) {
+      return;
+    }
+
+    // Solo códigos de la app: un código de recuperación no debería poder renovarlos todos
+    const step = verifyTotp(decryptTotpSecret(user.twoFactor.secret), code);
+    if (step === null || (user.twoFactor.lastUsedStep !== null && step <= user.twoFactor.lastUsedStep)) {
+      return rejectAccountAttempt(req, res, user, 400, 'Código inválido');
+    }
+
+    await clearAccountFailures(user);
+
+    user.twoFactor.lastUsedStep = step;
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Códigos de recuperación renovados. Los anteriores ya no sirven',
+      data: {
+        recoveryCodes
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al renovar códigos de recuperación:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+};
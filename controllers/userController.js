@@ -0,0 +1,418 @@
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const { sendEmailChangeEmail } = require('../utils/accountEmails');
+const { checkAccountPassword } = require('../utils/passwordCheck');
+const { AUTH_CONFIG } = require('../config/auth');
+
+/**
+ * Controlador de perfiles de usuario
+ * Edición del perfil propio (datos, contraseña y email) y perfiles públicos
+ */
+
+// Campos del perfil que el usuario puede editar
+const EDITABLE_PROFILE_FIELDS = ['name', 'avatar', 'bio'];
+
+/**
+ * Responder con los errores de express-validator, si los hay
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @returns {boolean} - true si ya se respondió con 400
+ */
+const rejectInvalidInput = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) return false;
+
+  res.status(400).json({
+    success: false,
+    message: 'Datos de entrada inválidos',
+    errors: errors.array()
+  });
+  return true;
+};
+
+/**
+ * @swagger
+ * /api/users/me:
+ *   patch:
+ *     summary: Editar el perfil propio
+ *     description: |
+ *       Actualiza el nombre, el avatar y la biografía. Solo se cambian los campos enviados; el nombre
+ *       sigue las mismas reglas que en el registro. `avatar: null` quita el avatar y `bio: null` la biografía.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 minLength: 2
+ *                 maxLength: 50
+ *                 example: "Juan Pérez"
+ *               avatar:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "https://example.com/avatar.png"
+ *               bio:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 300
+ *                 example: "Desarrollador backend y lector del blog"
+ *     responses:
+ *       200:
+ *         description: Perfil actualizado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Datos inválidos o ningún campo para actualizar
+ *       401:
+ *         description: No autenticado
+ */
+const updateMe = async (req, res) => {
+  try {
+    if (rejectInvalidInput(req, res)) return;
+
+    const body = req.body || {};
+    const fields = EDITABLE_PROFILE_FIELDS.filter(field => body[field] !== undefined);
+
+    if (fields.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Envía al menos uno de estos campos: ${EDITABLE_PROFILE_FIELDS.join(', ')}`
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    fields.forEach(field => {
+      if (field === 'avatar') {
+        user.avatar = body.avatar || null;
+      } else if (field === 'bio') {
+        user.bio = body.bio || '';
+      } else {
+        user[field] = body[field];
+      }
+    });
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Perfil actualizado exitosamente',
+      data: user.publicInfo
+    });
+
+  } catch (error) {
+    console.error('Error al actualizar perfil:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/users/me/password:
+ *   patch:
+ *     summary: Cambiar la contraseña
+ *     description: |
+ *       Requiere la contraseña actual. La nueva sigue las mismas reglas que en el registro.
+ *       Se cierran las demás sesiones (la actual se mantiene) y los enlaces para restablecer
+ *       la contraseña pendientes dejan de servir.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 6
+ *                 description: Nueva contraseña (mínimo 6 caracteres, con mayúscula, minúscula y número)
+ *     responses:
+ *       200:
+ *         description: Contraseña cambiada (devuelve la cantidad de sesiones cerradas)
+ *       400:
+ *         description: Datos inválidos o la nueva contraseña es igual a la actual
+ *       401:
+ *         description: No autenticado o contraseña actual incorrecta (el fallo cuenta como un login fallido)
+ *       429:
+ *         description: Demasiados intentos fallidos (mismas esperas y bloqueos que el login)
+ */
+const changePassword = async (req, res) => {
+  try {
+    if (rejectInvalidInput(req, res)) return;
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await checkAccountPassword(req, res, user, currentPassword, 'Contraseña actual incorrecta'))) {
+      return;
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'La nueva contraseña debe ser distinta de la actual'
+      });
+    }
+
+    user.password = newPassword;
+    await user.save();
+
+    // Quien tuviera la contraseña anterior pierde el acceso; la sesión actual se conserva
+    const [revokedSessions] = await Promise.all([
+      Session.revokeAllForUser(user._id, 'password-change', req.sessionId),
+      UserToken.invalidateForUser(user._id, 'password-reset')
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Contraseña cambiada exitosamente',
+      data: {
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al cambiar contraseña:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/users/me/email:
+ *   patch:
+ *     summary: Cambiar el email
+ *     description: |
+ *       Requiere la contraseña. Envía un enlace de confirmación al email nuevo y un aviso al actual.
+ *       El cambio se aplica (y el email nuevo queda verificado) al abrir el enlace, que se procesa en
+ *       `/api/auth/verify-email`; hasta entonces la cuenta sigue usando el email actual. Pedir otro
+ *       cambio invalida el enlace anterior; entre dos pedidos hay que esperar
+ *       `EMAIL_VERIFICATION_RESEND_SECONDS` segundos.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "nuevo@example.com"
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Enlace de confirmación enviado al email nuevo
+ *       400:
+ *         description: Datos inválidos o el email es igual al actual
+ *       401:
+ *         description: No autenticado o contraseña incorrecta (el fallo cuenta como un login fallido)
+ *       409:
+ *         description: El email ya está registrado
+ *       429:
+ *         description: |
+ *           Se pidió otro cambio hace poco, o demasiados intentos fallidos de contraseña
+ *           (ver retryAfter y la cabecera Retry-After)
+ */
+const changeEmail = async (req, res) => {
+  try {
+    if (rejectInvalidInput(req, res)) return;
+
+    const { email, password } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!(await checkAccountPassword(req, res, user, password, 'Contraseña incorrecta'))) {
+      return;
+    }
+
+    if (email === user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'El email nuevo es igual al actual'
+      });
+    }
+
+    if (await User.emailExists(email)) {
+      return res.status(409).json({
+        success: false,
+        message: 'El email ya está registrado',
+        error: 'Ya existe un usuario con este email'
+      });
+    }
+
+    const latest = await UserToken.findLatestForUser(user._id, 'email-change');
+    if (latest) {
+      const elapsedSeconds = (Date.now() - latest.createdAt.getTime()) / 1000;
+      const retryAfter = Math.ceil(AUTH_CONFIG.emailVerificationResendSeconds - elapsedSeconds);
+
+      if (retryAfter > 0) {
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          success: false,
+          message: `Espera ${retryAfter} segundo(s) antes de pedir otro cambio de email`,
+          retryAfter
+        });
+      }
+    }
+
+    await sendEmailChangeEmail(user, email, req);
+
+    res.json({
+      success: true,
+      message: `Te enviamos un enlace a ${email} para confirmar el cambio. Hasta entonces tu cuenta sigue usando ${user.email}`,
+      data: {
+        pendingEmail: email
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al cambiar email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Perfil público de un usuario
+ *     description: |
+ *       Devuelve el nombre, avatar, biografía, rol y fecha de alta (nunca el email) junto con sus
+ *       comentarios aprobados más recientes en artículos publicados.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 50
+ *     responses:
+ *       200:
+ *         description: Perfil y comentarios recientes
+ *       400:
+ *         description: ID inválido
+ *       404:
+ *         description: Usuario no encontrado
+ */
+const getPublicProfile = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { page = 1, limit = 10 } = req.query;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'ID de usuario inválido'
+      });
+    }
+
+    const user = await User.findOne({ _id: id, isActive: true });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+
+    const { comments, total: totalComments } = await Comment.getCommentsByUser(user._id, {
+      page: pageNum,
+      limit: limitNum
+    });
+
+    const totalPages = Math.ceil(totalComments / limitNum);
+
+    res.json({
+      success: true,
+      data: {
+        user: user.publicProfile,
+        comments,
+        pagination: {
+          currentPage: pageNum,
+          totalPages,
+          totalComments,
+          hasNextPage: pageNum < totalPages,
+          hasPrevPage: pageNum > 1,
+          limit: limitNum
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error al obtener perfil público:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  updateMe,
+  changePassword,
+  changeEmail,
+  getPublicProfile
+};
@@ -1,11 +1,26 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const { AUTH_CONFIG } = require('../config/auth');
 
 /**
  * Middleware de autenticación JWT
  * Verifica si el usuario está autenticado y agrega la información del usuario a req.user
  */
 
+/**
+ * Verificar que la sesión del token siga activa (logout, cierre remoto o reutilización la revocan)
+ * Los tokens emitidos antes de las sesiones en el servidor no tienen sid y valen hasta que expiran
+ * @param {Object} decoded - Payload del token
+ * @returns {Promise<boolean>} - true si la sesión sigue activa
+ */
+const isTokenSessionActive = async (decoded) => {
+  if (!decoded.sid) return true;
+  return Session.isActiveSession(decoded.sid, decoded.userId);
+};
+
 /**
  * Middleware para verificar token JWT
  * @param {Object} req - Request object
@@ -48,8 +63,17 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Agregar información del usuario al request
+    if (!(await isTokenSessionActive(decoded))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sesión revocada',
+        error: 'La sesión fue cerrada. Inicia sesión nuevamente'
+      });
+    }
+
+    // Agregar información del usuario (y de su sesión) al request
     req.user = user;
+    req.sessionId = decoded.sid || null;
     next();
 
   } catch (error) {
@@ -98,8 +122,9 @@ const optionalAuth = async (req, res, next) => {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const user = await User.findById(decoded.userId).select('-password');
     
-    if (user && user.isActive) {
+    if (user && user.isActive && await isTokenSessionActive(decoded)) {
       req.user = user;
+      req.sessionId = decoded.sid || null;
     } else {
       req.user = null;
     }
@@ -113,13 +138,51 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Responder 500 si no se pudo consultar la política de 2FA
+ * @param {Object} res - Response object
+ * @param {Error} error - Error original
+ */
+const sendAuthorizationError = (res, error) => {
+  console.error('Error al verificar la política de 2FA:', error);
+  return res.status(500).json({
+    success: false,
+    message: 'Error interno del servidor',
+    error: 'Error al verificar la autorización'
+  });
+};
+
+/**
+ * Verificar si un admin tiene sus permisos suspendidos porque la política exige 2FA y no lo activó
+ * @param {Object} user - Usuario
+ * @returns {Promise<boolean>} - true si debe activar 2FA antes de usar sus permisos de admin
+ */
+const requiresTwoFactorSetup = async (user) => {
+  return user.role === 'admin' &&
+    !(user.twoFactor && user.twoFactor.enabled) &&
+    await Setting.isTwoFactorRequiredForAdmins();
+};
+
+/**
+ * Verificar si un usuario puede usar alguno de los roles indicados
+ * Un admin con los permisos suspendidos por la política de 2FA no cuenta como ninguno de ellos;
+ * todo permiso de admin (o de staff) tiene que pasar por aquí o por requireRole
+ * @param {Object} user - Usuario (puede ser null)
+ * @param {...string} roles - Roles que otorgan el permiso
+ * @returns {Promise<boolean>} - true si tiene uno de los roles y puede usarlo
+ */
+const hasEffectiveRole = async (user, ...roles) => {
+  if (!user || !roles.includes(user.role)) return false;
+  return !(await requiresTwoFactorSetup(user));
+};
+
 /**
  * Middleware para verificar roles de usuario
  * @param {...string} roles - Roles permitidos
  * @returns {Function} - Middleware function
  */
 const requireRole = (...roles) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -136,6 +199,20 @@ const requireRole = (...roles) => {
       });
     }
 
+    // Si se exige 2FA a los admin, uno sin 2FA no puede usar sus permisos hasta activarlo
+    try {
+      if (await requiresTwoFactorSetup(req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Autenticación de dos factores requerida',
+          error: 'Activa la autenticación de dos factores en POST /api/auth/2fa/setup para usar los permisos de admin',
+          twoFactorSetupRequired: true
+        });
+      }
+    } catch (error) {
+      return sendAuthorizationError(res, error);
+    }
+
     next();
   };
 };
@@ -146,7 +223,7 @@ const requireRole = (...roles) => {
  * @returns {Function} - Middleware function
  */
 const requireOwnership = (userIdParam = 'userId') => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
         success: false,
@@ -155,15 +232,22 @@ const requireOwnership = (userIdParam = 'userId') => {
       });
     }
 
-    // Si es admin, permitir acceso
-    if (req.user.role === 'admin') {
-      return next();
+    // Si es admin (con 2FA, si la política lo exige), permitir acceso
+    try {
+      if (await hasEffectiveRole(req.user, 'admin')) {
+        return next();
+      }
+    } catch (error) {
+      return sendAuthorizationError(res, error);
     }
 
     // Verificar si el usuario es propietario del recurso
-    const resourceUserId = req.params[userIdParam] || req.body[userIdParam];
+    // (si un middleware previo cargó el recurso, se usa su propietario en lugar del body)
+    const resourceUserId = req.resourceOwnerId !== undefined
+      ? req.resourceOwnerId
+      : req.params[userIdParam] || req.body[userIdParam];
     
-    if (req.user._id.toString() !== resourceUserId) {
+    if (!resourceUserId || req.user._id.toString() !== resourceUserId.toString()) {
       return res.status(403).json({
         success: false,
         message: 'Acceso denegado',
@@ -176,19 +260,25 @@ const requireOwnership = (userIdParam = 'userId') => {
 };
 
 /**
- * Función para generar token JWT
+ * Función para generar el token JWT de acceso (de corta duración)
  * @param {Object} user - Objeto usuario
+ * @param {Object} session - Sesión a la que pertenece el token (opcional)
  * @returns {string} - Token JWT
  */
-const generateToken = (user) => {
+const generateToken = (user, session = null) => {
   const payload = {
     userId: user._id,
     email: user.email,
     role: user.role
   };
 
+  // sid vincula el token de acceso con su sesión (refresh token)
+  if (session) {
+    payload.sid = session._id.toString();
+  }
+
   const options = {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+    expiresIn: process.env.JWT_EXPIRES_IN || '15m',
     issuer: process.env.JWT_ISSUER || 'blog-api',
     audience: process.env.JWT_AUDIENCE || 'blog-users'
   };
@@ -196,6 +286,41 @@ const generateToken = (user) => {
   return jwt.sign(payload, process.env.JWT_SECRET, options);
 };
 
+/**
+ * Clave de los tokens de desafío 2FA
+ * Es distinta de JWT_SECRET para que un token de desafío nunca sirva como token de acceso
+ * @returns {string} - Clave de firma
+ */
+const getChallengeSecret = () => {
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('2fa-challenge').digest('hex');
+};
+
+/**
+ * Generar el token de desafío del segundo paso del login (contraseña ya verificada)
+ * @param {Object} user - Usuario
+ * @returns {string} - Token de desafío
+ */
+const generateTwoFactorChallenge = (user) => {
+  return jwt.sign({ userId: user._id }, getChallengeSecret(), {
+    expiresIn: AUTH_CONFIG.twoFactor.challengeMinutes * 60,
+    issuer: process.env.JWT_ISSUER || 'blog-api',
+    audience: process.env.JWT_AUDIENCE || 'blog-users'
+  });
+};
+
+/**
+ * Verificar un token de desafío 2FA
+ * @param {string} token - Token de desafío
+ * @returns {string|null} - ID del usuario, o null si el token es inválido o expiró
+ */
+const verifyTwoFactorChallenge = (token) => {
+  try {
+    return jwt.verify(String(token), getChallengeSecret()).userId;
+  } catch (error) {
+    return null;
+  }
+};
+
 /**
  * Función para verificar token JWT sin middleware
  * @param {string} token - Token JWT
@@ -210,6 +335,10 @@ const verifyToken = async (token) => {
       return { valid: false, error: 'Usuario no encontrado o inactivo' };
     }
 
+    if (!(await isTokenSessionActive(decoded))) {
+      return { valid: false, error: 'Sesión revocada' };
+    }
+
     return { valid: true, user, decoded };
   } catch (error) {
     return { valid: false, error: error.message };
@@ -221,7 +350,11 @@ module.exports = {
   optionalAuth,
   requireRole,
   requireOwnership,
+  hasEffectiveRole,
+  requiresTwoFactorSetup,
   generateToken,
-  verifyToken
+  verifyToken,
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
 };
 
@@ -0,0 +1,75 @@
+const Comment = require('../models/Comment');
+const { requireOwnership } = require('./auth');
+
+/**
+ * Middleware de acceso a comentarios propios
+ * Permite editar o eliminar un comentario a su autor autenticado (o a un admin)
+ * y a los autores anónimos que presenten el token de edición recibido al comentar
+ */
+
+const EDIT_TOKEN_HEADER = 'x-comment-edit-token';
+
+/**
+ * Cargar el comentario de :commentId en req.comment
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next middleware function
+ */
+const loadComment = async (req, res, next) => {
+  try {
+    const comment = await Comment.findById(req.params.commentId).select('+editTokenHash');
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comentario no encontrado'
+      });
+    }
+
+    req.comment = comment;
+    // Propietario usado por requireOwnership (null para comentarios anónimos)
+    req.resourceOwnerId = comment.userId ? comment.userId.toString() : null;
+    next();
+
+  } catch (error) {
+    console.error('Error al cargar comentario:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error interno del servidor',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Verificar que quien hace la petición puede modificar req.comment
+ * Con token de edición (cabecera X-Comment-Edit-Token o body.editToken) se valida el token;
+ * sin token se aplica requireOwnership sobre el userId del comentario
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next middleware function
+ */
+const requireCommentOwnership = (req, res, next) => {
+  const editToken = req.headers[EDIT_TOKEN_HEADER] || (req.body && req.body.editToken);
+
+  if (editToken) {
+    if (!req.comment.verifyEditToken(editToken)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Acceso denegado',
+        error: 'Token de edición inválido'
+      });
+    }
+
+    req.commentAccess = 'token';
+    return next();
+  }
+
+  req.commentAccess = 'owner';
+  return requireOwnership('userId')(req, res, next);
+};
+
+module.exports = {
+  loadComment,
+  requireCommentOwnership
+};
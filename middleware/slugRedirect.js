@@ -0,0 +1,87 @@
+const Article = require('../models/Article');
+const { verifyToken, hasEffectiveRole } = require('./auth');
+
+/**
+ * Middleware de redirección de slugs antiguos
+ * Si un artículo cambió de slug, las rutas con el slug anterior responden con
+ * una redirección permanente hacia la misma ruta con el slug canónico
+ */
+
+/**
+ * Escapar un texto para usarlo dentro de una expresión regular
+ * @param {string} text - Texto a escapar
+ * @returns {string} - Texto escapado
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Obtener el usuario del token de la petición, si lo hay
+ * router.param se ejecuta antes que los middleware de autenticación de la ruta
+ * @param {Object} req - Request object
+ * @returns {Object|null} - Usuario autenticado o null
+ */
+const getRequestUser = async (req) => {
+  if (req.user) return req.user;
+
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+  if (!token) return null;
+
+  const result = await verifyToken(token);
+  return result.valid ? result.user : null;
+};
+
+/**
+ * Handler para router.param('slug', ...)
+ * Usa 301 para GET/HEAD y 308 para el resto de métodos (conserva método y body)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next middleware function
+ * @param {string} slug - Valor del parámetro :slug
+ */
+const redirectPreviousSlug = async (req, res, next, slug) => {
+  try {
+    const candidates = await Article.findByPreviousSlug(slug);
+    let article = candidates.find(candidate => candidate.isPublic());
+
+    // Los slugs antiguos de artículos no públicos solo se resuelven para quien puede verlos;
+    // el token se verifica solo en ese caso, no en cada petición con slug
+    if (!article && candidates.length > 0) {
+      const user = await getRequestUser(req);
+      const viewer = {
+        userId: user ? user._id : null,
+        isEditor: await hasEffectiveRole(user, 'admin', 'editor')
+      };
+      article = candidates.find(candidate => candidate.isVisibleTo(viewer));
+    }
+
+    if (!article) {
+      return next();
+    }
+
+    // Reemplazar el segmento /articles/:slug de la URL original por el slug canónico
+    const [path, queryString] = req.originalUrl.split('?');
+    const slugSegment = new RegExp(`/articles/${escapeRegExp(encodeURIComponent(slug))}(?=/|$)`);
+    const canonicalPath = path.replace(slugSegment, `/articles/${article.slug}`);
+    const canonicalUrl = queryString ? `${canonicalPath}?${queryString}` : canonicalPath;
+
+    const statusCode = ['GET', 'HEAD'].includes(req.method) ? 301 : 308;
+
+    res.set('Location', canonicalUrl);
+    return res.status(statusCode).json({
+      success: false,
+      message: 'El artículo cambió de slug',
+      redirect: true,
+      slug: article.slug,
+      canonicalUrl
+    });
+
+  } catch (error) {
+    console.error('Error al resolver slug anterior:', error);
+    next();
+  }
+};
+
+module.exports = {
+  redirectPreviousSlug
+};
@@ -0,0 +1,82 @@
+const { body } = require('express-validator');
+
+/**
+ * Reglas de validación de los datos de la cuenta
+ * Las comparten el registro (authRoutes) y la edición del perfil (userRoutes)
+ * para que un dato aceptado al registrarse también se acepte al editarlo
+ */
+
+// Longitud máxima de la biografía del perfil
+const BIO_MAX_LENGTH = 300;
+
+/**
+ * Validación del nombre
+ * @param {string} field - Campo del body
+ * @returns {Object} - Cadena de validación
+ */
+const nameValidation = (field = 'name') => body(field)
+  .trim()
+  .isLength({ min: 2, max: 50 })
+  .withMessage('El nombre debe tener entre 2 y 50 caracteres')
+  .matches(/^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/)
+  .withMessage('El nombre solo puede contener letras y espacios');
+
+/**
+ * Validación de un email nuevo
+ * @param {string} field - Campo del body
+ * @returns {Object} - Cadena de validación
+ */
+const emailValidation = (field = 'email') => body(field)
+  .isEmail()
+  .withMessage('Debe ser un email válido')
+  .normalizeEmail()
+  .isLength({ max: 100 })
+  .withMessage('El email no puede exceder 100 caracteres');
+
+/**
+ * Validación de una contraseña nueva
+ * @param {string} field - Campo del body
+ * @returns {Object} - Cadena de validación
+ */
+const newPasswordValidation = (field = 'password') => body(field)
+  .isLength({ min: 6 })
+  .withMessage('La contraseña debe tener al menos 6 caracteres')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('La contraseña debe contener al menos una minúscula, una mayúscula y un número');
+
+/**
+ * Validación del avatar (URL http/https; null lo quita)
+ * @param {string} field - Campo del body
+ * @returns {Object} - Cadena de validación
+ */
+const avatarValidation = (field = 'avatar') => body(field)
+  .optional({ values: 'null' })
+  .isString()
+  .withMessage('El avatar debe ser una URL')
+  .trim()
+  .isURL({ protocols: ['http', 'https'], require_protocol: true })
+  .withMessage('El avatar debe ser una URL http o https')
+  .isLength({ max: 500 })
+  .withMessage('La URL del avatar no puede exceder 500 caracteres');
+
+/**
+ * Validación de la biografía (null o vacía la quita)
+ * @param {string} field - Campo del body
+ * @returns {Object} - Cadena de validación
+ */
+const bioValidation = (field = 'bio') => body(field)
+  .optional({ values: 'null' })
+  .isString()
+  .withMessage('La biografía debe ser texto')
+  .trim()
+  .isLength({ max: BIO_MAX_LENGTH })
+  .withMessage(`La biografía no puede exceder ${BIO_MAX_LENGTH} caracteres`);
+
+module.exports = {
+  BIO_MAX_LENGTH,
+  nameValidation,
+  emailValidation,
+  newPasswordValidation,
+  avatarValidation,
+  bioValidation
+};
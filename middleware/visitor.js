@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+
+/**
+ * Middleware de identidad de visitantes anónimos
+ * El servidor emite un token firmado (cookie y cabecera X-Visitor-Token) que identifica
+ * al visitante sin necesidad de cuenta, y agrega req.visitor = { id, ipHash, isNew }
+ */
+
+const VISITOR_COOKIE = 'blog_visitor';
+const VISITOR_HEADER = 'x-visitor-token';
+const VISITOR_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * Obtener el secreto usado para firmar tokens de visitante
+ * @returns {string} - Secreto HMAC
+ */
+const getVisitorSecret = () => process.env.VISITOR_SECRET || process.env.JWT_SECRET;
+
+/**
+ * Firmar un ID de visitante
+ * @param {string} visitorId - ID del visitante
+ * @returns {string} - Firma en base64url
+ */
+const sign = (visitorId) => {
+  return crypto
+    .createHmac('sha256', getVisitorSecret())
+    .update(visitorId)
+    .digest('base64url');
+};
+
+/**
+ * Generar un token de visitante nuevo
+ * @returns {Object} - { visitorId, token }
+ */
+const generateVisitorToken = () => {
+  const visitorId = crypto.randomUUID();
+  return { visitorId, token: `${visitorId}.${sign(visitorId)}` };
+};
+
+/**
+ * Verificar un token de visitante
+ * @param {string} token - Token con formato "<visitorId>.<firma>"
+ * @returns {string|null} - ID del visitante si la firma es válida
+ */
+const verifyVisitorToken = (token) => {
+  if (!token || typeof token !== 'string') return null;
+
+  const [visitorId, signature] = token.split('.');
+  if (!visitorId || !signature) return null;
+
+  const expected = Buffer.from(sign(visitorId));
+  const received = Buffer.from(signature);
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  return visitorId;
+};
+
+/**
+ * Leer una cookie de la cabecera Cookie (sin depender de cookie-parser)
+ * @param {Object} req - Request object
+ * @param {string} name - Nombre de la cookie
+ * @returns {string|null} - Valor de la cookie
+ */
+const readCookie = (req, name) => {
+  const header = req.headers.cookie;
+  if (!header) return null;
+
+  const cookie = header
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  return cookie ? decodeURIComponent(cookie.substring(name.length + 1)) : null;
+};
+
+/**
+ * Hashear la IP del cliente (no se guarda la IP en claro)
+ * @param {string} ip - Dirección IP
+ * @returns {string|null} - Hash de la IP
+ */
+const hashIp = (ip) => {
+  if (!ip) return null;
+  return crypto
+    .createHmac('sha256', getVisitorSecret())
+    .update(ip)
+    .digest('hex');
+};
+
+/**
+ * Construir req.visitor a partir del token recibido
+ * @param {Object} req - Request object
+ * @returns {Object|null} - Visitante identificado o null
+ */
+const readVisitor = (req) => {
+  const token = req.headers[VISITOR_HEADER] || readCookie(req, VISITOR_COOKIE);
+  const visitorId = verifyVisitorToken(token);
+
+  if (!visitorId) return null;
+
+  return { id: visitorId, ipHash: hashIp(req.ip), isNew: false };
+};
+
+/**
+ * Middleware que identifica al visitante y emite un token nuevo si no tiene uno válido
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next middleware function
+ */
+const identifyVisitor = (req, res, next) => {
+  let visitor = readVisitor(req);
+
+  if (!visitor) {
+    const { visitorId, token } = generateVisitorToken();
+    visitor = { id: visitorId, ipHash: hashIp(req.ip), isNew: true };
+
+    res.cookie(VISITOR_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: VISITOR_MAX_AGE_MS
+    });
+    res.set('X-Visitor-Token', token);
+  }
+
+  req.visitor = visitor;
+  next();
+};
+
+/**
+ * Middleware opcional: agrega req.visitor si llega un token válido, sin emitir uno nuevo
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Function} next - Next middleware function
+ */
+const optionalVisitor = (req, res, next) => {
+  req.visitor = readVisitor(req);
+  next();
+};
+
+module.exports = {
+  identifyVisitor,
+  optionalVisitor,
+  generateVisitorToken,
+  verifyVisitorToken
+};
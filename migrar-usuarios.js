@@ -0,0 +1,40 @@
+require('dotenv').config();
+const User = require('./models/User');
+const connectDB = require('./config/db');
+
+/**
+ * Script para completar los datos de usuarios creados antes de las últimas migraciones
+ * - nameKey: nombre normalizado con el que se resuelven las menciones @Nombre
+ * - emailVerified (opcional): con --emails-verificados-antes-de=AAAA-MM-DD marca como verificados
+ *   los emails de las cuentas creadas antes de esa fecha (la de la activación de la verificación)
+ * Ejecutar con: node migrar-usuarios.js [--emails-verificados-antes-de=AAAA-MM-DD]
+ */
+
+const VERIFIED_BEFORE_FLAG = '--emails-verificados-antes-de=';
+const verifiedBeforeArg = process.argv.find(arg => arg.startsWith(VERIFIED_BEFORE_FLAG));
+const verifiedBefore = verifiedBeforeArg ? new Date(verifiedBeforeArg.substring(VERIFIED_BEFORE_FLAG.length)) : null;
+
+if (verifiedBefore && isNaN(verifiedBefore.getTime())) {
+  console.error(`Error: fecha inválida en ${verifiedBeforeArg}`);
+  process.exit(1);
+}
+
+connectDB();
+
+setTimeout(async () => {
+  try {
+    const updatedNames = await User.syncNameKeys();
+    console.log(`\n🔄 Nombres normalizados para menciones: ${updatedNames} usuarios`);
+
+    if (verifiedBefore) {
+      const verifiedUsers = await User.markEmailsVerifiedBefore(verifiedBefore);
+      console.log(`🔄 Emails marcados como verificados (cuentas anteriores a ${verifiedBefore.toISOString()}): ${verifiedUsers} usuarios`);
+    }
+
+    console.log('\n✅ Migración completada');
+    process.exit(0);
+  } catch(e) {
+    console.error('Error:', e.message);
+    process.exit(1);
+  }
+}, 2000);
@@ -1,10 +1,33 @@
 const mongoose = require('mongoose');
+const { COMMENT_MODERATION_POLICIES } = require('../config/moderation');
 
 /**
  * Esquema y Modelo para Artículos del Blog
  * Incluye campos para título, contenido, autor, fecha, tags y contador de likes
  */
 
+// Estados editoriales de un artículo
+const ARTICLE_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'archived'];
+
+// Transiciones de estado permitidas (estado actual -> estados destino)
+const STATUS_TRANSITIONS = {
+  draft: ['in_review', 'scheduled', 'published', 'archived'],
+  in_review: ['draft', 'scheduled', 'published'],
+  scheduled: ['draft', 'published', 'archived'],
+  published: ['draft', 'archived'],
+  archived: ['draft']
+};
+
+// Estados a los que solo editores y administradores pueden mover un artículo
+const EDITOR_ONLY_STATUSES = ['scheduled', 'published', 'archived'];
+
+// Estados de los que solo editores y administradores pueden sacar un artículo
+// (un autor no puede despublicar ni cancelar una programación sin revisión editorial)
+const EDITOR_ONLY_SOURCE_STATUSES = ['scheduled', 'published'];
+
+// Estados que hacen visible el artículo (los programados solo cuando llega su publishedAt)
+const PUBLIC_STATUSES = ['scheduled', 'published'];
+
 const articleSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -21,6 +44,12 @@ const articleSchema = new mongoose.Schema({
     lowercase: true,
     match: [/^[a-z0-9-]+$/, 'El slug solo puede contener letras minúsculas, números y guiones']
   },
+  // Slugs anteriores del artículo, para redirigir enlaces antiguos al slug canónico
+  previousSlugs: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
   content: {
     type: String,
     required: [true, 'El contenido del artículo es obligatorio'],
@@ -37,6 +66,12 @@ const articleSchema = new mongoose.Schema({
     trim: true,
     maxlength: [100, 'El nombre del autor no puede exceder 100 caracteres']
   },
+  // Usuario que creó el artículo desde la API (null para artículos cargados por script)
+  authorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   imagenUrl: {
     type: String,
     trim: true,
@@ -53,11 +88,44 @@ const articleSchema = new mongoose.Schema({
     default: 0,
     min: [0, 'El contador de likes no puede ser negativo']
   },
+  // Totales por tipo de reacción (clave de config/reactions.js -> cantidad)
+  reactionCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  // Política de moderación de comentarios propia del artículo (null = usar la global)
+  commentModeration: {
+    type: String,
+    enum: {
+      values: COMMENT_MODERATION_POLICIES,
+      message: 'Política de moderación inválida: {VALUE}'
+    },
+    default: null
+  },
   viewsCount: {
     type: Number,
     default: 0,
     min: [0, 'El contador de vistas no puede ser negativo']
   },
+  status: {
+    type: String,
+    enum: {
+      values: ARTICLE_STATUSES,
+      message: 'Estado de artículo inválido: {VALUE}'
+    },
+    default: 'published'
+  },
+  statusChangedAt: {
+    type: Date,
+    default: null
+  },
+  statusChangedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Derivado de status en el pre-save; se mantiene para las consultas públicas
   isPublished: {
     type: Boolean,
     default: true
@@ -66,6 +134,11 @@ const articleSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Último número de revisión asignado (contador atómico, ver ArticleRevision.nextRevisionNumber)
+  revisionCount: {
+    type: Number,
+    select: false
+  },
   updatedAt: {
     type: Date,
     default: Date.now
@@ -82,6 +155,9 @@ articleSchema.index({ title: 'text', content: 'text' }); // Índice de texto par
 articleSchema.index({ publishedAt: -1 }); // Índice para ordenar por fecha de publicación
 articleSchema.index({ tags: 1 }); // Índice para búsqueda por tags
 articleSchema.index({ author: 1 }); // Índice para búsqueda por autor
+articleSchema.index({ previousSlugs: 1 }); // Índice para resolver slugs antiguos
+articleSchema.index({ status: 1, updatedAt: 1 }); // Índice para la cola de revisión
+articleSchema.index({ authorId: 1, status: 1 }); // Índice para los borradores de cada autor
 
 // Virtual para obtener la URL del artículo
 articleSchema.virtual('url').get(function() {
@@ -95,8 +171,30 @@ articleSchema.virtual('readingTime').get(function() {
   return Math.ceil(wordCount / wordsPerMinute);
 });
 
+// Recordar el slug con el que se cargó el documento para detectar cambios
+articleSchema.post('init', function() {
+  this.$locals.originalSlug = this.slug;
+});
+
 // Middleware pre-save para generar excerpt automáticamente si no existe
 articleSchema.pre('save', function(next) {
+  // Guardar el slug anterior en el historial si cambió
+  const originalSlug = this.$locals.originalSlug;
+  if (!this.isNew && this.isModified('slug') && originalSlug && originalSlug !== this.slug) {
+    const history = (this.previousSlugs || []).filter(slug => slug !== this.slug && slug !== originalSlug);
+    this.previousSlugs = [...history, originalSlug];
+  }
+
+  // Sincronizar isPublished con el estado editorial
+  if (this.isNew || this.isModified('status')) {
+    this.isPublished = PUBLIC_STATUSES.includes(this.status);
+  }
+
+  // Un artículo nuevo sin publicar no tiene fecha de publicación hasta que se publique
+  if (this.isNew && !PUBLIC_STATUSES.includes(this.status)) {
+    this.publishedAt = null;
+  }
+
   if (!this.excerpt && this.content) {
     // Generar excerpt desde el contenido (primeros 150 caracteres)
     this.excerpt = this.content.substring(0, 150).trim() + '...';
@@ -104,17 +202,257 @@ articleSchema.pre('save', function(next) {
   
   // Actualizar updatedAt en cada modificación
   this.updatedAt = new Date();
+
+  // Marcar si el guardado debe generar una revisión (cambios en título, contenido o tags, o restauración)
+  this.$locals.recordRevision = this.isNew ||
+    this.isModified('title') ||
+    this.isModified('content') ||
+    this.isModified('tags') ||
+    !!this.$locals.restoredFrom;
   
   next();
 });
 
+/**
+ * Middleware pre-save: Revisión inicial de los artículos creados antes del historial
+ * Antes de su primera edición se guarda la versión almacenada, para no perder el contenido original
+ */
+articleSchema.pre('save', async function() {
+  if (this.isNew || !this.$locals.recordRevision) return;
+
+  const stored = await this.constructor.findById(this._id).select('+revisionCount title content tags');
+  if (!stored || stored.revisionCount != null) return;
+
+  const ArticleRevision = mongoose.model('ArticleRevision');
+  if (await ArticleRevision.exists({ articleId: this._id })) return;
+
+  await ArticleRevision.recordRevision(stored);
+});
+
+// Middleware post-save para registrar la revisión del artículo
+// El controlador puede indicar el autor del cambio en $locals.revisionUser
+// Si la revisión no se puede registrar, el error llega a quien llamó a save()
+articleSchema.post('save', async function(doc) {
+  doc.$locals.originalSlug = doc.slug;
+
+  if (!doc.$locals.recordRevision) return;
+
+  const ArticleRevision = mongoose.model('ArticleRevision');
+  await ArticleRevision.recordRevision(doc, {
+    user: doc.$locals.revisionUser || null,
+    restoredFrom: doc.$locals.restoredFrom || null
+  });
+});
+
+/**
+ * Convertir un texto en slug válido (minúsculas, sin acentos, separado por guiones)
+ * @param {string} text - Texto de origen (normalmente el título)
+ * @returns {string} - Slug normalizado
+ */
+const slugify = (text = '') => {
+  return text
+    .toString()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '') // Quitar acentos y diacríticos
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 100)
+    .replace(/-+$/g, '');
+};
+
+// Método estático para normalizar textos a slug
+articleSchema.statics.slugify = slugify;
+
+/**
+ * Método estático: Verificar si un slug está libre
+ * Un slug no está disponible si otro artículo lo usa actualmente o lo usó antes
+ * @param {string} slug - Slug a verificar
+ * @param {string} excludeId - ID de artículo a ignorar (para actualizaciones)
+ * @returns {boolean} - True si el slug está disponible
+ */
+articleSchema.statics.isSlugAvailable = async function(slug, excludeId = null) {
+  const taken = await this.exists({
+    $or: [{ slug }, { previousSlugs: slug }],
+    ...(excludeId ? { _id: { $ne: excludeId } } : {})
+  });
+  return !taken;
+};
+
+/**
+ * Método estático: Generar un slug único a partir de un texto
+ * Si el slug ya está en uso agrega un sufijo numérico (-2, -3, ...)
+ * @param {string} text - Texto de origen
+ * @param {string} excludeId - ID de artículo a ignorar (para actualizaciones)
+ * @returns {string} - Slug disponible
+ */
+articleSchema.statics.generateUniqueSlug = async function(text, excludeId = null) {
+  const baseSlug = slugify(text) || 'articulo';
+  let candidate = baseSlug;
+  let suffix = 2;
+
+  while (!(await this.isSlugAvailable(candidate, excludeId))) {
+    candidate = `${baseSlug}-${suffix}`;
+    suffix += 1;
+  }
+
+  return candidate;
+};
+
+/**
+ * Método estático: Buscar los artículos que usaron un slug antiguo
+ * No filtra por visibilidad: quien llama decide con isPublic/isVisibleTo, así solo
+ * necesita identificar al usuario cuando el slug antiguo es de un artículo no público
+ * @param {string} slug - Slug solicitado
+ * @returns {Array} - Artículos (_id, slug, autor y publicación); vacío si el slug está en uso
+ */
+articleSchema.statics.findByPreviousSlug = async function(slug) {
+  const normalizedSlug = slug.trim().toLowerCase();
+
+  if (await this.exists({ slug: normalizedSlug })) {
+    return [];
+  }
+
+  return await this.find({ previousSlugs: normalizedSlug })
+    .select('_id slug authorId isPublished publishedAt');
+};
+
+/**
+ * Método estático: Filtro de artículos visibles públicamente
+ * Los artículos programados pasan a ser visibles cuando su publishedAt ya ocurrió,
+ * sin necesidad de un proceso que cambie el estado
+ * @returns {Object} - Filtro de Mongo
+ */
+articleSchema.statics.publicFilter = function() {
+  return {
+    isPublished: true,
+    publishedAt: { $lte: new Date() }
+  };
+};
+
+/**
+ * Método estático: Verificar si una transición de estado está permitida
+ * @param {string} from - Estado actual
+ * @param {string} to - Estado destino
+ * @returns {boolean} - True si la transición es válida
+ */
+articleSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Método estático: Verificar si un usuario puede mover artículos a un estado
+ * @param {boolean} isEditor - Si el usuario es editor o administrador (con el rol efectivo,
+ *   ver hasEffectiveRole en middleware/auth)
+ * @param {string} status - Estado destino
+ * @param {string} fromStatus - Estado efectivo actual (null al crear el artículo)
+ * @returns {boolean} - True si tiene permiso
+ */
+articleSchema.statics.canSetStatus = function(isEditor, status, fromStatus = null) {
+  if (isEditor) return true;
+  if (fromStatus && EDITOR_ONLY_SOURCE_STATUSES.includes(fromStatus)) return false;
+  return !EDITOR_ONLY_STATUSES.includes(status);
+};
+
+// Virtual con el estado efectivo (un artículo programado cuya fecha ya pasó está publicado)
+articleSchema.virtual('effectiveStatus').get(function() {
+  if (this.status === 'scheduled' && this.publishedAt && this.publishedAt <= new Date()) {
+    return 'published';
+  }
+  return this.status;
+});
+
+/**
+ * Método de instancia: Verificar si un usuario puede editar el contenido del artículo
+ * Editores y administradores pueden editar cualquiera; los autores solo sus propios borradores
+ * @param {Object} user - Usuario autenticado
+ * @param {boolean} isEditor - Si el usuario es editor o administrador (con el rol efectivo)
+ * @returns {boolean} - True si puede editarlo
+ */
+articleSchema.methods.canBeEditedBy = function(user, isEditor = false) {
+  if (!user) return false;
+  if (isEditor) return true;
+
+  return !!this.authorId &&
+    this.authorId.toString() === user._id.toString() &&
+    this.status === 'draft';
+};
+
+/**
+ * Método de instancia: Verificar si el artículo es visible públicamente (mismo criterio que publicFilter)
+ * @returns {boolean} - True si está publicado y su fecha de publicación ya ocurrió
+ */
+articleSchema.methods.isPublic = function() {
+  return this.isPublished && !!this.publishedAt && this.publishedAt <= new Date();
+};
+
+/**
+ * Método de instancia: Verificar si un usuario puede ver el artículo
+ * Los artículos no públicos solo son visibles para editores, administradores y su autor
+ * @param {Object} viewer - { userId, isEditor } de quien consulta (isEditor con el rol efectivo,
+ *   ver hasEffectiveRole en middleware/auth)
+ * @returns {boolean} - True si puede verlo
+ */
+articleSchema.methods.isVisibleTo = function(viewer = {}) {
+  const { userId = null, isEditor = false } = viewer;
+  if (this.isPublic() || isEditor) return true;
+
+  return !!userId && !!this.authorId && this.authorId.toString() === userId.toString();
+};
+
+/**
+ * Método de instancia: Cambiar el estado editorial del artículo
+ * No guarda el documento; lanza un error con statusCode si la transición no es válida
+ * @param {string} status - Estado destino
+ * @param {Object} options - { publishedAt, userId }
+ * @returns {Object} - El propio artículo
+ */
+articleSchema.methods.transitionTo = function(status, options = {}) {
+  const { publishedAt, userId = null } = options;
+  const currentStatus = this.effectiveStatus;
+
+  if (!ARTICLE_STATUSES.includes(status)) {
+    const error = new Error(`Estado inválido. Use uno de: ${ARTICLE_STATUSES.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  if (!this.constructor.canTransition(currentStatus, status)) {
+    const error = new Error(`No se puede pasar un artículo de "${currentStatus}" a "${status}"`);
+    error.statusCode = 409;
+    throw error;
+  }
+
+  if (status === 'scheduled') {
+    const date = publishedAt ? new Date(publishedAt) : null;
+    if (!date || isNaN(date.getTime()) || date <= new Date()) {
+      const error = new Error('Para programar un artículo se requiere un publishedAt futuro');
+      error.statusCode = 400;
+      throw error;
+    }
+    this.publishedAt = date;
+  } else if (status === 'published') {
+    // Al volver a publicar se conserva la fecha original; una programación futura se adelanta a ahora
+    if (!this.publishedAt || this.publishedAt > new Date()) {
+      this.publishedAt = new Date();
+    }
+  }
+
+  this.status = status;
+  this.statusChangedAt = new Date();
+  this.statusChangedBy = userId;
+
+  return this;
+};
+
 // Método estático para buscar artículos por texto
 articleSchema.statics.searchByText = function(searchTerm, options = {}) {
   const { page = 1, limit = 10, sortBy = 'publishedAt', sortOrder = 'desc' } = options;
   
   const query = {
     $text: { $search: searchTerm },
-    isPublished: true
+    ...this.publicFilter()
   };
   
   const sortOptions = {};
@@ -129,7 +467,7 @@ articleSchema.statics.searchByText = function(searchTerm, options = {}) {
 
 // Método estático para obtener artículos populares
 articleSchema.statics.getPopularArticles = function(limit = 5) {
-  return this.find({ isPublished: true })
+  return this.find(this.publicFilter())
     .sort({ likesCount: -1, viewsCount: -1 })
     .limit(limit)
       .select('title slug excerpt author publishedAt likesCount viewsCount imagenUrl');
@@ -171,5 +509,8 @@ articleSchema.methods.decrementLikes = async function() {
 
 const Article = mongoose.model('Article', articleSchema);
 
+// Registrar el modelo de revisiones usado por el hook post-save
+require('./ArticleRevision');
+
 module.exports = Article;
 
@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Revisión de Artículo
+ * Guarda una instantánea inmutable de título, contenido y tags en cada guardado del artículo
+ */
+const articleRevisionSchema = new mongoose.Schema({
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: [true, 'El ID del artículo es requerido'],
+    immutable: true
+  },
+  revisionNumber: {
+    type: Number,
+    required: [true, 'El número de revisión es requerido'],
+    min: [1, 'El número de revisión debe ser mayor a 0'],
+    immutable: true
+  },
+  title: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  content: {
+    type: String,
+    required: true,
+    immutable: true
+  },
+  tags: {
+    type: [String],
+    default: [],
+    immutable: true
+  },
+  // Usuario que realizó el guardado (null si fue un script o proceso interno)
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+    immutable: true
+  },
+  editedByName: {
+    type: String,
+    default: null,
+    immutable: true
+  },
+  // Número de revisión desde la que se restauró (si corresponde)
+  restoredFrom: {
+    type: Number,
+    default: null,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índice compuesto único: una sola revisión por número y artículo
+articleRevisionSchema.index({ articleId: 1, revisionNumber: -1 }, { unique: true });
+
+/**
+ * Middleware pre-save: las revisiones no se pueden modificar una vez creadas
+ */
+articleRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Las revisiones de artículos son inmutables'));
+  }
+  next();
+});
+
+// Bloquear actualizaciones por consulta
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'].forEach(operation => {
+  articleRevisionSchema.pre(operation, function(next) {
+    next(new Error('Las revisiones de artículos son inmutables'));
+  });
+});
+
+// Intentos de registrar una revisión si el número reservado ya existe
+const MAX_RECORD_ATTEMPTS = 3;
+
+/**
+ * Método estático: Llevar el contador de revisiones del artículo hasta su última revisión registrada
+ * Inicializa el contador de los artículos anteriores a él y nunca lo hace retroceder
+ * @param {string} articleId - ID del artículo
+ */
+articleRevisionSchema.statics.syncRevisionCounter = async function(articleId) {
+  const lastRevision = await this.findOne({ articleId })
+    .sort({ revisionNumber: -1 })
+    .select('revisionNumber');
+
+  await mongoose.model('Article').updateOne(
+    { _id: articleId },
+    { $max: { revisionCount: lastRevision ? lastRevision.revisionNumber : 0 } },
+    { timestamps: false }
+  );
+};
+
+/**
+ * Método estático: Reservar el siguiente número de revisión de un artículo
+ * El contador se incrementa de forma atómica: dos guardados simultáneos nunca reciben el mismo número
+ * @param {string} articleId - ID del artículo
+ * @returns {number} - Número de revisión reservado
+ */
+articleRevisionSchema.statics.nextRevisionNumber = async function(articleId) {
+  const Article = mongoose.model('Article');
+  const increment = () => Article.findOneAndUpdate(
+    { _id: articleId, revisionCount: { $exists: true } },
+    { $inc: { revisionCount: 1 } },
+    { new: true, projection: { revisionCount: 1 }, timestamps: false }
+  );
+
+  let article = await increment();
+  if (!article) {
+    await this.syncRevisionCounter(articleId);
+    article = await increment();
+  }
+
+  if (!article) {
+    throw new Error('No se encontró el artículo para registrar su revisión');
+  }
+
+  return article.revisionCount;
+};
+
+/**
+ * Método estático: Registrar una nueva revisión a partir del estado actual de un artículo
+ * Si el número reservado ya existe (contador desfasado), se sincroniza el contador y se reintenta
+ * @param {Object} article - Documento del artículo ya guardado
+ * @param {Object} options - { user, restoredFrom }
+ * @returns {Object} - Revisión creada
+ */
+articleRevisionSchema.statics.recordRevision = async function(article, options = {}) {
+  const { user = null, restoredFrom = null } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    const revisionNumber = await this.nextRevisionNumber(article._id);
+
+    try {
+      return await this.create({
+        articleId: article._id,
+        revisionNumber,
+        title: article.title,
+        content: article.content,
+        tags: article.tags || [],
+        editedBy: user ? user._id : null,
+        editedByName: user ? user.name : null,
+        restoredFrom
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+      await this.syncRevisionCounter(article._id);
+    }
+  }
+};
+
+/**
+ * Método estático: Listar revisiones de un artículo (sin el contenido completo)
+ * @param {string} articleId - ID del artículo
+ * @param {Object} options - Opciones de paginación
+ * @returns {Array} - Revisiones de la más reciente a la más antigua
+ */
+articleRevisionSchema.statics.getRevisionsForArticle = function(articleId, options = {}) {
+  const { page = 1, limit = 20 } = options;
+
+  return this.find({ articleId })
+    .sort({ revisionNumber: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit)
+    .select('revisionNumber title tags editedBy editedByName restoredFrom createdAt');
+};
+
+module.exports = mongoose.model('ArticleRevision', articleRevisionSchema);
@@ -1,10 +1,30 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { wilsonScore, controversyScore, scoreUpdateStage } = require('../utils/ranking');
 
 /**
  * Esquema y Modelo para Comentarios del Blog
  * Incluye campos para artículo, autor, contenido, fecha y sistema de respuestas
  */
 
+// Estados de moderación de un comentario
+const MODERATION_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Minutos durante los que el autor puede editar su comentario
+const EDIT_WINDOW_MINUTES = parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15;
+
+// Texto que reemplaza a un comentario eliminado que tiene respuestas
+const DELETED_PLACEHOLDER = '[deleted]';
+
+// Modos de orden de comentarios: campo principal y dirección (siempre se desempata por _id)
+const COMMENT_SORTS = {
+  newest: { field: 'createdAt', direction: -1 },
+  oldest: { field: 'createdAt', direction: 1 },
+  top: { field: 'likesCount', direction: -1 },
+  best: { field: 'wilsonScore', direction: -1 },
+  controversial: { field: 'controversyScore', direction: -1 }
+};
+
 const commentSchema = new mongoose.Schema({
   articleId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -23,7 +43,7 @@ const commentSchema = new mongoose.Schema({
   author: {
     type: String,
     required: function() {
-      return !this.userId; // Requerido solo si no hay userId
+      return !this.userId && !this.isDeleted; // Requerido solo si no hay userId
     },
     trim: true,
     maxlength: [100, 'El nombre del autor no puede exceder 100 caracteres']
@@ -31,7 +51,7 @@ const commentSchema = new mongoose.Schema({
   email: {
     type: String,
     required: function() {
-      return !this.userId; // Requerido solo si no hay userId
+      return !this.userId && !this.isDeleted; // Requerido solo si no hay userId
     },
     trim: true,
     lowercase: true,
@@ -41,8 +61,14 @@ const commentSchema = new mongoose.Schema({
     type: String,
     required: [true, 'El contenido del comentario es obligatorio'],
     trim: true,
-    minlength: [10, 'El comentario debe tener al menos 10 caracteres'],
-    maxlength: [1000, 'El comentario no puede exceder 1000 caracteres']
+    maxlength: [1000, 'El comentario no puede exceder 1000 caracteres'],
+    validate: {
+      // El marcador de comentario eliminado es más corto que el mínimo
+      validator: function(value) {
+        return this.isDeleted || value.length >= 10;
+      },
+      message: 'El comentario debe tener al menos 10 caracteres'
+    }
   },
   parentCommentId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -53,17 +79,120 @@ const commentSchema = new mongoose.Schema({
     type: Boolean,
     default: true // En un blog real, podrías querer moderación manual
   },
+  // Estado de moderación: pending (en espera), approved o rejected (rechazado por un moderador)
+  moderationStatus: {
+    type: String,
+    enum: {
+      values: MODERATION_STATUSES,
+      message: 'Estado de moderación inválido: {VALUE}'
+    },
+    default: 'approved'
+  },
+  // Marcado para revisión (spam, reportes, etc.) aunque esté aprobado
+  isFlagged: {
+    type: Boolean,
+    default: false
+  },
+  flagReasons: {
+    type: [String],
+    default: []
+  },
+  // Último moderador que actuó sobre el comentario
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
+  // Resultado del filtro de spam (ver utils/spamFilter.js)
+  spamScore: {
+    type: Number,
+    default: 0
+  },
+  spamReasons: {
+    type: [{
+      _id: false,
+      check: String,
+      score: Number,
+      reason: String
+    }],
+    default: []
+  },
+  // Hash del contenido normalizado para detectar comentarios duplicados
+  contentHash: {
+    type: String,
+    default: null
+  },
   likesCount: {
     type: Number,
     default: 0,
     min: [0, 'El contador de likes no puede ser negativo']
   },
+  // Votos negativos para los puntajes de orden (se incrementa con los reportes)
+  reportsCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El contador de reportes no puede ser negativo']
+  },
+  // Reportes recibidos desde la última revisión de un moderador (deciden si se oculta)
+  pendingReportsCount: {
+    type: Number,
+    default: 0,
+    min: [0, 'El contador de reportes pendientes no puede ser negativo']
+  },
+  // Puntajes precalculados para ordenar (ver utils/ranking.js)
+  wilsonScore: {
+    type: Number,
+    default: 0
+  },
+  controversyScore: {
+    type: Number,
+    default: 0
+  },
+  // Totales por tipo de reacción (clave de config/reactions.js -> cantidad)
+  reactionCounts: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
   isEdited: {
     type: Boolean,
     default: false
   },
   editedAt: {
     type: Date
+  },
+  // Versiones anteriores del contenido (se agregan automáticamente al editar)
+  previousVersions: {
+    type: [{
+      _id: false,
+      content: String,
+      editedAt: Date,
+      editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      }
+    }],
+    default: []
+  },
+  // Comentario eliminado por su autor que se conserva como marcador porque tiene respuestas
+  isDeleted: {
+    type: Boolean,
+    default: false
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  // Hash del token de edición de comentarios anónimos (el token solo se entrega al crearlo)
+  editTokenHash: {
+    type: String,
+    default: null,
+    select: false
   }
 }, {
   timestamps: true, // Agrega automáticamente createdAt y updatedAt
@@ -77,6 +206,15 @@ commentSchema.index({ parentCommentId: 1 }); // Índice para respuestas
 commentSchema.index({ isApproved: 1 }); // Índice para comentarios aprobados
 commentSchema.index({ author: 1 }); // Índice para búsqueda por autor
 commentSchema.index({ userId: 1, createdAt: -1 }); // Índice para comentarios por usuario
+commentSchema.index({ moderationStatus: 1, createdAt: 1 }); // Índice para la cola de moderación
+commentSchema.index({ isFlagged: 1, createdAt: 1 }); // Índice para comentarios marcados
+commentSchema.index({ contentHash: 1, createdAt: -1 }); // Índice para detectar duplicados
+commentSchema.index({ email: 1, createdAt: -1 }); // Índice para limitar ráfagas de comentarios anónimos
+// Índices para cada modo de orden de los comentarios de un artículo (con _id para la paginación por cursor)
+commentSchema.index({ articleId: 1, parentCommentId: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ articleId: 1, parentCommentId: 1, likesCount: -1, _id: -1 });
+commentSchema.index({ articleId: 1, parentCommentId: 1, wilsonScore: -1, _id: -1 });
+commentSchema.index({ articleId: 1, parentCommentId: 1, controversyScore: -1, _id: -1 });
 
 // Virtual para obtener respuestas (comentarios hijos)
 commentSchema.virtual('replies', {
@@ -90,47 +228,259 @@ commentSchema.virtual('isReply').get(function() {
   return this.parentCommentId !== null;
 });
 
+// Guardar el contenido original al cargar el documento (para el historial de versiones)
+commentSchema.post('init', function(doc) {
+  doc.$locals.originalContent = doc.content;
+});
+
 // Middleware pre-save para manejar ediciones
 commentSchema.pre('save', function(next) {
+  // Un comentario nuevo sin aprobar entra a la cola de moderación
+  if (this.isNew && !this.isApproved && this.moderationStatus === 'approved') {
+    this.moderationStatus = 'pending';
+  }
+
+  // Recalcular los puntajes de orden si cambiaron los votos
+  if (this.isModified('likesCount') || this.isModified('reportsCount')) {
+    this.wilsonScore = wilsonScore(this.likesCount, this.reportsCount);
+    this.controversyScore = controversyScore(this.likesCount, this.reportsCount);
+  }
+
   // Si el contenido cambió y no es la primera vez que se guarda
-  if (this.isModified('content') && !this.isNew) {
+  if (this.isModified('content') && !this.isNew && !this.isDeleted) {
     this.isEdited = true;
     this.editedAt = new Date();
+
+    if (this.$locals.originalContent !== undefined) {
+      this.previousVersions.push({
+        content: this.$locals.originalContent,
+        editedAt: this.editedAt,
+        editedBy: this.$locals.editedBy ? this.$locals.editedBy._id : null
+      });
+    }
   }
   next();
 });
 
-// Método estático para obtener comentarios de un artículo con paginación
+/**
+ * Método estático: Filtro de comentarios visibles para quien consulta
+ * Los comentarios aprobados son públicos; cada usuario ve además sus propios comentarios pendientes
+ * @param {string|null} viewerId - ID del usuario autenticado (opcional)
+ * @returns {Object} - Filtro de MongoDB
+ */
+commentSchema.statics.visibilityFilter = function(viewerId = null) {
+  if (!viewerId) {
+    return { isApproved: true };
+  }
+
+  return {
+    $or: [
+      { isApproved: true },
+      { userId: viewerId, ...this.moderationFilter('pending') }
+    ]
+  };
+};
+
+/**
+ * Método estático: Obtener la configuración de un modo de orden
+ * @param {string} sort - newest, oldest, top, best o controversial
+ * @returns {Object|null} - { field, direction, sort } o null si el modo no existe
+ */
+commentSchema.statics.getSortOptions = function(sort = 'newest') {
+  // Solo modos propios (no heredados de Object.prototype, como "constructor")
+  if (typeof sort !== 'string' || !Object.prototype.hasOwnProperty.call(COMMENT_SORTS, sort)) {
+    return null;
+  }
+
+  const config = COMMENT_SORTS[sort];
+
+  return {
+    ...config,
+    sort: { [config.field]: config.direction, _id: config.direction }
+  };
+};
+
+/**
+ * Método estático: Crear el cursor que apunta después de un comentario
+ * @param {Object} comment - Último comentario de la página
+ * @param {string} sort - Modo de orden
+ * @returns {string} - Cursor opaco en base64url
+ */
+commentSchema.statics.encodeCursor = function(comment, sort = 'newest') {
+  const { field } = COMMENT_SORTS[sort];
+  const value = comment[field] instanceof Date ? comment[field].toISOString() : (comment[field] || 0);
+  return Buffer.from(JSON.stringify([value, comment._id.toString()])).toString('base64url');
+};
+
+/**
+ * Método estático: Convertir un cursor en el filtro de la página siguiente
+ * @param {string} cursor - Cursor recibido
+ * @param {string} sort - Modo de orden
+ * @returns {Object|null} - Filtro de MongoDB o null si el cursor es inválido
+ */
+commentSchema.statics.cursorFilter = function(cursor, sort = 'newest') {
+  const { field, direction } = COMMENT_SORTS[sort];
+
+  try {
+    const [rawValue, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    const value = field === 'createdAt' ? new Date(rawValue) : Number(rawValue);
+
+    if (!mongoose.isValidObjectId(id) || (value instanceof Date ? isNaN(value.getTime()) : isNaN(value))) {
+      return null;
+    }
+
+    const operator = direction === -1 ? '$lt' : '$gt';
+    const objectId = new mongoose.Types.ObjectId(id);
+
+    return {
+      $or: [
+        { [field]: { [operator]: value } },
+        { [field]: value, _id: { [operator]: objectId } }
+      ]
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Método estático: Obtener comentarios de un artículo
+ * Pagina por número de página o, si se envía un cursor, a partir del cursor
+ * @param {string} articleId - ID del artículo
+ * @param {Object} options - { page, limit, includeReplies, viewerId, sort, cursor }
+ *   cursor debe ser un filtro ya decodificado con cursorFilter
+ * @returns {Query} - Consulta de comentarios
+ */
 commentSchema.statics.getCommentsForArticle = function(articleId, options = {}) {
-  const { page = 1, limit = 20, includeReplies = true } = options;
+  const {
+    page = 1,
+    limit = 20,
+    includeReplies = true,
+    viewerId = null,
+    sort = 'newest',
+    cursor = null
+  } = options;
   
+  // El listado plano siempre pagina comentarios de primer nivel; las respuestas van anidadas
   const query = {
     articleId: articleId,
-    isApproved: true,
-    parentCommentId: includeReplies ? { $exists: true } : null
+    $and: [this.visibilityFilter(viewerId), ...(cursor ? [cursor] : [])],
+    parentCommentId: null
   };
   
-  return this.find(query)
+  const commentsQuery = this.find(query)
     .populate('userId', 'name email avatar')
-    .populate('replies', 'author content createdAt likesCount isEdited userId')
-    .sort({ createdAt: -1 })
-    .skip((page - 1) * limit)
+    .sort(this.getSortOptions(sort).sort)
+    .skip(cursor ? 0 : (page - 1) * limit)
     .limit(limit)
-    .select('author content createdAt likesCount isEdited parentCommentId userId');
+    .select('author content createdAt likesCount reactionCounts isEdited isDeleted parentCommentId userId moderationStatus wilsonScore controversyScore');
+
+  if (includeReplies) {
+    commentsQuery.populate({
+      path: 'replies',
+      select: 'author content createdAt likesCount reactionCounts isEdited isDeleted userId moderationStatus',
+      match: this.visibilityFilter(viewerId)
+    });
+  }
+
+  return commentsQuery;
 };
 
 // Método estático para obtener respuestas de un comentario
 commentSchema.statics.getRepliesForComment = function(commentId, options = {}) {
-  const { page = 1, limit = 10 } = options;
+  const { page = 1, limit = 10, viewerId = null } = options;
   
   return this.find({
     parentCommentId: commentId,
-    isApproved: true
+    ...this.visibilityFilter(viewerId)
   })
   .sort({ createdAt: 1 }) // Respuestas en orden cronológico
   .skip((page - 1) * limit)
   .limit(limit)
-  .select('author content createdAt likesCount isEdited');
+  .select('author content createdAt likesCount isEdited isDeleted moderationStatus');
+};
+
+// Campos que se devuelven para cada nodo del árbol de comentarios
+const THREAD_FIELDS = 'author content createdAt likesCount reactionCounts isEdited isDeleted parentCommentId userId moderationStatus';
+
+/**
+ * Método estático: Obtener un hilo de comentarios como árbol anidado
+ * Carga el árbol nivel por nivel: en cada nivel trae las primeras `repliesLimit` respuestas
+ * de cada nodo (en orden cronológico) y la cantidad total de respuestas, hasta `depth` niveles.
+ * El orden es estable porque siempre desempata por _id.
+ * @param {Object} options - { articleId, parentId, viewerId, page, limit, depth, repliesLimit, sort }
+ *   parentId null devuelve los comentarios principales del artículo (en el orden de `sort`);
+ *   con parentId devuelve las respuestas de ese comentario ("cargar más respuestas")
+ * @returns {Object} - { nodes, total } donde cada nodo tiene replies, replyCount y hasMoreReplies
+ */
+commentSchema.statics.getThread = async function(options = {}) {
+  const {
+    articleId,
+    parentId = null,
+    viewerId = null,
+    page = 1,
+    limit = 20,
+    depth = 3,
+    repliesLimit = 5,
+    sort = 'newest'
+  } = options;
+
+  // aggregate no convierte tipos: usar ObjectId en el filtro de visibilidad
+  const visibility = this.visibilityFilter(viewerId ? new mongoose.Types.ObjectId(String(viewerId)) : null);
+  const rootQuery = { articleId, parentCommentId: parentId, ...visibility };
+  const rootSort = parentId ? { createdAt: 1, _id: 1 } : this.getSortOptions(sort).sort;
+
+  const [roots, total] = await Promise.all([
+    this.find(rootQuery)
+      .sort(rootSort)
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select(THREAD_FIELDS)
+      .populate('userId', 'name avatar')
+      .lean(),
+    this.countDocuments(rootQuery)
+  ]);
+
+  let level = roots;
+  for (let currentDepth = 1; level.length > 0; currentDepth++) {
+    const parentIds = level.map(node => node._id);
+    const includeChildren = currentDepth <= depth;
+
+    const pipeline = [
+      { $match: { parentCommentId: { $in: parentIds }, ...visibility } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      { $group: { _id: '$parentCommentId', replyIds: { $push: '$_id' }, replyCount: { $sum: 1 } } }
+    ];
+    pipeline.push(includeChildren
+      ? { $project: { replyCount: 1, replyIds: { $slice: ['$replyIds', repliesLimit] } } }
+      : { $project: { replyCount: 1, replyIds: [] } });
+
+    const groups = await this.aggregate(pipeline);
+    const groupsByParent = new Map(groups.map(group => [group._id.toString(), group]));
+
+    const childIds = groups.flatMap(group => group.replyIds);
+    const children = childIds.length > 0
+      ? await this.find({ _id: { $in: childIds } })
+        .select(THREAD_FIELDS)
+        .populate('userId', 'name avatar')
+        .lean()
+      : [];
+    const childrenById = new Map(children.map(child => [child._id.toString(), child]));
+
+    level.forEach(node => {
+      const group = groupsByParent.get(node._id.toString());
+      node.replyCount = group ? group.replyCount : 0;
+      node.replies = group
+        ? group.replyIds.map(id => childrenById.get(id.toString())).filter(Boolean)
+        : [];
+      node.hasMoreReplies = node.replyCount > node.replies.length;
+    });
+
+    if (!includeChildren) break;
+    level = level.flatMap(node => node.replies);
+  }
+
+  return { nodes: roots, total };
 };
 
 // Método estático para obtener comentarios recientes
@@ -143,16 +493,111 @@ commentSchema.statics.getRecentComments = function(limit = 10) {
     .select('author content createdAt articleId userId');
 };
 
-// Método estático para obtener comentarios de un usuario
-commentSchema.statics.getCommentsByUser = function(userId, options = {}) {
+/**
+ * Método estático: Obtener los comentarios visibles de un usuario en artículos públicos
+ * @param {string} userId - ID del usuario
+ * @param {Object} options - { page, limit }
+ * @returns {Object} - { comments, total } (total cuenta los mismos comentarios que se paginan)
+ */
+commentSchema.statics.getCommentsByUser = async function(userId, options = {}) {
   const { page = 1, limit = 20 } = options;
-  
-  return this.find({ userId, isApproved: true })
-    .populate('articleId', 'title slug')
-    .sort({ createdAt: -1 })
-    .skip((page - 1) * limit)
-    .limit(limit)
-    .select('content createdAt articleId likesCount');
+  const filter = await this.userCommentsFilter(userId);
+
+  const [comments, total] = await Promise.all([
+    this.find(filter)
+      .populate('articleId', 'title slug')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('content createdAt articleId likesCount'),
+    this.countDocuments(filter)
+  ]);
+
+  return { comments, total };
+};
+
+/**
+ * Método estático: Filtro de los comentarios visibles de un usuario en artículos públicos
+ * Resuelve antes cuáles de los artículos que comentó siguen siendo públicos, para filtrar
+ * en la consulta (y no después de paginar)
+ * @param {string} userId - ID del usuario
+ * @returns {Promise<Object>} - Filtro de MongoDB
+ */
+commentSchema.statics.userCommentsFilter = async function(userId) {
+  const filter = { userId, isApproved: true, isDeleted: { $ne: true } };
+  const Article = mongoose.model('Article');
+
+  const articleIds = await this.distinct('articleId', filter);
+  const publicArticleIds = await Article.distinct('_id', {
+    _id: { $in: articleIds },
+    ...Article.publicFilter()
+  });
+
+  return { ...filter, articleId: { $in: publicArticleIds } };
+};
+
+/**
+ * Método estático: Ajustar likesCount de forma atómica sin bajar de 0
+ * @param {string} commentId - ID del comentario
+ * @param {number} delta - Cantidad a sumar (1) o restar (-1)
+ */
+commentSchema.statics.adjustLikesCount = async function(commentId, delta) {
+  const filter = delta < 0
+    ? { _id: commentId, likesCount: { $gte: -delta } }
+    : { _id: commentId };
+
+  // Update con pipeline: el contador y los puntajes de orden cambian en la misma operación
+  await this.updateOne(filter, [
+    { $set: { likesCount: { $add: [{ $ifNull: ['$likesCount', 0] }, delta] } } },
+    scoreUpdateStage()
+  ]);
+};
+
+/**
+ * Método estático: Sumar un reporte de lector al comentario
+ * Si los reportes pendientes alcanzan el umbral, el comentario se oculta
+ * y vuelve a la cola de moderación
+ * @param {string} commentId - ID del comentario
+ * @param {number} threshold - Reportes necesarios para ocultarlo
+ * @returns {boolean} - True si el comentario quedó oculto con este reporte
+ */
+commentSchema.statics.registerReport = async function(commentId, threshold) {
+  await this.updateOne({ _id: commentId }, [
+    {
+      $set: {
+        reportsCount: { $add: [{ $ifNull: ['$reportsCount', 0] }, 1] },
+        pendingReportsCount: { $add: [{ $ifNull: ['$pendingReportsCount', 0] }, 1] }
+      }
+    },
+    scoreUpdateStage()
+  ]);
+
+  // Solo el reporte que cruza el umbral oculta el comentario (el filtro evita carreras)
+  const result = await this.updateOne(
+    { _id: commentId, isApproved: true, pendingReportsCount: { $gte: threshold } },
+    {
+      $set: { isApproved: false, moderationStatus: 'pending', isFlagged: true },
+      $addToSet: { flagReasons: 'Ocultado por reportes de lectores' }
+    }
+  );
+
+  if (result.modifiedCount === 0) return false;
+
+  const comment = await this.findById(commentId).select('articleId');
+  if (comment) {
+    await this.syncArticleCommentsCount(comment.articleId);
+  }
+  return true;
+};
+
+/**
+ * Método estático: Recalcular los puntajes de orden de todos los comentarios
+ * (para comentarios creados antes de que existieran los puntajes)
+ * @returns {number} - Cantidad de comentarios actualizados
+ */
+commentSchema.statics.syncAllScores = async function() {
+  const result = await this.updateMany({}, [scoreUpdateStage()]);
+  return result.modifiedCount;
 };
 
 // Método de instancia para incrementar likes
@@ -169,30 +614,224 @@ commentSchema.methods.decrementLikes = function() {
   return this.save();
 };
 
-// Método de instancia para aprobar comentario
-commentSchema.methods.approve = function() {
+/**
+ * Método estático: Filtro de comentarios en la cola de moderación
+ * Incluye comentarios antiguos sin moderationStatus que no están aprobados
+ * @param {string} status - 'queue' (pendientes o marcados), 'pending', 'flagged', 'reported', 'approved', 'rejected' o 'all'
+ * @returns {Object|null} - Filtro de MongoDB o null si el estado es inválido
+ */
+commentSchema.statics.moderationFilter = function(status = 'queue') {
+  const pending = { isApproved: false, moderationStatus: { $ne: 'rejected' } };
+
+  switch (status) {
+    case 'queue':
+      return { $or: [pending, { isFlagged: true }] };
+    case 'pending':
+      return pending;
+    case 'flagged':
+      return { isFlagged: true };
+    case 'reported':
+      return { reportsCount: { $gt: 0 } };
+    case 'approved':
+      return { isApproved: true };
+    case 'rejected':
+      return { moderationStatus: 'rejected' };
+    case 'all':
+      return {};
+    default:
+      return null;
+  }
+};
+
+/**
+ * Método estático: Verificar si quien comenta todavía no tiene comentarios aprobados
+ * Solo cuenta la identidad de una cuenta autenticada: el email de un comentario anónimo
+ * lo declara quien comenta, así que los anónimos siempre se tratan como primera vez
+ * @param {Object} commenter - { userId }
+ * @returns {boolean} - True si es su primer comentario aprobado
+ */
+commentSchema.statics.isFirstTimeCommenter = async function({ userId = null } = {}) {
+  if (!userId) return true;
+
+  const approved = await this.exists({ userId, isApproved: true });
+  return !approved;
+};
+
+/**
+ * Método estático: Recalcular el contador de comentarios aprobados de un artículo
+ * @param {string} articleId - ID del artículo
+ */
+commentSchema.statics.syncArticleCommentsCount = async function(articleId) {
+  const Article = mongoose.model('Article');
+  const commentCount = await this.countDocuments({
+    articleId,
+    isApproved: true
+  });
+
+  await Article.findByIdAndUpdate(articleId, {
+    $set: { commentsCount: commentCount }
+  });
+};
+
+/**
+ * Método estático: Eliminar comentarios junto con sus respuestas y datos dependientes
+ * (likes, likes anónimos, reacciones, reportes y notificaciones)
+ * @param {Array} commentIds - IDs de los comentarios a eliminar
+ * @returns {Array} - IDs de todos los comentarios eliminados (incluye respuestas)
+ */
+commentSchema.statics.deleteWithReplies = async function(commentIds) {
+  const CommentLike = mongoose.model('CommentLike');
+  const VisitorLike = mongoose.model('VisitorLike');
+  const Reaction = mongoose.model('Reaction');
+  const CommentReport = mongoose.model('CommentReport');
+  const Notification = mongoose.model('Notification');
+
+  // Recorrer el árbol de respuestas nivel por nivel
+  const allIds = [...commentIds];
+  let currentLevel = commentIds;
+  while (currentLevel.length > 0) {
+    currentLevel = await this.find({ parentCommentId: { $in: currentLevel } }).distinct('_id');
+    allIds.push(...currentLevel);
+  }
+
+  const articleIds = await this.find({ _id: { $in: allIds } }).distinct('articleId');
+  const dependentTargets = { targetType: 'comment', targetId: { $in: allIds } };
+
+  await Promise.all([
+    this.deleteMany({ _id: { $in: allIds } }),
+    CommentLike.deleteMany({ commentId: { $in: allIds } }),
+    VisitorLike.deleteMany(dependentTargets),
+    Reaction.deleteMany(dependentTargets),
+    CommentReport.deleteMany({ commentId: { $in: allIds } }),
+    Notification.deleteMany({ commentId: { $in: allIds } })
+  ]);
+
+  await Promise.all(articleIds.map(articleId => this.syncArticleCommentsCount(articleId)));
+
+  return allIds;
+};
+
+/**
+ * Hashear un token de edición (solo se guarda el hash)
+ * @param {string} token - Token en claro
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+const hashEditToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Método de instancia: Generar el token de edición de un comentario anónimo
+ * El token en claro se devuelve una sola vez; en la base de datos queda su hash
+ * @returns {string} - Token en claro
+ */
+commentSchema.methods.generateEditToken = function() {
+  const token = crypto.randomBytes(32).toString('base64url');
+  this.editTokenHash = hashEditToken(token);
+  return token;
+};
+
+/**
+ * Método de instancia: Verificar un token de edición
+ * Requiere que el documento se haya cargado con select('+editTokenHash')
+ * @param {string} token - Token recibido
+ * @returns {boolean} - True si el token corresponde al comentario
+ */
+commentSchema.methods.verifyEditToken = function(token) {
+  if (!token || !this.editTokenHash) return false;
+
+  const expected = Buffer.from(this.editTokenHash);
+  const received = Buffer.from(hashEditToken(token));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+/**
+ * Método de instancia: Fecha límite para editar el comentario
+ * @returns {Date} - createdAt + ventana de edición
+ */
+commentSchema.methods.getEditableUntil = function() {
+  return new Date(this.createdAt.getTime() + EDIT_WINDOW_MINUTES * 60 * 1000);
+};
+
+/**
+ * Método de instancia: Verificar si el comentario todavía se puede editar
+ * @returns {boolean} - True si no pasó la ventana de edición
+ */
+commentSchema.methods.isWithinEditWindow = function() {
+  return Date.now() <= this.getEditableUntil().getTime();
+};
+
+/**
+ * Método de instancia: Reemplazar el comentario por el marcador "[deleted]"
+ * Se usa cuando el comentario tiene respuestas, para no romper el hilo
+ * @returns {Promise} - Comentario guardado
+ */
+commentSchema.methods.softDelete = function() {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.content = DELETED_PLACEHOLDER;
+  this.author = DELETED_PLACEHOLDER;
+  this.email = undefined;
+  this.userId = null;
+  this.previousVersions = [];
+  this.contentHash = null;
+  this.editTokenHash = null;
+  return this.save();
+};
+
+/**
+ * Método de instancia: Datos públicos del comentario para los eventos en tiempo real
+ * @returns {Object} - Comentario sin email ni datos de moderación
+ */
+commentSchema.methods.toEventPayload = function() {
+  const refId = (value) => (value && value._id ? value._id : value);
+
+  return {
+    _id: this._id,
+    articleId: refId(this.articleId),
+    parentCommentId: this.parentCommentId,
+    userId: refId(this.userId),
+    author: this.author,
+    content: this.content,
+    likesCount: this.likesCount,
+    isEdited: this.isEdited,
+    createdAt: this.createdAt
+  };
+};
+
+/**
+ * Método de instancia: Aprobar comentario
+ * Aprobarlo también resuelve las marcas de revisión y los reportes pendientes
+ * @param {Object} moderator - Usuario que modera (opcional)
+ * @returns {Promise} - Comentario guardado
+ */
+commentSchema.methods.approve = function(moderator = null) {
   this.isApproved = true;
+  this.moderationStatus = 'approved';
+  this.isFlagged = false;
+  this.pendingReportsCount = 0;
+  this.moderatedBy = moderator ? moderator._id : null;
+  this.moderatedAt = new Date();
   return this.save();
 };
 
-// Método de instancia para desaprobar comentario
-commentSchema.methods.disapprove = function() {
+/**
+ * Método de instancia: Rechazar (desaprobar) comentario
+ * @param {Object} moderator - Usuario que modera (opcional)
+ * @returns {Promise} - Comentario guardado
+ */
+commentSchema.methods.disapprove = function(moderator = null) {
   this.isApproved = false;
+  this.moderationStatus = 'rejected';
+  this.isFlagged = false;
+  this.pendingReportsCount = 0;
+  this.moderatedBy = moderator ? moderator._id : null;
+  this.moderatedAt = new Date();
   return this.save();
 };
 
 // Middleware post-save para actualizar contador de comentarios en el artículo
 commentSchema.post('save', async function(doc) {
   try {
-    const Article = mongoose.model('Article');
-    const commentCount = await Comment.countDocuments({ 
-      articleId: doc.articleId, 
-      isApproved: true 
-    });
-    
-    await Article.findByIdAndUpdate(doc.articleId, {
-      $set: { commentsCount: commentCount }
-    });
+    await Comment.syncArticleCommentsCount(doc.articleId);
   } catch (error) {
     console.error('Error actualizando contador de comentarios:', error);
   }
@@ -202,15 +841,7 @@ commentSchema.post('save', async function(doc) {
 commentSchema.post('findOneAndDelete', async function(doc) {
   if (doc) {
     try {
-      const Article = mongoose.model('Article');
-      const commentCount = await Comment.countDocuments({ 
-        articleId: doc.articleId, 
-        isApproved: true 
-      });
-      
-      await Article.findByIdAndUpdate(doc.articleId, {
-        $set: { commentsCount: commentCount }
-      });
+      await Comment.syncArticleCommentsCount(doc.articleId);
     } catch (error) {
       console.error('Error actualizando contador de comentarios:', error);
     }
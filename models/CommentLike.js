@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Like de comentario por usuario
+ * Registra qué usuario dio like a qué comentario y mantiene likesCount del comentario
+ */
+const commentLikeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El ID del usuario es requerido']
+  },
+  commentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    required: [true, 'El ID del comentario es requerido']
+  }
+}, {
+  timestamps: true, // Agrega createdAt y updatedAt automáticamente
+  toJSON: { 
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índice compuesto único para prevenir likes duplicados
+commentLikeSchema.index({ userId: 1, commentId: 1 }, { unique: true });
+
+// Índice para listar los likes de un comentario
+commentLikeSchema.index({ commentId: 1, createdAt: -1 });
+
+/**
+ * Método estático: Obtener los IDs de comentarios (de una lista) a los que el usuario dio like
+ * @param {string} userId - ID del usuario
+ * @param {Array} commentIds - IDs de comentarios
+ * @returns {Set} - IDs (string) de los comentarios con like
+ */
+commentLikeSchema.statics.getLikedCommentIds = async function(userId, commentIds) {
+  if (!userId || commentIds.length === 0) return new Set();
+
+  const likes = await this.find({ userId, commentId: { $in: commentIds } })
+    .select('commentId')
+    .lean();
+
+  return new Set(likes.map(like => like.commentId.toString()));
+};
+
+/**
+ * Método estático: Obtener likes de un comentario con información de usuarios
+ * @param {string} commentId - ID del comentario
+ * @param {number} limit - Límite de resultados
+ * @returns {Array} - Array de likes con información de usuarios
+ */
+commentLikeSchema.statics.getLikesForComment = async function(commentId, limit = 10) {
+  return await this.find({ commentId })
+    .populate('userId', 'name avatar')
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+/**
+ * Método estático: Dar like (crear o no hacer nada si ya existe)
+ * @param {string} userId - ID del usuario
+ * @param {string} commentId - ID del comentario
+ * @returns {Object} - Resultado de la operación
+ */
+commentLikeSchema.statics.addLike = async function(userId, commentId) {
+  try {
+    const like = await this.create({ userId, commentId });
+    await mongoose.model('Comment').adjustLikesCount(commentId, 1);
+    return { success: true, action: 'added', like, message: 'Like agregado exitosamente', liked: true };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { success: false, message: 'Ya diste like a este comentario', liked: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Método estático: Quitar like
+ * @param {string} userId - ID del usuario
+ * @param {string} commentId - ID del comentario
+ * @returns {Object} - Resultado de la operación
+ */
+commentLikeSchema.statics.removeLike = async function(userId, commentId) {
+  const removed = await this.findOneAndDelete({ userId, commentId });
+
+  if (!removed) {
+    return { success: false, message: 'No habías dado like a este comentario', liked: false };
+  }
+
+  await mongoose.model('Comment').adjustLikesCount(commentId, -1);
+  return { success: true, action: 'removed', message: 'Like eliminado exitosamente', liked: false };
+};
+
+/**
+ * Método estático: Toggle like (dar si no existe, quitar si existe)
+ * @param {string} userId - ID del usuario
+ * @param {string} commentId - ID del comentario
+ * @returns {Object} - Resultado de la operación
+ */
+commentLikeSchema.statics.toggleLike = async function(userId, commentId) {
+  const result = await this.removeLike(userId, commentId);
+  if (result.success) return result;
+
+  return await this.addLike(userId, commentId);
+};
+
+module.exports = mongoose.model('CommentLike', commentLikeSchema);
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Reporte de comentario
+ * Cada usuario o visitante anónimo puede reportar un comentario una sola vez;
+ * al superar el umbral de reportes el comentario se oculta y pasa a la cola de moderación.
+ * Como un visitante nuevo se obtiene con solo borrar la cookie, los reportes anónimos
+ * además se limitan a uno por IP (hasheada) y comentario
+ */
+
+// Motivos de reporte disponibles
+const REPORT_REASONS = ['spam', 'harassment', 'off-topic', 'other'];
+
+// Reportes (desde la última revisión de un moderador) que ocultan el comentario
+const REPORT_THRESHOLD = parseInt(process.env.COMMENT_REPORT_THRESHOLD) || 3;
+
+const commentReportSchema = new mongoose.Schema({
+  commentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    required: [true, 'El ID del comentario es requerido']
+  },
+  // Identidad de quien reporta: "user:<id>" o "visitor:<id>"
+  actorKey: {
+    type: String,
+    required: [true, 'La identidad de quien reporta es requerida']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: REPORT_REASONS,
+      message: 'Motivo de reporte inválido: {VALUE}'
+    },
+    required: [true, 'El motivo del reporte es requerido']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'El detalle no puede exceder 500 caracteres'],
+    default: null
+  },
+  // Hash de la IP, solo en reportes anónimos
+  ipHash: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.ipHash;
+      return ret;
+    }
+  }
+});
+
+// Índice compuesto único: un reporte por persona y comentario
+commentReportSchema.index({ actorKey: 1, commentId: 1 }, { unique: true });
+commentReportSchema.index({ commentId: 1, createdAt: -1 });
+
+// Un reporte anónimo por IP y comentario (los reportes de usuarios no guardan ipHash)
+commentReportSchema.index(
+  { commentId: 1, ipHash: 1 },
+  { unique: true, partialFilterExpression: { ipHash: { $type: 'string' } } }
+);
+
+/**
+ * Método estático: Reportar un comentario
+ * Suma el reporte al comentario y lo oculta si alcanza el umbral
+ * @param {string} commentId - ID del comentario
+ * @param {string} actorKey - Identidad de quien reporta
+ * @param {Object} data - { userId, reason, details, ipHash } (ipHash solo se usa en reportes anónimos)
+ * @returns {Object} - { created, hidden, blocked } (blocked: ya hay un reporte anónimo desde esa IP)
+ */
+commentReportSchema.statics.reportComment = async function(commentId, actorKey, data = {}) {
+  const { userId = null, reason, details = null } = data;
+  const ipHash = userId ? null : (data.ipHash || null);
+
+  try {
+    await this.create({ commentId, actorKey, userId, reason, details, ipHash });
+  } catch (error) {
+    if (error.code === 11000) {
+      // Si el mismo visitante ya lo había reportado, es un reporte repetido y no un bloqueo por IP
+      const blocked = !!(error.keyPattern && error.keyPattern.ipHash) &&
+        !(await this.exists({ commentId, actorKey }));
+      return { created: false, hidden: false, blocked };
+    }
+    throw error;
+  }
+
+  const hidden = await mongoose.model('Comment').registerReport(commentId, REPORT_THRESHOLD);
+  return { created: true, hidden, blocked: false };
+};
+
+/**
+ * Método estático: Resumir los reportes de varios comentarios por motivo
+ * @param {Array} commentIds - IDs de los comentarios
+ * @returns {Map} - commentId (string) -> { total, reasons: { motivo: cantidad }, lastReportedAt }
+ */
+commentReportSchema.statics.summarizeForComments = async function(commentIds) {
+  const summary = new Map();
+  if (commentIds.length === 0) return summary;
+
+  const groups = await this.aggregate([
+    { $match: { commentId: { $in: commentIds } } },
+    {
+      $group: {
+        _id: { commentId: '$commentId', reason: '$reason' },
+        count: { $sum: 1 },
+        lastReportedAt: { $max: '$createdAt' }
+      }
+    }
+  ]);
+
+  groups.forEach(group => {
+    const key = group._id.commentId.toString();
+    const entry = summary.get(key) || { total: 0, reasons: {}, lastReportedAt: null };
+
+    entry.total += group.count;
+    entry.reasons[group._id.reason] = group.count;
+    if (!entry.lastReportedAt || group.lastReportedAt > entry.lastReportedAt) {
+      entry.lastReportedAt = group.lastReportedAt;
+    }
+
+    summary.set(key, entry);
+  });
+
+  return summary;
+};
+
+/**
+ * Método estático: Listar los reportes de un comentario
+ * @param {string} commentId - ID del comentario
+ * @returns {Array} - Reportes con información del usuario (si estaba autenticado)
+ */
+commentReportSchema.statics.getReportsForComment = function(commentId) {
+  return this.find({ commentId })
+    .populate('userId', 'name email')
+    .sort({ createdAt: -1 })
+    .select('-actorKey -ipHash');
+};
+
+/**
+ * Método estático: Verificar si un motivo de reporte es válido
+ * @param {string} reason - Motivo recibido
+ * @returns {boolean} - True si es válido
+ */
+commentReportSchema.statics.isValidReason = function(reason) {
+  return REPORT_REASONS.includes(reason);
+};
+
+module.exports = mongoose.model('CommentReport', commentReportSchema);
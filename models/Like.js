@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const VisitorLike = require('./VisitorLike');
 
 /**
  * Esquema de Like para sistema de reacciones por usuario
@@ -128,19 +129,19 @@ likeSchema.statics.removeLike = async function(userId, articleId) {
  * @returns {Object} - Resultado de la operación
  */
 likeSchema.statics.toggleLike = async function(userId, articleId) {
-  const existingLike = await this.findOne({ userId, articleId });
+  // Intentar quitar el like de forma atómica; si no existía, darlo
+  const removed = await this.findOneAndDelete({ userId, articleId });
   
-  if (existingLike) {
-    // Quitar like
-    await this.deleteOne({ _id: existingLike._id });
+  if (removed) {
     return { 
       success: true, 
       action: 'removed', 
       message: 'Like eliminado exitosamente',
       liked: false
     };
-  } else {
-    // Dar like
+  }
+
+  try {
     const like = await this.create({ userId, articleId });
     return { 
       success: true, 
@@ -149,9 +150,36 @@ likeSchema.statics.toggleLike = async function(userId, articleId) {
       message: 'Like agregado exitosamente',
       liked: true
     };
+  } catch (error) {
+    // Otra petición concurrente creó el like: el estado final es "con like"
+    if (error.code === 11000) {
+      return { success: false, message: 'Ya diste like a este artículo', liked: true };
+    }
+    throw error;
   }
 };
 
+/**
+ * Método estático: Sincronizar likesCount del artículo con las colecciones de likes
+ * @param {string} articleId - ID del artículo
+ * @returns {number} - Número de likes actual
+ */
+likeSchema.statics.syncArticleLikesCount = async function(articleId) {
+  // Likes de usuarios registrados más likes de visitantes anónimos
+  const [userLikes, visitorLikes] = await Promise.all([
+    this.countDocuments({ articleId }),
+    VisitorLike.countLikes('article', articleId)
+  ]);
+  const likesCount = userLikes + visitorLikes;
+
+  await mongoose.model('Article').updateOne(
+    { _id: articleId },
+    { $set: { likesCount } }
+  );
+
+  return likesCount;
+};
+
 /**
  * Método estático: Obtener estadísticas de likes
  * @param {string} userId - ID del usuario (opcional)
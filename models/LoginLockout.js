@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Bloqueo de login
+ * Registra cada vez que una cuenta o una IP queda bloqueada por demasiados intentos fallidos,
+ * para que los administradores puedan revisarlos y levantarlos antes de tiempo
+ */
+const loginLockoutSchema = new mongoose.Schema({
+  // account: bloqueo de un email; ip: bloqueo de una dirección IP
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  // Email o IP bloqueados
+  identifier: {
+    type: String,
+    required: true
+  },
+  // Cuenta del email bloqueado (null si el email no está registrado o el bloqueo es por IP)
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // IP del intento que provocó el bloqueo
+  ip: {
+    type: String,
+    default: null
+  },
+  failures: {
+    type: Number,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  clearedAt: {
+    type: Date,
+    default: null
+  },
+  clearedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+loginLockoutSchema.index({ createdAt: -1 });
+loginLockoutSchema.index({ scope: 1, identifier: 1, createdAt: -1 });
+
+/**
+ * Virtual: El bloqueo sigue vigente
+ */
+loginLockoutSchema.virtual('isActive').get(function() {
+  return !this.clearedAt && this.lockedUntil > new Date();
+});
+
+/**
+ * Método estático: Filtro de bloqueos vigentes
+ * @returns {Object} - Filtro de MongoDB
+ */
+loginLockoutSchema.statics.activeFilter = function() {
+  return { clearedAt: null, lockedUntil: { $gt: new Date() } };
+};
+
+loginLockoutSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('LoginLockout', loginLockoutSchema);
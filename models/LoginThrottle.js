@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const { AUTH_CONFIG } = require('../config/auth');
+
+/**
+ * Esquema de Contador de intentos de login fallidos
+ * Hay un contador por cuenta (email) y otro por IP:
+ *   - Por cuenta: tras LOGIN_FREE_ATTEMPTS fallos, cada intento exige esperar un tiempo que se
+ *     duplica con cada fallo (backoff exponencial); con LOGIN_LOCKOUT_THRESHOLD fallos se bloquea.
+ *   - Por IP: se bloquea con LOGIN_IP_LOCKOUT_THRESHOLD fallos (contra quien prueba muchas cuentas).
+ * Los contadores se olvidan tras LOGIN_ATTEMPT_WINDOW_MINUTES minutos sin fallos.
+ */
+
+const loginThrottleSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: ['account', 'ip'],
+    required: true
+  },
+  // Email (en minúsculas) o IP
+  identifier: {
+    type: String,
+    required: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lastFailureAt: {
+    type: Date,
+    default: null
+  },
+  // Antes de esta fecha no se acepta otro intento (backoff)
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+loginThrottleSchema.index({ scope: 1, identifier: 1 }, { unique: true });
+// MongoDB elimina los contadores sin fallos recientes ni bloqueo vigente
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Identificadores de los contadores de un intento de login
+ * @param {Object} attempt - { email, ip }
+ * @returns {Array} - [{ scope, identifier }]
+ */
+const getCounters = ({ email, ip }) => {
+  const counters = [{ scope: 'account', identifier: String(email).toLowerCase().trim() }];
+  if (ip) counters.push({ scope: 'ip', identifier: ip });
+  return counters;
+};
+
+/**
+ * Método estático: Verificar si se puede intentar un login
+ * @param {Object} attempt - { email, ip }
+ * @returns {Object} - { allowed, locked, retryAfter (segundos), lockedUntil }
+ */
+loginThrottleSchema.statics.checkLogin = async function(attempt) {
+  const now = new Date();
+  const throttles = await this.find({ $or: getCounters(attempt), expiresAt: { $gt: now } });
+
+  let result = { allowed: true, locked: false, retryAfter: 0, lockedUntil: null };
+
+  throttles.forEach(throttle => {
+    const locked = !!throttle.lockedUntil && throttle.lockedUntil > now;
+    const waitUntil = locked ? throttle.lockedUntil : throttle.nextAttemptAt;
+    if (!waitUntil || waitUntil <= now) return;
+
+    const retryAfter = Math.ceil((waitUntil - now) / 1000);
+
+    // Un bloqueo tiene prioridad sobre una espera de backoff
+    if ((locked && !result.locked) || (locked === result.locked && retryAfter > result.retryAfter)) {
+      result = { allowed: false, locked, retryAfter, lockedUntil: locked ? throttle.lockedUntil : null };
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Método estático: Registrar un login fallido
+ * Suma el fallo a los contadores de la cuenta y de la IP, calcula la espera siguiente
+ * y registra un LoginLockout si algún contador llega a su umbral
+ * @param {Object} attempt - { email, ip, userId }
+ * @returns {Object} - Resultado de checkLogin después del fallo
+ */
+loginThrottleSchema.statics.registerFailure = async function(attempt) {
+  const config = AUTH_CONFIG.login;
+  const LoginLockout = mongoose.model('LoginLockout');
+  const now = new Date();
+  const windowMs = config.attemptWindowMinutes * 60 * 1000;
+
+  await Promise.all(getCounters(attempt).map(async ({ scope, identifier }) => {
+    // Si el contador ya venció, el fallo empieza una cuenta nueva
+    const isCurrent = { $gt: ['$expiresAt', now] };
+    const throttle = await this.findOneAndUpdate(
+      { scope, identifier },
+      [{
+        $set: {
+          failures: { $cond: [isCurrent, { $add: [{ $ifNull: ['$failures', 0] }, 1] }, 1] },
+          lockedUntil: { $cond: [isCurrent, '$lockedUntil', null] },
+          lastFailureAt: now
+        }
+      }],
+      { upsert: true, new: true }
+    );
+
+    const threshold = scope === 'account' ? config.accountLockoutThreshold : config.ipLockoutThreshold;
+    const update = { nextAttemptAt: null, expiresAt: new Date(now.getTime() + windowMs) };
+
+    if (throttle.failures >= threshold) {
+      // Bloqueo: el contador vuelve a cero y empieza de nuevo al terminar
+      update.lockedUntil = new Date(now.getTime() + config.lockoutMinutes * 60 * 1000);
+      update.failures = 0;
+      update.expiresAt = new Date(update.lockedUntil.getTime() + windowMs);
+
+      await LoginLockout.create({
+        scope,
+        identifier,
+        userId: scope === 'account' ? attempt.userId || null : null,
+        ip: attempt.ip || null,
+        failures: throttle.failures,
+        lockedUntil: update.lockedUntil
+      });
+    } else if (scope === 'account' && throttle.failures > config.freeAttempts) {
+      const exponent = throttle.failures - config.freeAttempts - 1;
+      const delaySeconds = Math.min(config.backoffBaseSeconds * Math.pow(2, exponent), config.backoffMaxSeconds);
+      update.nextAttemptAt = new Date(now.getTime() + delaySeconds * 1000);
+    }
+
+    await this.updateOne({ _id: throttle._id }, { $set: update });
+  }));
+
+  return this.checkLogin(attempt);
+};
+
+/**
+ * Método estático: Olvidar los fallos de un contador (login exitoso o bloqueo levantado)
+ * @param {string} scope - account o ip
+ * @param {string} identifier - Email o IP
+ * @returns {Promise} - Resultado del borrado
+ */
+loginThrottleSchema.statics.clear = function(scope, identifier) {
+  return this.deleteOne({ scope, identifier: scope === 'account' ? String(identifier).toLowerCase().trim() : identifier });
+};
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
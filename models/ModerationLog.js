@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Registro de Moderación
+ * Guarda quién aprobó, rechazó o eliminó cada comentario y cuándo; incluye una copia
+ * del autor y el contenido para que el registro sobreviva a la eliminación del comentario
+ */
+
+// Acciones de moderación registradas
+const MODERATION_ACTIONS = ['approve', 'reject', 'delete'];
+
+const moderationLogSchema = new mongoose.Schema({
+  commentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    required: [true, 'El ID del comentario es requerido'],
+    immutable: true
+  },
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    default: null,
+    immutable: true
+  },
+  action: {
+    type: String,
+    enum: {
+      values: MODERATION_ACTIONS,
+      message: 'Acción de moderación inválida: {VALUE}'
+    },
+    required: [true, 'La acción es requerida'],
+    immutable: true
+  },
+  moderatorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El moderador es requerido'],
+    immutable: true
+  },
+  moderatorName: {
+    type: String,
+    default: null,
+    immutable: true
+  },
+  // Nota opcional del moderador (motivo del rechazo, etc.)
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'La nota no puede exceder 500 caracteres'],
+    default: null,
+    immutable: true
+  },
+  commentAuthor: {
+    type: String,
+    default: null,
+    immutable: true
+  },
+  commentContent: {
+    type: String,
+    default: null,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índices para consultar el historial por comentario, moderador o fecha
+moderationLogSchema.index({ commentId: 1, createdAt: -1 });
+moderationLogSchema.index({ moderatorId: 1, createdAt: -1 });
+moderationLogSchema.index({ createdAt: -1 });
+
+/**
+ * Middleware pre-save: el registro de moderación no se puede modificar
+ */
+moderationLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('El registro de moderación es inmutable'));
+  }
+  next();
+});
+
+/**
+ * Método estático: Registrar acciones de moderación sobre uno o varios comentarios
+ * @param {Array} comments - Comentarios moderados
+ * @param {string} action - 'approve', 'reject' o 'delete'
+ * @param {Object} moderator - Usuario que modera
+ * @param {string} note - Nota opcional
+ * @returns {Array} - Entradas creadas
+ */
+moderationLogSchema.statics.record = async function(comments, action, moderator, note = null) {
+  if (comments.length === 0) return [];
+
+  return await this.insertMany(comments.map(comment => ({
+    commentId: comment._id,
+    articleId: comment.articleId && comment.articleId._id ? comment.articleId._id : comment.articleId,
+    action,
+    moderatorId: moderator._id,
+    moderatorName: moderator.name,
+    note: note || null,
+    commentAuthor: comment.author,
+    commentContent: comment.content
+  })));
+};
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
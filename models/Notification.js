@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const { resolveMentions } = require('../utils/mentions');
+
+/**
+ * Esquema de Notificación
+ * Avisa a un usuario registrado cuando lo mencionan (@Nombre) en un comentario
+ * o cuando alguien responde a uno de sus comentarios
+ */
+
+// Tipos de notificación
+const NOTIFICATION_TYPES = ['mention', 'reply'];
+
+const notificationSchema = new mongoose.Schema({
+  recipientId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El destinatario es requerido']
+  },
+  type: {
+    type: String,
+    enum: {
+      values: NOTIFICATION_TYPES,
+      message: 'Tipo de notificación inválido: {VALUE}'
+    },
+    required: [true, 'El tipo de notificación es requerido']
+  },
+  // Usuario que escribió el comentario
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorName: {
+    type: String,
+    default: null
+  },
+  commentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    required: [true, 'El ID del comentario es requerido']
+  },
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: [true, 'El ID del artículo es requerido']
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Una notificación por destinatario y comentario (editar el comentario no duplica avisos)
+notificationSchema.index({ recipientId: 1, commentId: 1 }, { unique: true });
+notificationSchema.index({ recipientId: 1, isRead: 1, createdAt: -1 });
+
+/**
+ * Método estático: Notificar a los usuarios mencionados en un comentario
+ * y al autor del comentario al que responde
+ * Solo se notifica por comentarios aprobados de usuarios registrados; si el
+ * destinatario ya tenía una notificación por ese comentario no se repite
+ * @param {Object} comment - Comentario (documento o lean)
+ * @returns {number} - Cantidad de notificaciones creadas
+ */
+notificationSchema.statics.notifyForComment = async function(comment) {
+  if (!comment.isApproved || comment.isDeleted || !comment.userId) return 0;
+
+  const Comment = mongoose.model('Comment');
+  const actorId = (comment.userId._id || comment.userId).toString();
+  const recipients = new Map();
+
+  if (comment.parentCommentId) {
+    const parent = await Comment.findById(comment.parentCommentId).select('userId isDeleted');
+    if (parent && parent.userId && !parent.isDeleted) {
+      recipients.set(parent.userId.toString(), 'reply');
+    }
+  }
+
+  const mentionedIds = await resolveMentions(comment.content);
+  mentionedIds.forEach(userId => {
+    if (!recipients.has(userId)) recipients.set(userId, 'mention');
+  });
+
+  recipients.delete(actorId);
+  if (recipients.size === 0) return 0;
+
+  const notifications = [...recipients].map(([recipientId, type]) => ({
+    recipientId,
+    type,
+    actorId,
+    actorName: comment.author,
+    commentId: comment._id,
+    articleId: comment.articleId._id || comment.articleId
+  }));
+
+  try {
+    const created = await this.insertMany(notifications, { ordered: false });
+    return created.length;
+  } catch (error) {
+    // Los duplicados (ya notificados) se ignoran; el resto se insertó igual
+    if (error.code === 11000) {
+      return (error.insertedDocs || []).length;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Método estático: Contar notificaciones sin leer de un usuario
+ * @param {string} userId - ID del usuario
+ * @returns {number} - Cantidad sin leer
+ */
+notificationSchema.statics.getUnreadCount = function(userId) {
+  return this.countDocuments({ recipientId: userId, isRead: false });
+};
+
+/**
+ * Método estático: Marcar como leídas todas las notificaciones de un usuario
+ * @param {string} userId - ID del usuario
+ * @returns {number} - Cantidad de notificaciones marcadas
+ */
+notificationSchema.statics.markAllRead = async function(userId) {
+  const result = await this.updateMany(
+    { recipientId: userId, isRead: false },
+    { $set: { isRead: true, readAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Método de instancia: Marcar la notificación como leída
+ * @returns {Promise} - Notificación guardada
+ */
+notificationSchema.methods.markRead = function() {
+  if (this.isRead) return Promise.resolve(this);
+
+  this.isRead = true;
+  this.readAt = new Date();
+  return this.save();
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
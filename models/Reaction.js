@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const { REACTION_KEYS } = require('../config/reactions');
+
+/**
+ * Esquema de Reacción (emoji) para artículos y comentarios
+ * Cada usuario o visitante anónimo puede tener una sola reacción por contenido;
+ * los totales por reacción se mantienen en reactionCounts del artículo o comentario
+ */
+
+// Máximo de visitantes distintos que pueden reaccionar al mismo contenido desde una IP en la ventana
+const MAX_VISITOR_REACTIONS_PER_IP = parseInt(process.env.VISITOR_REACTIONS_PER_IP) || 3;
+const IP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Modelo que contiene el contador de cada tipo de contenido
+const TARGET_MODELS = {
+  article: 'Article',
+  comment: 'Comment'
+};
+
+const reactionSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: Object.keys(TARGET_MODELS),
+    required: [true, 'El tipo de contenido es requerido']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'El ID del contenido es requerido']
+  },
+  // Identidad de quien reacciona: "user:<id>" o "visitor:<id>"
+  actorKey: {
+    type: String,
+    required: [true, 'La identidad de quien reacciona es requerida']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  reaction: {
+    type: String,
+    required: [true, 'La reacción es requerida'],
+    validate: {
+      validator: (value) => REACTION_KEYS.includes(value),
+      message: 'Reacción inválida: {VALUE}'
+    }
+  },
+  // Hash de la IP (solo reacciones anónimas, para limitar visitantes nuevos desde la misma red)
+  ipHash: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.ipHash;
+      return ret;
+    }
+  }
+});
+
+// Índice compuesto único: una reacción por persona y contenido
+reactionSchema.index({ actorKey: 1, targetType: 1, targetId: 1 }, { unique: true });
+reactionSchema.index({ targetType: 1, targetId: 1, reaction: 1 });
+reactionSchema.index({ ipHash: 1, targetType: 1, targetId: 1, createdAt: -1 });
+
+/**
+ * Obtener la clave de identidad de quien hace la petición
+ * @param {Object} req - Request object (req.user o req.visitor)
+ * @returns {string|null} - "user:<id>", "visitor:<id>" o null
+ */
+const getActorKey = (req) => {
+  if (req.user) return `user:${req.user._id}`;
+  if (req.visitor) return `visitor:${req.visitor.id}`;
+  return null;
+};
+
+/**
+ * Aplicar incrementos al contador de reacciones del contenido
+ * @param {string} targetType - 'article' o 'comment'
+ * @param {string} targetId - ID del contenido
+ * @param {Object} increments - { reaction: delta }
+ */
+const applyCountChanges = async (targetType, targetId, increments) => {
+  const inc = {};
+  Object.entries(increments).forEach(([reaction, delta]) => {
+    if (delta !== 0) inc[`reactionCounts.${reaction}`] = delta;
+  });
+
+  if (Object.keys(inc).length === 0) return;
+
+  await mongoose.model(TARGET_MODELS[targetType]).updateOne({ _id: targetId }, { $inc: inc });
+};
+
+/**
+ * Método estático: Agregar o cambiar la reacción de una persona sobre un contenido
+ * Un visitante anónimo nuevo se obtiene con solo borrar la cookie: si desde la misma IP ya
+ * reaccionaron al contenido demasiados visitantes distintos, la reacción nueva se rechaza
+ * @param {string} targetType - 'article' o 'comment'
+ * @param {string} targetId - ID del contenido
+ * @param {string} actorKey - Identidad de quien reacciona
+ * @param {string} reaction - Clave de la reacción
+ * @param {string} userId - ID del usuario (si está autenticado)
+ * @param {string} ipHash - Hash de la IP (solo visitantes anónimos)
+ * @returns {Object} - { action: 'added' | 'changed' | 'unchanged' | 'blocked', previous, reaction }
+ */
+reactionSchema.statics.setReaction = async function(targetType, targetId, actorKey, reaction, userId = null, ipHash = null) {
+  const filter = { actorKey, targetType, targetId };
+  let previous;
+
+  if (ipHash && !(await this.exists(filter))) {
+    const reactionsFromIp = await this.countDocuments({
+      ipHash,
+      targetType,
+      targetId,
+      createdAt: { $gte: new Date(Date.now() - IP_WINDOW_MS) }
+    });
+
+    if (reactionsFromIp >= MAX_VISITOR_REACTIONS_PER_IP) {
+      return { action: 'blocked', previous: null, reaction };
+    }
+  }
+
+  try {
+    previous = await this.findOneAndUpdate(
+      filter,
+      { $set: { reaction, userId }, $setOnInsert: { ipHash } },
+      { upsert: true, new: false, runValidators: true }
+    );
+  } catch (error) {
+    // Dos peticiones simultáneas intentaron crear la misma reacción: reintentar como actualización
+    if (error.code !== 11000) throw error;
+    previous = await this.findOneAndUpdate(filter, { $set: { reaction, userId } }, { new: false });
+  }
+
+  if (!previous) {
+    await applyCountChanges(targetType, targetId, { [reaction]: 1 });
+    return { action: 'added', previous: null, reaction };
+  }
+
+  if (previous.reaction === reaction) {
+    return { action: 'unchanged', previous: previous.reaction, reaction };
+  }
+
+  await applyCountChanges(targetType, targetId, { [reaction]: 1, [previous.reaction]: -1 });
+  return { action: 'changed', previous: previous.reaction, reaction };
+};
+
+/**
+ * Método estático: Quitar la reacción de una persona sobre un contenido
+ * @param {string} targetType - 'article' o 'comment'
+ * @param {string} targetId - ID del contenido
+ * @param {string} actorKey - Identidad de quien reacciona
+ * @returns {Object} - { action: 'removed' | 'unchanged', previous }
+ */
+reactionSchema.statics.removeReaction = async function(targetType, targetId, actorKey) {
+  const removed = await this.findOneAndDelete({ actorKey, targetType, targetId });
+
+  if (!removed) {
+    return { action: 'unchanged', previous: null };
+  }
+
+  await applyCountChanges(targetType, targetId, { [removed.reaction]: -1 });
+  return { action: 'removed', previous: removed.reaction };
+};
+
+/**
+ * Método estático: Construir el resumen de reacciones de un contenido
+ * @param {Object|Map} reactionCounts - Contadores guardados en el contenido
+ * @param {string|null} userReaction - Reacción elegida por quien consulta
+ * @returns {Object} - { counts, total, userReaction }
+ */
+reactionSchema.statics.buildSummary = function(reactionCounts, userReaction = null) {
+  const raw = reactionCounts instanceof Map
+    ? Object.fromEntries(reactionCounts)
+    : (reactionCounts || {});
+
+  const counts = {};
+  let total = 0;
+  REACTION_KEYS.forEach(key => {
+    counts[key] = Math.max(raw[key] || 0, 0);
+    total += counts[key];
+  });
+
+  return { counts, total, userReaction };
+};
+
+/**
+ * Método estático: Obtener la reacción de una persona para varios contenidos
+ * @param {string} targetType - 'article' o 'comment'
+ * @param {Array} targetIds - IDs de los contenidos
+ * @param {string|null} actorKey - Identidad de quien consulta
+ * @returns {Map} - targetId (string) -> reacción
+ */
+reactionSchema.statics.getActorReactions = async function(targetType, targetIds, actorKey) {
+  const result = new Map();
+  if (!actorKey || targetIds.length === 0) return result;
+
+  const reactions = await this.find({ actorKey, targetType, targetId: { $in: targetIds } })
+    .select('targetId reaction')
+    .lean();
+
+  reactions.forEach(reaction => result.set(reaction.targetId.toString(), reaction.reaction));
+  return result;
+};
+
+/**
+ * Método estático: Pasar las reacciones de un visitante anónimo a una cuenta de usuario
+ * Si el usuario ya había reaccionado al mismo contenido se conserva la reacción del usuario
+ * @param {string} visitorId - ID del visitante
+ * @param {string} userId - ID del usuario
+ * @returns {number} - Cantidad de reacciones migradas
+ */
+reactionSchema.statics.mergeVisitorIntoUser = async function(visitorId, userId) {
+  const visitorReactions = await this.find({ actorKey: `visitor:${visitorId}` });
+  let merged = 0;
+
+  for (const visitorReaction of visitorReactions) {
+    const { targetType, targetId } = visitorReaction;
+    const userReaction = await this.exists({ actorKey: `user:${userId}`, targetType, targetId });
+
+    if (userReaction) {
+      await this.deleteOne({ _id: visitorReaction._id });
+      await applyCountChanges(targetType, targetId, { [visitorReaction.reaction]: -1 });
+    } else {
+      visitorReaction.actorKey = `user:${userId}`;
+      visitorReaction.userId = userId;
+      visitorReaction.ipHash = null;
+      await visitorReaction.save();
+      merged++;
+    }
+  }
+
+  return merged;
+};
+
+// Método estático para obtener la identidad de quien hace la petición
+reactionSchema.statics.getActorKey = getActorKey;
+
+module.exports = mongoose.model('Reaction', reactionSchema);
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Sesión (familia de refresh tokens)
+ * Cada login crea una sesión con un refresh token de larga duración; solo se guarda su hash.
+ * Cada renovación rota el token y guarda el hash anterior: si un token ya rotado se vuelve
+ * a usar, se asume que fue robado y se revoca la sesión completa.
+ */
+
+// Días de validez del refresh token (se extiende en cada renovación)
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+// Hashes de tokens rotados que se conservan para detectar reutilización
+const MAX_PREVIOUS_TOKENS = 50;
+
+// Cada cuánto se actualiza lastUsedAt al usar un token de acceso
+const LAST_USED_UPDATE_MS = 60 * 1000;
+
+/**
+ * Hashear un refresh token (solo se guarda el hash)
+ * @param {string} token - Token en claro
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+const hashRefreshToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Calcular la fecha de expiración de un refresh token emitido ahora
+ * @returns {Date} - Fecha de expiración
+ */
+const refreshExpiresAt = () => new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario es requerido']
+  },
+  // Hash del refresh token vigente
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hashes de los refresh tokens ya rotados (para detectar reutilización)
+  previousTokenHashes: {
+    type: [String],
+    default: [],
+    select: false
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // Motivo de la revocación (logout, reuse, ...)
+  revokedReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.tokenHash;
+      delete ret.previousTokenHashes;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 });
+// MongoDB elimina las sesiones cuando vence su refresh token
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Generar un refresh token nuevo
+ * @returns {Object} - { token, tokenHash }
+ */
+const generateRefreshToken = () => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  return { token, tokenHash: hashRefreshToken(token) };
+};
+
+/**
+ * Obtener los datos del cliente que se guardan con la sesión
+ * @param {Object} req - Request object
+ * @returns {Object} - { userAgent, ip }
+ */
+const getClientInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').substring(0, 500) || null,
+  ip: req.ip || null
+});
+
+/**
+ * Método estático: Crear una sesión nueva para un usuario
+ * @param {Object} user - Usuario autenticado
+ * @param {Object} req - Request object (user-agent e IP)
+ * @returns {Object} - { session, refreshToken }
+ */
+sessionSchema.statics.createForUser = async function(user, req) {
+  const { token, tokenHash } = generateRefreshToken();
+
+  const session = await this.create({
+    userId: user._id,
+    tokenHash,
+    ...getClientInfo(req),
+    expiresAt: refreshExpiresAt()
+  });
+
+  return { session, refreshToken: token };
+};
+
+/**
+ * Método estático: Rotar un refresh token
+ * Si el token ya había sido rotado, se revoca la sesión completa
+ * @param {string} refreshToken - Refresh token recibido
+ * @param {Object} req - Request object (user-agent e IP)
+ * @returns {Object} - { status: 'rotated' | 'reused' | 'revoked' | 'expired' | 'invalid', session, refreshToken }
+ */
+sessionSchema.statics.rotate = async function(refreshToken, req) {
+  const oldHash = hashRefreshToken(refreshToken);
+  const { token, tokenHash } = generateRefreshToken();
+  const now = new Date();
+
+  // El filtro por tokenHash hace que dos renovaciones simultáneas no puedan rotar el mismo token
+  const session = await this.findOneAndUpdate(
+    { tokenHash: oldHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: { tokenHash, lastUsedAt: now, expiresAt: refreshExpiresAt(), ...getClientInfo(req) },
+      $push: { previousTokenHashes: { $each: [oldHash], $slice: -MAX_PREVIOUS_TOKENS } }
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { status: 'rotated', session, refreshToken: token };
+  }
+
+  const reused = await this.findOne({ previousTokenHashes: oldHash });
+  if (reused) {
+    if (!reused.revokedAt) await reused.revoke('reuse');
+    return { status: 'reused', session: reused };
+  }
+
+  const current = await this.findOne({ tokenHash: oldHash });
+  if (current) {
+    return { status: current.revokedAt ? 'revoked' : 'expired', session: current };
+  }
+
+  return { status: 'invalid' };
+};
+
+/**
+ * Método estático: Buscar la sesión de un refresh token
+ * @param {string} refreshToken - Refresh token en claro
+ * @returns {Object|null} - Sesión
+ */
+sessionSchema.statics.findByRefreshToken = function(refreshToken) {
+  return this.findOne({ tokenHash: hashRefreshToken(refreshToken) });
+};
+
+/**
+ * Método estático: Filtro de sesiones activas (no revocadas ni expiradas)
+ * @returns {Object} - Filtro de MongoDB
+ */
+sessionSchema.statics.activeFilter = function() {
+  return { revokedAt: null, expiresAt: { $gt: new Date() } };
+};
+
+/**
+ * Método estático: Verificar que la sesión de un token de acceso siga activa
+ * Actualiza lastUsedAt como mucho una vez por minuto
+ * @param {string} sessionId - ID de la sesión (claim sid del token)
+ * @param {string} userId - ID del usuario del token
+ * @returns {boolean} - true si la sesión sigue activa
+ */
+sessionSchema.statics.isActiveSession = async function(sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+
+  const session = await this.findOne({ _id: sessionId, userId, ...this.activeFilter() }).select('lastUsedAt');
+  if (!session) return false;
+
+  if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_UPDATE_MS) {
+    this.updateOne({ _id: session._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.error('Error al actualizar uso de sesión:', error));
+  }
+
+  return true;
+};
+
+/**
+ * Método estático: Sesiones activas de un usuario (la más reciente primero)
+ * @param {string} userId - ID del usuario
+ * @returns {Array} - Sesiones
+ */
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({ userId, ...this.activeFilter() }).sort({ lastUsedAt: -1 });
+};
+
+/**
+ * Método estático: Revocar todas las sesiones activas de un usuario
+ * @param {string} userId - ID del usuario
+ * @param {string} reason - Motivo de la revocación
+ * @param {string} exceptSessionId - Sesión que se conserva (opcional)
+ * @returns {number} - Cantidad de sesiones revocadas
+ */
+sessionSchema.statics.revokeAllForUser = async function(userId, reason, exceptSessionId = null) {
+  const filter = { userId, ...this.activeFilter() };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const result = await this.updateMany(filter, {
+    $set: { revokedAt: new Date(), revokedReason: reason }
+  });
+
+  return result.modifiedCount;
+};
+
+/**
+ * Método de instancia: Revocar la sesión (su refresh token deja de servir)
+ * @param {string} reason - Motivo de la revocación
+ * @returns {Promise} - Sesión guardada
+ */
+sessionSchema.methods.revoke = function(reason = 'logout') {
+  if (this.revokedAt) return Promise.resolve(this);
+
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
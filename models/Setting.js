@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+const { AUTH_CONFIG } = require('../config/auth');
+
+/**
+ * Esquema de Ajuste del sistema
+ * Ajustes que los administradores cambian en tiempo de ejecución (clave -> valor)
+ */
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Último usuario que cambió el ajuste
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+/**
+ * Método estático: Leer un ajuste
+ * @param {string} key - Clave del ajuste
+ * @param {*} defaultValue - Valor si el ajuste nunca se guardó
+ * @returns {*} - Valor del ajuste
+ */
+settingSchema.statics.getValue = async function(key, defaultValue = null) {
+  const setting = await this.findOne({ key }).lean();
+  return setting ? setting.value : defaultValue;
+};
+
+/**
+ * Método estático: Guardar un ajuste
+ * @param {string} key - Clave del ajuste
+ * @param {*} value - Valor
+ * @param {string} userId - Usuario que lo cambia
+ * @returns {Object} - Ajuste guardado
+ */
+settingSchema.statics.setValue = function(key, value, userId = null) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy: userId } },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Método estático: ¿Se exige 2FA a los usuarios admin?
+ * @returns {boolean} - true si se exige
+ */
+settingSchema.statics.isTwoFactorRequiredForAdmins = async function() {
+  return !!(await this.getValue('requireTwoFactorForAdmins', AUTH_CONFIG.twoFactor.requiredForAdmins));
+};
+
+module.exports = mongoose.model('Setting', settingSchema);
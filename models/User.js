@@ -1,5 +1,9 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { verifyTotp, decryptTotpSecret } = require('../utils/totp');
+const { AUTH_CONFIG } = require('../config/auth');
+const { normalizeName } = require('../utils/mentions');
 
 /**
  * Esquema de Usuario para registro rápido
@@ -13,6 +17,12 @@ const userSchema = new mongoose.Schema({
     minlength: [2, 'El nombre debe tener al menos 2 caracteres'],
     maxlength: [50, 'El nombre no puede exceder 50 caracteres']
   },
+  // Nombre normalizado (minúsculas y espacios simples) para resolver menciones @Nombre
+  nameKey: {
+    type: String,
+    default: null,
+    select: false
+  },
   email: {
     type: String,
     required: [true, 'El email es requerido'],
@@ -34,9 +44,16 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Biografía corta que se muestra en el perfil público
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'La biografía no puede exceder 300 caracteres'],
+    default: ''
+  },
   role: {
     type: String,
-    enum: ['user', 'admin'],
+    enum: ['user', 'author', 'editor', 'admin'],
     default: 'user'
   },
   isActive: {
@@ -46,6 +63,50 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
     default: null
+  },
+  // Se marca al abrir el enlace enviado por email
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  // Autenticación de dos factores (TOTP)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    },
+    // Secreto TOTP cifrado
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Secreto generado en la configuración, hasta confirmarlo con el primer código
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Hashes de los códigos de recuperación sin usar
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Último paso de tiempo aceptado (un código no se puede usar dos veces)
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    }
   }
 }, {
   timestamps: true, // Agrega createdAt y updatedAt automáticamente
@@ -61,6 +122,17 @@ const userSchema = new mongoose.Schema({
 // Índices para optimizar consultas
 // Nota: email ya tiene index único por unique: true en el schema
 userSchema.index({ createdAt: -1 });
+userSchema.index({ nameKey: 1 });
+
+/**
+ * Middleware pre-save: Mantener nameKey sincronizado con el nombre
+ */
+userSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('name')) {
+    this.nameKey = normalizeName(this.name);
+  }
+  next();
+});
 
 /**
  * Middleware pre-save: Hashear password antes de guardar
@@ -100,6 +172,89 @@ userSchema.methods.updateLastLogin = function() {
   return this.save();
 };
 
+/**
+ * Método de instancia: Marcar el email como verificado
+ */
+userSchema.methods.markEmailVerified = function() {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  return this.save();
+};
+
+/**
+ * Hashear un código de recuperación (ignora mayúsculas, espacios y guiones)
+ * @param {string} code - Código en claro
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Método de instancia: Generar códigos de recuperación nuevos (reemplaza los anteriores)
+ * No guarda el documento
+ * @returns {Array<string>} - Códigos en claro (solo se muestran una vez)
+ */
+userSchema.methods.generateRecoveryCodes = function() {
+  const codes = Array.from({ length: AUTH_CONFIG.twoFactor.recoveryCodes }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.substring(0, 5)}-${hex.substring(5)}`;
+  });
+
+  this.twoFactor.recoveryCodes = codes.map(hashRecoveryCode);
+  return codes;
+};
+
+/**
+ * Método de instancia: Verificar un código de 2FA (de la app o de recuperación)
+ * Los códigos de la app no se aceptan dos veces y los de recuperación se consumen
+ * Requiere el documento cargado con +twoFactor.secret
+ * @param {string} code - Código ingresado
+ * @returns {Object} - { valid, method: 'totp' | 'recovery' }
+ */
+userSchema.methods.verifyTwoFactorCode = async function(code) {
+  const User = this.constructor;
+
+  if (this.twoFactor.secret) {
+    const step = verifyTotp(decryptTotpSecret(this.twoFactor.secret), code);
+
+    if (step !== null) {
+      // Operación atómica: el mismo código no sirve en dos peticiones simultáneas
+      const result = await User.updateOne(
+        {
+          _id: this._id,
+          $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+        },
+        { $set: { 'twoFactor.lastUsedStep': step } }
+      );
+      return { valid: result.modifiedCount === 1, method: 'totp' };
+    }
+  }
+
+  if (!code || typeof code !== 'string') {
+    return { valid: false, method: null };
+  }
+
+  const codeHash = hashRecoveryCode(code);
+  const result = await User.updateOne(
+    { _id: this._id, 'twoFactor.recoveryCodes': codeHash },
+    { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+  );
+
+  return { valid: result.modifiedCount === 1, method: 'recovery' };
+};
+
+/**
+ * Método estático: Cantidad de códigos de recuperación sin usar
+ * @param {string} userId - ID del usuario
+ * @returns {number} - Códigos restantes
+ */
+userSchema.statics.countRecoveryCodes = async function(userId) {
+  const user = await this.findById(userId).select('+twoFactor.recoveryCodes');
+  return user ? user.twoFactor.recoveryCodes.length : 0;
+};
+
 /**
  * Método estático: Buscar usuario por email
  * @param {string} email - Email del usuario
@@ -119,6 +274,40 @@ userSchema.statics.emailExists = async function(email) {
   return !!user;
 };
 
+/**
+ * Método estático: Marcar como verificados los emails de cuentas creadas antes de una fecha
+ * (cuentas anteriores a la verificación de email, que de otro modo figuran como no verificadas)
+ * @param {Date} createdBefore - Fecha en la que se activó la verificación de email
+ * @returns {number} - Cantidad de usuarios actualizados
+ */
+userSchema.statics.markEmailsVerifiedBefore = async function(createdBefore) {
+  const result = await this.updateMany(
+    { emailVerified: { $ne: true }, createdAt: { $lt: createdBefore } },
+    { $set: { emailVerified: true } },
+    { timestamps: false }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Método estático: Completar nameKey en usuarios creados antes de que existiera
+ * @returns {number} - Cantidad de usuarios actualizados
+ */
+userSchema.statics.syncNameKeys = async function() {
+  const users = await this.find({ nameKey: null }).select('name').lean();
+  if (users.length === 0) return 0;
+
+  const result = await this.bulkWrite(users.map(user => ({
+    updateOne: {
+      filter: { _id: user._id },
+      update: { $set: { nameKey: normalizeName(user.name) } },
+      timestamps: false
+    }
+  })));
+
+  return result.modifiedCount;
+};
+
 /**
  * Virtual: Información pública del usuario (sin datos sensibles)
  */
@@ -128,12 +317,29 @@ userSchema.virtual('publicInfo').get(function() {
     name: this.name,
     email: this.email,
     avatar: this.avatar,
+    bio: this.bio,
     role: this.role,
+    emailVerified: this.emailVerified,
+    twoFactorEnabled: !!(this.twoFactor && this.twoFactor.enabled),
     createdAt: this.createdAt,
     lastLogin: this.lastLogin
   };
 });
 
+/**
+ * Virtual: Perfil público (lo que cualquiera puede ver; sin email ni datos de la cuenta)
+ */
+userSchema.virtual('publicProfile').get(function() {
+  return {
+    _id: this._id,
+    name: this.name,
+    avatar: this.avatar,
+    bio: this.bio,
+    role: this.role,
+    createdAt: this.createdAt
+  };
+});
+
 // Asegurar que los virtuals se incluyan en JSON
 userSchema.set('toJSON', { virtuals: true });
 
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Token de usuario de un solo uso (restablecer la contraseña, verificar el email,
+ * confirmar un cambio de email)
+ * Solo se guarda el hash del token; el token en claro viaja únicamente en el correo
+ */
+
+const TOKEN_PURPOSES = ['password-reset', 'email-verification', 'email-change'];
+
+/**
+ * Hashear un token (solo se guarda el hash)
+ * @param {string} token - Token en claro
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const userTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'El usuario es requerido']
+  },
+  purpose: {
+    type: String,
+    enum: TOKEN_PURPOSES,
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Fecha de uso; un token usado ya no sirve
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  // Email nuevo que confirma el token (solo cambios de email)
+  newEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  // IP desde la que se pidió el token
+  requestedIp: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+userTokenSchema.index({ tokenHash: 1 }, { unique: true });
+userTokenSchema.index({ userId: 1, purpose: 1, createdAt: -1 });
+// MongoDB elimina los tokens cuando vencen
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Método estático: Emitir un token nuevo (invalida los anteriores sin usar del mismo tipo)
+ * @param {string} userId - ID del usuario
+ * @param {string} purpose - Uso del token
+ * @param {number} expiresMinutes - Minutos de validez
+ * @param {Object} req - Request object (IP de la solicitud)
+ * @param {Object} data - Datos extra del token ({ newEmail } en los cambios de email)
+ * @returns {Object} - { token, userToken }
+ */
+userTokenSchema.statics.issue = async function(userId, purpose, expiresMinutes, req = null, data = {}) {
+  await this.invalidateForUser(userId, purpose);
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const userToken = await this.create({
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + expiresMinutes * 60 * 1000),
+    requestedIp: req ? req.ip : null,
+    newEmail: data.newEmail || null
+  });
+
+  return { token, userToken };
+};
+
+/**
+ * Filtro de un token vigente (sin usar y sin vencer)
+ * @param {string} token - Token en claro
+ * @param {string|Array<string>} purpose - Uso (o usos) esperado del token
+ * @returns {Object} - Filtro de MongoDB
+ */
+const validTokenFilter = (token, purpose) => ({
+  tokenHash: hashToken(token),
+  purpose: { $in: [].concat(purpose) },
+  usedAt: null,
+  expiresAt: { $gt: new Date() }
+});
+
+/**
+ * Método estático: Buscar un token vigente sin usarlo
+ * (para mostrar qué confirma un enlace antes de que el usuario lo confirme)
+ * @param {string} token - Token en claro
+ * @param {string|Array<string>} purpose - Uso (o usos) esperado del token
+ * @returns {Object|null} - Token, o null si no existe, expiró o ya se usó
+ */
+userTokenSchema.statics.findValid = function(token, purpose) {
+  return this.findOne(validTokenFilter(token, purpose));
+};
+
+/**
+ * Método estático: Usar un token (operación atómica: un token sirve una sola vez)
+ * @param {string} token - Token en claro
+ * @param {string|Array<string>} purpose - Uso (o usos) esperado del token
+ * @returns {Object|null} - Token usado, o null si no existe, expiró o ya se usó
+ */
+userTokenSchema.statics.consume = function(token, purpose) {
+  return this.findOneAndUpdate(
+    validTokenFilter(token, purpose),
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Método estático: Último token emitido a un usuario (para limitar los reenvíos)
+ * @param {string} userId - ID del usuario
+ * @param {string} purpose - Uso del token
+ * @returns {Object|null} - Token más reciente
+ */
+userTokenSchema.statics.findLatestForUser = function(userId, purpose) {
+  return this.findOne({ userId, purpose }).sort({ createdAt: -1 });
+};
+
+/**
+ * Método estático: Invalidar los tokens sin usar de un usuario
+ * @param {string} userId - ID del usuario
+ * @param {string} purpose - Uso de los tokens
+ * @returns {number} - Cantidad de tokens invalidados
+ */
+userTokenSchema.statics.invalidateForUser = async function(userId, purpose) {
+  const result = await this.updateMany(
+    { userId, purpose, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
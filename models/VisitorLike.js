@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+
+/**
+ * Esquema de Like anónimo (visitante sin cuenta)
+ * Identifica al visitante por el token firmado que emite el servidor y guarda
+ * un hash de su IP para limitar likes repetidos desde la misma red
+ */
+
+// Máximo de visitantes distintos que pueden dar like al mismo contenido desde una IP en la ventana
+const MAX_LIKES_PER_IP = parseInt(process.env.VISITOR_LIKES_PER_IP) || 3;
+const IP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const visitorLikeSchema = new mongoose.Schema({
+  visitorId: {
+    type: String,
+    required: [true, 'El ID del visitante es requerido']
+  },
+  targetType: {
+    type: String,
+    enum: ['article', 'comment'],
+    required: [true, 'El tipo de contenido es requerido']
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'El ID del contenido es requerido']
+  },
+  ipHash: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.ipHash;
+      return ret;
+    }
+  }
+});
+
+// Índice compuesto único: un like por visitante y contenido
+visitorLikeSchema.index({ visitorId: 1, targetType: 1, targetId: 1 }, { unique: true });
+
+// Índices para contar likes y aplicar la heurística por IP
+visitorLikeSchema.index({ targetType: 1, targetId: 1 });
+visitorLikeSchema.index({ ipHash: 1, targetType: 1, targetId: 1, createdAt: -1 });
+
+/**
+ * Método estático: Verificar si un visitante dio like a un contenido
+ * @param {string} visitorId - ID del visitante
+ * @param {string} targetType - 'article' o 'comment'
+ * @param {string} targetId - ID del contenido
+ * @returns {boolean} - True si el visitante dio like
+ */
+visitorLikeSchema.statics.visitorLiked = async function(visitorId, targetType, targetId) {
+  if (!visitorId) return false;
+  const like = await this.findOne({ visitorId, targetType, targetId });
+  return !!like;
+};
+
+/**
+ * Método estático: Dar like como visitante
+ * Rechaza el like si desde la misma IP ya lo dieron demasiados visitantes distintos
+ * @param {Object} visitor - { id, ipHash }
+ * @param {string} targetType - 'article' o 'comment'
+ * @param {string} targetId - ID del contenido
+ * @returns {Object} - Resultado de la operación
+ */
+visitorLikeSchema.statics.addLike = async function(visitor, targetType, targetId) {
+  const existingLike = await this.findOne({ visitorId: visitor.id, targetType, targetId });
+  if (existingLike) {
+    return { success: false, message: 'Ya diste like a este contenido', liked: true };
+  }
+
+  if (visitor.ipHash) {
+    const likesFromIp = await this.countDocuments({
+      ipHash: visitor.ipHash,
+      targetType,
+      targetId,
+      createdAt: { $gte: new Date(Date.now() - IP_WINDOW_MS) }
+    });
+
+    if (likesFromIp >= MAX_LIKES_PER_IP) {
+      return {
+        success: false,
+        blocked: true,
+        message: 'Se alcanzó el límite de likes anónimos desde esta red. Inicia sesión para dar like.',
+        liked: false
+      };
+    }
+  }
+
+  try {
+    const like = await this.create({
+      visitorId: visitor.id,
+      ipHash: visitor.ipHash,
+      targetType,
+      targetId
+    });
+    return { success: true, action: 'added', like, message: 'Like agregado exitosamente', liked: true };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { success: false, message: 'Ya diste like a este contenido', liked: true };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Método estático: Quitar like como visitante
+ * @param {Object} visitor - { id }
+ * @param {string} targetType - 'article' o 'comment'
+ * @param {string} targetId - ID del contenido
+ * @returns {Object} - Resultado de la operación
+ */
+visitorLikeSchema.statics.removeLike = async function(visitor, targetType, targetId) {
+  const result = await this.deleteOne({ visitorId: visitor.id, targetType, targetId });
+
+  if (result.deletedCount === 0) {
+    return { success: false, message: 'No habías dado like a este contenido', liked: false };
+  }
+
+  return { success: true, action: 'removed', message: 'Like eliminado exitosamente', liked: false };
+};
+
+/**
+ * Método estático: Toggle like como visitante
+ * @param {Object} visitor - { id, ipHash }
+ * @param {string} targetType - 'article' o 'comment'
+ * @param {string} targetId - ID del contenido
+ * @returns {Object} - Resultado de la operación
+ */
+visitorLikeSchema.statics.toggleLike = async function(visitor, targetType, targetId) {
+  const removed = await this.findOneAndDelete({ visitorId: visitor.id, targetType, targetId });
+
+  if (removed) {
+    return { success: true, action: 'removed', message: 'Like eliminado exitosamente', liked: false };
+  }
+
+  return await this.addLike(visitor, targetType, targetId);
+};
+
+/**
+ * Método estático: Contar likes anónimos de un contenido
+ * @param {string} targetType - 'article' o 'comment'
+ * @param {string} targetId - ID del contenido
+ * @returns {number} - Número de likes
+ */
+visitorLikeSchema.statics.countLikes = async function(targetType, targetId) {
+  return await this.countDocuments({ targetType, targetId });
+};
+
+/**
+ * Método estático: Obtener los IDs de contenidos (de una lista) a los que el visitante dio like
+ * @param {string} visitorId - ID del visitante
+ * @param {string} targetType - 'article' o 'comment'
+ * @param {Array} targetIds - IDs de los contenidos
+ * @returns {Set} - IDs (string) de los contenidos con like
+ */
+visitorLikeSchema.statics.getLikedTargetIds = async function(visitorId, targetType, targetIds) {
+  if (!visitorId || targetIds.length === 0) return new Set();
+
+  const likes = await this.find({ visitorId, targetType, targetId: { $in: targetIds } })
+    .select('targetId')
+    .lean();
+
+  return new Set(likes.map(like => like.targetId.toString()));
+};
+
+/**
+ * Método estático: Pasar los likes de un visitante a una cuenta de usuario
+ * Los likes se convierten en likes de usuario (Like / CommentLike); si el usuario ya
+ * había dado like al mismo contenido, el like anónimo se descarta y se corrige el contador
+ * @param {string} visitorId - ID del visitante
+ * @param {string} userId - ID del usuario
+ * @returns {Object} - { articles, comments } con la cantidad de likes migrados
+ */
+visitorLikeSchema.statics.mergeIntoUser = async function(visitorId, userId) {
+  const Like = mongoose.model('Like');
+  const CommentLike = mongoose.model('CommentLike');
+  const Comment = mongoose.model('Comment');
+  const visitorLikes = await this.find({ visitorId });
+
+  let articles = 0;
+  let comments = 0;
+
+  for (const visitorLike of visitorLikes) {
+    await this.deleteOne({ _id: visitorLike._id });
+
+    if (visitorLike.targetType === 'article') {
+      await Like.addLike(userId, visitorLike.targetId);
+      await Like.syncArticleLikesCount(visitorLike.targetId);
+      articles++;
+    } else {
+      // El like anónimo ya estaba contado: se retira y addLike lo vuelve a sumar si corresponde
+      await Comment.adjustLikesCount(visitorLike.targetId, -1);
+      await CommentLike.addLike(userId, visitorLike.targetId);
+      comments++;
+    }
+  }
+
+  return { articles, comments };
+};
+
+module.exports = mongoose.model('VisitorLike', visitorLikeSchema);
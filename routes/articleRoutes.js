@@ -10,18 +10,46 @@ const {
   getBlogStats,
   toggleLike,
   getArticleLikes,
-  updateArticleImage
+  updateArticleImage,
+  createArticle,
+  updateArticle,
+  deleteArticle,
+  changeArticleStatus,
+  setCommentModeration,
+  getMyArticles,
+  getReviewQueue
 } = require('../controllers/articleController');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const {
+  getArticleRevisions,
+  getArticleRevision,
+  diffArticleRevisions,
+  restoreArticleRevision
+} = require('../controllers/revisionController');
+const { authenticateToken, optionalAuth, requireRole } = require('../middleware/auth');
+const { redirectPreviousSlug } = require('../middleware/slugRedirect');
+const { streamArticleEvents } = require('../controllers/eventController');
+const { identifyVisitor, optionalVisitor } = require('../middleware/visitor');
 
 /**
  * Rutas para manejar operaciones relacionadas con artículos
  * Todas las rutas están prefijadas con /api/articles
  */
 
+// Redirigir slugs antiguos al slug canónico en todas las rutas con :slug
+router.param('slug', redirectPreviousSlug);
+
 // GET /api/articles - Obtener todos los artículos con paginación y filtros
 router.get('/', getAllArticles);
 
+// POST /api/articles - Crear un artículo (se crea como borrador)
+router.post('/', authenticateToken, requireRole('admin', 'editor', 'author'), createArticle);
+
+// GET /api/articles/mine - Artículos del usuario autenticado (por defecto sus borradores)
+router.get('/mine', authenticateToken, requireRole('admin', 'editor', 'author'), getMyArticles);
+
+// GET /api/articles/review-queue - Artículos pendientes de revisión (editores)
+router.get('/review-queue', authenticateToken, requireRole('admin', 'editor'), getReviewQueue);
+
 // GET /api/articles/search - Buscar artículos por texto
 router.get('/search', searchArticles);
 
@@ -40,15 +68,48 @@ router.get('/tag/:tag', getArticlesByTag);
 // PATCH /api/articles/:slug/image - Actualizar imagen de un artículo
 router.patch('/:slug/image', updateArticleImage);
 
-// POST /api/articles/:slug/like - Dar o quitar like a un artículo (sin autenticación requerida)
-// IMPORTANTE: Esta ruta debe estar ANTES de /:slug para que Express la capture correctamente
-router.post('/:slug/like', toggleLike);
+// POST /api/articles/:slug/like - Alternar like (un like por usuario o visitante anónimo)
+// PUT /api/articles/:slug/like - Dar like (idempotente)
+// DELETE /api/articles/:slug/like - Quitar like (idempotente)
+// IMPORTANTE: Estas rutas deben estar ANTES de /:slug para que Express las capture correctamente
+router.post('/:slug/like', optionalAuth, identifyVisitor, toggleLike);
+router.put('/:slug/like', optionalAuth, identifyVisitor, toggleLike);
+router.delete('/:slug/like', optionalAuth, identifyVisitor, toggleLike);
 
 // GET /api/articles/:slug/likes - Obtener usuarios que dieron like a un artículo
 router.get('/:slug/likes', getArticleLikes);
 
+// GET /api/articles/:slug/events - Stream SSE de comentarios y likes en tiempo real
+router.get('/:slug/events', streamArticleEvents);
+
+// GET /api/articles/:slug/revisions - Historial de revisiones del artículo
+router.get('/:slug/revisions', authenticateToken, requireRole('admin', 'editor', 'author'), getArticleRevisions);
+
+// GET /api/articles/:slug/revisions/diff?from=&to= - Diff línea a línea entre dos revisiones
+// IMPORTANTE: debe ir antes de /:slug/revisions/:revisionNumber
+router.get('/:slug/revisions/diff', authenticateToken, requireRole('admin', 'editor', 'author'), diffArticleRevisions);
+
+// GET /api/articles/:slug/revisions/:revisionNumber - Obtener una revisión concreta
+router.get('/:slug/revisions/:revisionNumber', authenticateToken, requireRole('admin', 'editor', 'author'), getArticleRevision);
+
+// POST /api/articles/:slug/revisions/:revisionNumber/restore - Restaurar una revisión anterior
+router.post('/:slug/revisions/:revisionNumber/restore', authenticateToken, requireRole('admin', 'editor', 'author'), restoreArticleRevision);
+
 // GET /api/articles/:slug - Obtener artículo específico por slug (debe ir al final)
-router.get('/:slug', optionalAuth, getArticleBySlug);
+router.get('/:slug', optionalAuth, optionalVisitor, getArticleBySlug);
+
+// PATCH /api/articles/:slug/status - Cambiar el estado editorial de un artículo
+router.patch('/:slug/status', authenticateToken, requireRole('admin', 'editor', 'author'), changeArticleStatus);
+
+// PATCH /api/articles/:slug/comment-moderation - Política de moderación de comentarios del artículo
+router.patch('/:slug/comment-moderation', authenticateToken, requireRole('admin', 'editor'), setCommentModeration);
+
+// PUT/PATCH /api/articles/:slug - Actualizar un artículo (autores solo sus borradores)
+router.put('/:slug', authenticateToken, requireRole('admin', 'editor', 'author'), updateArticle);
+router.patch('/:slug', authenticateToken, requireRole('admin', 'editor', 'author'), updateArticle);
+
+// DELETE /api/articles/:slug - Eliminar un artículo (editores y administradores)
+router.delete('/:slug', authenticateToken, requireRole('admin', 'editor'), deleteArticle);
 
 module.exports = router;
 
@@ -5,9 +5,27 @@ const {
   login, 
   getCurrentUser, 
   logout, 
-  refreshToken 
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  forgotPassword,
+  resetPassword,
+  checkEmailVerificationToken,
+  verifyEmail,
+  resendVerificationEmail,
+  completeTwoFactorLogin
 } = require('../controllers/authController');
-const { authenticateToken } = require('../middleware/auth');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes
+} = require('../controllers/twoFactorController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { optionalVisitor } = require('../middleware/visitor');
+const { nameValidation, emailValidation, newPasswordValidation } = require('../middleware/userValidation');
 
 const router = express.Router();
 
@@ -15,25 +33,9 @@ const router = express.Router();
  * Validaciones para registro
  */
 const registerValidation = [
-  body('name')
-    .trim()
-    .isLength({ min: 2, max: 50 })
-    .withMessage('El nombre debe tener entre 2 y 50 caracteres')
-    .matches(/^[a-zA-ZáéíóúÁÉÍÓÚñÑ\s]+$/)
-    .withMessage('El nombre solo puede contener letras y espacios'),
-  
-  body('email')
-    .isEmail()
-    .withMessage('Debe ser un email válido')
-    .normalizeEmail()
-    .isLength({ max: 100 })
-    .withMessage('El email no puede exceder 100 caracteres'),
-  
-  body('password')
-    .isLength({ min: 6 })
-    .withMessage('La contraseña debe tener al menos 6 caracteres')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('La contraseña debe contener al menos una minúscula, una mayúscula y un número')
+  nameValidation(),
+  emailValidation(),
+  newPasswordValidation()
 ];
 
 /**
@@ -50,6 +52,28 @@ const loginValidation = [
     .withMessage('La contraseña es requerida')
 ];
 
+/**
+ * Validaciones para solicitar el restablecimiento de la contraseña
+ */
+const forgotPasswordValidation = [
+  body('email')
+    .isEmail()
+    .withMessage('Debe ser un email válido')
+    .normalizeEmail()
+];
+
+/**
+ * Validaciones para restablecer la contraseña
+ */
+const resetPasswordValidation = [
+  body('token')
+    .isString()
+    .notEmpty()
+    .withMessage('El token es requerido'),
+
+  newPasswordValidation()
+];
+
 /**
  * @swagger
  * tags:
@@ -63,7 +87,10 @@ const loginValidation = [
  *   post:
  *     summary: Registro rápido de usuario
  *     tags: [Autenticación]
- *     description: Permite a los usuarios registrarse rápidamente con nombre, email y contraseña
+ *     description: |
+ *       Permite a los usuarios registrarse rápidamente con nombre, email y contraseña.
+ *       Si la petición incluye el token de visitante (cookie o X-Visitor-Token), los likes
+ *       dados de forma anónima pasan a la nueva cuenta.
  *     requestBody:
  *       required: true
  *       content:
@@ -112,7 +139,13 @@ const loginValidation = [
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
- *                       description: Token JWT para autenticación
+ *                       description: Token JWT de acceso (corta duración)
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Refresh token para renovar el token de acceso
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
  *       400:
  *         description: Datos inválidos
  *         content:
@@ -126,7 +159,7 @@ const loginValidation = [
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/register', registerValidation, register);
+router.post('/register', optionalVisitor, registerValidation, register);
 
 /**
  * @swagger
@@ -134,7 +167,10 @@ router.post('/register', registerValidation, register);
  *   post:
  *     summary: Iniciar sesión
  *     tags: [Autenticación]
- *     description: Permite a los usuarios autenticarse con email y contraseña
+ *     description: |
+ *       Permite a los usuarios autenticarse con email y contraseña.
+ *       Si la cuenta tiene 2FA activo, la respuesta trae `twoFactorRequired: true` y un `challengeToken`
+ *       (en lugar de los tokens) que se canjea en POST /api/auth/login/2fa junto con el código.
  *     requestBody:
  *       required: true
  *       content:
@@ -175,7 +211,13 @@ router.post('/register', registerValidation, register);
  *                       $ref: '#/components/schemas/User'
  *                     token:
  *                       type: string
- *                       description: Token JWT para autenticación
+ *                       description: Token JWT de acceso (corta duración)
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Refresh token para renovar el token de acceso
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
  *       400:
  *         description: Datos inválidos
  *         content:
@@ -188,8 +230,17 @@ router.post('/register', registerValidation, register);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       429:
+ *         description: Demasiados intentos fallidos (espera o bloqueo temporal; ver Retry-After)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/login', loginValidation, login);
+router.post('/login', optionalVisitor, loginValidation, login);
+
+// POST /api/auth/login/2fa - Segundo paso del login con el código de la app o de recuperación
+router.post('/login/2fa', optionalVisitor, completeTwoFactorLogin);
 
 /**
  * @swagger
@@ -231,9 +282,19 @@ router.get('/me', authenticateToken, getCurrentUser);
  *   post:
  *     summary: Cerrar sesión
  *     tags: [Autenticación]
- *     description: Cierra la sesión del usuario (el token debe ser eliminado en el frontend)
+ *     description: |
+ *       Revoca la sesión en el servidor, de modo que su refresh token deja de servir.
+ *       La sesión se identifica por el refresh token del body o, si no se envía, por el token de acceso.
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Logout exitoso
@@ -251,17 +312,19 @@ router.get('/me', authenticateToken, getCurrentUser);
  *                 data:
  *                   type: object
  *                   properties:
+ *                     revoked:
+ *                       type: boolean
  *                     message:
  *                       type: string
- *                       example: "Sesión cerrada correctamente. Elimina el token del almacenamiento local."
- *       401:
- *         description: No autenticado
+ *                       example: "Sesión cerrada correctamente. Elimina los tokens del almacenamiento local."
+ *       400:
+ *         description: No se envió refresh token ni token de acceso
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/logout', authenticateToken, logout);
+router.post('/logout', optionalAuth, logout);
 
 /**
  * @swagger
@@ -269,9 +332,20 @@ router.post('/logout', authenticateToken, logout);
  *   post:
  *     summary: Renovar token JWT
  *     tags: [Autenticación]
- *     description: Genera un nuevo token JWT para el usuario autenticado
- *     security:
- *       - bearerAuth: []
+ *     description: |
+ *       Canjea el refresh token por un token de acceso nuevo y un refresh token nuevo (rotación).
+ *       El refresh token usado deja de ser válido; si se vuelve a presentar, se revoca la sesión completa.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Token renovado exitosamente
@@ -292,14 +366,61 @@ router.post('/logout', authenticateToken, logout);
  *                     token:
  *                       type: string
  *                       description: Nuevo token JWT
+ *                     refreshToken:
+ *                       type: string
+ *                       description: Nuevo refresh token (el anterior deja de servir)
+ *                     refreshTokenExpiresAt:
+ *                       type: string
+ *                       format: date-time
+ *       400:
+ *         description: Falta el refresh token
  *       401:
- *         description: No autenticado
+ *         description: Refresh token inválido, expirado, revocado o reutilizado
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/refresh', authenticateToken, refreshToken);
+router.post('/refresh', refreshToken);
+
+// GET /api/auth/sessions - Sesiones activas del usuario
+router.get('/sessions', authenticateToken, getSessions);
+
+// DELETE /api/auth/sessions - Cerrar todas las sesiones excepto la actual
+router.delete('/sessions', authenticateToken, revokeOtherSessions);
+
+// DELETE /api/auth/sessions/:sessionId - Cerrar una sesión
+router.delete('/sessions/:sessionId', authenticateToken, revokeSession);
+
+// POST /api/auth/forgot-password - Enviar enlace para restablecer la contraseña
+router.post('/forgot-password', forgotPasswordValidation, forgotPassword);
+
+// POST /api/auth/reset-password - Cambiar la contraseña con el token del enlace
+router.post('/reset-password', resetPasswordValidation, resetPassword);
+
+// GET /api/auth/verify-email - Comprobar el token del enlace (no lo usa)
+router.get('/verify-email', checkEmailVerificationToken);
+
+// POST /api/auth/verify-email - Verificar el email con el token del enlace
+router.post('/verify-email', verifyEmail);
+
+// POST /api/auth/verify-email/resend - Reenviar el correo de verificación
+router.post('/verify-email/resend', authenticateToken, resendVerificationEmail);
+
+// GET /api/auth/2fa - Estado de la autenticación de dos factores
+router.get('/2fa', authenticateToken, getTwoFactorStatus);
+
+// POST /api/auth/2fa/setup - Generar el secreto y la URI otpauth://
+router.post('/2fa/setup', authenticateToken, setupTwoFactor);
+
+// POST /api/auth/2fa/confirm - Activar 2FA con el primer código
+router.post('/2fa/confirm', authenticateToken, confirmTwoFactor);
+
+// POST /api/auth/2fa/disable - Desactivar 2FA (contraseña y código)
+router.post('/2fa/disable', authenticateToken, disableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes - Generar códigos de recuperación nuevos
+router.post('/2fa/recovery-codes', authenticateToken, regenerateRecoveryCodes);
 
 module.exports = router;
 
@@ -2,19 +2,37 @@ const express = require('express');
 const router = express.Router();
 const {
   getCommentsForArticle,
+  getCommentTree,
+  getCommentSubtree,
   addComment,
   getRecentComments,
-  toggleCommentLike
+  toggleCommentLike,
+  getCommentLikes,
+  getCommentReplies,
+  moderateComment,
+  updateComment,
+  deleteComment,
+  getCommentVersions,
+  reportComment
 } = require('../controllers/commentController');
-const { optionalAuth } = require('../middleware/auth');
+const { authenticateToken, optionalAuth, requireRole } = require('../middleware/auth');
+const { redirectPreviousSlug } = require('../middleware/slugRedirect');
+const { identifyVisitor, optionalVisitor } = require('../middleware/visitor');
+const { loadComment, requireCommentOwnership } = require('../middleware/commentAccess');
 
 /**
  * Rutas para manejar operaciones relacionadas con comentarios
  * Todas las rutas están prefijadas con /api
  */
 
+// Redirigir slugs antiguos al slug canónico en /articles/:slug/...
+router.param('slug', redirectPreviousSlug);
+
 // GET /api/articles/:slug/comments - Obtener comentarios de un artículo
-router.get('/articles/:slug/comments', getCommentsForArticle);
+router.get('/articles/:slug/comments', optionalAuth, optionalVisitor, getCommentsForArticle);
+
+// GET /api/articles/:slug/comments/tree - Comentarios como árbol anidado (profundidad y paginación por nivel)
+router.get('/articles/:slug/comments/tree', optionalAuth, optionalVisitor, getCommentTree);
 
 // POST /api/articles/:slug/comments - Agregar comentario a un artículo (autenticación opcional)
 router.post('/articles/:slug/comments', optionalAuth, addComment);
@@ -22,8 +40,33 @@ router.post('/articles/:slug/comments', optionalAuth, addComment);
 // GET /api/comments/recent - Obtener comentarios recientes
 router.get('/comments/recent', getRecentComments);
 
-// POST /api/comments/:commentId/like - Alternar like en un comentario (sin autenticación requerida)
-router.post('/comments/:commentId/like', toggleCommentLike);
+// POST /api/comments/:commentId/like - Alternar like en un comentario (sin autenticación requerida;
+// los visitantes anónimos se identifican con su token de visitante)
+router.post('/comments/:commentId/like', optionalAuth, identifyVisitor, toggleCommentLike);
+
+// GET /api/comments/:commentId/likes - Usuarios que dieron like a un comentario
+router.get('/comments/:commentId/likes', getCommentLikes);
+
+// POST /api/comments/:commentId/report - Reportar un comentario (un reporte por usuario o visitante)
+router.post('/comments/:commentId/report', optionalAuth, identifyVisitor, reportComment);
+
+// GET /api/comments/:commentId/replies - Obtener respuestas de un comentario
+router.get('/comments/:commentId/replies', optionalAuth, optionalVisitor, getCommentReplies);
+
+// GET /api/comments/:commentId/tree - Respuestas de un comentario como árbol ("cargar más respuestas")
+router.get('/comments/:commentId/tree', optionalAuth, optionalVisitor, getCommentSubtree);
+
+// PATCH /api/comments/:commentId/moderate - Aprobar o rechazar un comentario (solo admin)
+router.patch('/comments/:commentId/moderate', authenticateToken, requireRole('admin'), moderateComment);
+
+// GET /api/comments/:commentId/versions - Historial de versiones (autor, admin o token de edición)
+router.get('/comments/:commentId/versions', optionalAuth, loadComment, requireCommentOwnership, getCommentVersions);
+
+// PATCH /api/comments/:commentId - Editar un comentario propio dentro de la ventana de edición
+router.patch('/comments/:commentId', optionalAuth, loadComment, requireCommentOwnership, updateComment);
+
+// DELETE /api/comments/:commentId - Eliminar un comentario propio (queda "[deleted]" si tiene respuestas)
+router.delete('/comments/:commentId', optionalAuth, loadComment, requireCommentOwnership, deleteComment);
 
 module.exports = router;
 
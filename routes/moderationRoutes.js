@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getModerationQueue,
+  bulkModerateComments,
+  getModerationLog,
+  getCommentReports
+} = require('../controllers/moderationController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+/**
+ * Rutas de la cola de moderación de comentarios
+ * Todas las rutas están prefijadas con /api/moderation y requieren rol admin
+ */
+
+router.use(authenticateToken, requireRole('admin'));
+
+// GET /api/moderation/comments - Comentarios pendientes o marcados (con filtros)
+router.get('/comments', getModerationQueue);
+
+// POST /api/moderation/comments/bulk - Aprobar, rechazar o eliminar comentarios en lote
+router.post('/comments/bulk', bulkModerateComments);
+
+// GET /api/moderation/comments/:commentId/reports - Reportes de lectores de un comentario
+router.get('/comments/:commentId/reports', getCommentReports);
+
+// GET /api/moderation/log - Registro de acciones de moderación
+router.get('/log', getModerationLog);
+
+module.exports = router;
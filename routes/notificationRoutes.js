@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+const { authenticateToken } = require('../middleware/auth');
+
+/**
+ * Rutas de notificaciones del usuario autenticado
+ * Todas las rutas están prefijadas con /api/notifications y requieren autenticación
+ */
+
+router.use(authenticateToken);
+
+// GET /api/notifications - Notificaciones propias (?unread=true para solo las no leídas)
+router.get('/', getNotifications);
+
+// PATCH /api/notifications/read-all - Marcar todas como leídas
+router.patch('/read-all', markAllNotificationsRead);
+
+// PATCH /api/notifications/:notificationId/read - Marcar una notificación como leída
+router.patch('/:notificationId/read', markNotificationRead);
+
+module.exports = router;
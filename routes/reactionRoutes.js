@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getAvailableReactions,
+  setReaction,
+  removeReaction
+} = require('../controllers/reactionController');
+const { optionalAuth } = require('../middleware/auth');
+const { identifyVisitor } = require('../middleware/visitor');
+const { redirectPreviousSlug } = require('../middleware/slugRedirect');
+
+/**
+ * Rutas para reacciones (emoji) en artículos y comentarios
+ * Todas las rutas están prefijadas con /api
+ */
+
+// Redirigir slugs antiguos al slug canónico en /articles/:slug/...
+router.param('slug', redirectPreviousSlug);
+
+// GET /api/reactions - Reacciones disponibles
+router.get('/reactions', getAvailableReactions);
+
+// PUT /api/articles/:slug/reactions - Agregar o cambiar reacción a un artículo (usuario o visitante)
+router.put('/articles/:slug/reactions', optionalAuth, identifyVisitor, setReaction);
+
+// DELETE /api/articles/:slug/reactions - Quitar reacción a un artículo
+router.delete('/articles/:slug/reactions', optionalAuth, identifyVisitor, removeReaction);
+
+// PUT /api/comments/:commentId/reactions - Agregar o cambiar reacción a un comentario
+router.put('/comments/:commentId/reactions', optionalAuth, identifyVisitor, setReaction);
+
+// DELETE /api/comments/:commentId/reactions - Quitar reacción a un comentario
+router.delete('/comments/:commentId/reactions', optionalAuth, identifyVisitor, removeReaction);
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { updateUserRole } = require('../controllers/roleController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+/**
+ * Rutas de asignación de roles
+ * Se montan en /api/users junto a las rutas de perfiles; cada ruta requiere rol admin
+ */
+
+// PATCH /api/users/:id/role - Asignar rol (user, author, editor o admin)
+router.patch('/:id/role', authenticateToken, requireRole('admin'), updateUserRole);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getLockouts,
+  clearLockout,
+  getSecuritySettings,
+  updateSecuritySettings
+} = require('../controllers/securityController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+/**
+ * Rutas de seguridad de cuentas (bloqueos de login y ajustes)
+ * Todas las rutas están prefijadas con /api/security y requieren rol admin
+ */
+
+router.use(authenticateToken, requireRole('admin'));
+
+// GET /api/security/lockouts - Bloqueos de login por intentos fallidos
+router.get('/lockouts', getLockouts);
+
+// DELETE /api/security/lockouts/:lockoutId - Levantar un bloqueo
+router.delete('/lockouts/:lockoutId', clearLockout);
+
+// GET /api/security/settings - Ajustes de seguridad
+router.get('/settings', getSecuritySettings);
+
+// PATCH /api/security/settings - Exigir o no 2FA a los admin
+router.patch('/settings', updateSecuritySettings);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const {
+  updateMe,
+  changePassword,
+  changeEmail,
+  getPublicProfile
+} = require('../controllers/userController');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  nameValidation,
+  emailValidation,
+  newPasswordValidation,
+  avatarValidation,
+  bioValidation
+} = require('../middleware/userValidation');
+
+/**
+ * Rutas de perfiles de usuario
+ * Todas las rutas están prefijadas con /api/users
+ */
+
+/**
+ * Validaciones para editar el perfil (todos los campos son opcionales)
+ */
+const updateProfileValidation = [
+  nameValidation().optional(),
+  avatarValidation(),
+  bioValidation()
+];
+
+/**
+ * Validaciones para cambiar la contraseña
+ */
+const changePasswordValidation = [
+  body('currentPassword')
+    .notEmpty()
+    .withMessage('La contraseña actual es requerida'),
+
+  newPasswordValidation('newPassword')
+];
+
+/**
+ * Validaciones para cambiar el email
+ */
+const changeEmailValidation = [
+  emailValidation(),
+
+  body('password')
+    .notEmpty()
+    .withMessage('La contraseña es requerida')
+];
+
+// PATCH /api/users/me - Editar nombre, avatar y biografía
+router.patch('/me', authenticateToken, updateProfileValidation, updateMe);
+
+// PATCH /api/users/me/password - Cambiar la contraseña (requiere la actual)
+router.patch('/me/password', authenticateToken, changePasswordValidation, changePassword);
+
+// PATCH /api/users/me/email - Cambiar el email (se aplica al confirmar el enlace)
+router.patch('/me/email', authenticateToken, changeEmailValidation, changeEmail);
+
+// GET /api/users/:id - Perfil público con comentarios recientes
+router.get('/:id', getPublicProfile);
+
+module.exports = router;
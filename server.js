@@ -6,15 +6,24 @@ const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 const connectDB = require('./config/db');
 
+// Cargar variables de entorno (antes de las rutas: varios módulos leen su configuración al cargarse)
+dotenv.config();
+
 // Importar rutas
 const articleRoutes = require('./routes/articleRoutes');
 const commentRoutes = require('./routes/commentRoutes');
 const authRoutes = require('./routes/authRoutes');
+const reactionRoutes = require('./routes/reactionRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const securityRoutes = require('./routes/securityRoutes');
+const userRoutes = require('./routes/userRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const { attachWebSocketGateway } = require('./utils/websocketGateway');
+const { WS_CONFIG } = require('./config/realtime');
+const { getMailTransport } = require('./utils/mailer');
 
 
-// Cargar variables de entorno
-dotenv.config();
-
 /**
  * Servidor principal de la API del Blog Interactivo
  * Configuración de Express, middleware, rutas y conexión a MongoDB
@@ -214,6 +223,30 @@ const swaggerOptions = {
         name: 'Comments',
         description: 'Operaciones relacionadas con comentarios'
       },
+      {
+        name: 'Users',
+        description: 'Perfil propio (datos, contraseña y email) y perfiles públicos'
+      },
+      {
+        name: 'Roles',
+        description: 'Asignación de roles del flujo editorial (solo admin)'
+      },
+      {
+        name: 'Reactions',
+        description: 'Reacciones con emoji en artículos y comentarios'
+      },
+      {
+        name: 'Moderation',
+        description: 'Cola de moderación de comentarios (solo admin)'
+      },
+      {
+        name: 'Notifications',
+        description: 'Menciones y respuestas a comentarios del usuario autenticado'
+      },
+      {
+        name: 'Security',
+        description: 'Bloqueos de login y ajustes de seguridad (solo admin)'
+      },
       {
         name: 'System',
         description: 'Operaciones del sistema'
@@ -228,12 +261,20 @@ const specs = swaggerJsdoc(swaggerOptions);
 // Conectar a MongoDB
 connectDB();
 
+// Confiar en el proxy inverso (Render, nginx) para obtener la IP real del cliente
+// TRUST_PROXY acepta un número de saltos o una lista de IPs/subredes
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 // Middleware global
 app.use(cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:3001',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Visitor-Token', 'X-Comment-Edit-Token'],
+  exposedHeaders: ['X-Visitor-Token', 'Retry-After']
 }));
 
 // Middleware para parsear JSON
@@ -270,6 +311,12 @@ app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
 app.use('/api/auth', authRoutes);
 app.use('/api/articles', articleRoutes);
 app.use('/api', commentRoutes);
+app.use('/api', reactionRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/security', securityRoutes);
+app.use('/api/users', roleRoutes);
+app.use('/api/users', userRoutes);
 // NOTA: Ruta de uploads eliminada - ya no se usa el sistema de uploads
 // app.use('/api/upload', uploadRoutes);
 
@@ -361,6 +408,36 @@ app.get('/', (req, res) => {
     message: 'API del Blog Interactivo',
     version: process.env.API_VERSION || 'v1',
     endpoints: {
+      auth: {
+        'POST /api/auth/register': 'Registrar usuario (devuelve token de acceso y refresh token)',
+        'POST /api/auth/login': 'Iniciar sesión (devuelve token de acceso y refresh token, o un desafío 2FA)',
+        'POST /api/auth/login/2fa': 'Segundo paso del login con código TOTP o de recuperación',
+        'GET /api/auth/me': 'Información del usuario actual',
+        'POST /api/auth/logout': 'Cerrar sesión (revoca el refresh token)',
+        'POST /api/auth/refresh': 'Renovar el token de acceso rotando el refresh token',
+        'GET /api/auth/sessions': 'Sesiones activas (dispositivo, IP, inicio y último uso)',
+        'DELETE /api/auth/sessions': 'Cerrar todas las sesiones excepto la actual',
+        'DELETE /api/auth/sessions/:sessionId': 'Cerrar una sesión',
+        'POST /api/auth/forgot-password': 'Enviar por email un enlace para restablecer la contraseña',
+        'POST /api/auth/reset-password': 'Restablecer la contraseña con el token del enlace (cierra todas las sesiones)',
+        'GET /api/auth/verify-email': 'Comprobar el token del enlace sin usarlo (?token=)',
+        'POST /api/auth/verify-email': 'Verificar el email con el token en el body',
+        'POST /api/auth/verify-email/resend': 'Reenviar el correo de verificación (con tiempo de espera)',
+        'GET /api/auth/2fa': 'Estado de la autenticación de dos factores',
+        'POST /api/auth/2fa/setup': 'Generar secreto TOTP y URI otpauth:// (requiere contraseña)',
+        'POST /api/auth/2fa/confirm': 'Activar 2FA con el primer código (devuelve códigos de recuperación)',
+        'POST /api/auth/2fa/disable': 'Desactivar 2FA (contraseña y código)',
+        'POST /api/auth/2fa/recovery-codes': 'Generar códigos de recuperación nuevos'
+      },
+      users: {
+        'PATCH /api/users/me': 'Editar nombre, avatar y biografía',
+        'PATCH /api/users/me/password': 'Cambiar la contraseña (requiere la actual; cierra las demás sesiones)',
+        'PATCH /api/users/me/email': 'Cambiar el email (se aplica al confirmar el enlace enviado al nuevo)',
+        'GET /api/users/:id': 'Perfil público con comentarios recientes'
+      },
+      roles: {
+        'PATCH /api/users/:id/role': 'Asignar rol: user, author, editor o admin (admin)'
+      },
       articles: {
         'GET /api/articles': 'Obtener todos los artículos con paginación',
         'GET /api/articles/search': 'Buscar artículos por texto',
@@ -368,16 +445,65 @@ app.get('/', (req, res) => {
         'GET /api/articles/tags': 'Obtener todos los tags',
         'GET /api/articles/stats': 'Obtener estadísticas del blog',
         'GET /api/articles/tag/:tag': 'Obtener artículos por tag',
-        'GET /api/articles/:slug': 'Obtener artículo por slug'
+        'GET /api/articles/:slug': 'Obtener artículo por slug',
+        'POST /api/articles': 'Crear artículo como borrador (autor, editor o admin)',
+        'PUT /api/articles/:slug': 'Actualizar artículo (autor, editor o admin)',
+        'PATCH /api/articles/:slug': 'Actualizar parcialmente un artículo (autor, editor o admin)',
+        'DELETE /api/articles/:slug': 'Eliminar artículo (editor o admin)',
+        'PATCH /api/articles/:slug/status': 'Cambiar estado editorial del artículo',
+        'PATCH /api/articles/:slug/comment-moderation': 'Política de moderación de comentarios del artículo (editor o admin)',
+        'GET /api/articles/mine': 'Artículos propios (por defecto borradores)',
+        'GET /api/articles/review-queue': 'Cola de revisión (editor o admin)',
+        'GET /api/articles/:slug/events': 'Stream SSE de comentarios y likes en tiempo real',
+        'GET /api/articles/:slug/revisions': 'Historial de revisiones de un artículo',
+        'GET /api/articles/:slug/revisions/diff': 'Diff entre dos revisiones (?from=&to=)',
+        'GET /api/articles/:slug/revisions/:revisionNumber': 'Obtener una revisión',
+        'POST /api/articles/:slug/revisions/:revisionNumber/restore': 'Restaurar una revisión'
       },
       comments: {
         'GET /api/articles/:slug/comments': 'Obtener comentarios de un artículo',
+        'GET /api/articles/:slug/comments/tree': 'Comentarios como árbol anidado',
         'POST /api/articles/:slug/comments': 'Agregar comentario a un artículo',
-        'POST /api/articles/:slug/like': 'Alternar like en un artículo',
+        'POST /api/articles/:slug/like': 'Alternar like en un artículo (autenticado)',
+        'PUT /api/articles/:slug/like': 'Dar like a un artículo (idempotente)',
+        'DELETE /api/articles/:slug/like': 'Quitar like de un artículo (idempotente)',
         'GET /api/comments/recent': 'Obtener comentarios recientes',
         'GET /api/comments/:commentId/replies': 'Obtener respuestas de un comentario',
+        'GET /api/comments/:commentId/tree': 'Respuestas de un comentario como árbol (cargar más)',
         'POST /api/comments/:commentId/like': 'Alternar like en un comentario',
-        'PATCH /api/comments/:commentId/moderate': 'Moderar comentario'
+        'GET /api/comments/:commentId/likes': 'Usuarios que dieron like a un comentario',
+        'POST /api/comments/:commentId/report': 'Reportar un comentario (uno por usuario o visitante)',
+        'PATCH /api/comments/:commentId/moderate': 'Moderar comentario (admin)',
+        'PATCH /api/comments/:commentId': 'Editar comentario propio (dentro de la ventana de edición)',
+        'DELETE /api/comments/:commentId': 'Eliminar comentario propio',
+        'GET /api/comments/:commentId/versions': 'Historial de versiones de un comentario propio'
+      },
+      moderation: {
+        'GET /api/moderation/comments': 'Cola de moderación con filtros (admin)',
+        'POST /api/moderation/comments/bulk': 'Aprobar, rechazar o eliminar comentarios en lote (admin)',
+        'GET /api/moderation/comments/:commentId/reports': 'Reportes de lectores de un comentario (admin)',
+        'GET /api/moderation/log': 'Registro de acciones de moderación (admin)'
+      },
+      notifications: {
+        'GET /api/notifications': 'Notificaciones propias (menciones y respuestas)',
+        'PATCH /api/notifications/:notificationId/read': 'Marcar una notificación como leída',
+        'PATCH /api/notifications/read-all': 'Marcar todas las notificaciones como leídas'
+      },
+      security: {
+        'GET /api/security/lockouts': 'Bloqueos de login por intentos fallidos (admin)',
+        'DELETE /api/security/lockouts/:lockoutId': 'Levantar un bloqueo de login (admin)',
+        'GET /api/security/settings': 'Ajustes de seguridad (admin)',
+        'PATCH /api/security/settings': 'Exigir 2FA a los admin (admin)'
+      },
+      reactions: {
+        'GET /api/reactions': 'Reacciones disponibles',
+        'PUT /api/articles/:slug/reactions': 'Agregar o cambiar reacción a un artículo',
+        'DELETE /api/articles/:slug/reactions': 'Quitar reacción a un artículo',
+        'PUT /api/comments/:commentId/reactions': 'Agregar o cambiar reacción a un comentario',
+        'DELETE /api/comments/:commentId/reactions': 'Quitar reacción a un comentario'
+      },
+      realtime: {
+        [`WS ${WS_CONFIG.path}`]: 'WebSocket: lectores conectados, "escribiendo" y eventos de comentarios y likes'
       },
       system: {
         'GET /health': 'Estado del servidor',
@@ -474,6 +600,7 @@ app.use((err, req, res, next) => {
 // Manejo de señales para cierre graceful
 process.on('SIGTERM', () => {
   console.log('🔄 SIGTERM recibido. Cerrando servidor gracefully...');
+  websocketGateway.close();
   server.close(() => {
     console.log('✅ Servidor cerrado exitosamente');
     process.exit(0);
@@ -482,12 +609,21 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('🔄 SIGINT recibido. Cerrando servidor gracefully...');
+  websocketGateway.close();
   server.close(() => {
     console.log('✅ Servidor cerrado exitosamente');
     process.exit(0);
   });
 });
 
+// Validar el transporte de correo antes de aceptar peticiones (en producción no hay uno por defecto)
+try {
+  getMailTransport();
+} catch (error) {
+  console.error('❌ Configuración de correo inválida:', error.message);
+  process.exit(1);
+}
+
 // Iniciar servidor
 const server = app.listen(PORT, () => {
   console.log('🚀 Servidor iniciado exitosamente');
@@ -497,8 +633,12 @@ const server = app.listen(PORT, () => {
   console.log(`📊 Health Check: http://localhost:${PORT}/health`);
   console.log(`📚 Swagger UI: http://localhost:${PORT}/api-docs`);
   console.log('📖 Documentación de API disponible en /api-docs');
+  console.log(`🔌 WebSocket: ws://localhost:${PORT}${WS_CONFIG.path}`);
 });
 
+// Gateway WebSocket (presencia, "escribiendo" y eventos) sobre el mismo servidor HTTP
+const websocketGateway = attachWebSocketGateway(server);
+
 // Manejo de errores no capturados
 process.on('unhandledRejection', (err) => {
   console.error('❌ Unhandled Promise Rejection:', err);
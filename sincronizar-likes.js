@@ -0,0 +1,37 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Article = require('./models/Article');
+const Like = require('./models/Like');
+const Comment = require('./models/Comment');
+const connectDB = require('./config/db');
+
+/**
+ * Script para recalcular likesCount de todos los artículos desde la colección de likes
+ * y los puntajes de orden (best / controversial) de todos los comentarios
+ * Ejecutar con: node sincronizar-likes.js
+ */
+
+connectDB();
+
+setTimeout(async () => {
+  try {
+    const articles = await Article.find({}).select('slug title likesCount');
+    console.log(`\n🔄 Sincronizando likes de ${articles.length} artículos...\n`);
+
+    for (const article of articles) {
+      const likesCount = await Like.syncArticleLikesCount(article._id);
+      if (likesCount !== article.likesCount) {
+        console.log(`   "${article.title}": ${article.likesCount} → ${likesCount}`);
+      }
+    }
+
+    const updatedComments = await Comment.syncAllScores();
+    console.log(`\n🔄 Puntajes de orden recalculados en ${updatedComments} comentarios`);
+
+    console.log('\n✅ Sincronización completada');
+    process.exit(0);
+  } catch(e) {
+    console.error('Error:', e.message);
+    process.exit(1);
+  }
+}, 2000);
@@ -0,0 +1,140 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { request } = require('./helpers/app');
+
+/**
+ * Pruebas de las sesiones activas: listado, cierre remoto y tokens de sesiones revocadas
+ */
+
+const users = useMemoryModel(User);
+const sessions = useMemoryModel(Session);
+const throttles = useMemoryModel(LoginThrottle);
+const stores = [users, sessions, throttles];
+
+after(() => stores.forEach(store => store.restore()));
+
+const PASSWORD = 'Secreta123';
+// Con pocas rondas el hash no demora las pruebas
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+let ana;
+
+beforeEach(() => {
+  stores.forEach(store => { store.docs.length = 0; });
+  [ana] = users.insert(
+    { name: 'Ana Pérez', email: 'ana@example.com', password: passwordHash },
+    { name: 'Luis Gómez', email: 'luis@example.com', password: passwordHash }
+  );
+});
+
+/**
+ * Iniciar sesión desde un dispositivo
+ * @param {string} userAgent - User-Agent del dispositivo
+ * @param {string} email - Email de la cuenta
+ * @returns {Promise<Object>} - { token, refreshToken }
+ */
+const login = async (userAgent, email = 'ana@example.com') => {
+  const res = await request('POST', '/api/auth/login', {
+    headers: { 'User-Agent': userAgent },
+    body: { email, password: PASSWORD }
+  });
+  assert.equal(res.status, 200);
+  return res.body.data;
+};
+
+describe('GET /api/auth/sessions', () => {
+  it('lista las sesiones activas del usuario y marca la actual', async () => {
+    const laptop = await login('Laptop');
+    await login('Teléfono');
+    await login('Tablet', 'luis@example.com');
+
+    const res = await request('GET', '/api/auth/sessions', { token: laptop.token });
+
+    assert.equal(res.status, 200);
+    const listed = res.body.data.sessions;
+    assert.deepEqual(listed.map(session => session.userAgent).sort(), ['Laptop', 'Teléfono']);
+    assert.equal(listed.find(session => session.current).userAgent, 'Laptop');
+    assert.ok(listed.every(session => session.tokenHash === undefined));
+  });
+});
+
+describe('DELETE /api/auth/sessions', () => {
+  it('cierra una sesión remota y su token de acceso deja de servir', async () => {
+    const laptop = await login('Laptop');
+    const phone = await login('Teléfono');
+    const phoneSession = sessions.find({ userAgent: 'Teléfono' });
+
+    const res = await request('DELETE', `/api/auth/sessions/${phoneSession._id}`, { token: laptop.token });
+    const revoked = await request('GET', '/api/auth/sessions', { token: phone.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.current, false);
+    assert.equal(revoked.status, 401);
+    assert.equal(revoked.body.message, 'Sesión revocada');
+  });
+
+  it('no cierra sesiones de otro usuario', async () => {
+    const laptop = await login('Laptop');
+    await login('Tablet', 'luis@example.com');
+    const otherSession = sessions.find({ userAgent: 'Tablet' });
+
+    const res = await request('DELETE', `/api/auth/sessions/${otherSession._id}`, { token: laptop.token });
+
+    assert.equal(res.status, 404);
+    assert.equal(sessions.find({ userAgent: 'Tablet' }).revokedAt, null);
+  });
+
+  it('cierra todas las demás sesiones y conserva la actual', async () => {
+    const laptop = await login('Laptop');
+    const phone = await login('Teléfono');
+    await login('Tablet');
+
+    const res = await request('DELETE', '/api/auth/sessions', { token: laptop.token });
+    const current = await request('GET', '/api/auth/sessions', { token: laptop.token });
+    const other = await request('GET', '/api/auth/sessions', { token: phone.token });
+
+    assert.equal(res.status, 200);
+    assert.equal(current.body.data.sessions.length, 1);
+    assert.equal(other.status, 401);
+  });
+});
+
+describe('tokens de acceso y sesiones', () => {
+  it('un token con la sesión de otro usuario se rechaza', async () => {
+    await login('Tablet', 'luis@example.com');
+    const otherSession = sessions.find({ userAgent: 'Tablet' });
+    const forged = jwt.sign({ userId: ana._id, sid: otherSession._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+    const res = await request('GET', '/api/auth/sessions', { token: forged });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, 'Sesión revocada');
+  });
+
+  it('los tokens emitidos antes de las sesiones (sin sid) siguen sirviendo', async () => {
+    const legacy = jwt.sign({ userId: ana._id }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+    const res = await request('GET', '/api/auth/sessions', { token: legacy });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.sessions, []);
+  });
+
+  it('una cuenta desactivada no puede usar su token', async () => {
+    const { token } = await login('Laptop');
+    users.find({ _id: ana._id }).isActive = false;
+
+    const res = await request('GET', '/api/auth/sessions', { token });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, 'Cuenta desactivada');
+  });
+});
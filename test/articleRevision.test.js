@@ -0,0 +1,191 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Like = require('../models/Like');
+const Article = require('../models/Article');
+const ArticleRevision = require('../models/ArticleRevision');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { request, tokenFor } = require('./helpers/app');
+
+/**
+ * Pruebas del historial de revisiones de artículos: numeración, consulta y restauración
+ */
+
+const users = useMemoryModel(User);
+const likes = useMemoryModel(Like);
+const articles = useMemoryModel(Article);
+const revisions = useMemoryModel(ArticleRevision);
+
+after(() => {
+  users.restore();
+  likes.restore();
+  articles.restore();
+  revisions.restore();
+});
+
+/**
+ * Guardar un artículo de prueba
+ * @param {Object} data - Campos extra (revisionCount, ...)
+ * @returns {Object} - Artículo guardado
+ */
+const createArticle = (data = {}) => {
+  const article = {
+    _id: new mongoose.Types.ObjectId(),
+    title: 'Artículo de prueba',
+    content: 'Contenido del artículo de prueba',
+    tags: ['pruebas'],
+    ...data
+  };
+  articles.docs.push(article);
+  return article;
+};
+
+/**
+ * Guardar revisiones ya existentes de un artículo
+ * @param {Object} article - Artículo
+ * @param {Array<number>} numbers - Números de revisión
+ */
+const insertRevisions = (article, numbers) => {
+  revisions.insert(...numbers.map(revisionNumber => ({
+    articleId: article._id,
+    revisionNumber,
+    title: article.title,
+    content: article.content
+  })));
+};
+
+const revisionNumbers = (article) => revisions.docs
+  .filter(revision => revision.articleId.equals(article._id))
+  .map(revision => revision.revisionNumber)
+  .sort((a, b) => a - b);
+
+describe('ArticleRevision.recordRevision', () => {
+  beforeEach(() => {
+    articles.docs.length = 0;
+    revisions.docs.length = 0;
+  });
+
+  it('numera las revisiones de forma consecutiva', async () => {
+    const article = createArticle({ revisionCount: 0 });
+
+    const first = await ArticleRevision.recordRevision(article);
+    const second = await ArticleRevision.recordRevision(article, { user: { _id: new mongoose.Types.ObjectId(), name: 'Ana Pérez' } });
+
+    assert.equal(first.revisionNumber, 1);
+    assert.equal(second.revisionNumber, 2);
+    assert.equal(second.editedByName, 'Ana Pérez');
+    assert.equal(articles.find({ _id: article._id }).revisionCount, 2);
+  });
+
+  it('los guardados simultáneos reciben números distintos', async () => {
+    const article = createArticle({ revisionCount: 0 });
+
+    await Promise.all([1, 2, 3, 4].map(() => ArticleRevision.recordRevision(article)));
+
+    assert.deepEqual(revisionNumbers(article), [1, 2, 3, 4]);
+  });
+
+  it('cada artículo lleva su propia numeración', async () => {
+    const articleA = createArticle({ revisionCount: 0 });
+    const articleB = createArticle({ revisionCount: 0 });
+
+    await ArticleRevision.recordRevision(articleA);
+    await ArticleRevision.recordRevision(articleA);
+    const revision = await ArticleRevision.recordRevision(articleB);
+
+    assert.equal(revision.revisionNumber, 1);
+  });
+
+  it('inicializa el contador de los artículos anteriores a él', async () => {
+    const article = createArticle();
+    insertRevisions(article, [1, 2, 3]);
+
+    const revision = await ArticleRevision.recordRevision(article);
+
+    assert.equal(revision.revisionNumber, 4);
+    assert.equal(articles.find({ _id: article._id }).revisionCount, 4);
+  });
+
+  it('si el contador quedó atrasado, lo sincroniza y reintenta sin duplicar números', async () => {
+    const article = createArticle({ revisionCount: 1 });
+    insertRevisions(article, [1, 2, 3]);
+
+    const revision = await ArticleRevision.recordRevision(article);
+
+    assert.equal(revision.revisionNumber, 4);
+    assert.deepEqual(revisionNumbers(article), [1, 2, 3, 4]);
+  });
+
+  it('falla si el artículo no existe', async () => {
+    const missing = { _id: new mongoose.Types.ObjectId(), title: 'x', content: 'y' };
+
+    await assert.rejects(
+      () => ArticleRevision.recordRevision(missing),
+      /No se encontró el artículo/
+    );
+  });
+
+  it('las revisiones guardadas no se pueden modificar', async () => {
+    const article = createArticle({ revisionCount: 0 });
+    const revision = await ArticleRevision.recordRevision(article);
+
+    revision.title = 'Otro título';
+
+    await assert.rejects(() => revision.save(), /inmutables/);
+  });
+});
+
+describe('historial de revisiones por la API', () => {
+  const content = 'Contenido de prueba con la extensión suficiente para pasar la validación del esquema.';
+  let author;
+  let otherAuthor;
+
+  beforeEach(async () => {
+    users.docs.length = 0;
+    articles.docs.length = 0;
+    revisions.docs.length = 0;
+    [author, otherAuthor] = users.insert(
+      { name: 'Ana Pérez', email: 'ana@example.com', password: 'x', role: 'author' },
+      { name: 'Luis Gómez', email: 'luis@example.com', password: 'x', role: 'author' }
+    );
+
+    await request('POST', '/api/articles', {
+      token: tokenFor(author),
+      body: { title: 'Primera versión', content }
+    });
+    await request('PATCH', '/api/articles/primera-version', {
+      token: tokenFor(author),
+      body: { title: 'Segunda versión' }
+    });
+  });
+
+  it('lista las revisiones de la más reciente a la más antigua', async () => {
+    const res = await request('GET', '/api/articles/segunda-version/revisions', { token: tokenFor(author) });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.revisions.map(revision => revision.revisionNumber), [2, 1]);
+    assert.equal(res.body.data.revisions[0].editedByName, 'Ana Pérez');
+    assert.equal(res.body.data.pagination.totalRevisions, 2);
+  });
+
+  it('restaurar una revisión registra una revisión nueva que la referencia', async () => {
+    const res = await request('POST', '/api/articles/segunda-version/revisions/1/restore', { token: tokenFor(author) });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.article.title, 'Primera versión');
+    assert.deepEqual(revisionNumbers(articles.docs[0]), [1, 2, 3]);
+    assert.equal(revisions.find({ revisionNumber: 3 }).restoredFrom, 1);
+  });
+
+  it('otro autor no puede ver ni restaurar el historial', async () => {
+    const history = await request('GET', '/api/articles/segunda-version/revisions', { token: tokenFor(otherAuthor) });
+    const restore = await request('POST', '/api/articles/segunda-version/revisions/1/restore', { token: tokenFor(otherAuthor) });
+
+    assert.equal(history.status, 403);
+    assert.equal(restore.status, 403);
+    assert.equal(articles.docs[0].title, 'Segunda versión');
+  });
+});
@@ -0,0 +1,202 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Article = require('../models/Article');
+const ArticleRevision = require('../models/ArticleRevision');
+const Comment = require('../models/Comment');
+const Like = require('../models/Like');
+const VisitorLike = require('../models/VisitorLike');
+const Reaction = require('../models/Reaction');
+const CommentLike = require('../models/CommentLike');
+const CommentReport = require('../models/CommentReport');
+const Notification = require('../models/Notification');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { request, tokenFor } = require('./helpers/app');
+
+/**
+ * Pruebas de la API de autoría de artículos: crear, actualizar y eliminar
+ */
+
+const users = useMemoryModel(User);
+const articles = useMemoryModel(Article);
+const revisions = useMemoryModel(ArticleRevision);
+const comments = useMemoryModel(Comment);
+// El borrado también limpia los likes, reacciones, reportes y notificaciones del artículo
+const dependents = [Like, VisitorLike, Reaction, CommentLike, CommentReport, Notification].map(useMemoryModel);
+const stores = [users, articles, revisions, comments, ...dependents];
+
+after(() => stores.forEach(store => store.restore()));
+
+const content = 'Contenido de prueba con la extensión suficiente para pasar la validación del esquema.';
+
+let author;
+let otherAuthor;
+let editor;
+let reader;
+
+beforeEach(() => {
+  stores.forEach(store => { store.docs.length = 0; });
+  [author, otherAuthor, editor, reader] = users.insert(
+    { name: 'Ana Pérez', email: 'ana@example.com', password: 'x', role: 'author' },
+    { name: 'Luis Gómez', email: 'luis@example.com', password: 'x', role: 'author' },
+    { name: 'Eva Ruiz', email: 'eva@example.com', password: 'x', role: 'editor' },
+    { name: 'Juan Díaz', email: 'juan@example.com', password: 'x', role: 'user' }
+  );
+});
+
+/**
+ * Crear un artículo por la API
+ * @param {Object} user - Usuario que lo crea
+ * @param {Object} body - Campos del artículo
+ * @returns {Promise<Object>} - Respuesta
+ */
+const createArticle = (user, body = {}) => request('POST', '/api/articles', {
+  token: tokenFor(user),
+  body: { title: 'Mi primer artículo', content, tags: 'node, express', ...body }
+});
+
+describe('POST /api/articles', () => {
+  it('crea un borrador con el slug generado desde el título', async () => {
+    const res = await createArticle(author);
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.data.article.slug, 'mi-primer-articulo');
+    assert.equal(res.body.data.article.status, 'draft');
+    assert.equal(res.body.data.article.author, 'Ana Pérez');
+    assert.deepEqual(res.body.data.article.tags, ['node', 'express']);
+    assert.equal(res.body.data.userLiked, false);
+
+    const stored = articles.find({ slug: 'mi-primer-articulo' });
+    assert.equal(stored.authorId.toString(), author._id.toString());
+    assert.equal(stored.isPublished, false);
+  });
+
+  it('agrega un sufijo al slug si ya está en uso', async () => {
+    await createArticle(author);
+
+    const res = await createArticle(otherAuthor);
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.article.slug, 'mi-primer-articulo-2');
+  });
+
+  it('rechaza un artículo sin título', async () => {
+    const res = await createArticle(author, { title: undefined });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'El título del artículo es obligatorio');
+  });
+
+  it('valida los campos con las reglas del esquema', async () => {
+    const res = await createArticle(author, { content: 'Muy corto' });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'Error de validación');
+    assert.deepEqual(res.body.errors, ['El contenido debe tener al menos 50 caracteres']);
+    assert.equal(articles.docs.length, 0);
+  });
+
+  it('requiere un usuario autenticado con rol de autor', async () => {
+    const anonymous = await request('POST', '/api/articles', { body: { title: 'Sin sesión', content } });
+    const forbidden = await createArticle(reader);
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(forbidden.status, 403);
+    assert.equal(articles.docs.length, 0);
+  });
+});
+
+describe('PUT/PATCH /api/articles/:slug', () => {
+  beforeEach(async () => {
+    await createArticle(author);
+  });
+
+  it('actualiza los campos enviados y regenera el slug si cambia el título', async () => {
+    const res = await request('PATCH', '/api/articles/mi-primer-articulo', {
+      token: tokenFor(author),
+      body: { title: 'Título corregido', status: 'published' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.article.slug, 'titulo-corregido');
+    assert.equal(res.body.data.article.content, content);
+    // El estado solo se cambia con PATCH /:slug/status
+    assert.equal(res.body.data.article.status, 'draft');
+    assert.deepEqual(articles.find({ slug: 'titulo-corregido' }).previousSlugs, ['mi-primer-articulo']);
+  });
+
+  it('PUT acepta un slug explícito', async () => {
+    const res = await request('PUT', '/api/articles/mi-primer-articulo', {
+      token: tokenFor(editor),
+      body: { slug: 'Slug Elegido', excerpt: 'Resumen nuevo' }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.article.slug, 'slug-elegido');
+    assert.equal(res.body.data.article.excerpt, 'Resumen nuevo');
+  });
+
+  it('un autor no puede editar el artículo de otro', async () => {
+    const res = await request('PATCH', '/api/articles/mi-primer-articulo', {
+      token: tokenFor(otherAuthor),
+      body: { title: 'Título ajeno' }
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(articles.docs[0].title, 'Mi primer artículo');
+  });
+
+  it('rechaza una petición sin campos para actualizar', async () => {
+    const res = await request('PATCH', '/api/articles/mi-primer-articulo', {
+      token: tokenFor(author),
+      body: { views: 1000 }
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, 'No se enviaron campos para actualizar');
+  });
+
+  it('responde 404 si el artículo no existe', async () => {
+    const res = await request('PATCH', '/api/articles/no-existe', {
+      token: tokenFor(editor),
+      body: { title: 'Otro título' }
+    });
+
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('DELETE /api/articles/:slug', () => {
+  beforeEach(async () => {
+    await createArticle(author);
+  });
+
+  it('un editor elimina el artículo con sus comentarios y revisiones', async () => {
+    const [article] = articles.docs;
+    comments.insert({ articleId: article._id, userId: reader._id, content: 'Un comentario de prueba' });
+
+    const res = await request('DELETE', '/api/articles/mi-primer-articulo', { token: tokenFor(editor) });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.article.slug, 'mi-primer-articulo');
+    assert.equal(articles.docs.length, 0);
+    assert.equal(comments.docs.length, 0);
+    assert.equal(revisions.docs.length, 0);
+  });
+
+  it('un autor no puede eliminar artículos', async () => {
+    const res = await request('DELETE', '/api/articles/mi-primer-articulo', { token: tokenFor(author) });
+
+    assert.equal(res.status, 403);
+    assert.equal(articles.docs.length, 1);
+  });
+
+  it('responde 404 si el artículo no existe', async () => {
+    const res = await request('DELETE', '/api/articles/no-existe', { token: tokenFor(editor) });
+
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,109 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Comment = require('../models/Comment');
+const CommentLike = require('../models/CommentLike');
+const VisitorLike = require('../models/VisitorLike');
+const { wilsonScore } = require('../utils/ranking');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { request, tokenFor } = require('./helpers/app');
+
+/**
+ * Pruebas de los likes persistentes de comentarios
+ */
+
+const users = useMemoryModel(User);
+const comments = useMemoryModel(Comment);
+const commentLikes = useMemoryModel(CommentLike);
+const visitorLikes = useMemoryModel(VisitorLike);
+const stores = [users, comments, commentLikes, visitorLikes];
+
+after(() => stores.forEach(store => store.restore()));
+
+let ana;
+let luis;
+let comment;
+let pending;
+
+beforeEach(() => {
+  stores.forEach(store => { store.docs.length = 0; });
+  [ana, luis] = users.insert(
+    { name: 'Ana Pérez', email: 'ana@example.com', password: 'x' },
+    { name: 'Luis Gómez', email: 'luis@example.com', password: 'x' }
+  );
+  // El like de un comentario no consulta su artículo
+  const articleId = new mongoose.Types.ObjectId();
+  [comment, pending] = comments.insert(
+    { articleId, userId: luis._id, content: 'Un comentario aprobado', isApproved: true },
+    { articleId, userId: luis._id, content: 'Un comentario pendiente', isApproved: false }
+  );
+});
+
+/**
+ * Dar o quitar like a un comentario
+ * @param {Object} options - { token, headers, body } de la petición
+ * @param {Object} target - Comentario
+ * @returns {Promise<Object>} - Respuesta
+ */
+const likeComment = (options = {}, target = comment) => request('POST', `/api/comments/${target._id}/like`, options);
+
+const stored = () => comments.find({ _id: comment._id });
+
+describe('likes de comentarios', () => {
+  it('POST alterna el like del usuario y mantiene el contador', async () => {
+    const added = await likeComment({ token: tokenFor(ana) });
+    const removed = await likeComment({ token: tokenFor(ana) });
+
+    assert.equal(added.status, 200);
+    assert.equal(added.body.data.action, 'added');
+    assert.equal(added.body.data.comment.likesCount, 1);
+    assert.equal(removed.body.data.action, 'removed');
+    assert.equal(removed.body.data.comment.likesCount, 0);
+    assert.equal(commentLikes.docs.length, 0);
+  });
+
+  it('cada usuario cuenta una sola vez', async () => {
+    await likeComment({ token: tokenFor(ana), body: { action: 'increment' } });
+    const repeated = await likeComment({ token: tokenFor(ana), body: { action: 'increment' } });
+    await likeComment({ token: tokenFor(luis), body: { action: 'increment' } });
+
+    assert.equal(repeated.body.data.action, 'unchanged');
+    assert.equal(commentLikes.docs.length, 2);
+    assert.equal(stored().likesCount, 2);
+  });
+
+  it('el contador no baja de cero al quitar un like que no existe', async () => {
+    const res = await likeComment({ token: tokenFor(ana), body: { action: 'decrement' } });
+
+    assert.equal(res.body.data.action, 'unchanged');
+    assert.equal(stored().likesCount, 0);
+  });
+
+  it('recalcula el puntaje de orden con cada like', async () => {
+    await likeComment({ token: tokenFor(ana) });
+    await likeComment({ token: tokenFor(luis) });
+
+    assert.equal(stored().wilsonScore, wilsonScore(2, 0));
+  });
+
+  it('los likes anónimos también suman al contador', async () => {
+    await likeComment({ token: tokenFor(ana) });
+    await likeComment();
+
+    const res = await request('GET', `/api/comments/${comment._id}/likes`);
+
+    assert.equal(res.body.data.totalLikes, 2);
+    assert.equal(res.body.data.userLikes, 1);
+    assert.equal(res.body.data.anonymousLikes, 1);
+  });
+
+  it('no se puede dar like a un comentario no aprobado', async () => {
+    const res = await likeComment({ token: tokenFor(ana) }, pending);
+
+    assert.equal(res.status, 403);
+    assert.equal(commentLikes.docs.length, 0);
+  });
+});
@@ -0,0 +1,147 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+const { describe, it, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Article = require('../models/Article');
+const Comment = require('../models/Comment');
+const CommentLike = require('../models/CommentLike');
+const Reaction = require('../models/Reaction');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { request, tokenFor } = require('./helpers/app');
+
+/**
+ * Pruebas de la política de moderación previa de comentarios (global y por artículo)
+ */
+
+const users = useMemoryModel(User);
+const articles = useMemoryModel(Article);
+const comments = useMemoryModel(Comment);
+// El listado agrega el like y la reacción de quien consulta
+const viewerData = [CommentLike, Reaction].map(useMemoryModel);
+const stores = [users, articles, comments, ...viewerData];
+
+after(() => stores.forEach(store => store.restore()));
+
+const content = 'Contenido de prueba con la extensión suficiente para pasar la validación del esquema.';
+
+let editor;
+let author;
+let reader;
+let article;
+
+beforeEach(() => {
+  stores.forEach(store => { store.docs.length = 0; });
+  [editor, author, reader] = users.insert(
+    { name: 'Eva Ruiz', email: 'eva@example.com', password: 'x', role: 'editor' },
+    { name: 'Ana Pérez', email: 'ana@example.com', password: 'x', role: 'author' },
+    { name: 'Juan Díaz', email: 'juan@example.com', password: 'x', role: 'user' }
+  );
+  [article] = articles.insert({
+    title: 'Artículo publicado', slug: 'publicado', content, author: 'Eva Ruiz',
+    status: 'published', isPublished: true, publishedAt: new Date(Date.now() - 60000)
+  });
+});
+
+afterEach(() => {
+  delete process.env.COMMENT_MODERATION;
+});
+
+/**
+ * Cambiar la política de moderación del artículo
+ * @param {*} policy - Política (null vuelve a la global)
+ * @param {Object} user - Usuario que la cambia
+ * @returns {Promise<Object>} - Respuesta
+ */
+const setPolicy = (policy, user = editor) => request('PATCH', '/api/articles/publicado/comment-moderation', {
+  token: tokenFor(user),
+  body: { policy }
+});
+
+/**
+ * Comentar en el artículo
+ * @param {Object} options - { token, body } de la petición
+ * @returns {Promise<Object>} - Respuesta
+ */
+const addComment = ({ token, body = {} } = {}) => request('POST', '/api/articles/publicado/comments', {
+  token,
+  body: { content: 'Un comentario de prueba', ...body }
+});
+
+describe('PATCH /api/articles/:slug/comment-moderation', () => {
+  it('un editor cambia la política del artículo y puede volver a la global', async () => {
+    const held = await setPolicy('hold-all');
+    const reset = await setPolicy(null);
+
+    assert.equal(held.status, 200);
+    assert.deepEqual(held.body.data, { slug: 'publicado', commentModeration: 'hold-all', effectivePolicy: 'hold-all' });
+    assert.equal(reset.body.data.commentModeration, null);
+    assert.equal(reset.body.data.effectivePolicy, 'auto-approve');
+  });
+
+  it('rechaza políticas inválidas y usuarios sin rol de editor', async () => {
+    const invalid = await setPolicy('hold-some');
+    const forbidden = await setPolicy('hold-all', author);
+
+    assert.equal(invalid.status, 400);
+    assert.equal(forbidden.status, 403);
+    assert.equal(articles.find({ _id: article._id }).commentModeration, null);
+  });
+});
+
+describe('comentarios retenidos para moderación', () => {
+  it('con hold-all el comentario queda pendiente y solo lo ve quien lo escribió', async () => {
+    await setPolicy('hold-all');
+
+    const res = await addComment({ token: tokenFor(reader) });
+    const own = await request('GET', '/api/articles/publicado/comments', { token: tokenFor(reader) });
+    const others = await request('GET', '/api/articles/publicado/comments');
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.pending, true);
+    assert.equal(comments.docs[0].isApproved, false);
+    assert.equal(own.body.data.comments.length, 1);
+    assert.equal(others.body.data.comments.length, 0);
+  });
+
+  it('los comentarios de editores no se retienen', async () => {
+    await setPolicy('hold-all');
+
+    const res = await addComment({ token: tokenFor(editor) });
+
+    assert.equal(res.body.data.pending, false);
+    assert.equal(comments.docs[0].isApproved, true);
+  });
+
+  it('con hold-first-time solo espera el primer comentario de cada cuenta', async () => {
+    await setPolicy('hold-first-time');
+    comments.insert({ articleId: article._id, userId: author._id, author: 'Ana Pérez', content: 'Ya aprobado', isApproved: true });
+
+    const first = await addComment({ token: tokenFor(reader) });
+    const returning = await addComment({ token: tokenFor(author) });
+
+    assert.equal(first.body.data.pending, true);
+    assert.equal(returning.body.data.pending, false);
+  });
+
+  it('con hold-first-time los comentarios anónimos siempre esperan', async () => {
+    await setPolicy('hold-first-time');
+    comments.insert({ articleId: article._id, author: 'Visitante', email: 'visita@example.com', content: 'Ya aprobado', isApproved: true });
+
+    const res = await addComment({ body: { author: 'Visitante', email: 'visita@example.com', content: 'Vuelvo a comentar' } });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.pending, true);
+  });
+
+  it('la política global aplica a los artículos sin política propia', async () => {
+    process.env.COMMENT_MODERATION = 'hold-all';
+
+    const held = await addComment({ token: tokenFor(reader) });
+    await setPolicy('auto-approve');
+    const published = await addComment({ token: tokenFor(reader), body: { content: 'Otro comentario distinto' } });
+
+    assert.equal(held.body.data.pending, true);
+    assert.equal(published.body.data.pending, false);
+  });
+});
@@ -0,0 +1,194 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const Article = require('../models/Article');
+const Comment = require('../models/Comment');
+const ModerationLog = require('../models/ModerationLog');
+const CommentLike = require('../models/CommentLike');
+const VisitorLike = require('../models/VisitorLike');
+const Reaction = require('../models/Reaction');
+const CommentReport = require('../models/CommentReport');
+const Notification = require('../models/Notification');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { request, tokenFor } = require('./helpers/app');
+
+/**
+ * Pruebas de comentarios: agregar, editar dentro de la ventana de edición y eliminar
+ */
+
+const users = useMemoryModel(User);
+const settings = useMemoryModel(Setting);
+const articles = useMemoryModel(Article);
+const comments = useMemoryModel(Comment);
+const logs = useMemoryModel(ModerationLog);
+// Eliminar un comentario también limpia sus likes, reacciones, reportes y notificaciones
+const dependents = [CommentLike, VisitorLike, Reaction, CommentReport, Notification].map(useMemoryModel);
+const stores = [users, settings, articles, comments, logs, ...dependents];
+
+after(() => stores.forEach(store => store.restore()));
+
+const content = 'Contenido de prueba con la extensión suficiente para pasar la validación del esquema.';
+
+let admin;
+let ana;
+let luis;
+let article;
+
+beforeEach(() => {
+  stores.forEach(store => { store.docs.length = 0; });
+  [admin, ana, luis] = users.insert(
+    { name: 'Eva Ruiz', email: 'eva@example.com', password: 'x', role: 'admin' },
+    { name: 'Ana Pérez', email: 'ana@example.com', password: 'x' },
+    { name: 'Luis Gómez', email: 'luis@example.com', password: 'x' }
+  );
+  [article] = articles.insert({
+    title: 'Artículo publicado', slug: 'publicado', content, author: 'Eva Ruiz',
+    status: 'published', isPublished: true, publishedAt: new Date(Date.now() - 60000)
+  });
+});
+
+/**
+ * Comentar en el artículo
+ * @param {Object} body - Campos del comentario
+ * @param {Object} user - Usuario que comenta (null = anónimo)
+ * @returns {Promise<Object>} - Respuesta
+ */
+const addComment = (body = {}, user = ana) => request('POST', '/api/articles/publicado/comments', {
+  token: user ? tokenFor(user) : undefined,
+  body: { content: 'Un comentario de prueba', ...body }
+});
+
+/**
+ * Guardar un comentario escrito hace un tiempo (fuera de la ventana de edición por defecto)
+ * @param {Object} user - Autor
+ * @returns {Object} - Comentario guardado
+ */
+const insertOldComment = (user = ana) => comments.insert({
+  articleId: article._id, userId: user._id, author: user.name, content: 'Un comentario antiguo',
+  isApproved: true, createdAt: new Date(Date.now() - 60 * 60 * 1000)
+})[0];
+
+const editComment = (commentId, body, options = {}) => request('PATCH', `/api/comments/${commentId}`, { ...options, body });
+
+describe('POST /api/articles/:slug/comments', () => {
+  it('un usuario autenticado comenta con su nombre y recibe la ventana de edición', async () => {
+    const res = await addComment();
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.data.pending, false);
+    assert.equal(res.body.data.comment.author, 'Ana Pérez');
+    assert.ok(new Date(res.body.data.editableUntil) > new Date());
+    assert.equal(res.body.data.editToken, undefined);
+    assert.equal(articles.find({ _id: article._id }).commentsCount, 1);
+  });
+
+  it('un comentario anónimo requiere nombre y email y recibe un token de edición', async () => {
+    const missing = await addComment({}, null);
+    const res = await addComment({ author: 'Visitante', email: 'visita@example.com' }, null);
+
+    assert.equal(missing.status, 400);
+    assert.equal(res.status, 201);
+    assert.ok(res.body.data.editToken);
+  });
+
+  it('solo se responde a comentarios aprobados del mismo artículo', async () => {
+    const [pending] = comments.insert({ articleId: article._id, userId: luis._id, content: 'Pendiente', isApproved: false });
+
+    const res = await addComment({ parentCommentId: pending._id.toString() });
+
+    assert.equal(res.status, 404);
+    assert.equal(res.body.message, 'Comentario padre no encontrado');
+  });
+});
+
+describe('PATCH /api/comments/:commentId', () => {
+  it('el autor edita su comentario y se guarda la versión anterior', async () => {
+    const created = await addComment();
+    const commentId = created.body.data.comment._id;
+
+    const res = await editComment(commentId, { content: 'Comentario corregido' }, { token: tokenFor(ana) });
+    const versions = await request('GET', `/api/comments/${commentId}/versions`, { token: tokenFor(ana) });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.comment.content, 'Comentario corregido');
+    assert.equal(comments.find({ _id: created.body.data.comment._id }).isEdited, true);
+    assert.deepEqual(versions.body.data.previousVersions.map(version => version.content), ['Un comentario de prueba']);
+  });
+
+  it('otro usuario no puede editarlo', async () => {
+    const created = await addComment();
+
+    const res = await editComment(created.body.data.comment._id, { content: 'Ajeno' }, { token: tokenFor(luis) });
+
+    assert.equal(res.status, 403);
+    assert.equal(comments.docs[0].content, 'Un comentario de prueba');
+  });
+
+  it('un autor anónimo edita con su token y un token inválido se rechaza', async () => {
+    const created = await addComment({ author: 'Visitante', email: 'visita@example.com' }, null);
+    const { comment, editToken } = created.body.data;
+
+    const forged = await editComment(comment._id, { content: 'Con otro token' }, { headers: { 'X-Comment-Edit-Token': 'falso' } });
+    const res = await editComment(comment._id, { content: 'Con mi token' }, { headers: { 'X-Comment-Edit-Token': editToken } });
+
+    assert.equal(forged.status, 403);
+    assert.equal(res.status, 200);
+    assert.equal(comments.docs[0].content, 'Con mi token');
+  });
+
+  it('pasada la ventana de edición solo un admin puede editarlo', async () => {
+    const old = insertOldComment();
+
+    const late = await editComment(old._id, { content: 'Demasiado tarde' }, { token: tokenFor(ana) });
+    const byAdmin = await editComment(old._id, { content: 'Corregido por un admin' }, { token: tokenFor(admin) });
+
+    assert.equal(late.status, 403);
+    assert.ok(late.body.editableUntil);
+    assert.equal(byAdmin.status, 200);
+  });
+});
+
+describe('DELETE /api/comments/:commentId', () => {
+  it('sin respuestas se elimina por completo', async () => {
+    const created = await addComment();
+
+    const res = await request('DELETE', `/api/comments/${created.body.data.comment._id}`, { token: tokenFor(ana) });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.result, 'removed');
+    assert.equal(comments.docs.length, 0);
+    assert.equal(logs.docs.length, 0);
+  });
+
+  it('con respuestas queda el marcador [deleted] y ya no se puede editar', async () => {
+    const created = await addComment();
+    const commentId = created.body.data.comment._id;
+    await addComment({ parentCommentId: commentId, content: 'Una respuesta' }, luis);
+
+    const res = await request('DELETE', `/api/comments/${commentId}`, { token: tokenFor(ana) });
+    const edit = await editComment(commentId, { content: 'Lo recupero' }, { token: tokenFor(admin) });
+
+    assert.equal(res.body.data.result, 'placeholder');
+    const stored = comments.find({ _id: created.body.data.comment._id });
+    assert.equal(stored.isDeleted, true);
+    assert.equal(stored.userId, null);
+    assert.equal(comments.docs.length, 2);
+    assert.equal(edit.status, 400);
+  });
+
+  it('un admin elimina comentarios ajenos y queda en el registro de moderación', async () => {
+    const old = insertOldComment(luis);
+
+    const forbidden = await request('DELETE', `/api/comments/${old._id}`, { token: tokenFor(ana) });
+    const res = await request('DELETE', `/api/comments/${old._id}`, { token: tokenFor(admin) });
+
+    assert.equal(forbidden.status, 403);
+    assert.equal(res.status, 200);
+    assert.equal(logs.docs.length, 1);
+    assert.equal(logs.docs[0].action, 'delete');
+    assert.equal(logs.docs[0].moderatorName, 'Eva Ruiz');
+  });
+});
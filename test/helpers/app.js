@@ -0,0 +1,77 @@
+const express = require('express');
+const authRoutes = require('../../routes/authRoutes');
+const articleRoutes = require('../../routes/articleRoutes');
+const commentRoutes = require('../../routes/commentRoutes');
+const reactionRoutes = require('../../routes/reactionRoutes');
+const moderationRoutes = require('../../routes/moderationRoutes');
+const notificationRoutes = require('../../routes/notificationRoutes');
+const securityRoutes = require('../../routes/securityRoutes');
+const roleRoutes = require('../../routes/roleRoutes');
+const userRoutes = require('../../routes/userRoutes');
+const { generateToken } = require('../../middleware/auth');
+
+/**
+ * App de Express para probar las rutas de la API con peticiones HTTP reales
+ * Monta los mismos routers que server.js (sin conectarse a MongoDB ni abrir el puerto del servidor)
+ */
+
+const app = express();
+app.use(express.json());
+
+app.use('/api/auth', authRoutes);
+app.use('/api/articles', articleRoutes);
+app.use('/api', commentRoutes);
+app.use('/api', reactionRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/security', securityRoutes);
+app.use('/api/users', roleRoutes);
+app.use('/api/users', userRoutes);
+
+/**
+ * Enviar una petición a la app en un puerto libre
+ * @param {string} method - Método HTTP
+ * @param {string} path - Ruta (con query string si hace falta)
+ * @param {Object} options - { body, token, headers }
+ * @returns {Promise<Object>} - { status, headers, body }
+ */
+const request = async (method, path, options = {}) => {
+  const { body, token, headers = {} } = options;
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      redirect: 'manual',
+      headers: {
+        ...(body !== undefined ? { 'Content-Type': 'application/json' } : {}),
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+    const text = await response.text();
+
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? JSON.parse(text) : null
+    };
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+/**
+ * Token de acceso de un usuario guardado (sin sesión, como los tokens anteriores a ellas)
+ * @param {Object} user - Usuario
+ * @returns {string} - Token JWT
+ */
+const tokenFor = (user) => generateToken(user);
+
+module.exports = {
+  request,
+  tokenFor
+};
@@ -0,0 +1,474 @@
+const mongoose = require('mongoose');
+
+/**
+ * Colección en memoria para las pruebas
+ * Reemplaza las consultas de un modelo de Mongoose por una implementación en memoria con los
+ * filtros y operadores que usan las pruebas, sin conectarse a MongoDB.
+ * Los hooks de save y las validaciones del esquema se siguen ejecutando.
+ */
+
+const { ObjectId } = mongoose.Types;
+
+// Una consulta que la colección en memoria no reemplaza falla enseguida en lugar de esperar la conexión
+mongoose.set('bufferCommands', false);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const isOperatorObject = (value) => isPlainObject(value) &&
+  Object.keys(value).length > 0 && Object.keys(value).every(key => key.startsWith('$'));
+
+/**
+ * Copiar un valor guardado (las fechas y los arrays no se comparten con el documento)
+ * @param {*} value - Valor
+ * @returns {*} - Copia
+ */
+const clone = (value) => {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+/**
+ * Normalizar un valor para compararlo (ObjectId como texto, fechas como milisegundos)
+ * @param {*} value - Valor
+ * @returns {*} - Valor comparable
+ */
+const normalize = (value) => {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.getTime();
+  if (value instanceof ObjectId) return value.toString();
+  return value;
+};
+
+const isEqual = (a, b) => normalize(a) === normalize(b);
+
+const compare = (a, b) => {
+  const left = normalize(a);
+  const right = normalize(b);
+  if (left === null || right === null || typeof left !== typeof right) return NaN;
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const setPath = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => {
+    if (obj[key] === null || typeof obj[key] !== 'object') obj[key] = {};
+    return obj[key];
+  }, doc);
+  target[last] = value;
+};
+
+/**
+ * Comprobar un valor contra lo esperado (en un array, basta con que coincida un elemento)
+ * @param {*} value - Valor del campo
+ * @param {*} expected - Valor esperado
+ * @returns {boolean} - true si coincide
+ */
+const matchValue = (value, expected) => {
+  if (Array.isArray(value)) return value.some(item => isEqual(item, expected));
+  return isEqual(value, expected);
+};
+
+/**
+ * Comprobar un operador de consulta contra el valor de un campo
+ * @param {*} value - Valor del campo
+ * @param {string} operator - Operador ($ne, $in, ...)
+ * @param {*} expected - Operando
+ * @returns {boolean} - true si se cumple
+ */
+const matchOperator = (value, operator, expected) => {
+  switch (operator) {
+    case '$ne': return !matchValue(value, expected);
+    case '$gt': return compare(value, expected) > 0;
+    case '$gte': return compare(value, expected) >= 0;
+    case '$lt': return compare(value, expected) < 0;
+    case '$lte': return compare(value, expected) <= 0;
+    case '$in': return expected.some(item => matchValue(value, item));
+    case '$exists': return (value !== undefined) === !!expected;
+    case '$type':
+      if (expected !== 'string') throw new Error(`Tipo no soportado en las pruebas: ${expected}`);
+      return typeof value === 'string';
+    default: throw new Error(`Operador de consulta no soportado en las pruebas: ${operator}`);
+  }
+};
+
+/**
+ * Comprobar si un documento cumple un filtro
+ * @param {Object} doc - Documento guardado
+ * @param {Object} filter - Filtro de MongoDB
+ * @returns {boolean} - true si lo cumple
+ */
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, expected]) => {
+  if (key === '$or') return expected.some(condition => matches(doc, condition));
+  if (key === '$and') return expected.every(condition => matches(doc, condition));
+
+  const value = getPath(doc, key);
+  if (isOperatorObject(expected)) {
+    return Object.entries(expected).every(([operator, operand]) => matchOperator(value, operator, operand));
+  }
+  return matchValue(value, expected);
+});
+
+/**
+ * Evaluar una expresión de agregación de un update con pipeline (contadores y puntajes de comentarios)
+ * @param {Object} doc - Documento antes de la etapa
+ * @param {*} expression - Expresión
+ * @param {Object} vars - Variables de $let
+ * @returns {*} - Resultado
+ */
+const evaluate = (doc, expression, vars = {}) => {
+  if (typeof expression === 'string' && expression.startsWith('$$')) return vars[expression.slice(2)];
+  if (typeof expression === 'string' && expression.startsWith('$')) return getPath(doc, expression.slice(1));
+  if (!isOperatorObject(expression)) return expression;
+
+  const [[operator, args]] = Object.entries(expression);
+  const values = () => args.map(arg => evaluate(doc, arg, vars));
+
+  switch (operator) {
+    case '$let': {
+      const scope = { ...vars };
+      Object.entries(args.vars).forEach(([name, value]) => { scope[name] = evaluate(doc, value, vars); });
+      return evaluate(doc, args.in, scope);
+    }
+    case '$cond': {
+      const [condition, whenTrue, whenFalse] = args;
+      return evaluate(doc, evaluate(doc, condition, vars) ? whenTrue : whenFalse, vars);
+    }
+    case '$ifNull': {
+      const [value, fallback] = values();
+      return value == null ? fallback : value;
+    }
+    case '$or': return values().some(Boolean);
+    case '$gt': return compare(...values()) > 0;
+    case '$lte': return compare(...values()) <= 0;
+    case '$add': return values().reduce((sum, value) => sum + value, 0);
+    case '$multiply': return values().reduce((product, value) => product * value, 1);
+    case '$subtract': return values().reduce((left, right) => left - right);
+    case '$divide': return values().reduce((left, right) => left / right);
+    case '$pow': return values().reduce((base, exponent) => Math.pow(base, exponent));
+    case '$sqrt': return Math.sqrt(evaluate(doc, args, vars));
+    default: throw new Error(`Expresión no soportada en las pruebas: ${operator}`);
+  }
+};
+
+/**
+ * Aplicar una actualización (operadores o pipeline de etapas $set) a un documento
+ * @param {Object} doc - Documento guardado (se modifica)
+ * @param {Object|Array} update - Actualización
+ * @param {boolean} inserting - true si el documento se crea por un upsert
+ */
+const applyUpdate = (doc, update, inserting = false) => {
+  if (Array.isArray(update)) {
+    update.forEach(stage => {
+      const before = clone(doc);
+      Object.entries(stage.$set).forEach(([path, expression]) => setPath(doc, path, evaluate(before, expression)));
+    });
+    return;
+  }
+
+  Object.entries(update).forEach(([operator, fields]) => {
+    Object.entries(fields).forEach(([path, value]) => {
+      const current = getPath(doc, path);
+
+      switch (operator) {
+        case '$set': setPath(doc, path, clone(value)); break;
+        case '$setOnInsert': if (inserting) setPath(doc, path, clone(value)); break;
+        case '$inc': setPath(doc, path, (current || 0) + value); break;
+        case '$max': if (current == null || compare(value, current) > 0) setPath(doc, path, clone(value)); break;
+        case '$pull': setPath(doc, path, (current || []).filter(item => !isEqual(item, value))); break;
+        case '$push': {
+          const { $each = [value], $slice } = isOperatorObject(value) ? value : {};
+          const pushed = [...(current || []), ...clone($each)];
+          setPath(doc, path, $slice === undefined ? pushed : pushed.slice($slice));
+          break;
+        }
+        default: throw new Error(`Operador de actualización no soportado en las pruebas: ${operator}`);
+      }
+    });
+  });
+};
+
+/**
+ * Agrupar documentos como la etapa $group de una agregación
+ * @param {Array} rows - Documentos
+ * @param {Object} group - { _id, campo: { acumulador: expresión } }
+ * @returns {Array} - Un documento por grupo
+ */
+const groupRows = (rows, { _id: key, ...fields }) => {
+  const groups = new Map();
+
+  rows.forEach(row => {
+    const id = isPlainObject(key) && !isOperatorObject(key)
+      ? Object.fromEntries(Object.entries(key).map(([name, expression]) => [name, evaluate(row, expression)]))
+      : evaluate(row, key);
+    const groupKey = JSON.stringify(isPlainObject(id) ? Object.values(id).map(normalize) : normalize(id));
+    const group = groups.get(groupKey) || { _id: id };
+
+    Object.entries(fields).forEach(([name, accumulator]) => {
+      const [[operator, expression]] = Object.entries(accumulator);
+      const value = evaluate(row, expression);
+      const current = group[name];
+
+      switch (operator) {
+        case '$sum': group[name] = (current || 0) + value; break;
+        case '$max': if (current === undefined || compare(value, current) > 0) group[name] = value; break;
+        default: throw new Error(`Acumulador no soportado en las pruebas: ${operator}`);
+      }
+    });
+
+    groups.set(groupKey, group);
+  });
+
+  return [...groups.values()];
+};
+
+/**
+ * Reemplazar las consultas de un modelo por una colección en memoria
+ * @param {Object} Model - Modelo de Mongoose
+ * @returns {Object} - { docs, insert, find, restore }
+ */
+const useMemoryModel = (Model) => {
+  const docs = [];
+  const originals = {};
+  const uniqueIndexes = Model.schema.indexes().filter(([, options]) => options.unique);
+
+  const hydrate = (doc, lean) => (lean ? clone(doc) : Model.hydrate(clone(doc)));
+  const toStored = (document) => document.toObject({
+    depopulate: true, transform: false, virtuals: false, getters: false, flattenMaps: true
+  });
+
+  // Los índices únicos responden con el mismo error 11000 que MongoDB
+  const assertUnique = (doc, ignored = null) => {
+    uniqueIndexes.forEach(([fields, { partialFilterExpression }]) => {
+      if (partialFilterExpression && !matches(doc, partialFilterExpression)) return;
+
+      const keys = Object.keys(fields);
+      const duplicate = docs.find(other => other !== ignored &&
+        (!partialFilterExpression || matches(other, partialFilterExpression)) &&
+        keys.every(key => isEqual(getPath(other, key), getPath(doc, key))));
+
+      if (duplicate) {
+        const error = new Error(`E11000 duplicate key error collection: ${Model.collection.name}`);
+        error.code = 11000;
+        throw error;
+      }
+    });
+  };
+
+  /**
+   * Consulta encadenable (select, sort, skip, limit, lean) que se resuelve con await
+   */
+  const createQuery = (run) => {
+    const state = { sort: null, skip: 0, limit: 0, lean: false };
+    const query = {
+      select: () => query,
+      populate: () => query,
+      sort: (sort) => { state.sort = sort; return query; },
+      skip: (skip) => { state.skip = skip; return query; },
+      limit: (limit) => { state.limit = limit; return query; },
+      lean: (lean = true) => { state.lean = lean; return query; },
+      exec: () => Promise.resolve().then(() => run(state)),
+      then: (resolve, reject) => query.exec().then(resolve, reject),
+      catch: (reject) => query.exec().catch(reject)
+    };
+    return query;
+  };
+
+  const findMatching = (filter, state = {}) => {
+    const result = docs.filter(doc => matches(doc, filter));
+
+    if (state.sort) {
+      result.sort((a, b) => {
+        for (const [path, direction] of Object.entries(state.sort)) {
+          const order = compare(getPath(a, path), getPath(b, path));
+          if (order) return direction === -1 ? -order : order;
+        }
+        return 0;
+      });
+    }
+
+    const start = state.skip || 0;
+    return result.slice(start, state.limit ? start + state.limit : undefined);
+  };
+
+  const remove = (doc) => docs.splice(docs.indexOf(doc), 1);
+
+  /**
+   * Datos a guardar de un documento nuevo, con las marcas de tiempo si el esquema las usa
+   */
+  const toInserted = (document) => {
+    if (Model.schema.options.timestamps) document.initializeTimestamps();
+    return toStored(document);
+  };
+
+  /**
+   * Crear el documento de un upsert con los campos de igualdad del filtro y los valores por defecto
+   */
+  const upsert = (filter, update) => {
+    const fields = Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isOperatorObject(value));
+    const doc = toInserted(new Model(Object.fromEntries(fields)));
+
+    applyUpdate(doc, update, true);
+    assertUnique(doc);
+    docs.push(doc);
+    return doc;
+  };
+
+  const statics = {
+    find: (filter) => {
+      const query = createQuery(state => findMatching(filter, state).map(doc => hydrate(doc, state.lean)));
+      query.distinct = (path) => createQuery(() => findMatching(filter).map(doc => getPath(doc, path)));
+      return query;
+    },
+    findOne: (filter) => createQuery(state => {
+      const [doc] = findMatching(filter, state);
+      return doc ? hydrate(doc, state.lean) : null;
+    }),
+    findById: (id) => statics.findOne({ _id: id }),
+    aggregate: (pipeline) => createQuery(() => pipeline.reduce((rows, stage) => {
+      const [[name, spec]] = Object.entries(stage);
+      switch (name) {
+        case '$match': return rows.filter(row => matches(row, spec));
+        case '$group': return groupRows(rows, spec);
+        default: throw new Error(`Etapa de agregación no soportada en las pruebas: ${name}`);
+      }
+    }, docs.map(clone))),
+    exists: (filter) => createQuery(() => {
+      const [doc] = findMatching(filter);
+      return doc ? { _id: doc._id } : null;
+    }),
+    countDocuments: (filter) => createQuery(() => findMatching(filter).length),
+    findOneAndUpdate: (filter, update, options = {}) => createQuery(state => {
+      const [doc] = findMatching(filter);
+      if (!doc) {
+        if (!options.upsert) return null;
+        const created = upsert(filter, update);
+        return options.new ? hydrate(created, state.lean) : null;
+      }
+
+      const previous = clone(doc);
+      applyUpdate(doc, update);
+      return hydrate(options.new ? doc : previous, state.lean);
+    }),
+    findByIdAndUpdate: (id, update, options) => statics.findOneAndUpdate({ _id: id }, update, options),
+    findOneAndDelete: (filter) => createQuery(state => {
+      const [doc] = findMatching(filter);
+      if (!doc) return null;
+
+      remove(doc);
+      return hydrate(doc, state.lean);
+    }),
+    insertMany: async (data) => {
+      const created = data.map(item => new Model(item));
+      await Promise.all(created.map(document => document.validate()));
+
+      return created.map(document => {
+        const obj = toInserted(document);
+        assertUnique(obj);
+        docs.push(obj);
+        return hydrate(obj, false);
+      });
+    },
+    updateOne: async (filter, update) => {
+      const [doc] = findMatching(filter);
+      if (doc) applyUpdate(doc, update);
+      return { acknowledged: true, matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+    },
+    updateMany: async (filter, update) => {
+      const updated = findMatching(filter);
+      updated.forEach(doc => applyUpdate(doc, update));
+      return { acknowledged: true, matchedCount: updated.length, modifiedCount: updated.length };
+    },
+    deleteOne: async (filter) => {
+      const [doc] = findMatching(filter);
+      if (doc) remove(doc);
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    },
+    deleteMany: async (filter) => {
+      const removed = findMatching(filter);
+      removed.forEach(remove);
+      return { acknowledged: true, deletedCount: removed.length };
+    }
+  };
+
+  Object.entries(statics).forEach(([name, fn]) => {
+    originals[name] = Object.prototype.hasOwnProperty.call(Model, name) ? Model[name] : undefined;
+    Model[name] = fn;
+  });
+
+  // save() sigue ejecutando los hooks y validaciones; solo cambia la escritura final
+  const originalHandleSave = Object.prototype.hasOwnProperty.call(Model.prototype, '$__handleSave')
+    ? Model.prototype.$__handleSave
+    : undefined;
+
+  Model.prototype.$__handleSave = function(options, callback) {
+    const obj = toStored(this);
+    const existing = this.$isNew ? null : docs.find(doc => isEqual(doc._id, obj._id));
+
+    try {
+      assertUnique(obj, existing);
+    } catch (error) {
+      return setImmediate(() => callback(error));
+    }
+
+    if (existing) {
+      // Como en MongoDB, solo se escriben las rutas modificadas: los campos no seleccionados
+      // o cambiados con updateOne mientras tanto se conservan
+      const stored = clone(existing);
+      this.$__dirty().forEach(({ path }) => setPath(stored, path, clone(getPath(obj, path))));
+      docs.splice(docs.indexOf(existing), 1, stored);
+    } else {
+      docs.push(clone(obj));
+    }
+
+    this.$__reset();
+    this.$isNew = false;
+    setImmediate(() => callback(null, { matchedCount: 1 }));
+  };
+
+  return {
+    docs,
+
+    /**
+     * Guardar documentos directamente (con los valores por defecto del esquema, sin hooks)
+     * @param {...Object} data - Datos de los documentos
+     * @returns {Array} - Documentos guardados
+     */
+    insert: (...data) => data.map(item => {
+      const obj = toStored(new Model(item));
+      assertUnique(obj);
+      docs.push(clone(obj));
+      return obj;
+    }),
+
+    /**
+     * Buscar un documento guardado (sin pasar por el modelo)
+     * @param {Object} filter - Filtro de MongoDB
+     * @returns {Object|undefined} - Documento guardado
+     */
+    find: (filter) => docs.find(doc => matches(doc, filter)),
+
+    /**
+     * Restaurar las consultas originales del modelo
+     */
+    restore: () => {
+      Object.entries(originals).forEach(([name, fn]) => {
+        if (fn === undefined) delete Model[name];
+        else Model[name] = fn;
+      });
+      if (originalHandleSave === undefined) delete Model.prototype.$__handleSave;
+      else Model.prototype.$__handleSave = originalHandleSave;
+    }
+  };
+};
+
+module.exports = {
+  useMemoryModel
+};
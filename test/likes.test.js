@@ -0,0 +1,166 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Article = require('../models/Article');
+const Like = require('../models/Like');
+const VisitorLike = require('../models/VisitorLike');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { request, tokenFor } = require('./helpers/app');
+
+/**
+ * Pruebas de los likes de artículos
+ */
+
+const users = useMemoryModel(User);
+const articles = useMemoryModel(Article);
+const likes = useMemoryModel(Like);
+const visitorLikes = useMemoryModel(VisitorLike);
+const stores = [users, articles, likes, visitorLikes];
+
+after(() => stores.forEach(store => store.restore()));
+
+const content = 'Contenido de prueba con la extensión suficiente para pasar la validación del esquema.';
+
+let ana;
+let luis;
+
+beforeEach(() => {
+  stores.forEach(store => { store.docs.length = 0; });
+  [ana, luis] = users.insert(
+    { name: 'Ana Pérez', email: 'ana@example.com', password: 'x' },
+    { name: 'Luis Gómez', email: 'luis@example.com', password: 'x' }
+  );
+  articles.insert(
+    {
+      title: 'Artículo publicado', slug: 'publicado', content, author: 'Eva Ruiz',
+      status: 'published', isPublished: true, publishedAt: new Date(Date.now() - 60000)
+    },
+    { title: 'Artículo en borrador', slug: 'borrador', content, author: 'Eva Ruiz', status: 'draft', isPublished: false }
+  );
+});
+
+const likesCount = (slug) => articles.find({ slug }).likesCount;
+
+describe('likes de usuarios', () => {
+  it('POST alterna el like del usuario y actualiza el contador', async () => {
+    const added = await request('POST', '/api/articles/publicado/like', { token: tokenFor(ana) });
+    const removed = await request('POST', '/api/articles/publicado/like', { token: tokenFor(ana) });
+
+    assert.equal(added.status, 200);
+    assert.deepEqual(added.body.data, { liked: true, likesCount: 1, action: 'added' });
+    assert.deepEqual(removed.body.data, { liked: false, likesCount: 0, action: 'removed' });
+    assert.equal(likes.docs.length, 0);
+  });
+
+  it('un usuario cuenta una sola vez aunque repita el like', async () => {
+    await request('PUT', '/api/articles/publicado/like', { token: tokenFor(ana) });
+    const repeated = await request('PUT', '/api/articles/publicado/like', { token: tokenFor(ana) });
+    await request('PUT', '/api/articles/publicado/like', { token: tokenFor(luis) });
+
+    assert.deepEqual(repeated.body.data, { liked: true, likesCount: 1, action: 'unchanged' });
+    assert.equal(likes.docs.length, 2);
+    assert.equal(likesCount('publicado'), 2);
+  });
+
+  it('dos likes simultáneos del mismo usuario guardan uno solo', async () => {
+    await Promise.all([1, 2, 3].map(() => request('PUT', '/api/articles/publicado/like', { token: tokenFor(ana) })));
+
+    assert.equal(likes.docs.length, 1);
+    assert.equal(likesCount('publicado'), 1);
+  });
+
+  it('DELETE quita el like y es idempotente', async () => {
+    await request('PUT', '/api/articles/publicado/like', { token: tokenFor(ana) });
+
+    const removed = await request('DELETE', '/api/articles/publicado/like', { token: tokenFor(ana) });
+    const repeated = await request('DELETE', '/api/articles/publicado/like', { token: tokenFor(ana) });
+
+    assert.equal(removed.body.data.action, 'removed');
+    assert.deepEqual(repeated.body.data, { liked: false, likesCount: 0, action: 'unchanged' });
+  });
+
+  it('lista los likes de un artículo publicado', async () => {
+    await request('PUT', '/api/articles/publicado/like', { token: tokenFor(ana) });
+    await request('PUT', '/api/articles/publicado/like', { token: tokenFor(luis) });
+
+    const res = await request('GET', '/api/articles/publicado/likes');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.totalLikes, 2);
+  });
+
+  it('los artículos no publicados no reciben likes ni muestran los suyos', async () => {
+    const like = await request('PUT', '/api/articles/borrador/like', { token: tokenFor(ana) });
+    const list = await request('GET', '/api/articles/borrador/likes');
+
+    assert.equal(like.status, 404);
+    assert.equal(list.status, 404);
+    assert.equal(likes.docs.length, 0);
+  });
+});
+
+describe('likes de visitantes anónimos', () => {
+  /**
+   * Dar like sin cuenta
+   * @param {string} visitorToken - Token de visitante (sin él, el servidor emite uno nuevo)
+   * @param {string} method - Método HTTP
+   * @returns {Promise<Object>} - Respuesta
+   */
+  const visitorLike = (visitorToken = null, method = 'PUT') => request(method, '/api/articles/publicado/like', {
+    headers: visitorToken ? { 'X-Visitor-Token': visitorToken } : {}
+  });
+
+  it('emite un token de visitante y con él el like cuenta una sola vez', async () => {
+    const first = await visitorLike();
+    const visitorToken = first.headers.get('x-visitor-token');
+    const repeated = await visitorLike(visitorToken);
+
+    assert.ok(visitorToken);
+    assert.equal(first.body.data.action, 'added');
+    assert.deepEqual(repeated.body.data, { liked: true, likesCount: 1, action: 'unchanged' });
+    assert.equal(repeated.headers.get('x-visitor-token'), null);
+    assert.equal(visitorLikes.docs.length, 1);
+  });
+
+  it('POST con el mismo token alterna el like del visitante', async () => {
+    const first = await visitorLike(null, 'POST');
+    const second = await visitorLike(first.headers.get('x-visitor-token'), 'POST');
+
+    assert.equal(second.body.data.action, 'removed');
+    assert.equal(visitorLikes.docs.length, 0);
+  });
+
+  it('un token con la firma alterada no suplanta al visitante', async () => {
+    const first = await visitorLike();
+    const [visitorId] = first.headers.get('x-visitor-token').split('.');
+
+    const forged = await visitorLike(`${visitorId}.firma-falsa`, 'DELETE');
+
+    // Se trata como un visitante nuevo: no puede quitar el like del otro
+    assert.notEqual(forged.headers.get('x-visitor-token').split('.')[0], visitorId);
+    assert.equal(forged.body.data.action, 'unchanged');
+    assert.equal(visitorLikes.docs.length, 1);
+  });
+
+  it('limita los likes de visitantes distintos desde la misma red', async () => {
+    const accepted = [];
+    for (let i = 0; i < 3; i++) {
+      accepted.push(await visitorLike());
+    }
+    const blocked = await visitorLike();
+
+    assert.deepEqual(accepted.map(res => res.status), [200, 200, 200]);
+    assert.equal(blocked.status, 429);
+    assert.equal(visitorLikes.docs.length, 3);
+    assert.equal(likesCount('publicado'), 3);
+  });
+
+  it('los likes de visitantes y de usuarios suman en el contador', async () => {
+    await visitorLike();
+    const res = await request('PUT', '/api/articles/publicado/like', { token: tokenFor(ana) });
+
+    assert.equal(res.body.data.likesCount, 2);
+  });
+});
@@ -0,0 +1,170 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const User = require('../models/User');
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginLockout = require('../models/LoginLockout');
+const Session = require('../models/Session');
+const { AUTH_CONFIG } = require('../config/auth');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { request } = require('./helpers/app');
+
+/**
+ * Pruebas de la protección del login: esperas crecientes y bloqueo por cuenta e IP
+ */
+
+const users = useMemoryModel(User);
+const throttles = useMemoryModel(LoginThrottle);
+const lockouts = useMemoryModel(LoginLockout);
+// Un login correcto abre una sesión
+const sessions = useMemoryModel(Session);
+
+after(() => {
+  users.restore();
+  throttles.restore();
+  lockouts.restore();
+  sessions.restore();
+});
+
+const config = AUTH_CONFIG.login;
+const attempt = { email: 'Ana@Example.com', ip: '10.0.0.1' };
+
+/**
+ * Registrar varios logins fallidos seguidos
+ * @param {number} count - Cantidad de fallos
+ * @param {Object} data - Intento de login
+ * @returns {Object} - Resultado del último fallo
+ */
+const failTimes = async (count, data = attempt) => {
+  let result;
+  for (let i = 0; i < count; i++) {
+    result = await LoginThrottle.registerFailure(data);
+  }
+  return result;
+};
+
+describe('LoginThrottle', () => {
+  beforeEach(() => {
+    throttles.docs.length = 0;
+    lockouts.docs.length = 0;
+  });
+
+  it('permite los primeros intentos fallidos sin esperas', async () => {
+    const result = await failTimes(config.freeAttempts);
+
+    assert.equal(result.allowed, true);
+    assert.equal(throttles.find({ scope: 'account', identifier: 'ana@example.com' }).failures, config.freeAttempts);
+    assert.equal(throttles.find({ scope: 'ip', identifier: attempt.ip }).failures, config.freeAttempts);
+  });
+
+  it('exige esperas que se duplican con cada fallo extra', async () => {
+    const first = await failTimes(config.freeAttempts + 1);
+    const second = await failTimes(1);
+
+    assert.equal(first.allowed, false);
+    assert.equal(first.locked, false);
+    assert.equal(first.retryAfter, config.backoffBaseSeconds);
+    assert.equal(second.retryAfter, config.backoffBaseSeconds * 2);
+  });
+
+  it('bloquea la cuenta al llegar al umbral y lo registra', async () => {
+    const result = await failTimes(config.accountLockoutThreshold);
+
+    assert.equal(result.allowed, false);
+    assert.equal(result.locked, true);
+    assert.equal(result.retryAfter, config.lockoutMinutes * 60);
+
+    assert.equal(lockouts.docs.length, 1);
+    assert.equal(lockouts.docs[0].scope, 'account');
+    assert.equal(lockouts.docs[0].identifier, 'ana@example.com');
+    assert.equal(lockouts.docs[0].failures, config.accountLockoutThreshold);
+
+    // El contador vuelve a cero para cuando termine el bloqueo
+    assert.equal(throttles.find({ scope: 'account' }).failures, 0);
+    assert.equal((await LoginThrottle.checkLogin(attempt)).locked, true);
+  });
+
+  it('el bloqueo de la cuenta alcanza a otras IPs', async () => {
+    await failTimes(config.accountLockoutThreshold);
+
+    const result = await LoginThrottle.checkLogin({ email: attempt.email, ip: '10.0.0.2' });
+
+    assert.equal(result.locked, true);
+  });
+
+  it('olvida los fallos de un contador vencido', async () => {
+    await failTimes(config.freeAttempts + 1);
+    throttles.find({ scope: 'account' }).expiresAt = new Date(Date.now() - 1000);
+    throttles.find({ scope: 'ip' }).expiresAt = new Date(Date.now() - 1000);
+
+    const result = await failTimes(1);
+
+    assert.equal(result.allowed, true);
+    assert.equal(throttles.find({ scope: 'account' }).failures, 1);
+  });
+
+  it('clear olvida los fallos de la cuenta', async () => {
+    await failTimes(config.freeAttempts + 1);
+
+    await LoginThrottle.clear('account', attempt.email);
+    const result = await LoginThrottle.checkLogin({ email: attempt.email });
+
+    assert.equal(result.allowed, true);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  const password = 'Clave123';
+
+  const tryLogin = (candidate) => request('POST', '/api/auth/login', {
+    body: { email: 'ana@example.com', password: candidate }
+  });
+
+  beforeEach(() => {
+    users.docs.length = 0;
+    throttles.docs.length = 0;
+    lockouts.docs.length = 0;
+    users.insert({ name: 'Ana Pérez', email: 'ana@example.com', password: bcrypt.hashSync(password, 4) });
+  });
+
+  it('cuenta las contraseñas incorrectas como fallos', async () => {
+    const res = await tryLogin('Incorrecta1');
+
+    assert.equal(res.status, 401);
+    assert.equal(throttles.find({ scope: 'account' }).failures, 1);
+    assert.equal(lockouts.docs[0], undefined);
+  });
+
+  it('pasados los intentos libres pide esperar antes de volver a intentar', async () => {
+    for (let i = 0; i <= config.freeAttempts; i++) {
+      await tryLogin('Incorrecta1');
+    }
+
+    const res = await tryLogin(password);
+
+    assert.equal(res.status, 429);
+    assert.equal(res.body.locked, false);
+    assert.equal(res.headers.get('retry-after'), String(config.backoffBaseSeconds));
+  });
+
+  it('con la cuenta bloqueada rechaza incluso la contraseña correcta', async () => {
+    await failTimes(config.accountLockoutThreshold, { email: 'ana@example.com', ip: '10.0.0.9' });
+
+    const res = await tryLogin(password);
+
+    assert.equal(res.status, 429);
+    assert.equal(res.body.locked, true);
+    assert.equal(res.headers.get('retry-after'), String(config.lockoutMinutes * 60));
+  });
+
+  it('un login correcto olvida los fallos de la cuenta', async () => {
+    await tryLogin('Incorrecta1');
+
+    const res = await tryLogin(password);
+
+    assert.equal(res.status, 200);
+    assert.equal(throttles.find({ scope: 'account' }), undefined);
+  });
+});
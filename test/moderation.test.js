@@ -0,0 +1,200 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Setting = require('../models/Setting');
+const Article = require('../models/Article');
+const Comment = require('../models/Comment');
+const CommentReport = require('../models/CommentReport');
+const ModerationLog = require('../models/ModerationLog');
+const CommentLike = require('../models/CommentLike');
+const VisitorLike = require('../models/VisitorLike');
+const Reaction = require('../models/Reaction');
+const Notification = require('../models/Notification');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { request, tokenFor } = require('./helpers/app');
+
+/**
+ * Pruebas de la cola de moderación de comentarios (solo admin)
+ */
+
+const users = useMemoryModel(User);
+const settings = useMemoryModel(Setting);
+const articles = useMemoryModel(Article);
+const comments = useMemoryModel(Comment);
+const reports = useMemoryModel(CommentReport);
+const logs = useMemoryModel(ModerationLog);
+// Eliminar comentarios también limpia sus likes, reacciones y notificaciones
+const dependents = [CommentLike, VisitorLike, Reaction, Notification].map(useMemoryModel);
+const stores = [users, settings, articles, comments, reports, logs, ...dependents];
+
+after(() => stores.forEach(store => store.restore()));
+
+const content = 'Contenido de prueba con la extensión suficiente para pasar la validación del esquema.';
+
+let admin;
+let reader;
+let article;
+let pending;
+let flagged;
+let approved;
+
+beforeEach(() => {
+  stores.forEach(store => { store.docs.length = 0; });
+  [admin, reader] = users.insert(
+    { name: 'Eva Ruiz', email: 'eva@example.com', password: 'x', role: 'admin' },
+    { name: 'Juan Díaz', email: 'juan@example.com', password: 'x', role: 'user' }
+  );
+  [article] = articles.insert({
+    title: 'Artículo publicado', slug: 'publicado', content, author: 'Eva Ruiz',
+    status: 'published', isPublished: true, publishedAt: new Date(Date.now() - 60000)
+  });
+  const comment = (data) => ({ articleId: article._id, userId: reader._id, author: 'Juan Díaz', ...data });
+  [pending, flagged, approved] = comments.insert(
+    comment({ content: 'Un comentario pendiente', isApproved: false, createdAt: new Date(Date.now() - 3000) }),
+    comment({ content: 'Un comentario marcado', isApproved: true, isFlagged: true, createdAt: new Date(Date.now() - 2000) }),
+    comment({ content: 'Un comentario aprobado', isApproved: true, reportsCount: 1, createdAt: new Date(Date.now() - 1000) })
+  );
+});
+
+/**
+ * Petición de un admin
+ * @param {string} method - Método HTTP
+ * @param {string} path - Ruta
+ * @param {Object} body - Cuerpo JSON
+ * @returns {Promise<Object>} - Respuesta
+ */
+const asAdmin = (method, path, body) => request(method, path, { token: tokenFor(admin), body });
+
+const ids = (list) => list.map(comment => comment._id.toString());
+
+describe('GET /api/moderation/comments', () => {
+  it('lista los comentarios pendientes y marcados con el resumen de la cola', async () => {
+    const res = await asAdmin('GET', '/api/moderation/comments');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(ids(res.body.data.comments), ids([pending, flagged]));
+    assert.deepEqual(res.body.data.summary, { pending: 1, flagged: 1, reported: 1 });
+    assert.equal(res.body.data.pagination.totalComments, 2);
+  });
+
+  it('incluye los reportes de lectores agrupados por motivo', async () => {
+    reports.insert(
+      { commentId: approved._id, actorKey: 'visitor:a', reason: 'spam' },
+      { commentId: approved._id, actorKey: 'visitor:b', reason: 'spam' },
+      { commentId: approved._id, actorKey: `user:${reader._id}`, userId: reader._id, reason: 'other' }
+    );
+
+    const res = await asAdmin('GET', '/api/moderation/comments?status=reported');
+
+    assert.deepEqual(ids(res.body.data.comments), ids([approved]));
+    assert.equal(res.body.data.comments[0].reports.total, 3);
+    assert.deepEqual(res.body.data.comments[0].reports.reasons, { spam: 2, other: 1 });
+  });
+
+  it('filtra por artículo y responde 404 si no existe', async () => {
+    const found = await asAdmin('GET', '/api/moderation/comments?status=all&article=publicado');
+    const missing = await asAdmin('GET', '/api/moderation/comments?article=no-existe');
+
+    assert.equal(found.body.data.comments.length, 3);
+    assert.equal(missing.status, 404);
+  });
+
+  it('rechaza estados inválidos y parámetros repetidos', async () => {
+    const invalid = await asAdmin('GET', '/api/moderation/comments?status=borrado');
+    const repeated = await asAdmin('GET', '/api/moderation/comments?status=pending&status=flagged');
+
+    assert.equal(invalid.status, 400);
+    assert.equal(repeated.status, 400);
+  });
+
+  it('solo los admin pueden ver la cola', async () => {
+    const anonymous = await request('GET', '/api/moderation/comments');
+    const forbidden = await request('GET', '/api/moderation/comments', { token: tokenFor(reader) });
+
+    assert.equal(anonymous.status, 401);
+    assert.equal(forbidden.status, 403);
+  });
+});
+
+describe('POST /api/moderation/comments/bulk', () => {
+  it('aprueba en lote y registra cada acción con el moderador', async () => {
+    const res = await asAdmin('POST', '/api/moderation/comments/bulk', {
+      action: 'approve',
+      commentIds: ids([pending, flagged]),
+      note: 'Revisados'
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.processed.sort(), ids([pending, flagged]).sort());
+    const stored = comments.find({ _id: pending._id });
+    assert.equal(stored.isApproved, true);
+    assert.equal(stored.moderatedBy.toString(), admin._id.toString());
+    assert.equal(comments.find({ _id: flagged._id }).isFlagged, false);
+    assert.equal(articles.find({ _id: article._id }).commentsCount, 3);
+    assert.equal(logs.docs.length, 2);
+    assert.ok(logs.docs.every(entry => entry.action === 'approve' && entry.note === 'Revisados'));
+  });
+
+  it('al eliminar también borra las respuestas e informa los IDs que no existen', async () => {
+    const [reply] = comments.insert({
+      articleId: article._id, userId: reader._id, content: 'Una respuesta', parentCommentId: approved._id
+    });
+    const missingId = reader._id.toString();
+
+    const res = await asAdmin('POST', '/api/moderation/comments/bulk', {
+      action: 'delete',
+      commentIds: [approved._id.toString(), missingId]
+    });
+
+    assert.equal(res.body.data.deletedReplies, 1);
+    assert.deepEqual(res.body.data.notFound, [missingId]);
+    assert.equal(comments.find({ _id: reply._id }), undefined);
+    assert.equal(comments.docs.length, 2);
+    assert.equal(logs.docs[0].commentContent, 'Un comentario aprobado');
+  });
+
+  it('valida la acción y los IDs', async () => {
+    const action = await asAdmin('POST', '/api/moderation/comments/bulk', { action: 'archive', commentIds: ids([pending]) });
+    const empty = await asAdmin('POST', '/api/moderation/comments/bulk', { action: 'approve', commentIds: [] });
+    const invalid = await asAdmin('POST', '/api/moderation/comments/bulk', { action: 'approve', commentIds: ['abc'] });
+
+    assert.deepEqual([action.status, empty.status, invalid.status], [400, 400, 400]);
+    assert.deepEqual(invalid.body.errors, ['abc']);
+    assert.equal(logs.docs.length, 0);
+  });
+});
+
+describe('moderación individual, reportes y registro', () => {
+  it('PATCH /api/comments/:id/moderate rechaza un comentario y lo registra', async () => {
+    const res = await asAdmin('PATCH', `/api/comments/${approved._id}/moderate`, { action: 'reject', note: 'Fuera de tema' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.comment.moderationStatus, 'rejected');
+    assert.equal(comments.find({ _id: approved._id }).isApproved, false);
+    assert.equal(logs.docs[0].action, 'reject');
+  });
+
+  it('lista los reportes de un comentario', async () => {
+    reports.insert({ commentId: approved._id, actorKey: `user:${reader._id}`, userId: reader._id, reason: 'harassment' });
+
+    const res = await asAdmin('GET', `/api/moderation/comments/${approved._id}/reports`);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.reports.length, 1);
+    assert.deepEqual(res.body.data.summary.reasons, { harassment: 1 });
+  });
+
+  it('el registro se filtra por acción', async () => {
+    await asAdmin('POST', '/api/moderation/comments/bulk', { action: 'approve', commentIds: ids([pending]) });
+    await asAdmin('POST', '/api/moderation/comments/bulk', { action: 'reject', commentIds: ids([flagged]) });
+
+    const res = await asAdmin('GET', '/api/moderation/log?action=reject');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.pagination.totalEntries, 1);
+    assert.equal(res.body.data.entries[0].commentId, flagged._id.toString());
+    assert.equal(res.body.data.entries[0].moderatorName, 'Eva Ruiz');
+  });
+});
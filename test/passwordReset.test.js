@@ -0,0 +1,155 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setImmediate } = require('node:timers/promises');
+const bcrypt = require('bcrypt');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const LoginThrottle = require('../models/LoginThrottle');
+const { getMailTransport, setMailTransport } = require('../utils/mailer');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { request } = require('./helpers/app');
+
+/**
+ * Pruebas de restablecer la contraseña: el enlace llega por email, sirve una sola vez
+ * y cierra las sesiones abiertas
+ */
+
+const users = useMemoryModel(User);
+const sessions = useMemoryModel(Session);
+const userTokens = useMemoryModel(UserToken);
+const throttles = useMemoryModel(LoginThrottle);
+const stores = [users, sessions, userTokens, throttles];
+
+// Los correos se guardan en memoria en lugar de enviarse
+const originalTransport = getMailTransport();
+let sentMail = [];
+setMailTransport({
+  name: 'memory',
+  async send(message) {
+    sentMail.push(message);
+    return { messageId: String(sentMail.length) };
+  }
+});
+
+after(() => {
+  stores.forEach(store => store.restore());
+  setMailTransport(originalTransport);
+});
+
+const PASSWORD = 'Secreta123';
+// Con pocas rondas el hash no demora las pruebas
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+let ana;
+
+beforeEach(() => {
+  stores.forEach(store => { store.docs.length = 0; });
+  sentMail = [];
+  [ana] = users.insert({ name: 'Ana Pérez', email: 'ana@example.com', password: passwordHash });
+});
+
+/**
+ * Pedir el enlace de restablecimiento y leer el token del correo
+ * @returns {Promise<string>} - Token del enlace
+ */
+const requestResetToken = async () => {
+  const sent = sentMail.length;
+  const res = await request('POST', '/api/auth/forgot-password', { body: { email: 'ana@example.com' } });
+  assert.equal(res.status, 200);
+
+  // El correo se envía sin esperar a la respuesta
+  for (let tick = 0; sentMail.length === sent; tick++) {
+    assert.ok(tick < 1000, 'No se envió el correo de restablecimiento');
+    await setImmediate();
+  }
+  return sentMail[sent].text.match(/reset-password\?token=([\w-]+)/)[1];
+};
+
+const reset = (token, password = 'NuevaClave123') => request('POST', '/api/auth/reset-password', { body: { token, password } });
+
+const login = (password) => request('POST', '/api/auth/login', { body: { email: 'ana@example.com', password } });
+
+describe('POST /api/auth/forgot-password', () => {
+  it('envía el enlace al email de la cuenta', async () => {
+    await requestResetToken();
+
+    assert.equal(sentMail.length, 1);
+    assert.equal(sentMail[0].to, 'ana@example.com');
+    assert.equal(userTokens.docs.length, 1);
+  });
+
+  it('responde igual si el email no está registrado, sin enviar nada', async () => {
+    const res = await request('POST', '/api/auth/forgot-password', { body: { email: 'nadie@example.com' } });
+
+    assert.equal(res.status, 200);
+    assert.match(res.body.message, /Si el email está registrado/);
+    assert.equal(userTokens.docs.length, 0);
+    assert.equal(sentMail.length, 0);
+  });
+});
+
+describe('POST /api/auth/reset-password', () => {
+  it('cambia la contraseña y revoca las sesiones abiertas', async () => {
+    const { body: { data: { refreshToken } } } = await login(PASSWORD);
+    const token = await requestResetToken();
+
+    const res = await reset(token);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.revokedSessions, 1);
+    assert.equal((await request('POST', '/api/auth/refresh', { body: { refreshToken } })).status, 401);
+    assert.equal((await login(PASSWORD)).status, 401);
+    assert.equal((await login('NuevaClave123')).status, 200);
+  });
+
+  it('el mismo enlace no sirve dos veces', async () => {
+    const token = await requestResetToken();
+
+    const first = await reset(token, 'PrimeraClave123');
+    const second = await reset(token, 'SegundaClave123');
+
+    assert.equal(first.status, 200);
+    assert.equal(second.status, 400);
+    assert.equal(second.body.message, 'Enlace inválido');
+    assert.equal((await login('PrimeraClave123')).status, 200);
+  });
+
+  it('pedir un enlace nuevo invalida el anterior', async () => {
+    const oldToken = await requestResetToken();
+    const newToken = await requestResetToken();
+
+    assert.equal((await reset(oldToken)).status, 400);
+    assert.equal((await reset(newToken)).status, 200);
+  });
+
+  it('rechaza un enlace vencido', async () => {
+    const token = await requestResetToken();
+    userTokens.docs[0].expiresAt = new Date(Date.now() - 1000);
+
+    const res = await reset(token);
+
+    assert.equal(res.status, 400);
+  });
+
+  it('no acepta un token emitido para otro uso', async () => {
+    const { token } = await UserToken.issue(ana._id, 'email-verification', 60);
+
+    const res = await reset(token);
+
+    assert.equal(res.status, 400);
+  });
+
+  it('una contraseña débil se rechaza sin gastar el enlace', async () => {
+    const token = await requestResetToken();
+
+    const weak = await reset(token, 'corta');
+    const valid = await reset(token);
+
+    assert.equal(weak.status, 400);
+    assert.equal(weak.body.message, 'Datos de entrada inválidos');
+    assert.equal(valid.status, 200);
+  });
+});
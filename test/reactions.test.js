@@ -0,0 +1,150 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const User = require('../models/User');
+const Article = require('../models/Article');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { request, tokenFor } = require('./helpers/app');
+
+/**
+ * Pruebas de las reacciones (emoji) en artículos y comentarios
+ */
+
+const users = useMemoryModel(User);
+const articles = useMemoryModel(Article);
+const comments = useMemoryModel(Comment);
+const reactions = useMemoryModel(Reaction);
+const stores = [users, articles, comments, reactions];
+
+after(() => stores.forEach(store => store.restore()));
+
+const content = 'Contenido de prueba con la extensión suficiente para pasar la validación del esquema.';
+
+let ana;
+let luis;
+let article;
+
+beforeEach(() => {
+  stores.forEach(store => { store.docs.length = 0; });
+  [ana, luis] = users.insert(
+    { name: 'Ana Pérez', email: 'ana@example.com', password: 'x' },
+    { name: 'Luis Gómez', email: 'luis@example.com', password: 'x' }
+  );
+  [article] = articles.insert(
+    {
+      title: 'Artículo publicado', slug: 'publicado', content, author: 'Eva Ruiz',
+      status: 'published', isPublished: true, publishedAt: new Date(Date.now() - 60000)
+    },
+    { title: 'Artículo en borrador', slug: 'borrador', content, author: 'Eva Ruiz', status: 'draft', isPublished: false }
+  );
+});
+
+/**
+ * Reaccionar a un artículo
+ * @param {string} reaction - Clave de la reacción
+ * @param {Object} options - { token, headers } de quien reacciona
+ * @param {string} slug - Slug del artículo
+ * @returns {Promise<Object>} - Respuesta
+ */
+const react = (reaction, options = {}, slug = 'publicado') => request('PUT', `/api/articles/${slug}/reactions`, {
+  ...options,
+  body: { reaction }
+});
+
+describe('reacciones de usuarios', () => {
+  it('cada usuario tiene una reacción por artículo y puede cambiarla', async () => {
+    const added = await react('like', { token: tokenFor(ana) });
+    await react('like', { token: tokenFor(luis) });
+    const changed = await react('love', { token: tokenFor(ana) });
+
+    assert.equal(added.status, 200);
+    assert.equal(added.body.data.action, 'added');
+    assert.equal(changed.body.data.action, 'changed');
+    assert.equal(changed.body.data.reactions.counts.like, 1);
+    assert.equal(changed.body.data.reactions.counts.love, 1);
+    assert.equal(changed.body.data.reactions.total, 2);
+    assert.equal(changed.body.data.reactions.userReaction, 'love');
+    assert.equal(reactions.docs.length, 2);
+  });
+
+  it('repetir la reacción no la cuenta dos veces', async () => {
+    await react('wow', { token: tokenFor(ana) });
+    const repeated = await react('wow', { token: tokenFor(ana) });
+
+    assert.equal(repeated.body.data.action, 'unchanged');
+    assert.equal(repeated.body.data.reactions.total, 1);
+  });
+
+  it('DELETE quita la reacción y descuenta el total', async () => {
+    await react('haha', { token: tokenFor(ana) });
+
+    const removed = await request('DELETE', '/api/articles/publicado/reactions', { token: tokenFor(ana) });
+
+    assert.equal(removed.body.data.action, 'removed');
+    assert.equal(removed.body.data.reactions.total, 0);
+    assert.equal(reactions.docs.length, 0);
+  });
+
+  it('rechaza reacciones que no están configuradas', async () => {
+    const res = await react('angry', { token: tokenFor(ana) });
+
+    assert.equal(res.status, 400);
+    assert.equal(reactions.docs.length, 0);
+  });
+
+  it('no se puede reaccionar a artículos no publicados', async () => {
+    const res = await react('like', { token: tokenFor(ana) }, 'borrador');
+
+    assert.equal(res.status, 404);
+  });
+
+  it('solo se reacciona a comentarios aprobados', async () => {
+    const [approved, pending] = comments.insert(
+      { articleId: article._id, userId: luis._id, content: 'Un comentario aprobado', isApproved: true },
+      { articleId: article._id, userId: luis._id, content: 'Un comentario pendiente', isApproved: false }
+    );
+
+    const ok = await request('PUT', `/api/comments/${approved._id}/reactions`, { token: tokenFor(ana), body: { reaction: 'sad' } });
+    const forbidden = await request('PUT', `/api/comments/${pending._id}/reactions`, { token: tokenFor(ana), body: { reaction: 'sad' } });
+
+    assert.equal(ok.status, 200);
+    assert.equal(ok.body.data.reactions.counts.sad, 1);
+    assert.equal(forbidden.status, 403);
+  });
+});
+
+describe('reacciones de visitantes anónimos', () => {
+  it('el token de visitante identifica su reacción', async () => {
+    const first = await react('like');
+    const visitorToken = first.headers.get('x-visitor-token');
+
+    const changed = await react('love', { headers: { 'X-Visitor-Token': visitorToken } });
+
+    assert.equal(changed.body.data.action, 'changed');
+    assert.equal(reactions.docs.length, 1);
+  });
+
+  it('limita las reacciones de visitantes distintos desde la misma red', async () => {
+    const accepted = [];
+    for (let i = 0; i < 3; i++) {
+      accepted.push(await react('like'));
+    }
+    const blocked = await react('like');
+
+    assert.deepEqual(accepted.map(res => res.status), [200, 200, 200]);
+    assert.equal(blocked.status, 429);
+    assert.equal(reactions.docs.length, 3);
+  });
+
+  it('con la red en el límite, quien ya reaccionó puede cambiar su reacción', async () => {
+    const [first] = [await react('like'), await react('like'), await react('like')];
+
+    const changed = await react('haha', { headers: { 'X-Visitor-Token': first.headers.get('x-visitor-token') } });
+
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.data.action, 'changed');
+  });
+});
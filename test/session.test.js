@@ -0,0 +1,131 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { request } = require('./helpers/app');
+
+/**
+ * Pruebas de las sesiones: rotación de refresh tokens, detección de reutilización y logout
+ */
+
+const users = useMemoryModel(User);
+const sessions = useMemoryModel(Session);
+const throttles = useMemoryModel(LoginThrottle);
+const stores = [users, sessions, throttles];
+
+after(() => stores.forEach(store => store.restore()));
+
+const PASSWORD = 'Secreta123';
+// Con pocas rondas el hash no demora las pruebas
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+beforeEach(() => {
+  stores.forEach(store => { store.docs.length = 0; });
+  users.insert({ name: 'Ana Pérez', email: 'ana@example.com', password: passwordHash });
+});
+
+/**
+ * Iniciar sesión y devolver los tokens
+ * @returns {Promise<Object>} - { token, refreshToken, refreshTokenExpiresAt }
+ */
+const login = async () => {
+  const res = await request('POST', '/api/auth/login', { body: { email: 'ana@example.com', password: PASSWORD } });
+  assert.equal(res.status, 200);
+  return res.body.data;
+};
+
+const refresh = (refreshToken) => request('POST', '/api/auth/refresh', { body: { refreshToken } });
+
+describe('POST /api/auth/refresh', () => {
+  it('rota el refresh token y el nuevo sirve para la siguiente renovación', async () => {
+    const { refreshToken } = await login();
+
+    const first = await refresh(refreshToken);
+    const second = await refresh(first.body.data.refreshToken);
+
+    assert.equal(first.status, 200);
+    assert.ok(first.body.data.token);
+    assert.notEqual(first.body.data.refreshToken, refreshToken);
+    assert.equal(second.status, 200);
+    assert.equal(sessions.docs.length, 1);
+    assert.equal(sessions.docs[0].previousTokenHashes.length, 2);
+  });
+
+  it('reutilizar un token ya rotado revoca la sesión completa', async () => {
+    const { refreshToken } = await login();
+    const rotated = await refresh(refreshToken);
+
+    const reused = await refresh(refreshToken);
+    // El token vigente de la sesión robada tampoco sirve ya
+    const afterReuse = await refresh(rotated.body.data.refreshToken);
+
+    assert.equal(reused.status, 401);
+    assert.match(reused.body.error, /ya había sido usado/);
+    assert.equal(sessions.docs[0].revokedReason, 'reuse');
+    assert.equal(afterReuse.status, 401);
+    assert.match(afterReuse.body.error, /La sesión fue cerrada/);
+  });
+
+  it('no renueva un token vencido ni uno desconocido', async () => {
+    const { refreshToken } = await login();
+    sessions.docs[0].expiresAt = new Date(Date.now() - 1000);
+
+    const expired = await refresh(refreshToken);
+    const unknown = await refresh('token-inexistente');
+    const missing = await request('POST', '/api/auth/refresh', { body: {} });
+
+    assert.equal(expired.status, 401);
+    assert.match(expired.body.error, /expiró/);
+    assert.equal(unknown.status, 401);
+    assert.equal(missing.status, 400);
+  });
+
+  it('no renueva la sesión de una cuenta desactivada', async () => {
+    const { refreshToken } = await login();
+    users.docs[0].isActive = false;
+
+    const res = await refresh(refreshToken);
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.message, 'Cuenta desactivada');
+    assert.equal(sessions.docs[0].revokedReason, 'inactive');
+  });
+});
+
+describe('POST /api/auth/logout', () => {
+  it('revoca la sesión del refresh token', async () => {
+    const { refreshToken } = await login();
+
+    const res = await request('POST', '/api/auth/logout', { body: { refreshToken } });
+    const afterLogout = await refresh(refreshToken);
+
+    assert.equal(res.body.data.revoked, true);
+    assert.equal(sessions.docs[0].revokedReason, 'logout');
+    assert.equal(afterLogout.status, 401);
+  });
+
+  it('con el token de acceso revoca su propia sesión', async () => {
+    const { token, refreshToken } = await login();
+
+    const res = await request('POST', '/api/auth/logout', { token });
+
+    assert.equal(res.body.data.revoked, true);
+    assert.equal((await refresh(refreshToken)).status, 401);
+  });
+
+  it('un usuario no puede cerrar la sesión de otro con su refresh token', async () => {
+    const { refreshToken } = await login();
+    users.insert({ name: 'Luis Gómez', email: 'luis@example.com', password: passwordHash });
+    const other = await request('POST', '/api/auth/login', { body: { email: 'luis@example.com', password: PASSWORD } });
+
+    const res = await request('POST', '/api/auth/logout', { token: other.body.data.token, body: { refreshToken } });
+
+    assert.equal(res.body.data.revoked, false);
+    assert.equal((await refresh(refreshToken)).status, 200);
+  });
+});
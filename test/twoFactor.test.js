@@ -0,0 +1,315 @@
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'secreto-de-pruebas';
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Setting = require('../models/Setting');
+const LoginThrottle = require('../models/LoginThrottle');
+const Article = require('../models/Article');
+const ArticleRevision = require('../models/ArticleRevision');
+const {
+  generateTotpSecret,
+  generateCodeForStep,
+  getCurrentStep,
+  verifyTotp,
+  encryptTotpSecret,
+  decryptTotpSecret
+} = require('../utils/totp');
+const { AUTH_CONFIG } = require('../config/auth');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { request, tokenFor } = require('./helpers/app');
+
+/**
+ * Pruebas de la autenticación de dos factores: códigos TOTP, reutilización y códigos de recuperación
+ */
+
+const users = useMemoryModel(User);
+const sessions = useMemoryModel(Session);
+const settings = useMemoryModel(Setting);
+const throttles = useMemoryModel(LoginThrottle);
+const articles = useMemoryModel(Article);
+const revisions = useMemoryModel(ArticleRevision);
+const stores = [users, sessions, settings, throttles, articles, revisions];
+
+after(() => stores.forEach(store => store.restore()));
+
+describe('utils/totp', () => {
+  it('acepta el código del paso actual y de los pasos vecinos', () => {
+    const secret = generateTotpSecret();
+    const step = getCurrentStep();
+
+    assert.equal(verifyTotp(secret, generateCodeForStep(secret, step)), step);
+    assert.equal(verifyTotp(secret, generateCodeForStep(secret, step - 1)), step - 1);
+    assert.equal(verifyTotp(secret, generateCodeForStep(secret, step + 1)), step + 1);
+  });
+
+  it('rechaza códigos fuera de la ventana o mal formados', () => {
+    const secret = generateTotpSecret();
+    const step = getCurrentStep();
+
+    assert.equal(verifyTotp(secret, generateCodeForStep(secret, step - 3)), null);
+    assert.equal(verifyTotp(secret, '12345'), null);
+    assert.equal(verifyTotp(secret, 'abcdef'), null);
+    assert.equal(verifyTotp(secret, null), null);
+  });
+
+  it('coincide con el vector de prueba del RFC 6238 (SHA-1)', () => {
+    // Secreto "12345678901234567890" en Base32; T = 59 s -> paso 1
+    assert.equal(generateCodeForStep('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ', 1), '287082');
+  });
+
+  it('cifra y descifra el secreto guardado', () => {
+    const secret = generateTotpSecret();
+    const encrypted = encryptTotpSecret(secret);
+
+    assert.notEqual(encrypted, secret);
+    assert.equal(decryptTotpSecret(encrypted), secret);
+  });
+});
+
+describe('User#verifyTwoFactorCode', () => {
+  let secret;
+  let recoveryCodes;
+
+  /**
+   * Cargar el usuario guardado (como lo hace el login con +twoFactor.secret)
+   * @returns {Object} - Documento del usuario
+   */
+  const loadUser = () => User.findOne({ email: 'ana@example.com' });
+
+  beforeEach(() => {
+    users.docs.length = 0;
+    secret = generateTotpSecret();
+
+    const user = new User({ name: 'Ana Pérez', email: 'ana@example.com', password: 'x' });
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = encryptTotpSecret(secret);
+    recoveryCodes = user.generateRecoveryCodes();
+    users.insert(user.toObject());
+  });
+
+  it('acepta el código actual de la app y guarda su paso', async () => {
+    const step = getCurrentStep();
+    const user = await loadUser();
+
+    const result = await user.verifyTwoFactorCode(generateCodeForStep(secret, step));
+
+    assert.deepEqual(result, { valid: true, method: 'totp' });
+    assert.equal(users.find({ _id: user._id }).twoFactor.lastUsedStep, step);
+  });
+
+  it('no acepta el mismo código dos veces', async () => {
+    const code = generateCodeForStep(secret, getCurrentStep());
+
+    const first = await (await loadUser()).verifyTwoFactorCode(code);
+    const replay = await (await loadUser()).verifyTwoFactorCode(code);
+
+    assert.equal(first.valid, true);
+    assert.deepEqual(replay, { valid: false, method: 'totp' });
+  });
+
+  it('no acepta el mismo código en dos peticiones simultáneas', async () => {
+    const code = generateCodeForStep(secret, getCurrentStep());
+    const [userA, userB] = await Promise.all([loadUser(), loadUser()]);
+
+    const results = await Promise.all([userA.verifyTwoFactorCode(code), userB.verifyTwoFactorCode(code)]);
+
+    assert.equal(results.filter(result => result.valid).length, 1);
+  });
+
+  it('no acepta un código anterior al último usado', async () => {
+    const step = getCurrentStep();
+
+    await (await loadUser()).verifyTwoFactorCode(generateCodeForStep(secret, step));
+    const older = await (await loadUser()).verifyTwoFactorCode(generateCodeForStep(secret, step - 1));
+
+    assert.equal(older.valid, false);
+  });
+
+  it('rechaza un código incorrecto', async () => {
+    const step = getCurrentStep();
+    const wrong = String((Number(generateCodeForStep(secret, step)) + 1) % 1000000).padStart(6, '0');
+
+    const result = await (await loadUser()).verifyTwoFactorCode(wrong);
+
+    assert.equal(result.valid, false);
+  });
+
+  it('un código de recuperación sirve una sola vez', async () => {
+    const [code] = recoveryCodes;
+
+    const first = await (await loadUser()).verifyTwoFactorCode(code.toUpperCase());
+    const second = await (await loadUser()).verifyTwoFactorCode(code);
+
+    assert.deepEqual(first, { valid: true, method: 'recovery' });
+    assert.deepEqual(second, { valid: false, method: 'recovery' });
+    assert.equal(users.docs[0].twoFactor.recoveryCodes.length, recoveryCodes.length - 1);
+  });
+});
+
+const PASSWORD = 'Secreta123';
+// Con pocas rondas el hash no demora las pruebas
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+const { freeAttempts } = AUTH_CONFIG.login;
+
+/**
+ * Guardar un usuario con contraseña y, si se pide, con 2FA activo
+ * @param {Object} options - { role, twoFactor }
+ * @returns {Object} - { user, secret, recoveryCodes }
+ */
+const createUser = ({ role = 'user', twoFactor = false } = {}) => {
+  const user = new User({ name: 'Ana Pérez', email: 'ana@example.com', password: passwordHash, role });
+  let secret = null;
+  let recoveryCodes = [];
+
+  if (twoFactor) {
+    secret = generateTotpSecret();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = encryptTotpSecret(secret);
+    recoveryCodes = user.generateRecoveryCodes();
+  }
+
+  users.insert(user.toObject());
+  return { user, secret, recoveryCodes };
+};
+
+/**
+ * Repetir una petición fallida hasta agotar los intentos libres de la cuenta
+ * @param {Function} send - Envía la petición
+ * @returns {Promise<Array<number>>} - Estados de las respuestas
+ */
+const failUntilThrottled = async (send) => {
+  const statuses = [];
+  for (let i = 0; i <= freeAttempts; i++) {
+    statuses.push((await send()).status);
+  }
+  return statuses;
+};
+
+describe('POST /api/auth/2fa/*', () => {
+  beforeEach(() => {
+    stores.forEach(store => { store.docs.length = 0; });
+  });
+
+  it('se activa con la contraseña y el primer código de la app', async () => {
+    const { user } = createUser();
+    const token = tokenFor(user);
+
+    const setup = await request('POST', '/api/auth/2fa/setup', { token, body: { password: PASSWORD } });
+    const code = generateCodeForStep(setup.body.data.secret, getCurrentStep());
+    const confirm = await request('POST', '/api/auth/2fa/confirm', { token, body: { code } });
+    const status = await request('GET', '/api/auth/2fa', { token });
+
+    assert.equal(setup.status, 200);
+    assert.match(setup.body.data.otpauthUri, /^otpauth:\/\/totp\//);
+    assert.equal(confirm.status, 200);
+    assert.equal(confirm.body.data.recoveryCodes.length, users.docs[0].twoFactor.recoveryCodes.length);
+    assert.equal(status.body.data.enabled, true);
+  });
+
+  it('la configuración limita los intentos con contraseña incorrecta', async () => {
+    const { user } = createUser();
+    const token = tokenFor(user);
+
+    const failed = await failUntilThrottled(() => request('POST', '/api/auth/2fa/setup', { token, body: { password: 'Incorrecta1' } }));
+    const res = await request('POST', '/api/auth/2fa/setup', { token, body: { password: PASSWORD } });
+
+    assert.ok(failed.every(status => status === 401));
+    assert.equal(res.status, 429);
+    assert.equal(users.docs[0].twoFactor.pendingSecret, null);
+  });
+
+  it('desactivarla limita los intentos de adivinar el código', async () => {
+    const { user, secret } = createUser({ twoFactor: true });
+    const token = tokenFor(user);
+    const wrong = String((Number(generateCodeForStep(secret, getCurrentStep())) + 1) % 1000000).padStart(6, '0');
+
+    const failed = await failUntilThrottled(() => request('POST', '/api/auth/2fa/disable', { token, body: { password: PASSWORD, code: wrong } }));
+    const res = await request('POST', '/api/auth/2fa/disable', {
+      token,
+      body: { password: PASSWORD, code: generateCodeForStep(secret, getCurrentStep()) }
+    });
+
+    assert.ok(failed.every(status => status === 400));
+    assert.equal(res.status, 429);
+    assert.equal(users.docs[0].twoFactor.enabled, true);
+  });
+});
+
+describe('login con 2FA', () => {
+  beforeEach(() => {
+    stores.forEach(store => { store.docs.length = 0; });
+  });
+
+  const login = () => request('POST', '/api/auth/login', { body: { email: 'ana@example.com', password: PASSWORD } });
+  const completeLogin = (challengeToken, code) => request('POST', '/api/auth/login/2fa', { body: { challengeToken, code } });
+
+  it('la contraseña solo da un desafío que se canjea con el código de la app', async () => {
+    const { secret } = createUser({ twoFactor: true });
+    const code = generateCodeForStep(secret, getCurrentStep());
+
+    const first = await login();
+    const res = await completeLogin(first.body.data.challengeToken, code);
+    const replay = await completeLogin(first.body.data.challengeToken, code);
+
+    assert.equal(first.body.data.twoFactorRequired, true);
+    assert.equal(first.body.data.token, undefined);
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.token);
+    assert.equal(sessions.docs.length, 1);
+    assert.equal(replay.status, 401);
+  });
+
+  it('un código de recuperación también completa el login', async () => {
+    const { recoveryCodes } = createUser({ twoFactor: true });
+
+    const { body: { data: { challengeToken } } } = await login();
+    const res = await completeLogin(challengeToken, recoveryCodes[0]);
+
+    assert.equal(res.status, 200);
+    assert.equal(users.docs[0].twoFactor.recoveryCodes.length, recoveryCodes.length - 1);
+  });
+});
+
+describe('2FA obligatoria para admin', () => {
+  const content = 'Contenido de prueba con la extensión suficiente para pasar la validación del esquema.';
+
+  beforeEach(() => {
+    stores.forEach(store => { store.docs.length = 0; });
+    settings.insert({ key: 'requireTwoFactorForAdmins', value: true });
+    articles.insert({ title: 'Borrador ajeno', slug: 'borrador-ajeno', content, author: 'Luis Gómez', status: 'draft' });
+  });
+
+  const publish = (user) => request('PATCH', '/api/articles/borrador-ajeno/status', {
+    token: tokenFor(user),
+    body: { status: 'published' }
+  });
+
+  it('un admin sin 2FA no puede usar sus permisos ni desactivarla después', async () => {
+    const { user } = createUser({ role: 'admin' });
+
+    const res = await publish(user);
+    const status = await request('GET', '/api/auth/2fa', { token: tokenFor(user) });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.twoFactorSetupRequired, true);
+    assert.equal(articles.docs[0].status, 'draft');
+    assert.equal(status.body.data.required, true);
+  });
+
+  it('con 2FA activa el admin publica y no puede desactivarla', async () => {
+    const { user, secret } = createUser({ role: 'admin', twoFactor: true });
+
+    const res = await publish(user);
+    const disable = await request('POST', '/api/auth/2fa/disable', {
+      token: tokenFor(user),
+      body: { password: PASSWORD, code: generateCodeForStep(secret, getCurrentStep()) }
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(articles.docs[0].status, 'published');
+    assert.equal(disable.status, 403);
+  });
+});
@@ -0,0 +1,99 @@
+const UserToken = require('../models/UserToken');
+const { sendMail } = require('./mailer');
+const {
+  passwordResetEmail,
+  emailVerificationEmail,
+  emailChangeEmail,
+  emailChangeNoticeEmail
+} = require('./emailTemplates');
+const { AUTH_CONFIG } = require('../config/auth');
+
+/**
+ * Correos de la cuenta que llevan un token de un solo uso
+ * Cada función emite el token (invalidando los anteriores del mismo tipo) y envía el correo
+ */
+
+/**
+ * Enviar el enlace para restablecer la contraseña
+ * @param {Object} user - Usuario
+ * @param {Object} req - Request object (IP de la solicitud)
+ * @returns {Object} - { messageId }
+ */
+const sendPasswordResetEmail = async (user, req) => {
+  const { token } = await UserToken.issue(user._id, 'password-reset', AUTH_CONFIG.passwordResetMinutes, req);
+
+  return sendMail({
+    to: user.email,
+    ...passwordResetEmail({
+      name: user.name,
+      resetUrl: `${AUTH_CONFIG.appUrl}/reset-password?token=${token}`,
+      expiresMinutes: AUTH_CONFIG.passwordResetMinutes
+    })
+  });
+};
+
+/**
+ * Enviar el enlace para verificar el email
+ * @param {Object} user - Usuario
+ * @param {Object} req - Request object (IP de la solicitud)
+ * @returns {Object} - { messageId }
+ */
+const sendVerificationEmail = async (user, req) => {
+  const { token } = await UserToken.issue(
+    user._id,
+    'email-verification',
+    AUTH_CONFIG.emailVerificationHours * 60,
+    req
+  );
+
+  return sendMail({
+    to: user.email,
+    ...emailVerificationEmail({
+      name: user.name,
+      verifyUrl: `${AUTH_CONFIG.appUrl}/verify-email?token=${token}`,
+      expiresHours: AUTH_CONFIG.emailVerificationHours
+    })
+  });
+};
+
+/**
+ * Enviar el enlace para confirmar un email nuevo y avisar al email actual
+ * El cambio se aplica al confirmar el enlace (POST /api/auth/verify-email)
+ * @param {Object} user - Usuario
+ * @param {string} newEmail - Email nuevo
+ * @param {Object} req - Request object (IP de la solicitud)
+ * @returns {Object} - { messageId } del correo de confirmación
+ */
+const sendEmailChangeEmail = async (user, newEmail, req) => {
+  const { token } = await UserToken.issue(
+    user._id,
+    'email-change',
+    AUTH_CONFIG.emailVerificationHours * 60,
+    req,
+    { newEmail }
+  );
+
+  const result = await sendMail({
+    to: newEmail,
+    ...emailChangeEmail({
+      name: user.name,
+      newEmail,
+      verifyUrl: `${AUTH_CONFIG.appUrl}/verify-email?token=${token}`,
+      expiresHours: AUTH_CONFIG.emailVerificationHours
+    })
+  });
+
+  // El aviso es informativo: si falla, el cambio sigue pendiente igual
+  sendMail({
+    to: user.email,
+    ...emailChangeNoticeEmail({ name: user.name, newEmail })
+  }).catch(error => console.error('Error al enviar aviso de cambio de email:', error));
+
+  return result;
+};
+
+module.exports = {
+  sendPasswordResetEmail,
+  sendVerificationEmail,
+  sendEmailChangeEmail
+};
@@ -0,0 +1,112 @@
+const { EventEmitter } = require('events');
+const { SSE_CONFIG } = require('../config/realtime');
+
+/**
+ * Bus de eventos en memoria por artículo
+ * Los controladores publican eventos (comentarios nuevos, likes, etc.) y las conexiones
+ * SSE abiertas los reciben. Cada artículo guarda sus eventos recientes para reenviarlos
+ * a los clientes que reconectan con Last-Event-ID.
+ * Al ser en memoria, solo llega a los clientes conectados a esta misma instancia.
+ */
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Prefijo de los IDs de esta instancia: un ID de otro arranque no se puede reanudar
+const STREAM_ID = Date.now().toString(36);
+let sequence = 0;
+
+// articleId -> { events: [...], droppedUpTo: secuencia del último evento descartado }
+const buffers = new Map();
+
+/**
+ * Descartar los eventos viejos o que exceden el tamaño del buffer
+ * @param {Object} buffer - Buffer del artículo
+ */
+const trimBuffer = (buffer) => {
+  const minCreatedAt = Date.now() - SSE_CONFIG.replayMaxAgeSeconds * 1000;
+
+  while (buffer.events.length > 0 &&
+    (buffer.events.length > SSE_CONFIG.replayBufferSize || buffer.events[0].createdAt < minCreatedAt)) {
+    buffer.droppedUpTo = buffer.events.shift().sequence;
+  }
+};
+
+/**
+ * Publicar un evento para los clientes de un artículo
+ * @param {string} articleId - ID del artículo
+ * @param {string} type - Tipo de evento (ej. 'comment.created')
+ * @param {Object} data - Datos del evento
+ * @returns {Object} - Evento publicado { id, type, data }
+ */
+const publishArticleEvent = (articleId, type, data) => {
+  const key = articleId.toString();
+  sequence += 1;
+
+  const event = {
+    id: `${STREAM_ID}-${sequence}`,
+    sequence,
+    type,
+    data,
+    createdAt: Date.now()
+  };
+
+  if (!buffers.has(key)) buffers.set(key, { events: [], droppedUpTo: 0 });
+  const buffer = buffers.get(key);
+  buffer.events.push(event);
+  trimBuffer(buffer);
+
+  emitter.emit(key, event);
+  return event;
+};
+
+/**
+ * Suscribirse a los eventos de un artículo
+ * @param {string} articleId - ID del artículo
+ * @param {Function} listener - (event) => void
+ * @returns {Function} - Función para cancelar la suscripción
+ */
+const subscribeToArticle = (articleId, listener) => {
+  const key = articleId.toString();
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
+
+/**
+ * Obtener los eventos de un artículo posteriores a un Last-Event-ID
+ * @param {string} articleId - ID del artículo
+ * @param {string} lastEventId - Último ID que recibió el cliente
+ * @returns {Object} - { events, complete } (complete es false si se perdieron eventos)
+ */
+const getEventsSince = (articleId, lastEventId) => {
+  const [streamId, lastSequence] = String(lastEventId).split('-');
+  const lastSeq = parseInt(lastSequence);
+
+  // ID de otro arranque del servidor o con formato inválido: no se puede reanudar
+  if (streamId !== STREAM_ID || isNaN(lastSeq) || lastSeq > sequence) {
+    return { events: [], complete: false };
+  }
+
+  const buffer = buffers.get(articleId.toString());
+  if (!buffer) return { events: [], complete: true };
+
+  trimBuffer(buffer);
+
+  return {
+    events: buffer.events.filter(event => event.sequence > lastSeq),
+    complete: lastSeq >= buffer.droppedUpTo
+  };
+};
+
+/**
+ * ID del último evento publicado (en cualquier artículo)
+ * @returns {string} - ID en el mismo formato que los eventos
+ */
+const getCurrentEventId = () => `${STREAM_ID}-${sequence}`;
+
+module.exports = {
+  publishArticleEvent,
+  subscribeToArticle,
+  getEventsSince,
+  getCurrentEventId
+};
@@ -0,0 +1,118 @@
+/**
+ * Utilidades para calcular diferencias línea a línea entre dos textos
+ * Basado en la subsecuencia común más larga (LCS)
+ */
+
+// Límite de celdas de la tabla LCS para no bloquear el proceso con textos enormes
+const MAX_LCS_CELLS = 4000000;
+
+/**
+ * Separar un texto en líneas (normalizando saltos de línea de Windows)
+ * @param {string} text - Texto de entrada
+ * @returns {Array<string>} - Líneas del texto
+ */
+const splitLines = (text = '') => {
+  if (!text) return [];
+  return text.replace(/\r\n/g, '\n').split('\n');
+};
+
+/**
+ * Calcular el diff línea a línea entre dos textos
+ * @param {string} oldText - Texto original
+ * @param {string} newText - Texto nuevo
+ * @returns {Object} - { changes, stats } donde cada cambio es
+ *   { type: 'equal' | 'added' | 'removed', line, oldLineNumber, newLineNumber }
+ */
+const diffLines = (oldText, newText) => {
+  const oldLines = splitLines(oldText);
+  const newLines = splitLines(newText);
+
+  // Recortar prefijo y sufijo comunes para reducir la tabla LCS
+  let start = 0;
+  while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+    start++;
+  }
+
+  let oldEnd = oldLines.length;
+  let newEnd = newLines.length;
+  while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+    oldEnd--;
+    newEnd--;
+  }
+
+  const oldMiddle = oldLines.slice(start, oldEnd);
+  const newMiddle = newLines.slice(start, newEnd);
+  const rows = oldMiddle.length;
+  const cols = newMiddle.length;
+
+  const middleChanges = [];
+
+  if ((rows + 1) * (cols + 1) > MAX_LCS_CELLS) {
+    // Texto demasiado grande: reportar el bloque central como reemplazo completo
+    oldMiddle.forEach(line => middleChanges.push({ type: 'removed', line }));
+    newMiddle.forEach(line => middleChanges.push({ type: 'added', line }));
+  } else {
+    // Tabla LCS (longitud de la subsecuencia común desde i, j hasta el final)
+    const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        table[i][j] = oldMiddle[i] === newMiddle[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (oldMiddle[i] === newMiddle[j]) {
+        middleChanges.push({ type: 'equal', line: oldMiddle[i] });
+        i++;
+        j++;
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        middleChanges.push({ type: 'removed', line: oldMiddle[i] });
+        i++;
+      } else {
+        middleChanges.push({ type: 'added', line: newMiddle[j] });
+        j++;
+      }
+    }
+    while (i < rows) middleChanges.push({ type: 'removed', line: oldMiddle[i++] });
+    while (j < cols) middleChanges.push({ type: 'added', line: newMiddle[j++] });
+  }
+
+  const allChanges = [
+    ...oldLines.slice(0, start).map(line => ({ type: 'equal', line })),
+    ...middleChanges,
+    ...oldLines.slice(oldEnd).map(line => ({ type: 'equal', line }))
+  ];
+
+  // Numerar las líneas (1-based) según el texto al que pertenecen
+  let oldLineNumber = 0;
+  let newLineNumber = 0;
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+
+  const changes = allChanges.map(change => {
+    if (change.type === 'equal') {
+      oldLineNumber++;
+      newLineNumber++;
+      stats.unchanged++;
+      return { ...change, oldLineNumber, newLineNumber };
+    }
+    if (change.type === 'removed') {
+      oldLineNumber++;
+      stats.removed++;
+      return { ...change, oldLineNumber, newLineNumber: null };
+    }
+    newLineNumber++;
+    stats.added++;
+    return { ...change, oldLineNumber: null, newLineNumber };
+  });
+
+  return { changes, stats };
+};
+
+module.exports = {
+  splitLines,
+  diffLines
+};
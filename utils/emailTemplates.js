@@ -0,0 +1,121 @@
+/**
+ * Plantillas de los correos que envía la API
+ * Cada plantilla devuelve { subject, text, html } para sendMail
+ */
+
+/**
+ * Escapar texto para insertarlo en HTML
+ * @param {string} value - Texto
+ * @returns {string} - Texto escapado
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Correo para restablecer la contraseña
+ * @param {Object} params - { name, resetUrl, expiresMinutes }
+ * @returns {Object} - { subject, text, html }
+ */
+const passwordResetEmail = ({ name, resetUrl, expiresMinutes }) => ({
+  subject: 'Restablecer tu contraseña',
+  text: [
+    `Hola ${name},`,
+    '',
+    'Recibimos una solicitud para restablecer la contraseña de tu cuenta.',
+    `Abre este enlace para elegir una nueva (vence en ${expiresMinutes} minutos y solo se puede usar una vez):`,
+    '',
+    resetUrl,
+    '',
+    'Si no fuiste tú, ignora este correo: tu contraseña no cambiará.'
+  ].join('\n'),
+  html: `
+    <p>Hola ${escapeHtml(name)},</p>
+    <p>Recibimos una solicitud para restablecer la contraseña de tu cuenta.</p>
+    <p><a href="${escapeHtml(resetUrl)}">Elegir una nueva contraseña</a></p>
+    <p>El enlace vence en ${expiresMinutes} minutos y solo se puede usar una vez.</p>
+    <p>Si no fuiste tú, ignora este correo: tu contraseña no cambiará.</p>
+  `
+});
+
+/**
+ * Correo para verificar el email de la cuenta
+ * @param {Object} params - { name, verifyUrl, expiresHours }
+ * @returns {Object} - { subject, text, html }
+ */
+const emailVerificationEmail = ({ name, verifyUrl, expiresHours }) => ({
+  subject: 'Verifica tu email',
+  text: [
+    `Hola ${name},`,
+    '',
+    `Confirma que este es tu email abriendo el siguiente enlace (vence en ${expiresHours} horas):`,
+    '',
+    verifyUrl,
+    '',
+    'Si no creaste una cuenta, ignora este correo.'
+  ].join('\n'),
+  html: `
+    <p>Hola ${escapeHtml(name)},</p>
+    <p>Confirma que este es tu email:</p>
+    <p><a href="${escapeHtml(verifyUrl)}">Verificar mi email</a></p>
+    <p>El enlace vence en ${expiresHours} horas.</p>
+    <p>Si no creaste una cuenta, ignora este correo.</p>
+  `
+});
+
+/**
+ * Correo al email nuevo para confirmar un cambio de email
+ * @param {Object} params - { name, newEmail, verifyUrl, expiresHours }
+ * @returns {Object} - { subject, text, html }
+ */
+const emailChangeEmail = ({ name, newEmail, verifyUrl, expiresHours }) => ({
+  subject: 'Confirma tu nuevo email',
+  text: [
+    `Hola ${name},`,
+    '',
+    `Pediste usar ${newEmail} como email de tu cuenta. Abre este enlace para confirmarlo (vence en ${expiresHours} horas):`,
+    '',
+    verifyUrl,
+    '',
+    'Hasta que lo confirmes, tu cuenta sigue usando el email anterior. Si no fuiste tú, ignora este correo.'
+  ].join('\n'),
+  html: `
+    <p>Hola ${escapeHtml(name)},</p>
+    <p>Pediste usar <strong>${escapeHtml(newEmail)}</strong> como email de tu cuenta.</p>
+    <p><a href="${escapeHtml(verifyUrl)}">Confirmar mi nuevo email</a></p>
+    <p>El enlace vence en ${expiresHours} horas. Hasta que lo confirmes, tu cuenta sigue usando el email anterior.</p>
+    <p>Si no fuiste tú, ignora este correo.</p>
+  `
+});
+
+/**
+ * Aviso al email actual de que se pidió cambiarlo
+ * @param {Object} params - { name, newEmail }
+ * @returns {Object} - { subject, text, html }
+ */
+const emailChangeNoticeEmail = ({ name, newEmail }) => ({
+  subject: 'Se pidió cambiar el email de tu cuenta',
+  text: [
+    `Hola ${name},`,
+    '',
+    `Se pidió cambiar el email de tu cuenta a ${newEmail}. El cambio se aplica cuando se confirme desde ese correo.`,
+    '',
+    'Si no fuiste tú, cambia tu contraseña y cierra las demás sesiones.'
+  ].join('\n'),
+  html: `
+    <p>Hola ${escapeHtml(name)},</p>
+    <p>Se pidió cambiar el email de tu cuenta a <strong>${escapeHtml(newEmail)}</strong>.
+      El cambio se aplica cuando se confirme desde ese correo.</p>
+    <p>Si no fuiste tú, cambia tu contraseña y cierra las demás sesiones.</p>
+  `
+});
+
+module.exports = {
+  passwordResetEmail,
+  emailVerificationEmail,
+  emailChangeEmail,
+  emailChangeNoticeEmail
+};
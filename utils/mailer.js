@@ -0,0 +1,141 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { MAIL_CONFIG } = require('../config/mail');
+
+/**
+ * Envío de correos con transporte intercambiable
+ * El transporte se elige con MAIL_TRANSPORT:
+ *   - smtp: envío real por SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, ...)
+ *   - file: guarda cada correo como JSON en MAIL_FILE_DIR (desarrollo local y tests)
+ *   - console: escribe el correo en la consola
+ *
+ * Un transporte es un objeto { name, send(message) => Promise<{ messageId }> }, donde
+ * message es { from, to, subject, text, html }. Se puede registrar otro con setMailTransport.
+ */
+
+/**
+ * Crear un transporte SMTP
+ * @param {Object} options - { host, port, secure, user, pass }
+ * @returns {Object} - Transporte
+ */
+const createSmtpTransport = (options) => {
+  if (!options.host) {
+    throw new Error('SMTP_HOST es requerido para el transporte smtp');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: options.host,
+    port: options.port,
+    secure: options.secure,
+    auth: options.user ? { user: options.user, pass: options.pass } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+};
+
+/**
+ * Crear un transporte que guarda cada correo en un archivo JSON
+ * @param {string} directory - Carpeta de destino
+ * @returns {Object} - Transporte
+ */
+const createFileTransport = (directory) => ({
+  name: 'file',
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    const file = path.join(directory, `${Date.now()}-${messageId}.json`);
+
+    await fs.promises.mkdir(directory, { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify({ messageId, date: new Date(), ...message }, null, 2));
+
+    return { messageId, file };
+  }
+});
+
+/**
+ * Crear un transporte que escribe los correos en la consola
+ * @returns {Object} - Transporte
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    const messageId = crypto.randomUUID();
+    console.log(`📧 Correo para ${message.to}: ${message.subject}\n${message.text}`);
+    return { messageId };
+  }
+});
+
+/**
+ * Crear el transporte configurado con MAIL_TRANSPORT
+ * @param {Object} config - Configuración de correo
+ * @returns {Object} - Transporte
+ */
+const createTransportFromConfig = (config = MAIL_CONFIG) => {
+  if (!config.transport) {
+    throw new Error('MAIL_TRANSPORT (o SMTP_HOST) es requerido en producción');
+  }
+
+  switch (config.transport) {
+    case 'smtp':
+      return createSmtpTransport(config.smtp);
+    case 'file':
+      return createFileTransport(config.fileDir);
+    case 'console':
+      return createConsoleTransport();
+    default:
+      throw new Error(`Transporte de correo desconocido: ${config.transport}`);
+  }
+};
+
+// Se crea al arrancar el servidor (que así falla si falta la configuración) o al enviar el primer correo
+let mailTransport = null;
+
+/**
+ * Obtener el transporte de correo en uso
+ * @returns {Object} - Transporte
+ */
+const getMailTransport = () => {
+  if (!mailTransport) {
+    mailTransport = createTransportFromConfig();
+  }
+  return mailTransport;
+};
+
+/**
+ * Reemplazar el transporte de correo
+ * @param {Object} transport - Transporte con name y send
+ */
+const setMailTransport = (transport) => {
+  if (!transport || typeof transport.send !== 'function') {
+    throw new Error('Transporte de correo inválido, falta el método send');
+  }
+  mailTransport = transport;
+};
+
+/**
+ * Enviar un correo
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Object} - { messageId }
+ */
+const sendMail = (message) => {
+  return getMailTransport().send({
+    from: MAIL_CONFIG.from,
+    ...message
+  });
+};
+
+module.exports = {
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+  getMailTransport,
+  setMailTransport,
+  sendMail
+};
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+/**
+ * Detección de menciones (@Nombre) en comentarios
+ * Los nombres pueden tener espacios, así que cada mención genera candidatos de
+ * una a MAX_MENTION_WORDS palabras y gana el más largo que coincida con un usuario.
+ * Se compara con el nombre normalizado de los usuarios activos (User.nameKey, indexado);
+ * si varios usuarios comparten ese nombre la mención es ambigua y no notifica a nadie.
+ */
+
+// Palabras máximas que puede tener un nombre mencionado
+const MAX_MENTION_WORDS = 3;
+
+// Menciones máximas que se resuelven por comentario
+const MAX_MENTIONS = 10;
+
+// "@" que no es parte de un email, seguido de hasta MAX_MENTION_WORDS palabras
+const MENTION_REGEX = new RegExp(
+  `(?<![\\p{L}\\p{N}_@.])@([\\p{L}\\p{N}_][\\p{L}\\p{N}_.'-]*(?:[ \\t]+[\\p{L}\\p{N}_][\\p{L}\\p{N}_.'-]*){0,${MAX_MENTION_WORDS - 1}})`,
+  'gu'
+);
+
+/**
+ * Normalizar un nombre para compararlo (minúsculas y espacios simples)
+ * @param {string} name - Nombre
+ * @returns {string} - Nombre normalizado
+ */
+const normalizeName = (name = '') => name.toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Extraer los candidatos de cada mención de un texto
+ * "@Ana María dijo" -> [['ana maría dijo', 'ana maría', 'ana']] (del más largo al más corto)
+ * @param {string} content - Texto del comentario
+ * @returns {Array<Array<string>>} - Candidatos normalizados por mención
+ */
+const extractMentionCandidates = (content = '') => {
+  const mentions = [];
+
+  for (const match of content.matchAll(MENTION_REGEX)) {
+    if (mentions.length >= MAX_MENTIONS) break;
+
+    // "_" sirve para escribir nombres con espacios ("@Ana_María"); se quita la puntuación final
+    const words = match[1]
+      .replace(/_/g, ' ')
+      .split(/\s+/)
+      .map(word => word.replace(/[.'-]+$/, ''))
+      .filter(word => word.length > 0);
+
+    const candidates = [];
+    for (let count = words.length; count > 0; count--) {
+      candidates.push(normalizeName(words.slice(0, count).join(' ')));
+    }
+
+    if (candidates.length > 0) mentions.push(candidates);
+  }
+
+  return mentions;
+};
+
+/**
+ * Resolver las menciones de un texto a usuarios registrados
+ * Cada mención notifica como máximo a un usuario: si el nombre más largo que coincide
+ * pertenece a varios usuarios, la mención se ignora
+ * @param {string} content - Texto del comentario
+ * @returns {Array<string>} - IDs (string) de los usuarios mencionados, sin repetir
+ */
+const resolveMentions = async (content) => {
+  const mentions = extractMentionCandidates(content);
+  if (mentions.length === 0) return [];
+
+  const User = mongoose.model('User');
+  const names = [...new Set(mentions.flat())];
+
+  // nombre normalizado -> { userId, count } (count > 1 = nombre ambiguo)
+  const groups = await User.aggregate([
+    { $match: { nameKey: { $in: names }, isActive: true } },
+    { $group: { _id: '$nameKey', userId: { $first: '$_id' }, count: { $sum: 1 } } }
+  ]);
+  const usersByName = new Map(groups.map(group => [group._id, group]));
+
+  const mentioned = new Set();
+  mentions.forEach(candidates => {
+    const match = candidates.find(candidate => usersByName.has(candidate));
+    if (!match) return;
+
+    const { userId, count } = usersByName.get(match);
+    if (count === 1) mentioned.add(userId.toString());
+  });
+
+  return [...mentioned];
+};
+
+module.exports = {
+  normalizeName,
+  extractMentionCandidates,
+  resolveMentions
+};
@@ -0,0 +1,117 @@
+const LoginThrottle = require('../models/LoginThrottle');
+
+/**
+ * Comprobación de contraseñas y códigos 2FA con la protección contra fuerza bruta de los logins
+ * Los fallos al confirmar la contraseña o un código en la cuenta (cambiar contraseña o email,
+ * configurar o desactivar 2FA) suman a los mismos contadores de LoginThrottle que los logins,
+ * así que una sesión robada no sirve para adivinarlos sin límite
+ */
+
+/**
+ * Responder a un intento rechazado por la protección contra fuerza bruta
+ * @param {Object} res - Response object
+ * @param {Object} throttle - Resultado de LoginThrottle.checkLogin
+ */
+const sendLoginThrottled = (res, throttle) => {
+  res.set('Retry-After', String(throttle.retryAfter));
+
+  return res.status(429).json({
+    success: false,
+    message: throttle.locked ? 'Acceso bloqueado temporalmente' : 'Demasiados intentos de login',
+    error: throttle.locked
+      ? `Demasiados intentos fallidos. Intenta de nuevo en ${Math.ceil(throttle.retryAfter / 60)} minuto(s)`
+      : `Espera ${throttle.retryAfter} segundo(s) antes de volver a intentarlo`,
+    locked: throttle.locked,
+    retryAfter: throttle.retryAfter,
+    lockedUntil: throttle.lockedUntil
+  });
+};
+
+/**
+ * Intento de login equivalente a una comprobación en la cuenta de un usuario autenticado
+ * @param {Object} req - Request object
+ * @param {Object} user - Usuario autenticado
+ * @returns {Object} - { email, ip, userId }
+ */
+const getAccountAttempt = (req, user) => ({ email: user.email, ip: req.ip, userId: user._id });
+
+/**
+ * Verificar que la cuenta no esté en espera ni bloqueada antes de comprobar una credencial
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} user - Usuario autenticado
+ * @returns {Promise<boolean>} - true si se puede intentar; false si ya se respondió 429
+ */
+const checkAccountThrottle = async (req, res, user) => {
+  const throttle = await LoginThrottle.checkLogin(getAccountAttempt(req, user));
+  if (!throttle.allowed) {
+    sendLoginThrottled(res, throttle);
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Registrar una credencial incorrecta en la cuenta y responder
+ * (429 si la cuenta quedó bloqueada; si no, el estado indicado con la espera siguiente)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} user - Usuario autenticado
+ * @param {number} status - Estado de la respuesta (401 contraseña, 400 código)
+ * @param {string} message - Mensaje de la respuesta
+ */
+const rejectAccountAttempt = async (req, res, user, status, message) => {
+  const failure = await LoginThrottle.registerFailure(getAccountAttempt(req, user));
+  if (failure.locked) {
+    return sendLoginThrottled(res, failure);
+  }
+
+  if (failure.retryAfter > 0) {
+    res.set('Retry-After', String(failure.retryAfter));
+  }
+
+  return res.status(status).json({
+    success: false,
+    message,
+    retryAfter: failure.retryAfter || undefined
+  });
+};
+
+/**
+ * Olvidar los fallos de la cuenta (igual que un login correcto)
+ * @param {Object} user - Usuario autenticado
+ * @returns {Promise} - Resultado del borrado
+ */
+const clearAccountFailures = (user) => LoginThrottle.clear('account', user.email);
+
+/**
+ * Verificar la contraseña de un usuario autenticado (respeta esperas y bloqueos de login)
+ * Si no es correcta, registra el fallo y responde 401 (o 429 si la cuenta quedó bloqueada)
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ * @param {Object} user - Usuario con el campo password seleccionado
+ * @param {string} password - Contraseña recibida
+ * @param {string} message - Mensaje de la respuesta 401
+ * @returns {Promise<boolean>} - true si la contraseña es correcta; false si ya se respondió
+ */
+const checkAccountPassword = async (req, res, user, password, message) => {
+  if (!(await checkAccountThrottle(req, res, user))) {
+    return false;
+  }
+
+  if (await user.comparePassword(password)) {
+    await clearAccountFailures(user);
+    return true;
+  }
+
+  await rejectAccountAttempt(req, res, user, 401, message);
+  return false;
+};
+
+module.exports = {
+  sendLoginThrottled,
+  checkAccountThrottle,
+  rejectAccountAttempt,
+  clearAccountFailures,
+  checkAccountPassword
+};
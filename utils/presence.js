@@ -0,0 +1,100 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Presencia de lectores por artículo ("N personas leyendo esto")
+ * La lógica se delega en un backend intercambiable; por defecto se usa uno en memoria,
+ * que solo ve las conexiones de esta instancia. Para escalar a varias instancias se
+ * puede registrar otro (por ejemplo sobre Redis) con setPresenceBackend.
+ *
+ * Un backend es un objeto con estos métodos:
+ *   - join(articleId, connectionId, readerKey) => Promise<number>  lectores tras entrar
+ *   - leave(articleId, connectionId) => Promise<number>            lectores tras salir
+ *   - count(articleId) => Promise<number>                          lectores actuales
+ *   - onChange(listener) => Function                               listener(articleId, count);
+ *     devuelve la función para dejar de escuchar. Debe avisar también los cambios
+ *     producidos en otras instancias.
+ * readerKey identifica a la persona ("user:<id>", "visitor:<id>" o la conexión), de modo
+ * que varias pestañas del mismo lector cuentan una sola vez.
+ */
+
+/**
+ * Crear un backend de presencia en memoria
+ * @returns {Object} - Backend de presencia
+ */
+const createMemoryPresenceBackend = () => {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  // articleId -> Map(connectionId -> readerKey)
+  const readers = new Map();
+
+  const countReaders = (key) => {
+    const connections = readers.get(key);
+    return connections ? new Set(connections.values()).size : 0;
+  };
+
+  const update = (articleId, change) => {
+    const key = articleId.toString();
+    const before = countReaders(key);
+
+    change(key);
+
+    const after = countReaders(key);
+    if (after !== before) emitter.emit('change', key, after);
+    return after;
+  };
+
+  return {
+    async join(articleId, connectionId, readerKey) {
+      return update(articleId, key => {
+        if (!readers.has(key)) readers.set(key, new Map());
+        readers.get(key).set(connectionId, readerKey);
+      });
+    },
+
+    async leave(articleId, connectionId) {
+      return update(articleId, key => {
+        const connections = readers.get(key);
+        if (!connections) return;
+
+        connections.delete(connectionId);
+        if (connections.size === 0) readers.delete(key);
+      });
+    },
+
+    async count(articleId) {
+      return countReaders(articleId.toString());
+    },
+
+    onChange(listener) {
+      emitter.on('change', listener);
+      return () => emitter.off('change', listener);
+    }
+  };
+};
+
+let presenceBackend = createMemoryPresenceBackend();
+
+/**
+ * Obtener el backend de presencia en uso
+ * @returns {Object} - Backend de presencia
+ */
+const getPresenceBackend = () => presenceBackend;
+
+/**
+ * Reemplazar el backend de presencia (antes de iniciar el gateway WebSocket)
+ * @param {Object} backend - Backend con join, leave, count y onChange
+ */
+const setPresenceBackend = (backend) => {
+  const missing = ['join', 'leave', 'count', 'onChange'].filter(method => typeof backend[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Backend de presencia inválido, faltan los métodos: ${missing.join(', ')}`);
+  }
+  presenceBackend = backend;
+};
+
+module.exports = {
+  createMemoryPresenceBackend,
+  getPresenceBackend,
+  setPresenceBackend
+};
@@ -0,0 +1,126 @@
+/**
+ * Puntajes para ordenar comentarios
+ *   - best: límite inferior del intervalo de Wilson sobre likes (positivos) y reportes (negativos);
+ *     premia la proporción de votos positivos pero desconfía de los comentarios con pocos votos
+ *   - controversial: muchos votos repartidos de forma pareja entre positivos y negativos
+ * Cada fórmula existe en JavaScript y como expresión de agregación de MongoDB,
+ * para poder recalcular los puntajes de forma atómica dentro de un update
+ */
+
+// z para un nivel de confianza del 95 %
+const WILSON_Z = 1.96;
+
+/**
+ * Calcular el límite inferior del intervalo de Wilson
+ * @param {number} positive - Votos positivos (likes)
+ * @param {number} negative - Votos negativos (reportes)
+ * @returns {number} - Puntaje entre 0 y 1
+ */
+const wilsonScore = (positive = 0, negative = 0) => {
+  const n = positive + negative;
+  if (n <= 0) return 0;
+
+  const z2 = WILSON_Z * WILSON_Z;
+  const p = positive / n;
+  return (p + z2 / (2 * n) - WILSON_Z * Math.sqrt((p * (1 - p) + z2 / (4 * n)) / n)) / (1 + z2 / n);
+};
+
+/**
+ * Calcular el puntaje de controversia
+ * @param {number} positive - Votos positivos (likes)
+ * @param {number} negative - Votos negativos (reportes)
+ * @returns {number} - Magnitud elevada al balance entre positivos y negativos
+ */
+const controversyScore = (positive = 0, negative = 0) => {
+  if (positive <= 0 || negative <= 0) return 0;
+
+  const magnitude = positive + negative;
+  const balance = positive > negative ? negative / positive : positive / negative;
+  return Math.pow(magnitude, balance);
+};
+
+/**
+ * Etapa $set de un update con pipeline que recalcula wilsonScore y controversyScore
+ * a partir de likesCount y reportsCount del propio documento
+ * @returns {Object} - Etapa { $set: { wilsonScore, controversyScore } }
+ */
+const scoreUpdateStage = () => {
+  const z2 = WILSON_Z * WILSON_Z;
+  const positive = { $ifNull: ['$likesCount', 0] };
+  const negative = { $ifNull: ['$reportsCount', 0] };
+
+  return {
+    $set: {
+      wilsonScore: {
+        $let: {
+          vars: { pos: positive, n: { $add: [positive, negative] } },
+          in: {
+            $cond: [
+              { $lte: ['$$n', 0] },
+              0,
+              {
+                $let: {
+                  vars: { p: { $divide: ['$$pos', '$$n'] } },
+                  in: {
+                    $divide: [
+                      {
+                        $subtract: [
+                          { $add: ['$$p', { $divide: [z2, { $multiply: [2, '$$n'] }] }] },
+                          {
+                            $multiply: [WILSON_Z, {
+                              $sqrt: {
+                                $divide: [
+                                  {
+                                    $add: [
+                                      { $multiply: ['$$p', { $subtract: [1, '$$p'] }] },
+                                      { $divide: [z2, { $multiply: [4, '$$n'] }] }
+                                    ]
+                                  },
+                                  '$$n'
+                                ]
+                              }
+                            }]
+                          }
+                        ]
+                      },
+                      { $add: [1, { $divide: [z2, '$$n'] }] }
+                    ]
+                  }
+                }
+              }
+            ]
+          }
+        }
+      },
+      controversyScore: {
+        $let: {
+          vars: { pos: positive, neg: negative },
+          in: {
+            $cond: [
+              { $or: [{ $lte: ['$$pos', 0] }, { $lte: ['$$neg', 0] }] },
+              0,
+              {
+                $pow: [
+                  { $add: ['$$pos', '$$neg'] },
+                  {
+                    $cond: [
+                      { $gt: ['$$pos', '$$neg'] },
+                      { $divide: ['$$neg', '$$pos'] },
+                      { $divide: ['$$pos', '$$neg'] }
+                    ]
+                  }
+                ]
+              }
+            ]
+          }
+        }
+      }
+    }
+  };
+};
+
+module.exports = {
+  wilsonScore,
+  controversyScore,
+  scoreUpdateStage
+};
@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { SPAM_CONFIG } = require('../config/spam');
+
+/**
+ * Pipeline de detección de spam para comentarios
+ * Cada chequeo recibe el contexto del comentario y devuelve un puntaje (y el motivo);
+ * la suma decide si el comentario se publica, queda retenido o se rechaza.
+ * Se pueden agregar chequeos propios con registerSpamCheck.
+ */
+
+// Expresión para detectar enlaces (http/https o "www.")
+const LINK_REGEX = /\b(?:https?:\/\/|www\.)[^\s<>"')]+/gi;
+
+/**
+ * Normalizar el contenido y calcular su hash (para detectar duplicados)
+ * @param {string} content - Contenido del comentario
+ * @returns {string} - Hash SHA-256 en hexadecimal
+ */
+const hashContent = (content = '') => {
+  const normalized = content
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Extraer los enlaces de un texto
+ * @param {string} text - Texto a analizar
+ * @returns {Array<string>} - Enlaces encontrados
+ */
+const extractLinks = (text = '') => text.match(LINK_REGEX) || [];
+
+/**
+ * Obtener el dominio de un enlace
+ * @param {string} link - Enlace (con o sin protocolo)
+ * @returns {string|null} - Dominio en minúsculas sin "www."
+ */
+const getDomain = (link) => {
+  try {
+    const url = new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`);
+    return url.hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Verificar si un dominio coincide con uno bloqueado (incluye subdominios)
+ * @param {string} domain - Dominio a verificar
+ * @param {string} blocked - Dominio bloqueado
+ * @returns {boolean} - True si coincide
+ */
+const matchesDomain = (domain, blocked) => domain === blocked || domain.endsWith(`.${blocked}`);
+
+/**
+ * Chequeo: cantidad y densidad de enlaces
+ */
+const linkDensityCheck = async ({ content }) => {
+  const links = extractLinks(content);
+  if (links.length === 0) return null;
+
+  const words = content.split(/\s+/).filter(word => word.length > 0).length;
+  const density = links.length / Math.max(words, 1);
+
+  let score = 0;
+  if (links.length > SPAM_CONFIG.maxLinks) score += 3 + (links.length - SPAM_CONFIG.maxLinks);
+  if (density > 0.2) score += 3;
+
+  return score > 0
+    ? { score, reason: `Demasiados enlaces (${links.length} en ${words} palabras)` }
+    : null;
+};
+
+/**
+ * Chequeo: palabras y dominios bloqueados (en el contenido, los enlaces y el email)
+ */
+const blocklistCheck = async ({ content, author, email }) => {
+  const text = `${author || ''} ${content}`.toLowerCase();
+  const textWords = new Set(text.split(/[^\p{L}\p{N}]+/u));
+  const hits = [];
+
+  // Palabras sueltas se comparan completas; frases con espacios, como subcadena
+  SPAM_CONFIG.blockedWords.forEach(word => {
+    if (word.includes(' ') ? text.includes(word) : textWords.has(word)) hits.push(word);
+  });
+
+  const domains = extractLinks(content).map(getDomain).filter(Boolean);
+  if (email && email.includes('@')) {
+    domains.push(email.split('@')[1].toLowerCase());
+  }
+
+  SPAM_CONFIG.blockedDomains.forEach(blocked => {
+    if (domains.some(domain => matchesDomain(domain, blocked))) hits.push(blocked);
+  });
+
+  return hits.length > 0
+    ? { score: Math.min(hits.length * 5, 10), reason: `Contiene términos bloqueados: ${hits.join(', ')}` }
+    : null;
+};
+
+/**
+ * Chequeo: mismo contenido publicado recientemente por el mismo autor (en cualquier artículo)
+ * Textos cortos iguales de personas distintas ("¡Gran artículo!") no cuentan como duplicados
+ */
+const duplicateContentCheck = async ({ contentHash, userId, email }) => {
+  const Comment = mongoose.model('Comment');
+  const since = new Date(Date.now() - SPAM_CONFIG.duplicateWindowHours * 60 * 60 * 1000);
+  const identity = userId ? { userId } : { email };
+
+  const duplicates = await Comment.countDocuments({
+    ...identity,
+    contentHash,
+    createdAt: { $gte: since }
+  });
+
+  return duplicates > 0
+    ? { score: 6, reason: `Contenido duplicado (${duplicates} comentario(s) iguales recientes)` }
+    : null;
+};
+
+/**
+ * Chequeo: campo trampa (honeypot) completado
+ */
+const honeypotCheck = async ({ body }) => {
+  const value = body[SPAM_CONFIG.honeypotField];
+  return value !== undefined && value !== null && String(value).trim() !== ''
+    ? { score: SPAM_CONFIG.rejectScore, reason: 'Se completó el campo oculto del formulario' }
+    : null;
+};
+
+/**
+ * Chequeo: tiempos de envío (formulario enviado demasiado rápido o ráfaga de comentarios)
+ */
+const submissionTimingCheck = async ({ body, userId, email }) => {
+  const Comment = mongoose.model('Comment');
+  let score = 0;
+  const reasons = [];
+
+  // formStartedAt: momento (ms o ISO) en que el cliente mostró el formulario
+  if (body.formStartedAt !== undefined) {
+    const startedAt = new Date(isNaN(body.formStartedAt) ? body.formStartedAt : Number(body.formStartedAt));
+    const elapsedSeconds = (Date.now() - startedAt.getTime()) / 1000;
+
+    if (isNaN(elapsedSeconds) || elapsedSeconds < SPAM_CONFIG.minSubmitSeconds) {
+      score += 4;
+      reasons.push('Formulario enviado demasiado rápido');
+    }
+  }
+
+  const identity = userId ? { userId } : { email };
+  const recentComments = await Comment.countDocuments({
+    ...identity,
+    createdAt: { $gte: new Date(Date.now() - 60 * 1000) }
+  });
+
+  if (recentComments >= SPAM_CONFIG.maxCommentsPerMinute) {
+    score += 4;
+    reasons.push(`Demasiados comentarios seguidos (${recentComments} en el último minuto)`);
+  }
+
+  return score > 0 ? { score, reason: reasons.join('; ') } : null;
+};
+
+// Chequeos que se ejecutan para cada comentario (en orden)
+const spamChecks = [
+  { name: 'link_density', check: linkDensityCheck },
+  { name: 'blocklist', check: blocklistCheck },
+  { name: 'duplicate', check: duplicateContentCheck },
+  { name: 'honeypot', check: honeypotCheck },
+  { name: 'timing', check: submissionTimingCheck }
+];
+
+/**
+ * Registrar un chequeo de spam adicional
+ * @param {string} name - Nombre del chequeo (se guarda junto al motivo)
+ * @param {Function} check - async (context) => { score, reason } | null
+ */
+const registerSpamCheck = (name, check) => {
+  spamChecks.push({ name, check });
+};
+
+/**
+ * Evaluar un comentario con todos los chequeos registrados
+ * @param {Object} context - { content, author, email, userId, articleId, body }
+ * @returns {Object} - { score, reasons, contentHash, action: 'allow' | 'moderate' | 'reject' }
+ */
+const evaluateComment = async (context) => {
+  const contentHash = hashContent(context.content);
+  const fullContext = { body: {}, ...context, contentHash };
+
+  const results = await Promise.all(spamChecks.map(async ({ name, check }) => {
+    const result = await check(fullContext);
+    return result && result.score > 0
+      ? { check: name, score: result.score, reason: result.reason }
+      : null;
+  }));
+
+  const reasons = results.filter(Boolean);
+  const score = reasons.reduce((total, reason) => total + reason.score, 0);
+
+  let action = 'allow';
+  if (score >= SPAM_CONFIG.rejectScore) {
+    action = 'reject';
+  } else if (score >= SPAM_CONFIG.moderateScore) {
+    action = 'moderate';
+  }
+
+  return { score, reasons, contentHash, action };
+};
+
+module.exports = {
+  evaluateComment,
+  registerSpamCheck,
+  hashContent
+};
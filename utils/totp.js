@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+
+/**
+ * Contraseñas de un solo uso basadas en tiempo (TOTP, RFC 6238)
+ * Parámetros compatibles con Google Authenticator, Authy, 1Password, etc.:
+ * HMAC-SHA1, códigos de 6 dígitos y pasos de 30 segundos
+ */
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Codificar bytes en Base32 (RFC 4648, sin relleno)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} - Texto Base32
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decodificar texto Base32 (ignora espacios, guiones y relleno)
+ * @param {string} text - Texto Base32
+ * @returns {Buffer} - Bytes
+ */
+const base32Decode = (text) => {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error('Secreto Base32 inválido');
+
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generar un secreto TOTP nuevo
+ * @returns {string} - Secreto en Base32 (160 bits)
+ */
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calcular el código de un paso de tiempo (HOTP, RFC 4226)
+ * @param {string} secret - Secreto en Base32
+ * @param {number} step - Paso de tiempo
+ * @returns {string} - Código de 6 dígitos
+ */
+const generateCodeForStep = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Paso de tiempo actual
+ * @param {number} now - Milisegundos (por defecto Date.now())
+ * @returns {number} - Paso de tiempo
+ */
+const getCurrentStep = (now = Date.now()) => Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * Verificar un código TOTP
+ * Acepta los pasos vecinos para tolerar relojes desfasados
+ * @param {string} secret - Secreto en Base32
+ * @param {string} code - Código ingresado
+ * @param {number} window - Pasos de tolerancia hacia cada lado
+ * @returns {number|null} - Paso de tiempo del código, o null si no es válido
+ */
+const verifyTotp = (secret, code, window = 1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+
+  const currentStep = getCurrentStep();
+  for (let offset = -window; offset <= window; offset++) {
+    const step = currentStep + offset;
+    const expected = generateCodeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Obtener la clave con la que se cifran los secretos TOTP guardados
+ * @returns {Buffer} - Clave de 256 bits
+ */
+const getEncryptionKey = () => {
+  const key = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!key) throw new Error('TWO_FACTOR_ENCRYPTION_KEY o JWT_SECRET es requerido para cifrar secretos 2FA');
+  return crypto.createHash('sha256').update(key).digest();
+};
+
+/**
+ * Cifrar un secreto TOTP para guardarlo (AES-256-GCM)
+ * @param {string} secret - Secreto en Base32
+ * @returns {string} - "iv.tag.cifrado" en base64url
+ */
+const encryptTotpSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+};
+
+/**
+ * Descifrar un secreto TOTP guardado
+ * @param {string} payload - "iv.tag.cifrado" en base64url
+ * @returns {string} - Secreto en Base32
+ */
+const decryptTotpSecret = (payload) => {
+  const [iv, tag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Construir la URI otpauth:// para las apps de autenticación (se muestra como código QR)
+ * @param {Object} params - { secret, accountName, issuer }
+ * @returns {string} - URI de aprovisionamiento
+ */
+const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${query.toString()}`;
+};
+
+module.exports = {
+  generateTotpSecret,
+  generateCodeForStep,
+  getCurrentStep,
+  verifyTotp,
+  buildOtpauthUri,
+  encryptTotpSecret,
+  decryptTotpSecret
+};
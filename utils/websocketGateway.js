@@ -0,0 +1,398 @@
+const crypto = require('crypto');
+const { WebSocketServer, WebSocket } = require('ws');
+const Article = require('../models/Article');
+const { WS_CONFIG } = require('../config/realtime');
+const { verifyToken } = require('../middleware/auth');
+const { verifyVisitorToken } = require('../middleware/visitor');
+const { subscribeToArticle } = require('./articleEvents');
+const { getPresenceBackend } = require('./presence');
+
+/**
+ * Gateway WebSocket de presencia en tiempo real
+ * Comparte el servidor HTTP de Express. Los clientes se suscriben a artículos por slug y reciben:
+ *   - presence: cantidad de lectores conectados al artículo
+ *   - typing: quién está escribiendo un comentario
+ *   - event: los mismos eventos que el stream SSE (comentarios y likes)
+ *
+ * Mensajes del cliente (JSON):
+ *   { type: 'subscribe', slug }      { type: 'unsubscribe', slug }
+ *   { type: 'typing', slug, isTyping }   { type: 'ping' }
+ *
+ * La autenticación es opcional: el mismo JWT de la API en la cabecera Authorization
+ * o en el query ?token=. Los lectores anónimos pueden enviar ?visitorToken= para que
+ * sus pestañas cuenten como un solo lector.
+ */
+
+/**
+ * Rechazar un upgrade antes de abrir el WebSocket
+ * @param {Object} socket - Socket de la conexión
+ * @param {number} statusCode - Código HTTP
+ * @param {string} message - Texto del estado
+ */
+const rejectUpgrade = (socket, statusCode, message) => {
+  socket.write(`HTTP/1.1 ${statusCode} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Obtener la IP del cliente (respeta TRUST_PROXY igual que Express)
+ * @param {Object} req - Request del upgrade
+ * @returns {string} - IP del cliente
+ */
+const getClientIp = (req) => {
+  const forwardedFor = req.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY && forwardedFor) {
+    return forwardedFor.split(',')[0].trim();
+  }
+  return req.socket.remoteAddress;
+};
+
+/**
+ * Enviar un mensaje JSON si la conexión sigue abierta
+ * @param {Object} ws - WebSocket
+ * @param {Object} message - Mensaje
+ */
+const send = (ws, message) => {
+  if (ws.readyState === WebSocket.OPEN) {
+    ws.send(JSON.stringify(message));
+  }
+};
+
+/**
+ * Iniciar el gateway WebSocket sobre un servidor HTTP
+ * @param {Object} server - Servidor HTTP (el que devuelve app.listen)
+ * @returns {Object} - { wss, close }
+ */
+const attachWebSocketGateway = (server) => {
+  const presence = getPresenceBackend();
+  const wss = new WebSocketServer({ noServer: true, maxPayload: WS_CONFIG.maxPayloadBytes });
+
+  // articleId -> { slug, clients: Set(ws) } para las conexiones de esta instancia
+  const localArticles = new Map();
+  // Conexiones por IP y en total, contando también los upgrades que aún verifican el token
+  const connectionsByIp = new Map();
+  let totalConnections = 0;
+
+  /**
+   * Reservar el lugar de una conexión; se libera cuando se cierra el socket,
+   * tanto si el upgrade se rechaza como si el WebSocket se cierra después
+   * @param {Object} socket - Socket del upgrade
+   * @param {string} ip - IP del cliente
+   */
+  const reserveConnection = (socket, ip) => {
+    totalConnections += 1;
+    connectionsByIp.set(ip, (connectionsByIp.get(ip) || 0) + 1);
+
+    socket.once('close', () => {
+      totalConnections -= 1;
+      const remaining = (connectionsByIp.get(ip) || 1) - 1;
+      if (remaining > 0) {
+        connectionsByIp.set(ip, remaining);
+      } else {
+        connectionsByIp.delete(ip);
+      }
+    });
+  };
+
+  /**
+   * Enviar un mensaje a las conexiones locales suscritas a un artículo
+   */
+  const broadcast = (articleId, message, except = null) => {
+    const entry = localArticles.get(articleId);
+    if (!entry) return;
+
+    entry.clients.forEach(client => {
+      if (client !== except) send(client, message);
+    });
+  };
+
+  // Los cambios de presencia pueden venir de esta u otras instancias (según el backend)
+  const stopPresence = presence.onChange((articleId, count) => {
+    const entry = localArticles.get(articleId);
+    if (entry) broadcast(articleId, { type: 'presence', slug: entry.slug, count });
+  });
+
+  /**
+   * Avisar que una conexión dejó de escribir en un artículo
+   */
+  const stopTyping = (ws, articleId) => {
+    const subscription = ws.subscriptions.get(articleId);
+    if (!subscription || !subscription.typingTimer) return;
+
+    clearTimeout(subscription.typingTimer);
+    subscription.typingTimer = null;
+    broadcast(articleId, {
+      type: 'typing',
+      slug: subscription.slug,
+      connectionId: ws.connectionId,
+      name: ws.user ? ws.user.name : null,
+      isTyping: false
+    }, ws);
+  };
+
+  /**
+   * Suscribir una conexión a un artículo por slug
+   */
+  const subscribe = async (ws, slug) => {
+    const article = await Article.findOne({
+      $or: [{ slug }, { previousSlugs: slug }],
+      ...Article.publicFilter()
+    }).select('_id slug');
+
+    // La conexión pudo cerrarse durante la consulta: no registrar nada que el cierre ya no limpie
+    if (ws.readyState !== WebSocket.OPEN) return;
+
+    if (!article) {
+      return send(ws, { type: 'error', slug, message: 'Artículo no encontrado' });
+    }
+
+    const articleId = article._id.toString();
+
+    if (!ws.subscriptions.has(articleId)) {
+      if (ws.subscriptions.size >= WS_CONFIG.maxSubscriptions) {
+        return send(ws, {
+          type: 'error',
+          slug,
+          message: `No se puede seguir más de ${WS_CONFIG.maxSubscriptions} artículos por conexión`
+        });
+      }
+
+      if (!localArticles.has(articleId)) {
+        localArticles.set(articleId, { slug: article.slug, clients: new Set() });
+      }
+      localArticles.get(articleId).clients.add(ws);
+
+      // Reenviar los eventos de comentarios y likes del artículo
+      const stopEvents = subscribeToArticle(articleId, event => {
+        send(ws, { type: 'event', slug: article.slug, id: event.id, event: event.type, data: event.data });
+      });
+
+      ws.subscriptions.set(articleId, { slug: article.slug, stopEvents, typingTimer: null });
+      await presence.join(articleId, ws.connectionId, ws.readerKey);
+
+      // La conexión pudo cerrarse mientras el backend registraba la entrada
+      if (!ws.subscriptions.has(articleId)) {
+        await presence.leave(articleId, ws.connectionId);
+        return;
+      }
+    }
+
+    send(ws, {
+      type: 'subscribed',
+      slug: article.slug,
+      articleId,
+      count: await presence.count(articleId)
+    });
+  };
+
+  /**
+   * Quitar la suscripción de una conexión a un artículo
+   */
+  const unsubscribe = async (ws, articleId) => {
+    const subscription = ws.subscriptions.get(articleId);
+    if (!subscription) return;
+
+    stopTyping(ws, articleId);
+    subscription.stopEvents();
+    ws.subscriptions.delete(articleId);
+
+    const entry = localArticles.get(articleId);
+    if (entry) {
+      entry.clients.delete(ws);
+      if (entry.clients.size === 0) localArticles.delete(articleId);
+    }
+
+    await presence.leave(articleId, ws.connectionId);
+  };
+
+  /**
+   * Buscar la suscripción de una conexión por slug
+   */
+  const findSubscription = (ws, slug) => {
+    for (const [articleId, subscription] of ws.subscriptions) {
+      if (subscription.slug === slug) return articleId;
+    }
+    return null;
+  };
+
+  /**
+   * Procesar un mensaje del cliente
+   */
+  const handleMessage = async (ws, raw) => {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch (error) {
+      message = null;
+    }
+
+    if (!message || typeof message !== 'object') {
+      return send(ws, { type: 'error', message: 'El mensaje debe ser un objeto JSON válido' });
+    }
+
+    const slug = typeof message.slug === 'string' ? message.slug.trim().toLowerCase() : null;
+
+    switch (message.type) {
+      case 'subscribe':
+        if (!slug) return send(ws, { type: 'error', message: 'El slug del artículo es requerido' });
+        return subscribe(ws, slug);
+
+      case 'unsubscribe': {
+        const articleId = slug && findSubscription(ws, slug);
+        if (articleId) await unsubscribe(ws, articleId);
+        return send(ws, { type: 'unsubscribed', slug });
+      }
+
+      case 'typing': {
+        const articleId = slug && findSubscription(ws, slug);
+        if (!articleId) {
+          return send(ws, { type: 'error', slug, message: 'Primero suscríbete al artículo' });
+        }
+
+        if (!message.isTyping) return stopTyping(ws, articleId);
+
+        const subscription = ws.subscriptions.get(articleId);
+        const wasTyping = !!subscription.typingTimer;
+
+        // El indicador se apaga solo si el cliente deja de avisar
+        clearTimeout(subscription.typingTimer);
+        subscription.typingTimer = setTimeout(() => stopTyping(ws, articleId), WS_CONFIG.typingTimeoutSeconds * 1000);
+
+        if (!wasTyping) {
+          broadcast(articleId, {
+            type: 'typing',
+            slug: subscription.slug,
+            connectionId: ws.connectionId,
+            name: ws.user ? ws.user.name : null,
+            isTyping: true
+          }, ws);
+        }
+        return;
+      }
+
+      case 'ping':
+        return send(ws, { type: 'pong' });
+
+      default:
+        return send(ws, { type: 'error', message: 'Tipo de mensaje desconocido' });
+    }
+  };
+
+  server.on('upgrade', async (req, socket, head) => {
+    // Hasta que ws tome el socket, un error de red (p. ej. ECONNRESET) no debe tumbar el proceso
+    const onSocketError = error => {
+      console.error('Error en el socket de un upgrade WebSocket:', error.message);
+      socket.destroy();
+    };
+    socket.on('error', onSocketError);
+
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== WS_CONFIG.path) {
+      return rejectUpgrade(socket, 404, 'Not Found');
+    }
+
+    // El cliente pudo cortar la conexión antes de llegar aquí: su 'close' ya no liberaría el lugar
+    if (socket.destroyed) return;
+
+    if (totalConnections >= WS_CONFIG.maxConnections) {
+      return rejectUpgrade(socket, 503, 'Service Unavailable');
+    }
+
+    const ip = getClientIp(req);
+    if ((connectionsByIp.get(ip) || 0) >= WS_CONFIG.maxConnectionsPerIp) {
+      return rejectUpgrade(socket, 429, 'Too Many Requests');
+    }
+
+    // Reservar antes de verificar el token: si no, varios upgrades simultáneos de la
+    // misma IP pasarían el límite mientras esperan la verificación
+    reserveConnection(socket, ip);
+
+    // Token opcional: si se envía tiene que ser válido
+    const authHeader = req.headers['authorization'];
+    const token = (authHeader && authHeader.split(' ')[1]) || url.searchParams.get('token');
+    let user = null;
+
+    if (token) {
+      const result = await verifyToken(token);
+      if (!result.valid) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+      user = result.user;
+    }
+
+    // El cliente pudo cortar la conexión mientras se verificaba el token
+    if (socket.destroyed) return;
+
+    socket.removeListener('error', onSocketError);
+    wss.handleUpgrade(req, socket, head, ws => {
+      const visitorId = verifyVisitorToken(url.searchParams.get('visitorToken'));
+
+      ws.connectionId = crypto.randomUUID();
+      ws.user = user;
+      ws.readerKey = user
+        ? `user:${user._id}`
+        : (visitorId ? `visitor:${visitorId}` : `connection:${ws.connectionId}`);
+      ws.ip = ip;
+      ws.subscriptions = new Map();
+      ws.isAlive = true;
+
+      wss.emit('connection', ws, req);
+    });
+  });
+
+  wss.on('connection', ws => {
+    send(ws, {
+      type: 'welcome',
+      connectionId: ws.connectionId,
+      user: ws.user ? { _id: ws.user._id, name: ws.user.name } : null
+    });
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    // Sin este handler, un frame inválido o mayor que maxPayload emite un 'error' no
+    // manejado que termina el proceso; el cierre limpia las suscripciones en 'close'
+    ws.on('error', error => {
+      console.error('Error en conexión WebSocket:', error.message);
+      ws.terminate();
+    });
+
+    ws.on('message', raw => {
+      handleMessage(ws, raw).catch(error => {
+        console.error('Error al procesar mensaje WebSocket:', error);
+        send(ws, { type: 'error', message: 'Error interno del servidor' });
+      });
+    });
+
+    ws.on('close', () => {
+      Promise.all([...ws.subscriptions.keys()].map(articleId => unsubscribe(ws, articleId)))
+        .catch(error => console.error('Error al cerrar conexión WebSocket:', error));
+    });
+  });
+
+  // Cerrar las conexiones que no responden al ping
+  const pingInterval = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, WS_CONFIG.pingSeconds * 1000);
+
+  /**
+   * Cerrar el gateway y todas sus conexiones
+   */
+  const close = () => {
+    clearInterval(pingInterval);
+    stopPresence();
+    wss.clients.forEach(ws => ws.close(1001, 'Servidor reiniciándose'));
+    wss.close();
+  };
+
+  return { wss, close };
+};
+
+module.exports = {
+  attachWebSocketGateway
+};